@@ -0,0 +1,598 @@
+// PromptEvaluator.js
+// Runs the extension's prompts against a labelled dataset and scores the answers. The
+// extension code runs unchanged on the test harness (test/harness/), so a prompt is
+// evaluated exactly as the extension sends it: built by the matcher or the background,
+// answered by a real provider, parsed and validated by the extension's own code. Any git
+// revision of extension/ can be evaluated, so two prompt versions can be compared on the
+// same dataset.
+//
+// Datasets (see eval/README.md):
+//   styleScoring - product image + details + style profile -> expected score band
+//   wardrobe     - product + wardrobe items, each labelled compatible or not
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { createTestExtension, createProductImage } = require('../test/harness/ExtensionHarness');
+
+const REPO_DIR = path.resolve(__dirname, '..');
+const EXTENSION_DIR = path.join(REPO_DIR, 'extension');
+
+// Local dataset images are served to the extension under this origin
+const DATASET_ORIGIN = 'https://eval-dataset.invalid';
+
+// Real fetch, kept before the harness installs the extension's fetch as the global
+const nativeFetch = globalThis.fetch;
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Metrics compared between runs; higherIsBetter decides which direction is a regression
+const METRICS = {
+  styleScoring: [
+    { key: 'agreement', label: 'Agreement (score in band)', format: 'percent', higherIsBetter: true },
+    { key: 'withinOne', label: 'Within 1 point of band', format: 'percent', higherIsBetter: true },
+    { key: 'parseFailureRate', label: 'Parse failures', format: 'percent', higherIsBetter: false },
+    { key: 'errorRate', label: 'Errors', format: 'percent', higherIsBetter: false },
+    { key: 'meanScore', label: 'Mean score', format: 'number' },
+    { key: 'meanLatencyMs', label: 'Mean latency', format: 'ms' }
+  ],
+  wardrobe: [
+    { key: 'agreement', label: 'Agreement (per pair)', format: 'percent', higherIsBetter: true },
+    { key: 'precision', label: 'Precision (kept items)', format: 'percent', higherIsBetter: true },
+    { key: 'recall', label: 'Recall (kept items)', format: 'percent', higherIsBetter: true },
+    { key: 'parseFailureRate', label: 'Parse failures', format: 'percent', higherIsBetter: false },
+    { key: 'errorRate', label: 'Errors', format: 'percent', higherIsBetter: false },
+    { key: 'meanLatencyMs', label: 'Mean latency', format: 'ms' }
+  ]
+};
+
+const SUPPORTED_PROVIDERS = ['gemini', 'openaiCompatible'];
+
+/**
+ * Read a dataset directory (dataset.json plus the files it references)
+ * @param {string} dir - Dataset directory
+ * @returns {Object} Dataset with profiles loaded and expectations resolved to score ranges
+ */
+function loadDataset(dir) {
+  const file = path.join(dir, 'dataset.json');
+  if (!fs.existsSync(file)) {
+    throw new Error(`No dataset.json in ${dir}`);
+  }
+
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  dataset.dir = path.resolve(dir);
+  dataset.name = dataset.name || path.basename(dataset.dir);
+
+  if (!METRICS[dataset.task]) {
+    throw new Error(`${dataset.name}: unknown task "${dataset.task}" (expected ${Object.keys(METRICS).join(' or ')})`);
+  }
+  if (!Array.isArray(dataset.cases) || dataset.cases.length === 0) {
+    throw new Error(`${dataset.name}: no cases`);
+  }
+
+  const ids = new Set();
+  dataset.cases.forEach((testCase, index) => {
+    if (!testCase.id || ids.has(testCase.id)) {
+      throw new Error(`${dataset.name}: case ${index} needs a unique id`);
+    }
+    ids.add(testCase.id);
+  });
+
+  if (dataset.task === 'styleScoring') {
+    const profiles = {};
+    Object.entries(dataset.profiles || {}).forEach(([name, profile]) => {
+      profiles[name] = typeof profile === 'string'
+        ? JSON.parse(fs.readFileSync(path.join(dataset.dir, profile), 'utf8'))
+        : profile;
+    });
+    dataset.profiles = profiles;
+
+    dataset.cases.forEach(testCase => {
+      if (!profiles[testCase.profile]) {
+        throw new Error(`${dataset.name}/${testCase.id}: unknown profile "${testCase.profile}"`);
+      }
+      if (!testCase.image && !testCase.imageUrl) {
+        throw new Error(`${dataset.name}/${testCase.id}: needs an image or an imageUrl`);
+      }
+      testCase.ranges = resolveExpectedRanges(testCase.expected, dataset.bands || {}, `${dataset.name}/${testCase.id}`);
+    });
+  } else {
+    dataset.cases.forEach(testCase => {
+      if (!testCase.product || !Array.isArray(testCase.items) || testCase.items.length === 0) {
+        throw new Error(`${dataset.name}/${testCase.id}: needs a product and labelled items`);
+      }
+      testCase.items.forEach(item => {
+        if (typeof item.compatible !== 'boolean') {
+          throw new Error(`${dataset.name}/${testCase.id}/${item.id}: "compatible" must be true or false`);
+        }
+      });
+    });
+  }
+
+  return dataset;
+}
+
+/**
+ * An expectation is a band name ("high"), several band names (["low", "mid"]) or a
+ * [min, max] score range
+ * @private
+ */
+function resolveExpectedRanges(expected, bands, where) {
+  if (Array.isArray(expected) && expected.length === 2 && expected.every(Number.isFinite)) {
+    return [expected];
+  }
+
+  const names = Array.isArray(expected) ? expected : [expected];
+  return names.map(name => {
+    if (!bands[name]) {
+      throw new Error(`${where}: unknown band "${name}"`);
+    }
+    return bands[name];
+  });
+}
+
+/**
+ * Extract extension/ of a git revision into a temporary directory
+ * @param {string} revision - Anything git understands: a commit, tag, branch or HEAD~1
+ * @returns {{dir: string, cleanup: Function}} Extension directory and a function that deletes it
+ */
+function checkoutExtension(revision) {
+  const archive = spawnSync('git', ['archive', '--format=tar', revision, 'extension'], {
+    cwd: REPO_DIR,
+    maxBuffer: 256 * 1024 * 1024
+  });
+  if (archive.status !== 0) {
+    throw new Error(`git archive ${revision}: ${archive.stderr.toString().trim()}`);
+  }
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-eval-'));
+  const cleanup = () => fs.rmSync(root, { recursive: true, force: true });
+
+  const extract = spawnSync('tar', ['-x', '-C', root], { input: archive.stdout });
+  if (extract.status !== 0) {
+    cleanup();
+    throw new Error(`Extracting ${revision}: ${extract.stderr.toString().trim()}`);
+  }
+
+  return { dir: path.join(root, 'extension'), cleanup };
+}
+
+/**
+ * Versions a run reports: the product prompt's PROMPT_VERSION (read from the source, so
+ * nothing is imported before the harness is set up)
+ * @param {string} extensionDir
+ * @returns {{promptVersion: number|null}}
+ */
+function describeExtension(extensionDir) {
+  const prompts = path.join(extensionDir, 'content/config/Prompts.js');
+  const match = fs.existsSync(prompts) && fs.readFileSync(prompts, 'utf8').match(/export const PROMPT_VERSION = (\d+)/);
+  return { promptVersion: match ? Number(match[1]) : null };
+}
+
+/**
+ * chrome.storage.local contents that route the evaluated tasks to the provider
+ * @param {Object} provider - { id, model, baseUrl, apiKey }
+ * @returns {Object}
+ * @private
+ */
+function providerStorage(provider) {
+  const settings = { tasks: { styleScoring: provider.id, wardrobe: provider.id } };
+  const storage = { aiProviderSettings: settings };
+
+  if (provider.id === 'gemini') {
+    storage.geminiAPIKey = provider.apiKey;
+    if (provider.model) settings.gemini = { model: provider.model };
+  } else {
+    settings.openaiCompatible = {
+      ...(provider.baseUrl && { baseUrl: provider.baseUrl }),
+      ...(provider.model && { model: provider.model }),
+      apiKey: provider.apiKey || ''
+    };
+  }
+  return storage;
+}
+
+/**
+ * fetch that serves dataset files under DATASET_ORIGIN and passes anything else on
+ * @param {string} datasetDir
+ * @param {Function} baseFetch
+ * @returns {Function}
+ * @private
+ */
+function createDatasetFetch(datasetDir, baseFetch) {
+  return async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(`${DATASET_ORIGIN}/`)) {
+      return baseFetch(input, init);
+    }
+
+    const file = path.join(datasetDir, decodeURIComponent(new URL(url).pathname));
+    if (!file.startsWith(datasetDir + path.sep) || !fs.existsSync(file)) {
+      return new Response('Not found', { status: 404, statusText: 'Not Found' });
+    }
+    return new Response(fs.readFileSync(file), {
+      status: 200,
+      headers: { 'Content-Type': IMAGE_MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' }
+    });
+  };
+}
+
+/**
+ * Run items through fn, at most `limit` at a time, keeping the order of the results
+ * @private
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Evaluate one version of the extension on a dataset
+ * @param {Object} options
+ * @param {Object} options.dataset - From loadDataset()
+ * @param {Object} options.provider - { id: 'gemini' | 'openaiCompatible', model, baseUrl, apiKey }
+ * @param {string} [options.extensionDir] - Extension to evaluate (default: this checkout's extension/)
+ * @param {string} [options.label='working tree'] - Name of the run in reports
+ * @param {number} [options.concurrency=2] - Cases evaluated at once
+ * @param {Function} [options.fetch] - fetch for everything but dataset files (default: the real one)
+ * @param {Object} [options.extensionOptions] - Extra createTestExtension() options
+ * @param {Function} [options.onProgress] - Called with (done, total, caseResult)
+ * @returns {Promise<Object>} Run: { label, dataset, task, provider, promptVersion, cases, summary }
+ */
+async function evaluate(options) {
+  const { dataset, provider } = options;
+  const extensionDir = options.extensionDir || EXTENSION_DIR;
+
+  if (!SUPPORTED_PROVIDERS.includes(provider.id)) {
+    throw new Error(`Provider "${provider.id}" cannot be evaluated from Node (use ${SUPPORTED_PROVIDERS.join(' or ')})`);
+  }
+  if (!fs.existsSync(path.join(extensionDir, 'services/AIProviders.js'))) {
+    throw new Error(`${options.label || extensionDir} predates pluggable AI providers, so its prompts cannot be sent to ${provider.id}`);
+  }
+
+  const extension = createTestExtension({
+    extensionDir,
+    storage: providerStorage(provider),
+    fetch: createDatasetFetch(dataset.dir, options.fetch || nativeFetch),
+    // Real endpoints: real retry delays, and room for slow answers
+    backgroundTimeScale: 1,
+    responseTimeoutMs: 180000,
+    ...options.extensionOptions
+  });
+  extension.loadBackground();
+
+  const runCase = dataset.task === 'styleScoring'
+    ? await createStyleScoringRunner(extension, dataset, provider)
+    : createWardrobeRunner(extension);
+
+  let done = 0;
+  const cases = await mapWithConcurrency(dataset.cases, options.concurrency || 2, async (testCase) => {
+    const startedAt = Date.now();
+    const result = await runCase(testCase);
+    result.latencyMs = Date.now() - startedAt;
+    options.onProgress?.(++done, dataset.cases.length, result);
+    return result;
+  });
+
+  return {
+    label: options.label || 'working tree',
+    dataset: dataset.name,
+    task: dataset.task,
+    provider: { id: provider.id, model: provider.model || null },
+    ...describeExtension(extensionDir),
+    cases,
+    summary: summarize(dataset.task, cases)
+  };
+}
+
+/**
+ * Style scoring: PersonalStyleMatcher.analyzeProduct(), as for a product on a page
+ * @private
+ */
+async function createStyleScoringRunner(extension, dataset, provider) {
+  const { PersonalStyleMatcher } = await extension.importContent('content/ai/PersonalStyleMatcher.js');
+  const matcher = new PersonalStyleMatcher();
+  matcher.setProvider(provider.id);
+
+  return async (testCase) => {
+    const imageUrl = testCase.imageUrl || `${DATASET_ORIGIN}/${testCase.image.split('/').map(encodeURIComponent).join('/')}`;
+    const image = createProductImage(imageUrl, { alt: testCase.alt ?? testCase.product?.name ?? '' });
+    const result = await matcher.analyzeProduct(image, dataset.profiles[testCase.profile], {
+      productData: testCase.product || null,
+      productId: `${DATASET_ORIGIN}/cases/${encodeURIComponent(testCase.id)}`
+    });
+
+    const caseResult = {
+      id: testCase.id,
+      expected: testCase.ranges.map(([min, max]) => `${min}-${max}`).join(' or '),
+      score: null,
+      breakdown: null,
+      outcome: null,
+      distance: null,
+      detail: null
+    };
+
+    if (result.method === 'invalid_response') {
+      caseResult.outcome = 'parse_failure';
+      caseResult.detail = result.reasoning;
+    } else if (!result.success) {
+      caseResult.outcome = 'error';
+      caseResult.detail = result.error || result.reasoning;
+    } else {
+      caseResult.score = result.score;
+      caseResult.breakdown = result.breakdown || null;
+      caseResult.distance = Math.min(...testCase.ranges.map(([min, max]) =>
+        result.score < min ? min - result.score : result.score > max ? result.score - max : 0));
+      caseResult.outcome = caseResult.distance === 0 ? 'agree' : 'disagree';
+    }
+    return caseResult;
+  };
+}
+
+/**
+ * Wardrobe: the background's 'filterWardrobeItems', with the items as AttributeFilter sends them
+ * @private
+ */
+function createWardrobeRunner(extension) {
+  return async (testCase) => {
+    const caseResult = { id: testCase.id, outcome: null, itemCount: testCase.items.length, pairs: [], detail: null };
+
+    let response;
+    try {
+      response = await extension.chrome.runtime.sendMessage({
+        action: 'filterWardrobeItems',
+        product: testCase.product,
+        wardrobeItems: testCase.items.map((item, idx) => ({ ...item.aiAnalysis, originalIndex: idx, id: item.id }))
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (!response || response.success === false || !Array.isArray(response.shortlist)) {
+      caseResult.outcome = 'error';
+      caseResult.detail = response?.error || 'No response';
+      return caseResult;
+    }
+    if (response.fallback) {
+      // The answer was rejected and category rules picked the items: nothing to score
+      caseResult.outcome = 'parse_failure';
+      caseResult.detail = `Invalid fields: ${(response.invalidFields || []).join(', ') || 'unknown'}`;
+      return caseResult;
+    }
+
+    caseResult.pairs = testCase.items.map((item, idx) => {
+      const kept = response.shortlist.includes(idx);
+      return { id: item.id, expected: item.compatible, kept, agree: kept === item.compatible };
+    });
+    caseResult.outcome = caseResult.pairs.every(pair => pair.agree) ? 'agree' : 'disagree';
+    caseResult.detail = response.reasoning || null;
+    return caseResult;
+  };
+}
+
+/**
+ * Aggregate metrics of a run
+ * @param {string} task - Dataset task
+ * @param {Array<Object>} cases - Case results
+ * @returns {Object} Summary
+ */
+function summarize(task, cases) {
+  const count = (outcome) => cases.filter(result => result.outcome === outcome).length;
+  const rate = (part, whole) => (whole > 0 ? part / whole : null);
+  const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+  const summary = {
+    cases: cases.length,
+    parseFailures: count('parse_failure'),
+    errors: count('error'),
+    parseFailureRate: rate(count('parse_failure'), cases.length),
+    errorRate: rate(count('error'), cases.length),
+    meanLatencyMs: mean(cases.map(result => result.latencyMs).filter(Number.isFinite))
+  };
+
+  if (task === 'styleScoring') {
+    const scores = cases.map(result => result.score).filter(Number.isFinite);
+    const distribution = {};
+    for (let score = 1; score <= 10; score++) distribution[score] = 0;
+    scores.forEach(score => {
+      distribution[score] = (distribution[score] || 0) + 1;
+    });
+
+    // Failed cases count against agreement: a prompt that cannot be parsed is not agreeing
+    return {
+      ...summary,
+      agreement: rate(count('agree'), cases.length),
+      withinOne: rate(cases.filter(result => result.distance !== null && result.distance <= 1).length, cases.length),
+      meanScore: mean(scores),
+      distribution
+    };
+  }
+
+  // Pairs of failed cases count against agreement as well
+  const confusion = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+  let totalPairs = 0;
+  cases.forEach(result => {
+    totalPairs += result.itemCount;
+    result.pairs.forEach(pair => {
+      if (pair.kept) confusion[pair.expected ? 'truePositive' : 'falsePositive']++;
+      else confusion[pair.expected ? 'falseNegative' : 'trueNegative']++;
+    });
+  });
+
+  return {
+    ...summary,
+    pairs: totalPairs,
+    agreement: rate(confusion.truePositive + confusion.trueNegative, totalPairs),
+    precision: rate(confusion.truePositive, confusion.truePositive + confusion.falsePositive),
+    recall: rate(confusion.truePositive, confusion.truePositive + confusion.falseNegative),
+    confusion,
+    distribution: {
+      kept: confusion.truePositive + confusion.falsePositive,
+      eliminated: confusion.trueNegative + confusion.falseNegative
+    }
+  };
+}
+
+/**
+ * Compare two runs of the same dataset
+ * @param {Object} baseline - Run from evaluate()
+ * @param {Object} candidate - Run from evaluate()
+ * @returns {Object} { metrics, improved, regressed, regression } - regression is true when
+ *   a metric with a direction got worse
+ */
+function compareRuns(baseline, candidate) {
+  if (baseline.dataset !== candidate.dataset) {
+    throw new Error(`Cannot compare runs of different datasets (${baseline.dataset}, ${candidate.dataset})`);
+  }
+
+  const metrics = METRICS[candidate.task].map(metric => {
+    const before = baseline.summary[metric.key];
+    const after = candidate.summary[metric.key];
+    const delta = Number.isFinite(before) && Number.isFinite(after) ? after - before : null;
+    const worse = metric.higherIsBetter !== undefined && delta !== null && delta !== 0 &&
+      (delta > 0) !== metric.higherIsBetter;
+    return { ...metric, baseline: before, candidate: after, delta, worse };
+  });
+
+  const baselineCases = new Map(baseline.cases.map(result => [result.id, result]));
+  const improved = [];
+  const regressed = [];
+  candidate.cases.forEach(after => {
+    const before = baselineCases.get(after.id);
+    if (!before) return;
+    if (before.outcome === 'agree' && after.outcome !== 'agree') regressed.push({ id: after.id, baseline: before, candidate: after });
+    if (before.outcome !== 'agree' && after.outcome === 'agree') improved.push({ id: after.id, baseline: before, candidate: after });
+  });
+
+  return { metrics, improved, regressed, regression: metrics.some(metric => metric.worse) };
+}
+
+function formatValue(value, format) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '-';
+  if (format === 'percent') return `${(value * 100).toFixed(1)}%`;
+  if (format === 'ms') return `${Math.round(value)} ms`;
+  return value.toFixed(2);
+}
+
+function formatDelta(metric) {
+  if (metric.delta === null) return '';
+  if (metric.delta === 0) return '=';
+  const sign = metric.delta > 0 ? '+' : '-';
+  const magnitude = Math.abs(metric.delta);
+  const text = metric.format === 'percent'
+    ? `${sign}${(magnitude * 100).toFixed(1)} pts`
+    : metric.format === 'ms' ? `${sign}${Math.round(magnitude)} ms` : `${sign}${magnitude.toFixed(2)}`;
+  return metric.worse ? `${text} ⚠️` : text;
+}
+
+function runTitle(run) {
+  return run.promptVersion !== null && run.task === 'styleScoring' ? `${run.label} (prompt v${run.promptVersion})` : run.label;
+}
+
+function formatDistribution(run) {
+  const { distribution } = run.summary;
+  if (run.task === 'wardrobe') {
+    return `kept ${distribution.kept}, eliminated ${distribution.eliminated}`;
+  }
+  return Object.entries(distribution).map(([score, count]) => `${score}:${count}`).join(' ');
+}
+
+function formatCase(result) {
+  if (result.outcome === 'parse_failure' || result.outcome === 'error') {
+    return `${result.outcome.replace('_', ' ')} - ${result.detail}`;
+  }
+  if (result.score !== undefined) {
+    return `score ${result.score} (expected ${result.expected})`;
+  }
+  const misses = result.pairs.filter(pair => !pair.agree).map(pair => `${pair.kept ? 'kept' : 'dropped'} ${pair.id}`);
+  return misses.length > 0 ? misses.join(', ') : 'all pairs agree';
+}
+
+function pad(text, width) {
+  return String(text).padEnd(width);
+}
+
+/**
+ * Plain-text report of one run, or of two runs side by side
+ * @param {Object} candidate - Run from evaluate()
+ * @param {Object} [baseline] - Run to compare with
+ * @returns {string}
+ */
+function formatReport(candidate, baseline = null) {
+  const lines = [];
+  const model = candidate.provider.model ? ` (${candidate.provider.model})` : '';
+  lines.push(`📊 ${candidate.dataset} - ${candidate.summary.cases} case(s), ${candidate.task}, provider ${candidate.provider.id}${model}`);
+  lines.push('');
+
+  if (!baseline) {
+    METRICS[candidate.task].forEach(metric => {
+      lines.push(`  ${pad(metric.label, 28)}${formatValue(candidate.summary[metric.key], metric.format)}`);
+    });
+    lines.push(`  ${pad('Distribution', 28)}${formatDistribution(candidate)}`);
+
+    const misses = candidate.cases.filter(result => result.outcome !== 'agree');
+    if (misses.length > 0) {
+      lines.push('');
+      lines.push(`❌ Not agreeing (${misses.length}):`);
+      misses.forEach(result => lines.push(`  ${result.id}: ${formatCase(result)}`));
+    }
+    return lines.join('\n');
+  }
+
+  const comparison = compareRuns(baseline, candidate);
+  const baselineTitle = runTitle(baseline);
+  const width = Math.max(baselineTitle.length, 12) + 3;
+
+  lines.push(`  ${pad('', 28)}${pad(baselineTitle, width)}${pad(runTitle(candidate), width)}Δ`);
+  comparison.metrics.forEach(metric => {
+    lines.push(`  ${pad(metric.label, 28)}${pad(formatValue(metric.baseline, metric.format), width)}${pad(formatValue(metric.candidate, metric.format), width)}${formatDelta(metric)}`);
+  });
+  lines.push('');
+  lines.push('  Distribution');
+  lines.push(`    ${pad(baseline.label, width)}${formatDistribution(baseline)}`);
+  lines.push(`    ${pad(candidate.label, width)}${formatDistribution(candidate)}`);
+
+  [['❌ Regressed', comparison.regressed], ['✅ Improved', comparison.improved]].forEach(([title, changes]) => {
+    if (changes.length === 0) return;
+    lines.push('');
+    lines.push(`${title} (${changes.length}):`);
+    changes.forEach(change => {
+      lines.push(`  ${change.id}: ${formatCase(change.baseline)} -> ${formatCase(change.candidate)}`);
+    });
+  });
+
+  lines.push('');
+  lines.push(comparison.regression ? '⚠️ The candidate is worse on at least one metric' : '✅ No metric got worse');
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadDataset,
+  checkoutExtension,
+  describeExtension,
+  evaluate,
+  summarize,
+  compareRuns,
+  formatReport,
+  DATASET_ORIGIN,
+  EXTENSION_DIR,
+  METRICS
+};
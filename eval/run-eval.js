@@ -0,0 +1,141 @@
+// run-eval.js
+// Prompt evaluation against labelled datasets (see eval/README.md).
+//
+//   npm run eval -- style-scoring                              working tree, Gemini
+//   npm run eval -- style-scoring --baseline HEAD~1            side by side with a revision
+//   npm run eval -- wardrobe-pairs --provider openaiCompatible --base-url http://localhost:11434/v1 --model llava
+//
+// Keys come from the environment: GEMINI_API_KEY, OPENAI_API_KEY (optional for local servers).
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const {
+  loadDataset,
+  checkoutExtension,
+  evaluate,
+  compareRuns,
+  formatReport
+} = require('./PromptEvaluator');
+
+// The harness replaces the global console with a quiet one once the extension loads
+const print = console.log.bind(console);
+const printError = console.error.bind(console);
+
+const USAGE = `Usage: npm run eval -- <dataset>... [options]
+
+  <dataset>                  Directory with a dataset.json, or a name under eval/datasets/
+
+Options:
+  --provider <id>            gemini (default) or openaiCompatible
+  --model <name>             Model to use (default: the extension's default for the provider)
+  --base-url <url>           OpenAI-compatible server, e.g. http://localhost:11434/v1
+  --baseline <revision>      Also evaluate this git revision and compare side by side
+  --candidate <revision>     Git revision to evaluate (default: the working tree)
+  --concurrency <n>          Cases evaluated at once (default 2)
+  --json <file>              Write all runs and comparisons as JSON
+  --fail-on-regression       Exit with 1 when the candidate is worse than the baseline
+  --help`;
+
+function resolveDatasetDir(name) {
+  if (fs.existsSync(path.join(name, 'dataset.json'))) return name;
+  return path.join(__dirname, 'datasets', name);
+}
+
+function readProvider(values) {
+  const id = values.provider || 'gemini';
+  const provider = { id, model: values.model, baseUrl: values['base-url'] };
+
+  if (id === 'gemini') {
+    provider.apiKey = process.env.GEMINI_API_KEY;
+    if (!provider.apiKey) throw new Error('Set GEMINI_API_KEY to evaluate on the Gemini API');
+  } else if (id === 'openaiCompatible') {
+    provider.apiKey = process.env.OPENAI_API_KEY || '';
+  } else {
+    throw new Error(`Unknown provider "${id}" (gemini or openaiCompatible)`);
+  }
+  return provider;
+}
+
+/**
+ * Evaluate a revision (or the working tree when revision is undefined)
+ */
+async function evaluateRevision(dataset, revision, options) {
+  const label = revision || 'working tree';
+  const checkout = revision ? checkoutExtension(revision) : null;
+
+  process.stderr.write(`⏳ ${dataset.name}: ${label}...`);
+  try {
+    return await evaluate({
+      ...options,
+      dataset,
+      label,
+      extensionDir: checkout?.dir,
+      onProgress: (done, total) => process.stderr.write(`\r⏳ ${dataset.name}: ${label} ${done}/${total}`)
+    });
+  } finally {
+    process.stderr.write('\n');
+    checkout?.cleanup();
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'base-url': { type: 'string' },
+      baseline: { type: 'string' },
+      candidate: { type: 'string' },
+      concurrency: { type: 'string' },
+      json: { type: 'string' },
+      'fail-on-regression': { type: 'boolean' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    print(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const provider = readProvider(values);
+  const concurrency = Number(values.concurrency || 2);
+  const report = { provider: { id: provider.id, model: provider.model || null }, runs: [], comparisons: [] };
+  let regression = false;
+
+  for (const name of positionals) {
+    const dataset = loadDataset(resolveDatasetDir(name));
+
+    const baseline = values.baseline
+      ? await evaluateRevision(dataset, values.baseline, { provider, concurrency })
+      : null;
+    const candidate = await evaluateRevision(dataset, values.candidate, { provider, concurrency });
+
+    print('');
+    print(formatReport(candidate, baseline));
+    print('');
+
+    report.runs.push(...(baseline ? [baseline, candidate] : [candidate]));
+    if (baseline) {
+      const comparison = compareRuns(baseline, candidate);
+      report.comparisons.push({ dataset: dataset.name, baseline: baseline.label, candidate: candidate.label, ...comparison });
+      regression = regression || comparison.regression;
+    }
+  }
+
+  if (values.json) {
+    fs.writeFileSync(values.json, JSON.stringify(report, null, 2) + '\n');
+    print(`💾 Report written to ${values.json}`);
+  }
+
+  return values['fail-on-regression'] && regression ? 1 : 0;
+}
+
+// Exit explicitly: the background keeps timers running after the last case
+main().then(code => process.exit(code), error => {
+  printError(`❌ ${error.message}`);
+  process.exit(1);
+});
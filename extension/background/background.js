@@ -106,6 +106,79 @@ if (ENABLE_FIREBASE) {
 importScripts('/gemini/GeminiAPIManager.js');
 const geminiManager = new GeminiAPIManager();
 
+// Import Site Adapter Registry (user-imported retailer adapters)
+importScripts('/services/SiteAdapterRegistry.js');
+const siteAdapterRegistry = new SiteAdapterRegistry();
+
+// Import Structured Output (validation/repair of schema-constrained Prompt API responses)
+importScripts('/services/StructuredOutput.js');
+
+// Import Analysis Cache Store (persistent product analysis results shared by all tabs)
+importScripts('/services/AnalysisCacheStore.js');
+const analysisCacheStore = new AnalysisCacheStore();
+
+// Import AI Providers (Chrome Prompt API, Gemini REST, OpenAI-compatible endpoints, selected per task)
+importScripts('/services/AIProviders.js');
+const aiProviders = new AIProviderRegistry({ tryOnManager: geminiManager });
+
+// Import Style Feedback Store (thumbs up/down on scores, summarized into learned preferences)
+importScripts('/services/StyleFeedbackStore.js');
+const styleFeedbackStore = new StyleFeedbackStore();
+
+// ============================================
+// CANCELLABLE REQUESTS
+// ============================================
+// Content scripts tag long-running requests (model prompts, image fetches, try-ons) with a
+// requestId and send 'cancelRequests' when they no longer need the answer (style mode turned
+// off, navigation). Requests of a tab that closes or loads a new page are cancelled here.
+const cancellableRequests = new Map(); // requestId -> { controller, tabId }
+
+// Run work(signal) for a message, cancellable by its requestId until it settles
+function runCancellable(request, sender, work) {
+    const controller = new AbortController();
+    const requestId = request.requestId;
+    if (requestId) {
+        cancellableRequests.set(requestId, { controller, tabId: sender?.tab?.id ?? null });
+    }
+
+    return Promise.resolve()
+        .then(() => work(controller.signal))
+        .finally(() => {
+            if (requestId) {
+                cancellableRequests.delete(requestId);
+            }
+        });
+}
+
+// Abort the requests with these ids, or every request of a tab; returns how many were running
+function cancelRequests({ requestIds = null, tabId = null }, reason) {
+    let cancelled = 0;
+    cancellableRequests.forEach((entry, requestId) => {
+        const matches = requestIds ? requestIds.includes(requestId) : entry.tabId === tabId;
+        if (matches) {
+            entry.controller.abort(new DOMException(reason, 'AbortError'));
+            cancellableRequests.delete(requestId);
+            cancelled++;
+        }
+    });
+
+    if (cancelled > 0) {
+        console.log(`[Background] Cancelled ${cancelled} request(s): ${reason}`);
+    }
+    return cancelled;
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    cancelRequests({ tabId }, 'Tab closed');
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    // The page's content script is gone (reload or another page)
+    if (changeInfo.status === 'loading') {
+        cancelRequests({ tabId }, 'Tab is loading a new page');
+    }
+});
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('AI Style Filter extension installed/updated', details.reason);
@@ -139,6 +212,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         }
     }
 
+    // Re-register content scripts for imported site adapters
+    await siteAdapterRegistry.syncContentScripts().catch(error => {
+        console.error('[Background] Failed to sync site adapter content scripts:', error);
+    });
+
     // Trigger wardrobe analysis on installation/update if user is logged in
     if (authManager) {
         const user = authManager.getCurrentUser();
@@ -201,19 +279,60 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
         case 'fetchImageAsBase64':
             // Fetch image with extension permissions and convert to base64
-            fetchImageAsBase64(request.imageUrl).then(result => {
+            runCancellable(request, sender, signal => fetchImageAsBase64(request.imageUrl, signal)).then(result => {
                 sendResponse(result);
             }).catch(error => {
-                sendResponse({ success: false, error: error.message });
+                sendResponse({ success: false, error: error.message, aborted: error.name === 'AbortError' });
             });
             return true; // Keep message channel open for async response
 
         case 'generateTryOn':
-            geminiManager.generateTryOn(request.userPhoto, request.clothingImage, request.options).then(result => {
-                sendResponse(result);
-            });
+            runCancellable(request, sender, signal => aiProviders.getProvider('tryOn')
+                .then(provider => provider.generateTryOn(request.userPhoto, request.clothingImage, { ...request.options, signal })))
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Keep message channel open for async response
+
+        case 'aiProviderPrompt':
+            // Content scripts cannot reach remote providers (page CORS, API keys stay here)
+            runCancellable(request, sender, signal => executeProviderPrompt(request.request.text, request.request.images || [], {
+                task: request.task,
+                responseConstraint: request.request.responseConstraint,
+                maxRetries: 1,
+                imageFallback: false, // A score from the product's alt text alone would be a guess
+                signal
+            }))
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
             return true; // Keep message channel open for async response
 
+        case 'cancelRequests':
+            sendResponse({ success: true, cancelled: cancelRequests({ requestIds: request.requestIds || [] }, request.reason || 'Cancelled by the page') });
+            break;
+
+        case 'getAIProviderSettings':
+            aiProviders.getSettings()
+                .then(settings => sendResponse({
+                    success: true,
+                    settings,
+                    tasks: AI_PROVIDER_TASKS,
+                    providers: aiProviders.listProviders()
+                }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'saveAIProviderSettings':
+            aiProviders.saveSettings(request.settings)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, errors: [error.message] }));
+            return true;
+
+        case 'getAIProviderStatus':
+            aiProviders.getStatus()
+                .then(status => sendResponse({ success: true, status }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
         case 'checkGeminiAPI':
             geminiManager.checkSetup().then(result => {
                 sendResponse(result);
@@ -390,6 +509,84 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 .catch(error => sendResponse({ success: false, error: error.message }));
             return true;
 
+        case 'getSiteAdapters':
+            siteAdapterRegistry.getAdapters()
+                .then(adapters => sendResponse({ success: true, adapters }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'importSiteAdapters':
+            siteAdapterRegistry.importAdapters(request.adapters)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'removeSiteAdapter':
+            siteAdapterRegistry.removeAdapter(request.adapterId)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'analysisCacheGet':
+            analysisCacheStore.get(request.key)
+                .then(result => sendResponse({ success: true, result }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'analysisCacheSet':
+            analysisCacheStore.set(request.key, request.result)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'analysisCacheStats':
+            analysisCacheStore.getStats()
+                .then(stats => sendResponse({ success: true, stats }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'analysisCacheClear':
+            analysisCacheStore.clear()
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'recordStyleFeedback':
+            recordStyleFeedback(request.feedback)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getStyleFeedback':
+            Promise.all([styleFeedbackStore.getFeedback(), styleFeedbackStore.getLearnedPreferences()])
+                .then(([feedback, learned]) => sendResponse({
+                    success: true,
+                    feedback,
+                    learned,
+                    pending: feedback.filter(entry => !entry.summarized).length,
+                    summaryThreshold: styleFeedbackStore.summaryThreshold
+                }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'summarizeStyleFeedback':
+            summarizeStyleFeedback()
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'removeLearnedPreference':
+            styleFeedbackStore.removeLearnedPreference(request.id)
+                .then(learned => sendResponse({ success: true, learned }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'clearStyleFeedback':
+            styleFeedbackStore.clear()
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
         case 'composeOutfitVisual':
             composeOutfitVisual(request.product, request.shortlistedItems)
                 .then(result => sendResponse(result))
@@ -524,14 +721,20 @@ function getAISetupInstructions() {
 }
 
 // Handle tab updates to inject content script on supported sites
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     if (changeInfo.status === 'complete' && tab.url) {
-        const supportedSites = ['zara.com', 'hm.com', 'nike.com'];
-        const isSupported = supportedSites.some(site => tab.url.includes(site));
+        const supportedSites = await siteAdapterRegistry.getSupportedHosts();
+        let hostname = '';
+        try {
+            hostname = new URL(tab.url).hostname;
+        } catch (e) {
+            // chrome:// and other non-web URLs
+        }
+        const isSupported = supportedSites.some(site => hostname === site || hostname.endsWith(`.${site}`));
         
         if (isSupported) {
             console.log('Supported e-commerce site detected:', tab.url);
-            // Content script will be automatically injected due to manifest configuration
+            // Content script is injected by the manifest (built-in sites) or by a registered site adapter
             
             // Set badge to show extension is active
             chrome.action.setBadgeText({
@@ -552,8 +755,90 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     }
 });
 
+// Keep site adapter content scripts in sync with optional host permissions
+chrome.permissions.onAdded.addListener(() => {
+    siteAdapterRegistry.syncContentScripts().catch(error => {
+        console.error('[Background] Failed to sync site adapter content scripts:', error);
+    });
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+    siteAdapterRegistry.syncContentScripts().catch(error => {
+        console.error('[Background] Failed to sync site adapter content scripts:', error);
+    });
+});
+
 // Wardrobe Analysis Functions
 
+// Response schema of the style profile prompt (the fields the dashboard and the content script read)
+const STYLE_PROFILE_SCHEMA = {
+    type: 'object',
+    properties: {
+        analysis_summary: { type: 'string', minLength: 1 },
+        color_palette: {
+            type: 'object',
+            properties: {
+                best_colors: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                color_reasoning: { type: 'string' },
+                avoid_colors: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['best_colors', 'color_reasoning', 'avoid_colors']
+        },
+        style_categories: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+                    description: { type: 'string' }
+                },
+                required: ['name', 'confidence', 'description']
+            }
+        },
+        body_type_analysis: {
+            type: 'object',
+            properties: {
+                observed_features: { type: 'array', items: { type: 'string' } },
+                silhouettes: { type: 'array', items: { type: 'string' } },
+                fits: { type: 'array', items: { type: 'string' } },
+                recommendations: { type: 'string' }
+            },
+            required: ['silhouettes', 'fits', 'recommendations']
+        },
+        pattern_preferences: {
+            type: 'object',
+            properties: {
+                recommended_patterns: { type: 'array', items: { type: 'string' } },
+                pattern_reasoning: { type: 'string' },
+                avoid_patterns: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['recommended_patterns', 'pattern_reasoning', 'avoid_patterns']
+        },
+        overall_aesthetic: {
+            type: 'object',
+            properties: {
+                keywords: { type: 'array', items: { type: 'string' } },
+                description: { type: 'string' },
+                style_personality: { type: 'string' }
+            },
+            required: ['keywords', 'description', 'style_personality']
+        },
+        shopping_recommendations: {
+            type: 'object',
+            properties: {
+                key_pieces: { type: 'array', items: { type: 'string' } },
+                brands_to_consider: { type: 'array', items: { type: 'string' } },
+                style_tips: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['key_pieces', 'brands_to_consider', 'style_tips']
+        }
+    },
+    required: ['analysis_summary', 'color_palette', 'style_categories', 'body_type_analysis',
+        'pattern_preferences', 'overall_aesthetic', 'shopping_recommendations']
+};
+
 // Analyze multiple photos for style profile generation with actual image inputs
 async function analyzeStyleProfileWithImages(photoDataUrls, photoCount, options = {}) {
     try {
@@ -644,22 +929,30 @@ Respond with ONLY the JSON object, no additional text or formatting.`;
         // Use the multi-image analysis function
         let aiResult;
 
+        const promptOptions = { ...options, task: 'styleProfile', responseConstraint: STYLE_PROFILE_SCHEMA };
+
         if (photoBlobs.length === 1) {
             // Single image - use single image analysis
-            aiResult = await executeAIPromptWithImage(prompt, photoBlobs[0], options);
+            aiResult = await executeAIPromptWithImage(prompt, photoBlobs[0], promptOptions);
         } else {
             // Multiple images - analyze them together
-            aiResult = await executeAIPromptWithMultipleImages(prompt, photoBlobs, options);
+            aiResult = await executeAIPromptWithMultipleImages(prompt, photoBlobs, promptOptions);
         }
 
         if (!aiResult.success) {
             throw new Error(`AI analysis failed: ${aiResult.error}`);
         }
 
+        const parsed = parseStructuredResponse(aiResult.response, STYLE_PROFILE_SCHEMA, 'Style profile');
+        if (!parsed.valid) {
+            throw createValidationError(parsed);
+        }
+
         console.log(`[Background] Style profile analysis complete`);
 
         return {
             success: true,
+            profile: parsed.value,
             response: aiResult.response,
             apiUsed: aiResult.apiUsed
         };
@@ -668,7 +961,119 @@ Respond with ONLY the JSON object, no additional text or formatting.`;
         console.error('[Background] Style profile analysis error:', error);
         return {
             success: false,
-            error: error.message
+            error: error.message,
+            invalidFields: error.invalidFields
+        };
+    }
+}
+
+// Summary started by a vote, so votes arriving while the model works do not start another
+let styleFeedbackSummary = null;
+
+// Store a thumbs up/down on a product's style score; every few new votes are summarized
+// into learned preferences in the background (content scripts pick them up from storage)
+async function recordStyleFeedback(feedback) {
+    const { entry, pending, due } = await styleFeedbackStore.record(feedback);
+    console.log(`[Background] Style feedback ${entry ? `recorded (${entry.vote})` : 'withdrawn'}, ${pending} vote(s) not summarized yet`);
+
+    if (due && !styleFeedbackSummary) {
+        styleFeedbackSummary = summarizeStyleFeedback()
+            .finally(() => { styleFeedbackSummary = null; });
+    }
+
+    return { success: true, pending };
+}
+
+const LEARNED_PREFERENCES_SCHEMA = {
+    type: 'object',
+    properties: {
+        likes: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 8 },
+        dislikes: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 8 }
+    },
+    required: ['likes', 'dislikes'],
+    additionalProperties: false
+};
+
+// Fold the votes not summarized yet into the learned preferences (the earlier ones are
+// kept unless the new votes contradict them)
+async function summarizeStyleFeedback() {
+    try {
+        const pending = await styleFeedbackStore.getPending();
+        const learned = await styleFeedbackStore.getLearnedPreferences();
+
+        if (pending.length === 0) {
+            return { success: true, summarized: 0, learned };
+        }
+
+        console.log(`[Background] Summarizing ${pending.length} style feedback vote(s)...`);
+
+        const formatList = (entries) => entries.length > 0
+            ? entries.map(entry => `- ${entry.text}`).join('\n')
+            : '- (none yet)';
+
+        const formatVote = (entry, index) => {
+            const { name, brand, colour, material, price, currency } = entry.attributes || {};
+            const details = [
+                name,
+                brand && `brand ${brand}`,
+                colour && `colour ${colour}`,
+                material && `material ${material}`,
+                price !== undefined && `price ${price}${currency ? ` ${currency}` : ''}`
+            ].filter(Boolean).join('; ');
+            return `${index + 1}. ${entry.vote === 'like' ? 'LIKED' : 'DISLIKED'} (profile predicted ${entry.score ?? '?'}/10): ${details || 'unnamed product'}
+   Description: ${entry.description || 'none'}
+   Score reason: ${entry.reason || 'none'}`;
+        };
+
+        const prompt = `You are refining a user's fashion style profile from their feedback on products that were scored against it.
+
+PREFERENCES LEARNED SO FAR:
+Likes:
+${formatList(learned.likes)}
+Dislikes:
+${formatList(learned.dislikes)}
+
+NEW FEEDBACK (the score is what the style profile predicted, 1-10):
+${pending.map(formatVote).join('\n')}
+
+TASK:
+Update the learned preferences. Each one is a short, specific statement about garments - colours, cuts, fits, lengths, patterns, materials, necklines or styles - such as "Likes high-rise wide-leg trousers" or "Dislikes satin and other shiny fabrics".
+- Keep the earlier preferences unless the new feedback contradicts them
+- Only add a preference the feedback supports; one vote is weak evidence unless the predicted score was far off
+- Pay most attention to votes that disagree with the predicted score (a disliked 8/10, a liked 3/10)
+- At most 8 likes and 8 dislikes
+
+Respond with a JSON object:
+{
+  "likes": ["<preference>"],
+  "dislikes": ["<preference>"]
+}`;
+
+        const aiResult = await executeAIPrompt(prompt, {
+            task: 'styleProfile',
+            temperature: 0,
+            responseConstraint: LEARNED_PREFERENCES_SCHEMA
+        });
+
+        if (!aiResult.success) {
+            throw new Error(`AI summary failed: ${aiResult.error}`);
+        }
+
+        const parsed = parseStructuredResponse(aiResult.response, LEARNED_PREFERENCES_SCHEMA, 'Style feedback summary');
+        if (!parsed.valid) {
+            throw createValidationError(parsed);
+        }
+
+        const updated = await styleFeedbackStore.saveSummary(parsed.value, pending.map(entry => entry.id));
+        console.log(`[Background] Learned preferences updated: ${updated.likes.length} likes, ${updated.dislikes.length} dislikes`);
+
+        return { success: true, summarized: pending.length, learned: updated };
+    } catch (error) {
+        console.error('[Background] Style feedback summary error:', error);
+        return {
+            success: false,
+            error: error.message,
+            invalidFields: error.invalidFields
         };
     }
 }
@@ -753,17 +1158,54 @@ async function analyzeAllWardrobeItems(userId) {
     }
 
     // Analyze items one by one (rate limiting built in)
+    // An item whose response fails validation stays unanalyzed and is retried next time
+    let failedCount = 0;
     for (const item of itemsNeedingAnalysis) {
       console.log(`[Background] Analyzing item ${item.id}...`);
-      await analyzeWardrobeItem(item.id, item.imageUrl, item.category);
+      try {
+        await analyzeWardrobeItem(item.id, item.imageUrl, item.category);
+      } catch (error) {
+        failedCount++;
+        console.error(`[Background] Skipping item ${item.id}:`, error.message);
+      }
     }
 
-    console.log('[Background] All wardrobe items analyzed successfully');
+    console.log(`[Background] Wardrobe analysis finished: ${itemsNeedingAnalysis.length - failedCount} analyzed, ${failedCount} failed`);
   } catch (error) {
     console.error('[Background] Error analyzing all wardrobe items:', error);
   }
 }
 
+// Response schema of the wardrobe item prompt; non-clothing answers only need is_clothing and description
+const WARDROBE_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    is_clothing: { type: 'boolean' },
+    error: { type: 'string' },
+    colors: {
+      type: 'object',
+      properties: {
+        primary: { type: 'string', minLength: 1 },
+        secondary: { type: 'string' },
+        tertiary: { type: 'string' }
+      },
+      required: ['primary']
+    },
+    style: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    pattern: { type: 'string', minLength: 1 },
+    formality: { type: 'string', enum: ['casual', 'business casual', 'semi-formal', 'formal', 'athletic'] },
+    season: { type: 'array', items: { type: 'string', enum: ['spring', 'summer', 'fall', 'winter'] } },
+    versatility_score: { type: 'integer', minimum: 1, maximum: 10 },
+    description: { type: 'string', minLength: 1 }
+  },
+  required: ['is_clothing', 'description']
+};
+
+const CLOTHING_ITEM_SCHEMA = {
+  ...WARDROBE_ITEM_SCHEMA,
+  required: [...WARDROBE_ITEM_SCHEMA.required, 'colors', 'style', 'pattern', 'formality', 'season', 'versatility_score']
+};
+
 // Analyze a single wardrobe item and store results in Firestore
 async function analyzeWardrobeItem(itemId, imageUrl, category) {
   try {
@@ -852,74 +1294,52 @@ RULES FOR ACCURATE ANALYSIS:
 Respond with ONLY valid JSON, no markdown or extra text.`;
 
     const aiResult = await executeAIPromptWithImage(prompt, imageBlob, {
+      task: 'wardrobe',
       temperature: 0,
-      maxRetries: 3
+      maxRetries: 3,
+      responseConstraint: WARDROBE_ITEM_SCHEMA
     });
 
     if (!aiResult.success) {
       throw new Error(`AI analysis failed: ${aiResult.error}`);
     }
 
-    // STEP 3: Parse the AI response
-    console.log(`[Background] AI response received for ${itemId}, parsing...`);
-    let analysis;
-
-    try {
-      // Try to parse the response as JSON
-      const responseText = aiResult.response.trim();
-
-      // Remove markdown code blocks if present
-      const cleanedResponse = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-
-      const parsed = JSON.parse(cleanedResponse);
-
-      // Check if this is actually a clothing item
-      if (parsed.is_clothing === false) {
-        console.warn(`[Background] Item ${itemId} is NOT a clothing item: ${parsed.description}`);
-        analysis = {
-          is_clothing: false,
-          error: parsed.error || 'Not a clothing item',
-          colors: { primary: 'n/a' },
-          style: ['n/a'],
-          pattern: 'n/a',
-          formality: 'n/a',
-          season: [],
-          versatility_score: 0,
-          description: parsed.description || 'This is not a clothing or fashion item'
-        };
-      } else {
-        // Validate required fields for clothing items
-        if (!parsed.colors || !parsed.style || !parsed.pattern) {
-          throw new Error('Missing required fields in AI response');
-        }
+    // STEP 3: Validate the AI response (nothing is stored when it is invalid, so the item is retried)
+    console.log(`[Background] AI response received for ${itemId}, validating...`);
+    let parsed = parseStructuredResponse(aiResult.response, WARDROBE_ITEM_SCHEMA, `Wardrobe item ${itemId}`);
 
-        analysis = {
-          is_clothing: true,
-          ...parsed
-        };
+    // Clothing items must carry the full fashion analysis
+    if (parsed.valid && parsed.value.is_clothing) {
+      parsed = StructuredOutput.validate(parsed.value, CLOTHING_ITEM_SCHEMA);
+      if (!parsed.valid) {
+        console.error(`[Background] Wardrobe item ${itemId} response failed validation:`, StructuredOutput.formatErrors(parsed.errors));
       }
+    }
 
-      console.log(`[Background] Successfully parsed analysis for ${itemId}:`, analysis);
-    } catch (parseError) {
-      console.error(`[Background] Failed to parse AI response for ${itemId}:`, parseError);
-      console.error('Raw AI response:', aiResult.response);
+    if (!parsed.valid) {
+      throw createValidationError(parsed);
+    }
 
-      // Provide fallback analysis
+    let analysis;
+    if (parsed.value.is_clothing === false) {
+      console.warn(`[Background] Item ${itemId} is NOT a clothing item: ${parsed.value.description}`);
       analysis = {
-        is_clothing: true,
-        colors: { primary: 'unknown' },
-        style: ['casual'],
-        pattern: 'unknown',
-        formality: 'casual',
-        season: ['spring', 'summer', 'fall', 'winter'],
-        versatility_score: 5,
-        description: `${category || 'Clothing item'} - analysis failed, using defaults`
+        is_clothing: false,
+        error: parsed.value.error || 'Not a clothing item',
+        colors: { primary: 'n/a' },
+        style: ['n/a'],
+        pattern: 'n/a',
+        formality: 'n/a',
+        season: [],
+        versatility_score: 0,
+        description: parsed.value.description
       };
+    } else {
+      analysis = parsed.value;
     }
 
+    console.log(`[Background] Successfully parsed analysis for ${itemId}:`, analysis);
+
     // STEP 4: Store analysis in Firestore for permanent reuse
     console.log(`[Background] Storing analysis for ${itemId} in Firestore...`);
     await db.collection('wardrobeItems').doc(itemId).update({
@@ -938,6 +1358,24 @@ Respond with ONLY valid JSON, no markdown or extra text.`;
 
 // Outfit Matching Functions
 
+/**
+ * Response schema of the wardrobe filter prompt
+ * Indices are bounded by the number of wardrobe items sent, so made-up items are rejected
+ * @param {number} itemCount - Number of wardrobe items in the prompt
+ * @returns {Object} JSON Schema
+ */
+function buildWardrobeFilterSchema(itemCount) {
+  return {
+    type: 'object',
+    properties: {
+      shortlist: { type: 'array', items: { type: 'integer', minimum: 0, maximum: itemCount - 1 } },
+      eliminated: { type: 'object' },
+      reasoning: { type: 'string' }
+    },
+    required: ['shortlist', 'eliminated', 'reasoning']
+  };
+}
+
 /**
  * Filter wardrobe items by attributes for outfit matching (Stage 1)
  * Uses AI to eliminate incompatible items based on category, color, style
@@ -1027,101 +1465,92 @@ Include the indices of items to KEEP in the "shortlist" array.
 Include the indices of items to ELIMINATE with reasons in the "eliminated" object.`;
 
     // Execute AI prompt
+    const filterSchema = buildWardrobeFilterSchema(wardrobeItems.length);
     const aiResult = await executeAIPrompt(filterPrompt, {
+      task: 'wardrobe',
       temperature: 0,
-      maxRetries: 3
+      maxRetries: 3,
+      responseConstraint: filterSchema
     });
 
     if (!aiResult.success) {
       throw new Error(`AI filtering failed: ${aiResult.error}`);
     }
 
-    // Parse AI response
-    console.log('[Background] AI filtering response received, parsing...');
-    let filterResult;
+    // Validate AI response
+    console.log('[Background] AI filtering response received, validating...');
+    const parsed = parseStructuredResponse(aiResult.response, filterSchema, 'Wardrobe filter');
 
-    try {
-      const responseText = aiResult.response.trim();
-
-      // Remove markdown code blocks if present
-      const cleanedResponse = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-
-      filterResult = JSON.parse(cleanedResponse);
-
-      // Validate structure
-      if (!filterResult.shortlist || !Array.isArray(filterResult.shortlist)) {
-        throw new Error('Invalid response structure: missing shortlist array');
-      }
+    if (parsed.valid) {
+      const filterResult = parsed.value;
 
       console.log('[Background] Filtering successful:');
       console.log(`  - Shortlist: ${filterResult.shortlist.length} items`);
-      console.log(`  - Eliminated: ${Object.keys(filterResult.eliminated || {}).length} items`);
+      console.log(`  - Eliminated: ${Object.keys(filterResult.eliminated).length} items`);
       console.log(`  - Reasoning: ${filterResult.reasoning}`);
 
       return filterResult;
+    }
 
-    } catch (parseError) {
-      console.error('[Background] Failed to parse AI filtering response:', parseError);
-      console.error('Raw AI response:', aiResult.response);
-
-      // Fallback: create shortlist by basic category rules
-      console.log('[Background] Using fallback category-based filtering...');
-      const shortlist = [];
-      const eliminated = {};
+    // Fallback: create shortlist by basic category rules, reporting why the AI result was rejected
+    console.log('[Background] Using fallback category-based filtering...');
+    const validationProblems = StructuredOutput.formatErrors(parsed.errors);
+    const shortlist = [];
+    const eliminated = {};
 
-      const productCategory = (product.category || 'unknown').toLowerCase();
+    const productCategory = (product.category || 'unknown').toLowerCase();
 
-      // Validate product category
-      const validCategories = ['top', 'bottom', 'dress', 'shoes', 'outerwear', 'accessories'];
-      if (!validCategories.includes(productCategory) || productCategory === 'unknown' || productCategory === 'n/a') {
-        console.warn('[Background] Product has invalid category:', productCategory);
-        return {
-          shortlist: [],
-          eliminated: {},
-          reasoning: 'Product category is invalid or missing - cannot filter wardrobe items'
-        };
-      }
+    // Validate product category
+    const validCategories = ['top', 'bottom', 'dress', 'shoes', 'outerwear', 'accessories'];
+    if (!validCategories.includes(productCategory) || productCategory === 'unknown' || productCategory === 'n/a') {
+      console.warn('[Background] Product has invalid category:', productCategory);
+      return {
+        shortlist: [],
+        eliminated: {},
+        reasoning: 'Product category is invalid or missing - cannot filter wardrobe items',
+        fallback: true,
+        invalidFields: parsed.invalidFields
+      };
+    }
 
-      wardrobeItems.forEach((item, idx) => {
-        const itemCategory = (item.category || 'unknown').toLowerCase();
+    wardrobeItems.forEach((item, idx) => {
+      const itemCategory = (item.category || 'unknown').toLowerCase();
 
-        // CRITICAL: Eliminate items that are not valid clothing items
-        if (!validCategories.includes(itemCategory) || itemCategory === 'unknown' || itemCategory === 'n/a') {
-          eliminated[idx] = 'Invalid or missing category - not a clothing item';
-          return;
-        }
+      // CRITICAL: Eliminate items that are not valid clothing items
+      if (!validCategories.includes(itemCategory) || itemCategory === 'unknown' || itemCategory === 'n/a') {
+        eliminated[idx] = 'Invalid or missing category - not a clothing item';
+        return;
+      }
 
-        // Check if item is marked as non-clothing by AI
-        if (item.is_clothing === false) {
-          eliminated[idx] = 'Not a clothing item';
-          return;
-        }
+      // Check if item is marked as non-clothing by AI
+      if (item.is_clothing === false) {
+        eliminated[idx] = 'Not a clothing item';
+        return;
+      }
 
-        // Basic category compatibility
-        if (itemCategory === productCategory) {
-          eliminated[idx] = 'Same category as product';
-        } else if (productCategory === 'top' && ['bottom', 'shoes', 'outerwear', 'accessories'].includes(itemCategory)) {
-          shortlist.push(idx);
-        } else if (productCategory === 'bottom' && ['top', 'shoes', 'outerwear', 'accessories'].includes(itemCategory)) {
-          shortlist.push(idx);
-        } else if (productCategory === 'dress' && ['shoes', 'outerwear', 'accessories'].includes(itemCategory)) {
-          shortlist.push(idx);
-        } else if (productCategory === 'shoes' && ['top', 'bottom', 'dress', 'outerwear', 'accessories'].includes(itemCategory)) {
-          shortlist.push(idx);
-        } else {
-          eliminated[idx] = 'Category incompatibility';
-        }
-      });
+      // Basic category compatibility
+      if (itemCategory === productCategory) {
+        eliminated[idx] = 'Same category as product';
+      } else if (productCategory === 'top' && ['bottom', 'shoes', 'outerwear', 'accessories'].includes(itemCategory)) {
+        shortlist.push(idx);
+      } else if (productCategory === 'bottom' && ['top', 'shoes', 'outerwear', 'accessories'].includes(itemCategory)) {
+        shortlist.push(idx);
+      } else if (productCategory === 'dress' && ['shoes', 'outerwear', 'accessories'].includes(itemCategory)) {
+        shortlist.push(idx);
+      } else if (productCategory === 'shoes' && ['top', 'bottom', 'dress', 'outerwear', 'accessories'].includes(itemCategory)) {
+        shortlist.push(idx);
+      } else {
+        eliminated[idx] = 'Category incompatibility';
+      }
+    });
 
-      return {
-        shortlist: shortlist,
-        eliminated: eliminated,
-        reasoning: 'Fallback category-based filtering applied due to AI parsing error'
-      };
-    }
+    return {
+      shortlist: shortlist,
+      eliminated: eliminated,
+      reasoning: `Fallback category-based filtering applied - AI response failed validation (${validationProblems})`,
+      fallback: true,
+      invalidFields: parsed.invalidFields
+    };
 
   } catch (error) {
     console.error('[Background] Error in filterWardrobeItemsByAttributes:', error);
@@ -1129,6 +1558,50 @@ Include the indices of items to ELIMINATE with reasons in the "eliminated" objec
   }
 }
 
+/**
+ * Response schema of the outfit composition prompt
+ * @param {number} itemCount - Number of shortlisted wardrobe items in the prompt
+ * @returns {Object} JSON Schema
+ */
+function buildOutfitCompositionSchema(itemCount) {
+  const percentage = { type: 'integer', minimum: 0, maximum: 100 };
+
+  return {
+    type: 'object',
+    properties: {
+      best_outfit: {
+        type: ['object', 'null'],
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                index: { type: 'integer', minimum: 0, maximum: itemCount - 1 },
+                category: { type: 'string' },
+                visual_score: percentage,
+                reasoning: { type: 'string' }
+              },
+              required: ['index', 'category', 'visual_score', 'reasoning']
+            }
+          },
+          overall_confidence: percentage,
+          visual_harmony_score: percentage,
+          style_consistency_score: percentage,
+          versatility_score: percentage,
+          occasion: { type: 'string' },
+          why_it_works: { type: 'string' },
+          styling_tips: { type: 'string' }
+        },
+        required: ['items', 'overall_confidence', 'why_it_works']
+      },
+      has_complete_outfit: { type: 'boolean' },
+      missing_categories: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['best_outfit', 'has_complete_outfit', 'missing_categories']
+  };
+}
+
 /**
  * Compose complete outfit using visual image analysis (Stage 2)
  * Analyzes actual images to determine best outfit combination
@@ -1224,56 +1697,41 @@ IMPORTANT:
 - If you CANNOT create a complete outfit, set "has_complete_outfit": false and list "missing_categories"`;
 
     // Execute AI prompt
+    const outfitSchema = buildOutfitCompositionSchema(shortlistedItems.length);
     const aiResult = await executeAIPrompt(visualPrompt, {
+      task: 'wardrobe',
       temperature: 0,
-      maxRetries: 3
+      maxRetries: 3,
+      responseConstraint: outfitSchema
     });
 
     if (!aiResult.success) {
       throw new Error(`Visual analysis failed: ${aiResult.error}`);
     }
 
-    // Parse AI response
-    console.log('[Background] Visual analysis response received, parsing...');
-    let visualResult;
+    // Validate AI response
+    console.log('[Background] Visual analysis response received, validating...');
+    const parsed = parseStructuredResponse(aiResult.response, outfitSchema, 'Outfit composition');
 
-    try {
-      const responseText = aiResult.response.trim();
-
-      // Remove markdown code blocks if present
-      const cleanedResponse = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-
-      visualResult = JSON.parse(cleanedResponse);
-
-      // Validate structure
-      if (!visualResult.best_outfit && !visualResult.has_complete_outfit) {
-        throw new Error('Invalid response structure: missing outfit data');
-      }
-
-      console.log('[Background] Visual composition successful:');
-      console.log(`  - Outfit confidence: ${visualResult.best_outfit?.overall_confidence || 0}%`);
-      console.log(`  - Items in outfit: ${visualResult.best_outfit?.items?.length || 0}`);
-      console.log(`  - Complete: ${visualResult.has_complete_outfit !== false}`);
-
-      return visualResult;
-
-    } catch (parseError) {
-      console.error('[Background] Failed to parse visual analysis response:', parseError);
-      console.error('Raw AI response:', aiResult.response);
-
-      // Fallback: return a no-match result
-      console.log('[Background] Using fallback no-match result...');
+    if (!parsed.valid) {
+      // Report the invalid fields; VisualOutfitAnalyzer surfaces `error` to the user
       return {
         has_complete_outfit: false,
-        missing_categories: ['Unable to parse outfit analysis'],
+        missing_categories: [],
         best_outfit: null,
-        error: 'Failed to parse AI outfit composition'
+        error: `AI response failed validation: ${StructuredOutput.formatErrors(parsed.errors)}`,
+        invalidFields: parsed.invalidFields
       };
     }
 
+    const visualResult = parsed.value;
+    console.log('[Background] Visual composition successful:');
+    console.log(`  - Outfit confidence: ${visualResult.best_outfit?.overall_confidence || 0}%`);
+    console.log(`  - Items in outfit: ${visualResult.best_outfit?.items?.length || 0}`);
+    console.log(`  - Complete: ${visualResult.has_complete_outfit}`);
+
+    return visualResult;
+
   } catch (error) {
     console.error('[Background] Error in composeOutfitVisual:', error);
     throw error;
@@ -1348,293 +1806,78 @@ async function testBasicAIPrompt(prompt) {
     }
 }
 
-// Execute AI prompt with retry logic and error handling using modern API
-async function executeAIPrompt(prompt, options = {}) {
-    const maxRetries = options.maxRetries || 3;
-    const retryDelay = options.retryDelay || 1000;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`AI prompt attempt ${attempt}/${maxRetries}:`, prompt.substring(0, 100) + '...');
-            
-            // Check AI availability
-            const availability = await checkChromeAIAvailability();
-            if (!availability.available) {
-                throw new Error(availability.message);
-            }
-            
-            if (availability.status !== 'readily') {
-                throw new Error('AI not ready: ' + availability.message);
-            }
-            
-            let response;
-            let apiUsed;
-            
-            // Try modern LanguageModel API first
-            if (typeof LanguageModel !== 'undefined') {
-                console.log('Using LanguageModel API for prompt...');
-                const sessionOptions = {
-                    temperature: options.temperature ?? 0,
-                    topK: options.topK || 40,
-                    outputLanguage: 'en'
-                };
-                
-                const session = await LanguageModel.create(sessionOptions);
-                response = await session.prompt(prompt);
-                apiUsed = 'LanguageModel';
-                
-                // Clean up if available
-                if (session.destroy) {
-                    session.destroy();
-                }
-            }
-            // Try window.ai API
-            else if (typeof window !== 'undefined' && window.ai) {
-                console.log('Using window.ai API for prompt...');
-                const sessionOptions = {
-                    temperature: options.temperature ?? 0,
-                    topK: options.topK || 40
-                };
-                
-                const session = await window.ai.createTextSession(sessionOptions);
-                response = await session.prompt(prompt);
-                apiUsed = 'window.ai';
-                
-                // Clean up
-                if (session.destroy) {
-                    session.destroy();
-                }
-            }
-            else {
-                throw new Error('No compatible AI API found');
-            }
-            
-            console.log(`AI prompt successful on attempt ${attempt} using ${apiUsed}`);
-            return {
-                success: true,
-                response: response,
-                attempt: attempt,
-                apiUsed: apiUsed
-            };
-            
-        } catch (error) {
-            console.error(`AI prompt attempt ${attempt} failed:`, error);
-            
-            if (attempt === maxRetries) {
-                return {
-                    success: false,
-                    error: error.message,
-                    attempts: maxRetries
-                };
-            }
-            
-            // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-        }
-    }
-}
-
-// Execute AI prompt with multiple image inputs using modern Chrome AI Prompt API
-async function executeAIPromptWithMultipleImages(prompt, imageBlobs, options = {}) {
-    const maxRetries = options.maxRetries || 3;
-    const retryDelay = options.retryDelay || 1000;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`AI prompt with ${imageBlobs.length} images attempt ${attempt}/${maxRetries}`);
-            console.log(`Prompt: ${prompt.substring(0, 100)}...`);
+// Validate a schema-constrained AI response, logging repairs and every invalid field
+function parseStructuredResponse(responseText, schema, label) {
+    const parsed = StructuredOutput.parse(responseText, schema);
 
-            // Check AI availability
-            const availability = await checkChromeAIAvailability();
-            if (!availability.available) {
-                throw new Error(availability.message);
-            }
-
-            if (availability.status !== 'readily') {
-                throw new Error('AI not ready: ' + availability.message);
-            }
+    if (parsed.repairs.length > 0) {
+        console.log(`[Background] Repaired ${label} response:`, StructuredOutput.formatErrors(parsed.repairs));
+    }
+    if (!parsed.valid) {
+        console.error(`[Background] ${label} response failed validation:`, StructuredOutput.formatErrors(parsed.errors));
+        console.error('Raw AI response:', responseText);
+    }
 
-            let response;
-            let apiUsed;
-
-            // Try modern LanguageModel API with multiple images
-            if (typeof LanguageModel !== 'undefined') {
-                console.log(`Using LanguageModel API with ${imageBlobs.length} image inputs...`);
-
-                try {
-                    // Create session with image input support
-                    const sessionOptions = {
-                        temperature: options.temperature ?? 0,
-                        topK: options.topK || 40,
-                        expectedInputs: [{ type: "image" }],
-                        outputLanguage: 'en'
-                    };
-
-                    const session = await LanguageModel.create(sessionOptions);
-
-                    // Build content array with all images
-                    const content = [
-                        { type: 'text', value: prompt }
-                    ];
-
-                    // Add all images to the content array
-                    imageBlobs.forEach((blob, index) => {
-                        content.push({ type: 'image', value: blob });
-                        console.log(`Added image ${index + 1}: ${blob.size} bytes, ${blob.type}`);
-                    });
-
-                    // Append message with all images
-                    await session.append([
-                        {
-                            role: 'user',
-                            content: content
-                        }
-                    ]);
-
-                    // Get the response
-                    response = await session.prompt('Analyze all the images provided based on the instructions given.');
-                    apiUsed = `LanguageModel (with ${imageBlobs.length} images)`;
-
-                    // Clean up
-                    if (session.destroy) {
-                        session.destroy();
-                    }
-                } catch (imageError) {
-                    console.warn('LanguageModel multi-image support not available:', imageError);
-                    // Fall back to analyzing first image only
-                    console.log('Falling back to single image analysis of first photo...');
-                    return await executeAIPromptWithImage(prompt, imageBlobs[0], options);
-                }
-            }
-            // Try window.ai API (unlikely to support images)
-            else if (typeof window !== 'undefined' && window.ai) {
-                console.log('window.ai does not support image inputs, falling back to text-only...');
-                return await executeAIPrompt(prompt, options);
-            }
-            else {
-                throw new Error('No compatible AI API found');
-            }
+    return parsed;
+}
 
-            console.log(`AI prompt with ${imageBlobs.length} images successful on attempt ${attempt} using ${apiUsed}`);
-            return {
-                success: true,
-                response: response,
-                attempt: attempt,
-                apiUsed: apiUsed
-            };
+// Error for a response that failed validation, carrying the invalid field paths
+function createValidationError(parsed) {
+    const error = new Error(`AI response failed validation: ${StructuredOutput.formatErrors(parsed.errors)}`);
+    error.invalidFields = parsed.invalidFields;
+    return error;
+}
 
-        } catch (error) {
-            console.error(`AI prompt with multiple images attempt ${attempt} failed:`, error);
+// Execute an AI prompt on the provider selected for options.task (services/AIProviders.js).
+// A JSON Schema in options.responseConstraint constrains the output to that schema; an
+// AbortSignal in options.signal cancels it (no retries, result has aborted: true).
+async function executeAIPrompt(prompt, options = {}) {
+    return executeProviderPrompt(prompt, [], options);
+}
 
-            if (attempt === maxRetries) {
-                // If all retries failed, try with just the first image
-                console.log('All multi-image analysis attempts failed, falling back to first image only...');
-                return await executeAIPromptWithImage(prompt, imageBlobs[0], options);
-            }
+// Execute an AI prompt with one image input
+async function executeAIPromptWithImage(prompt, imageBlob, options = {}) {
+    return executeProviderPrompt(prompt, [imageBlob], options);
+}
 
-            // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-        }
-    }
+// Execute an AI prompt with several image inputs analyzed together
+async function executeAIPromptWithMultipleImages(prompt, imageBlobs, options = {}) {
+    return executeProviderPrompt(prompt, imageBlobs, options);
 }
 
-// Execute AI prompt with image input using modern Chrome AI Prompt API
-async function executeAIPromptWithImage(prompt, imageBlob, options = {}) {
+// Run a prompt with retries. When every attempt fails with images attached, fall back to
+// fewer inputs (all images -> first image -> text only), as the Prompt API's image
+// support is not always available; options.imageFallback = false turns this off.
+async function executeProviderPrompt(prompt, images, options = {}) {
     const maxRetries = options.maxRetries || 3;
     const retryDelay = options.retryDelay || 1000;
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`AI prompt with image attempt ${attempt}/${maxRetries}`);
-            console.log(`Prompt: ${prompt.substring(0, 100)}...`);
-            // Compute a short content hash for diagnostics to verify distinct images per call
-            let imageHash = 'unknown';
-            try {
-                if (crypto && crypto.subtle && imageBlob && imageBlob.arrayBuffer) {
-                    const buf = await imageBlob.arrayBuffer();
-                    const digest = await crypto.subtle.digest('SHA-256', buf);
-                    const bytes = new Uint8Array(digest);
-                    let hex = '';
-                    for (let i = 0; i < bytes.length; i++) hex += bytes[i].toString(16).padStart(2, '0');
-                    imageHash = hex.slice(0, 16);
-                }
-            } catch (e) {
-                console.warn('Failed to hash image in background diagnostics:', e.message);
-            }
-            console.log(`Image: ${imageBlob.size} bytes, type: ${imageBlob.type}, hash: ${imageHash}`);
-
-            // Check AI availability
-            const availability = await checkChromeAIAvailability();
-            if (!availability.available) {
-                throw new Error(availability.message);
-            }
+    let provider;
+    try {
+        provider = await aiProviders.getProvider(options.task);
+    } catch (error) {
+        return { success: false, error: error.message, attempts: 0 };
+    }
 
-            if (availability.status !== 'readily') {
-                throw new Error('AI not ready: ' + availability.message);
-            }
+    const inputLabel = images.length > 0 ? ` with ${images.length} image(s)` : '';
+    const signal = options.signal || null;
 
-            let response;
-            let apiUsed;
-
-            // Try modern LanguageModel API with image support
-            if (typeof LanguageModel !== 'undefined') {
-                console.log('Using LanguageModel API with image input...');
-
-                try {
-                    // Create session with image input support
-                    const sessionOptions = {
-                        temperature: options.temperature ?? 0,
-                        topK: options.topK || 40,
-                        expectedInputs: [{ type: "image" }],
-                        outputLanguage: 'en'
-                    };
-
-                    const session = await LanguageModel.create(sessionOptions);
-
-                    // Append message with image
-                    await session.append([
-                        {
-                            role: 'user',
-                            content: [
-                                { type: 'text', value: prompt },
-                                { type: 'image', value: imageBlob }
-                            ]
-                        }
-                    ]);
-
-                    // Post-append confirmation log to prove the image was attached
-                    console.log('✅ Background: image appended to session', {
-                        confirmed: true,
-                        hash: imageHash,
-                        size: imageBlob.size,
-                        type: imageBlob.type
-                    });
-
-                    // Get the response
-                    response = await session.prompt('Analyze this image based on the instructions provided.');
-                    apiUsed = 'LanguageModel (with image)';
-
-                    // Clean up
-                    if (session.destroy) {
-                        session.destroy();
-                    }
-                } catch (imageError) {
-                    console.warn('LanguageModel image support not available:', imageError);
-                    // Fall back to text-only analysis
-                    console.log('Falling back to text-only analysis...');
-                    return await executeAIPrompt(prompt, options);
-                }
-            }
-            // Try window.ai API (unlikely to support images, but try)
-            else if (typeof window !== 'undefined' && window.ai) {
-                console.log('window.ai does not support image inputs, falling back to text-only...');
-                return await executeAIPrompt(prompt, options);
-            }
-            else {
-                throw new Error('No compatible AI API found');
-            }
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            signal?.throwIfAborted();
+            console.log(`AI prompt${inputLabel} attempt ${attempt}/${maxRetries} (${provider.name}):`, prompt.substring(0, 100) + '...');
+
+            const response = await provider.prompt({
+                text: prompt,
+                images,
+                responseConstraint: options.responseConstraint || null,
+                temperature: options.temperature ?? 0,
+                topK: options.topK || 40,
+                signal
+            });
 
-            console.log(`AI prompt with image successful on attempt ${attempt} using ${apiUsed}`);
+            const apiUsed = `${provider.name}${inputLabel}`;
+            console.log(`AI prompt successful on attempt ${attempt} using ${apiUsed}`);
             return {
                 success: true,
                 response: response,
@@ -1643,12 +1886,29 @@ async function executeAIPromptWithImage(prompt, imageBlob, options = {}) {
             };
 
         } catch (error) {
-            console.error(`AI prompt with image attempt ${attempt} failed:`, error);
+            // Nobody waits for the answer any more - no retry, no fallback
+            if (signal?.aborted) {
+                console.log(`AI prompt${inputLabel} cancelled: ${signal.reason?.message || 'aborted'}`);
+                return {
+                    success: false,
+                    aborted: true,
+                    error: signal.reason?.message || 'Request cancelled',
+                    attempts: attempt
+                };
+            }
+
+            console.error(`AI prompt${inputLabel} attempt ${attempt} failed:`, error);
 
             if (attempt === maxRetries) {
-                // If all retries failed, fall back to text-only analysis
-                console.log('All image analysis attempts failed, falling back to text-only analysis...');
-                return await executeAIPrompt(prompt, options);
+                if (images.length > 0 && options.imageFallback !== false) {
+                    console.log(`All attempts${inputLabel} failed, falling back to ${images.length > 1 ? 'first image only' : 'text-only analysis'}...`);
+                    return executeProviderPrompt(prompt, images.length > 1 ? [images[0]] : [], options);
+                }
+                return {
+                    success: false,
+                    error: error.message,
+                    attempts: maxRetries
+                };
             }
 
             // Wait before retry
@@ -1762,12 +2022,12 @@ async function checkChromeAIAvailability() {
 }
 
 // Fetch image and convert to base64 (bypasses CORS with extension permissions)
-async function fetchImageAsBase64(imageUrl) {
+async function fetchImageAsBase64(imageUrl, signal = null) {
     try {
         console.log(`[Background] Fetching image for content script: ${imageUrl}`);
 
         // Fetch the image using extension permissions
-        const response = await fetch(imageUrl);
+        const response = await fetch(imageUrl, signal ? { signal } : undefined);
 
         if (!response.ok) {
             throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
@@ -1,15 +1,46 @@
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+import { buildOutfitDescriptionPrompt, OUTFIT_DESCRIPTION_SCHEMA, SCORING_SYSTEM_PROMPT } from '../config/Prompts.js';
+import StructuredOutput from '../../services/StructuredOutput.js';
+import { LanguageModelSessionManager } from './LanguageModelSessionManager.js';
+import { BackgroundRequest } from '../utils/BackgroundRequest.js';
+import { ImagePreprocessor } from './ImagePreprocessor.js';
+
 /**
  * BaseProductMatcher - Parent class for AI-powered product matching
  * Contains shared functionality for caching, initialization, and utilities
  * used by PersonalStyleMatcher and ProductSearchMatcher
  */
 export class BaseProductMatcher {
-    constructor() {
+    /**
+     * @param {LanguageModelSessionManager|null} [sessionManager=null] - Shared session pool;
+     *   matchers on one page should share one so concurrency is bounded page-wide
+     */
+    constructor(sessionManager = null) {
+        this.sessionManager = sessionManager || new LanguageModelSessionManager();
         this.analysisCache = new Map();
         this.maxCacheSize = 100;
         this.isInitialized = false;
         this.pendingAnalyses = new Map();
         this.isImageClassifierAvailable = false;
+        this.responseSchema = null; // JSON Schema of the analysis response, set by children
+        this.providerId = 'chrome'; // AI provider for the 'styleScoring' task (services/AIProviders.js)
+        this.imagePreprocessor = new ImagePreprocessor(); // Trims, crops to the garment and downscales images
+    }
+
+    /**
+     * Select the AI provider. Anything but 'chrome' runs in the background, which owns
+     * remote endpoints and API keys.
+     * @param {string} providerId - 'chrome', 'gemini', 'openaiCompatible', ...
+     */
+    setProvider(providerId) {
+        const next = providerId || 'chrome';
+        if (next === this.providerId) {
+            return;
+        }
+
+        this.providerId = next;
+        this.isInitialized = false; // Chrome needs its availability checks, remote providers do not
+        console.log(`🔌 ${this.analyzerName || 'Analyzer'} provider: ${next}`);
     }
 
     /**
@@ -24,6 +55,15 @@ export class BaseProductMatcher {
 
         console.log('🔧 Initializing Analyzer...');
 
+        // Remote providers are checked by the background when it runs the prompt
+        if (this.providerId !== 'chrome') {
+            this.isImageModalityAvailable = true;
+            this.isImageClassifierAvailable = false;
+            this.isInitialized = true;
+            console.log(`✅ Analyzer initialized (provider: ${this.providerId})`);
+            return true;
+        }
+
         try {
             // Check if LanguageModel is available (official Prompt API)
             if (!window.LanguageModel) {
@@ -62,17 +102,10 @@ export class BaseProductMatcher {
 
 			console.log('✅ Model is available');
 
-			// Test creating a session to verify it works
-            console.log('🔧 Testing session creation...');
-			const testSession = await window.LanguageModel.create({
-				expectedInputs: [{ type: 'image' }],
-				temperature: 0,
-				topK: 5
-			});
-
-            console.log('✅ Test session created successfully');
-            testSession.destroy();
-            console.log('✅ Test session destroyed');
+			// Prime the base session every analysis is cloned from (also verifies creation works)
+            console.log('🔧 Priming base session...');
+			await this.sessionManager.getBaseSession();
+            console.log('✅ Base session ready');
 
 			// Track image modality availability for safe multimodal prompting
 			this.isImageModalityAvailable = true;
@@ -130,10 +163,70 @@ export class BaseProductMatcher {
     }
 
     /**
-     * Cache analysis result
+     * Look up a previous result: the in-memory cache first, then the persistent
+     * cache kept by the background service worker (shared by all tabs and sessions)
+     * @param {string} cacheKey - Key from getCacheKey()
+     * @returns {Promise<Object|null>} Cached result or null
+     */
+    async getCachedResult(cacheKey) {
+        if (this.analysisCache.has(cacheKey)) {
+            return { ...this.analysisCache.get(cacheKey), success: true, fromCache: true };
+        }
+
+        const response = await this._sendCacheMessage({ action: 'analysisCacheGet', key: cacheKey });
+        if (!response?.success || !response.result) {
+            return null;
+        }
+
+        this._rememberResult(cacheKey, response.result);
+        return { ...response.result, success: true, fromCache: true };
+    }
+
+    /**
+     * Derive the final score from a successful result
+     * Children that score from sub-scores override this; it runs on fresh and cached
+     * results alike, so changing how scores are combined never needs a re-analysis
+     * @param {Object} result - Successful analysis result
+     * @returns {Object} Result with score set
+     */
+    applyScoring(result) {
+        return result;
+    }
+
+    /**
+     * Cache analysis result in memory and in the persistent cache
+     * Only the fields needed to show a result are kept (no raw model response)
+     * @param {string} cacheKey - Key from getCacheKey()
+     * @param {Object} result - Successful analysis result
      * @private
      */
     cacheResult(cacheKey, result) {
+        const entry = {
+            score: result.score,
+            reasoning: result.reasoning,
+            method: result.method
+        };
+        if (result.description) {
+            entry.description = result.description;
+        }
+        if (result.breakdown) {
+            entry.breakdown = result.breakdown;
+        }
+        if (result.imageTransform) {
+            entry.imageTransform = result.imageTransform;
+        }
+
+        this._rememberResult(cacheKey, entry);
+
+        // Fire and forget - a failed write only costs a re-analysis later
+        this._sendCacheMessage({ action: 'analysisCacheSet', key: cacheKey, result: entry });
+    }
+
+    /**
+     * Add to the in-memory cache
+     * @private
+     */
+    _rememberResult(cacheKey, entry) {
         // Implement LRU-style cache: remove oldest if at max size
         if (this.analysisCache.size >= this.maxCacheSize) {
             const firstKey = this.analysisCache.keys().next().value;
@@ -141,13 +234,58 @@ export class BaseProductMatcher {
         }
 
         this.analysisCache.set(cacheKey, {
-            ...result,
+            ...entry,
             cachedAt: Date.now()
         });
     }
 
     /**
-     * Clear analysis cache
+     * Message the background's persistent cache
+     * @param {Object} message - analysisCacheGet / analysisCacheSet message
+     * @returns {Promise<Object|null>} Response, or null when the background is unreachable
+     * @private
+     */
+    async _sendCacheMessage(message) {
+        try {
+            return await chrome.runtime.sendMessage(message);
+        } catch (error) {
+            // Extension reloaded or service worker unavailable - analyze without the cache
+            console.warn('⚠️ Persistent analysis cache unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build the product part of a cache key: normalized product ID plus image hash.
+     * The product ID is the product page URL when known; the image URL is stripped of
+     * rendition parameters so other breakpoints of the same shot share the entry.
+     * Extra gallery images (PDP deep analysis) change the input, so they are part of it.
+     * @param {HTMLImageElement} productImage - Product image element
+     * @param {Object} options - Analysis options (productId, productData, additionalImages)
+     * @returns {string} e.g. "1x2k3j:9fz0ab"
+     */
+    getProductCacheId(productImage, options = {}) {
+        const productUrl = options.productId || options.productData?.url || '';
+        const productPart = productUrl ? this._shortHash(productUrl.split(/[?#]/)[0]) : '-';
+
+        const imageUrls = [productImage, ...(options.additionalImages || [])]
+            .map(img => ImageSourceResolver.normalizeImageUrl(ImageSourceResolver.getImageUrl(img)));
+
+        return `${productPart}:${this._shortHash(imageUrls.join('|'))}`;
+    }
+
+    /**
+     * Cache key suffix for the provider: models score differently, so their results are
+     * kept apart. Empty for Chrome, which keeps the keys of results cached before providers.
+     * @returns {string}
+     */
+    getProviderCacheSuffix() {
+        return this.providerId === 'chrome' ? '' : `:${this.providerId}`;
+    }
+
+    /**
+     * Clear the in-memory analysis cache
+     * The persistent cache is cleared from the dashboard (analysisCacheClear message)
      */
     clearCache() {
         this.analysisCache.clear();
@@ -170,10 +308,24 @@ export class BaseProductMatcher {
      * Unified analyze method - handles common analysis flow
      * Children should implement _performAnalysis() and getCacheKey()
      * @param {HTMLImageElement} productImage - Product image element
-     * @param {Object} options - Analysis options (styleProfile, userPrompt, etc.)
-     * @returns {Promise<Object>} Analysis result
+     * @param {Object} options - Analysis options (styleProfile, userPrompt, etc.;
+     *   priority is a LanguageModelSessionManager.PRIORITY value; signal is an AbortSignal
+     *   that cancels the image fetch and the model call)
+     * @returns {Promise<Object>} Analysis result (method 'cancelled' when the signal aborted it)
      */
     async analyze(productImage, options = {}) {
+        if (options.signal?.aborted) {
+            return this._getCancelledResult();
+        }
+
+        // Cached results need no model, so look them up before initializing it
+        const cacheKey = this.getCacheKey(productImage, options);
+        const cached = await this.getCachedResult(cacheKey);
+        if (cached) {
+            console.log('💾 Analysis cache hit:', cacheKey);
+            return this.applyScoring(cached);
+        }
+
         if (!this.isInitialized) {
             console.log('⚠️ Analyzer not initialized, initializing now...');
             const initialized = await this.initialize();
@@ -183,9 +335,6 @@ export class BaseProductMatcher {
             }
         }
 
-        // // Generate key for deduplication of in-flight analyses
-        // const cacheKey = this.getCacheKey(productImage, options);
-
         // Check if this product is already being analyzed
         // if (this.pendingAnalyses.has(cacheKey)) {
         //     return await this.pendingAnalyses.get(cacheKey);
@@ -196,8 +345,16 @@ export class BaseProductMatcher {
         // this.pendingAnalyses.set(cacheKey, analysisPromise);
 
         try {
-            const result = await analysisPromise;
+            let result = await analysisPromise;
+            if (result.success) {
+                result = this.applyScoring(result);
+            }
             console.log('🔄 Analysis result:', result);
+
+            // Fallbacks (parse/model errors) are not cached so the product is retried next time
+            if (result.success) {
+                this.cacheResult(cacheKey, result);
+            }
             return result;
         } finally {
             // this.pendingAnalyses.delete(cacheKey);
@@ -205,16 +362,30 @@ export class BaseProductMatcher {
     }
 
     /**
-     * Get default fallback result when initialization fails
-     * Uses child's maxScore to return neutral score
+     * Result when the model cannot be initialized
+     * No score is made up: callers show no badge for a failed analysis.
      * @private
      */
     _getDefaultFallback() {
         return {
             success: false,
-            score: Math.ceil(this.maxScore / 2),
-            reasoning: 'AI not available - neutral result',
-            method: 'fallback'
+            score: null,
+            reasoning: 'AI not available',
+            method: 'unavailable',
+            error: 'AI model could not be initialized'
+        };
+    }
+
+    /**
+     * Result of an analysis whose signal aborted: no score, not cached, retried when asked again
+     * @private
+     */
+    _getCancelledResult() {
+        return {
+            success: false,
+            score: null,
+            reasoning: 'Analysis cancelled',
+            method: 'cancelled'
         };
     }
 
@@ -241,82 +412,56 @@ export class BaseProductMatcher {
     }
 
     /**
-     * Parse AI response to extract score, reasoning, and description
-     * Shared implementation - uses child's maxScore property
+     * Parse and validate the AI's JSON response against the child's responseSchema
+     * An invalid response is reported with the fields that failed validation; no neutral
+     * score is substituted, so callers can tell a real score from a failed analysis.
      * @param {string} response - Raw AI response
-     * @returns {Object} Parsed result with score, reasoning, and description
+     * @returns {Object} Result with score, reasoning, description and breakdown, or success: false with invalidFields
      */
     parseAnalysisResponse(response) {
-        try {
-            const lines = response.split('\n');
-            let score = Math.ceil(this.maxScore / 2); // Default to middle score
-            let reasoning = 'Unable to analyze';
-            let description = null;
-
-            for (const line of lines) {
-                if (line.includes('SCORE:')) {
-                    const scoreMatch = line.match(/SCORE:\s*(\d+)/i);
-                    if (scoreMatch) {
-                        score = parseInt(scoreMatch[1], 10);
-                        score = Math.max(1, Math.min(this.maxScore, score)); // Clamp to 1-maxScore
-                    }
-                }
-                if (line.includes('REASON:')) {
-                    reasoning = line.replace(/REASON:/i, '').trim();
-                }
-                if (line.includes('DESCRIPTION:')) {
-                    description = line.replace(/DESCRIPTION:/i, '').trim();
-                }
-            }
+        const parsed = StructuredOutput.parse(response, this.responseSchema);
 
-            // If description spans multiple lines, capture the rest
-            if (description !== null) {
-                const descriptionIndex = lines.findIndex(line => line.includes('DESCRIPTION:'));
-                if (descriptionIndex !== -1) {
-                    // Get the description from the same line
-                    const firstLinePart = lines[descriptionIndex].replace(/DESCRIPTION:/i, '').trim();
-                    // Get any additional lines that don't start with SCORE: or REASON:
-                    const additionalLines = [];
-                    for (let i = descriptionIndex + 1; i < lines.length; i++) {
-                        if (!lines[i].match(/^(SCORE:|REASON:|DESCRIPTION:)/i) && lines[i].trim()) {
-                            additionalLines.push(lines[i].trim());
-                        } else if (lines[i].match(/^(SCORE:|REASON:|DESCRIPTION:)/i)) {
-                            break;
-                        }
-                    }
-                    description = [firstLinePart, ...additionalLines].join(' ').trim();
-                }
-            }
+        if (parsed.repairs.length > 0) {
+            console.log('🔧 Repaired AI response:', StructuredOutput.formatErrors(parsed.repairs));
+        }
 
-            const result = {
-                success: true,
-                score,
-                reasoning,
-                method: 'ai_analysis',
+        if (!parsed.valid) {
+            const problems = StructuredOutput.formatErrors(parsed.errors);
+            console.warn('⚠️ AI response failed validation:', problems);
+            return {
+                success: false,
+                score: null,
+                reasoning: `Invalid AI response - ${problems}`,
+                method: 'invalid_response',
+                invalidFields: parsed.invalidFields,
                 rawResponse: response
             };
+        }
 
-            // Only include description if it was found
-            if (description) {
-                result.description = description;
-            }
-
-            return result;
+        const result = {
+            success: true,
+            score: parsed.value.score,
+            reasoning: parsed.value.reason,
+            method: 'ai_analysis',
+            rawResponse: response
+        };
 
-        } catch (error) {
-            console.error('Failed to parse analysis response:', error);
-            return {
-                success: false,
-                score: Math.ceil(this.maxScore / 2),
-                reasoning: 'Parse error - neutral score',
-                method: 'parse_error_fallback'
-            };
+        // Only include description and breakdown if the schema asked for them
+        if (parsed.value.description) {
+            result.description = parsed.value.description;
         }
+        if (parsed.value.breakdown) {
+            result.breakdown = parsed.value.breakdown;
+        }
+
+        return result;
     }
 
     /**
      * Perform the actual AI analysis
      * Shared implementation - calls child's buildPrompt() and parseAnalysisResponse()
+     * Images are trimmed, cropped and downscaled first (ImagePreprocessor); the main image's
+     * transform is recorded on the result as imageTransform.
      * @param {HTMLImageElement} productImage - Product image element
      * @param {Object} options - Analysis options
      * @param {string} cacheKey - Cache key for this analysis
@@ -326,13 +471,13 @@ export class BaseProductMatcher {
     async _performAnalysis(productImage, options) {
         try {
 			// Prepare image (if available) first so prompt can reflect its presence
-			const imageSrc = productImage.currentSrc || productImage.src;
+			const imageSrc = ImageSourceResolver.getImageUrl(productImage);
 		const urlHash = this._hashString(imageSrc);
 		console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 		console.log('🔍 NEW ANALYSIS - Image hash:', urlHash);
 		console.log('   URL:', imageSrc.substring(0, 100));
 
-		const imageValue = this.isImageModalityAvailable ? await this._getImageValue(productImage) : null;
+		let imageValue = this.isImageModalityAvailable ? await this._getImageValue(productImage, options.signal) : null;
             console.log('🔍 Image value:', imageValue ? `Blob(${imageValue.size} bytes, ${imageValue.type})` : 'null');
 			// Log unique identifier for this specific image
 			if (imageValue) {
@@ -344,90 +489,182 @@ export class BaseProductMatcher {
 				console.log('🧬 Blob content hash:', blobHash, '(if same for all images, blob data is identical!)');
 			}
 
-			// Build analysis prompt (using child's implementation)
-			const prompt = await this.buildPrompt(productImage, { ...options });
-
-			// Create AI session (using official Prompt API)
-			// Use expectedInputs for image support (required by Prompt API)
-
-
-			const session = await window.LanguageModel.create({
-				temperature: 0,
-				topK: 5,
-				outputLanguage: 'en',
-                expectedInputs: [{ type: 'image' }, { type: 'text' }]
-			});
-
-
-			// Append multimodal content (image + text question)
-			// IMPORTANT: The full prompt must be in the append content, NOT in prompt() call
+			// Send the garment, not the photo: trimmed, cropped and downscaled to the model's input size
+			let imageTransform = null;
 			if (imageValue) {
-				console.log('✅ Appending IMAGE + PROMPT to session');
-				console.log('🔍 Image details - Size:', imageValue.size, 'Type:', imageValue.type);
+				({ blob: imageValue, transform: imageTransform } = await this._preprocessImage(imageValue));
+			}
 
-				await session.append([
-                {
-                  role: 'user',
-                  content: [
-                    { type: 'image', value: imageValue },
-                    { type: 'text', value: prompt }  // Full question goes here WITH the image
-                  ],
-                },
-              ]);
-			} else {
-				console.log('⚠️ TEXT ONLY - no image available');
-				await session.append([
-                {
-                  role: 'user',
-                  content: [{ type: 'text', value: prompt }],
-                },
-              ]);
+			// PDP deep analysis: extra shots of the same product, only sent alongside the main image
+			const additionalValues = [];
+			if (imageValue) {
+				for (const extraImage of options.additionalImages || []) {
+					const extraValue = await this._getImageValue(extraImage, options.signal);
+					if (extraValue) {
+						additionalValues.push((await this._preprocessImage(extraValue)).blob);
+					}
+				}
+				if (additionalValues.length > 0) {
+					console.log(`🖼️ Attaching ${additionalValues.length} additional gallery image(s)`);
+				}
 			}
 
-			// Get AI response - use empty string because question was in append above
-			console.log('📤 Calling prompt(\'\') to get response...');
-			const response = await session.prompt('');
+			// Build analysis prompt (using child's implementation)
+			const prompt = await this.buildPrompt(productImage, {
+				...options,
+				imageCount: imageValue ? 1 + additionalValues.length : 0
+			});
+
+			const response = await this._runPrompt(prompt, imageValue ? [imageValue, ...additionalValues] : [], {
+				responseConstraint: this.responseSchema,
+				priority: options.priority,
+				label: `#${urlHash}`,
+				signal: options.signal
+			});
 
             console.log('✅ AI RESPONSE for image hash', urlHash, ':', response);
             console.log('   Image URL:', imageSrc.substring(0, 80));
             console.log('   Alt text:', productImage.alt);
 
-            // Clean up session immediately after getting response
-            session.destroy();
-			console.log('🗑️ Session destroyed for image hash', urlHash);
-
             // Parse response (using child's implementation)
             const result = this.parseAnalysisResponse(response);
+            if (imageTransform) {
+                result.imageTransform = imageTransform; // What the model was shown of the product image
+            }
             return result;
 
         } catch (error) {
+            if (BackgroundRequest.isAbortError(error) || options.signal?.aborted) {
+                console.log('⏹️ Analysis cancelled:', options.signal?.reason?.message || error.message);
+                return this._getCancelledResult();
+            }
+
             console.error('❌ Analysis failed:', error);
             console.error('   Error message:', error.message);
             console.error('   Error stack:', error.stack);
             return {
                 success: false,
-                score: Math.ceil(this.maxScore / 2),
-                reasoning: 'Analysis error - neutral result',
-                method: 'error_fallback',
+                score: null,
+                reasoning: `Analysis error - ${error.message}`,
+                method: 'error',
                 error: error.message
             };
         }
     }
 
+    /**
+     * Prepare an image for the model (ImagePreprocessor)
+     * Preprocessing never fails an analysis: on error the original image is sent.
+     * @param {Blob} blob - Product image
+     * @returns {Promise<{blob: Blob, transform: Object}>} Image to send and the transform applied to it
+     * @private
+     */
+    async _preprocessImage(blob) {
+        try {
+            const prepared = await this.imagePreprocessor.process(blob);
+            console.log('✂️ Image preprocessing:', ImagePreprocessor.describe(prepared.transform));
+            return prepared;
+        } catch (error) {
+            console.warn('⚠️ Image preprocessing failed, sending the original image:', error.message);
+            return { blob, transform: { applied: false, reason: error.message } };
+        }
+    }
+
+    /**
+     * Run a prompt on the selected provider, scheduled by the session manager
+     * Chrome: a clone of the primed base session, images first and the full question with
+     * them in one message. Other providers: sent to the background ('aiProviderPrompt').
+     * @param {string} prompt - Full prompt text
+     * @param {Blob[]} images - Images to attach (may be empty)
+     * @param {Object} options - { responseConstraint, priority, label, signal }
+     * @returns {Promise<string>} Raw model response (rejects with an AbortError when signal aborts)
+     * @private
+     */
+    async _runPrompt(prompt, images, { responseConstraint = null, priority, label = '', signal = null } = {}) {
+        if (this.providerId !== 'chrome') {
+            return this.sessionManager.run(
+                () => this._promptViaBackground(prompt, images, responseConstraint, signal),
+                { priority, label, useSession: false, signal }
+            );
+        }
+
+        const promptOptions = signal ? { responseConstraint, signal } : { responseConstraint };
+
+        return this.sessionManager.run(async (session) => {
+            if (images.length === 0) {
+                return session.prompt(prompt, promptOptions);
+            }
+
+            // IMPORTANT: The full prompt must be in the append content, NOT in prompt() call
+            console.log(`✅ Appending ${images.length} IMAGE(S) + PROMPT to session`);
+            await session.append([
+                {
+                    role: 'user',
+                    content: [
+                        ...images.map(value => ({ type: 'image', value })),
+                        { type: 'text', value: prompt }
+                    ]
+                }
+            ], signal ? { signal } : undefined);
+
+            // Get AI response - use empty string because question was in append above
+            return session.prompt('', promptOptions);
+        }, { priority, label, signal });
+    }
+
+    /**
+     * Run a prompt on a remote provider through the background
+     * The shared instructions the Chrome base session is primed with go in front of the prompt.
+     * Aborting the signal cancels the background's request to the provider.
+     * @private
+     */
+    async _promptViaBackground(prompt, images, responseConstraint, signal = null) {
+        const imageDataUrls = await Promise.all(images.map(blob => this._blobToDataUrl(blob)));
+
+        const result = await BackgroundRequest.send({
+            action: 'aiProviderPrompt',
+            task: 'styleScoring',
+            request: { text: `${SCORING_SYSTEM_PROMPT}\n\n${prompt}`, images: imageDataUrls, responseConstraint }
+        }, signal);
+
+        if (!result?.success) {
+            throw new Error(result?.error || 'AI provider request failed');
+        }
+        return result.response;
+    }
+
+    /**
+     * Messages are JSON, so Blobs travel as data URLs
+     * @private
+     */
+    _blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
 	/**
 	 * Get image as Blob for Prompt API
 	 * Chrome Prompt API accepts ImageBitmapSource (Blob, ImageBitmap, HTMLImageElement, etc.)
-	 * @param {HTMLImageElement} productImage
+	 * Uses the resolved real image URL (srcset/picture/lazy attribute/background), which
+	 * may be a larger rendition than the one displayed, or not displayed at all yet.
+	 * @param {HTMLElement} productImage - <img> or background-image element
+	 * @param {AbortSignal|null} [signal=null] - Cancels the fetch (rejects with an AbortError)
 	 * @returns {Promise<Blob|null>} Image as Blob or null if failed
 	 * @private
 	 */
-	async _getImageValue(productImage) {
+	async _getImageValue(productImage, signal = null) {
 		try {
-			const src = productImage.currentSrc || productImage.src;
+			const src = ImageSourceResolver.getImageUrl(productImage);
 			console.log('🔍 Processing image from:', src.substring(0, 80));
 
 			const isDataUrl = src.startsWith('data:');
 			const isSameOrigin = src.startsWith(window.location.origin) || isDataUrl;
+			// The canvas path can only draw what the <img> itself currently shows
+			const isDisplayed = productImage.tagName === 'IMG' && (productImage.currentSrc || productImage.src) === src;
 
 			let blob = null;
 
@@ -435,10 +672,10 @@ export class BaseProductMatcher {
 				// Cross-origin image: fetch via background script
 				console.log('⚠️ Cross-origin image detected, fetching via background script');
 				try {
-					const result = await chrome.runtime.sendMessage({
+					const result = await BackgroundRequest.send({
 						action: 'fetchImageAsBase64',
 						imageUrl: src
-					});
+					}, signal);
 
 					if (result.success && result.dataUrl) {
 						const response = await fetch(result.dataUrl);
@@ -449,9 +686,25 @@ export class BaseProductMatcher {
 						return null;
 					}
 				} catch (fetchError) {
+					if (BackgroundRequest.isAbortError(fetchError)) {
+						throw fetchError;
+					}
 					console.warn('⚠️ Cross-origin image fetch failed:', fetchError.message);
 					return null;
 				}
+			} else if (!isDisplayed) {
+				// Same-origin URL the element does not display: fetch it directly
+				console.log('📥 Fetching same-origin image URL');
+				try {
+					const response = await fetch(src, signal ? { signal } : undefined);
+					blob = await response.blob();
+				} catch (e) {
+					if (BackgroundRequest.isAbortError(e)) {
+						throw e;
+					}
+					console.warn('⚠️ Same-origin image fetch failed:', e.message);
+					return null;
+				}
 			} else {
 				// Same-origin image: convert via canvas
 				console.log('📸 Converting same-origin image to blob');
@@ -522,89 +775,78 @@ export class BaseProductMatcher {
 			}
 
 		} catch (error) {
+			if (BackgroundRequest.isAbortError(error)) {
+				throw error; // Cancelled, not failed: the analysis stops instead of going on without the image
+			}
 			console.error('❌ _getImageValue failed:', error);
 			return null;
 		}
 	}
 
     /**
-     * Analyze multiple products in batches
-     * Shared implementation - calls this.analyze() which uses child's implementations
+     * Analyze multiple products
+     * Shared implementation - calls this.analyze() which uses child's implementations.
+     * One more product than the model can run is kept in flight, so the next image is
+     * being fetched while the model works; the session manager does the actual scheduling.
+     * Once analysisOptions.signal aborts no further product is started; those results stay empty.
      * @param {Array<HTMLImageElement>} productImages - Array of product image elements
-     * @param {Object} analysisOptions - Options for analysis (styleProfile, userPrompt, etc.)
+     * @param {Object} analysisOptions - Options for analysis (styleProfile, userPrompt, signal, etc.)
      * @param {Object} batchOptions - Batch processing options
-     * @returns {Promise<Array<Object>>} Array of analysis results
+     * @param {Array<Object|null>} [batchOptions.productData] - Product records, index-aligned with productImages
+     * @param {Array<string|null>} [batchOptions.productIds] - Product page URLs (cache keys), index-aligned with productImages
+     * @param {Function} [batchOptions.onProgress] - Called after each product with { completed, total, percentage }
+     * @returns {Promise<Array<Object>>} Array of analysis results, index-aligned with productImages
      */
     async analyzeBatch(productImages, analysisOptions = {}, batchOptions = {}) {
         const {
-            batchSize = 3,
-            delayBetweenBatches = 500,
-            onProgress = null
+            onProgress = null,
+            productData = [],
+            productIds = []
         } = batchOptions;
 
         if (!this.isInitialized) {
             await this.initialize();
         }
 
-        const results = [];
+        const results = new Array(productImages.length);
         const totalProducts = productImages.length;
+        const workerCount = Math.min(totalProducts, this.sessionManager.maxConcurrency + 1);
+        let nextIndex = 0;
+        let completed = 0;
 
-        console.log(`🔄 Starting batch analysis of ${totalProducts} products (${batchSize} at a time)`);
+        console.log(`🔄 Starting batch analysis of ${totalProducts} products (${this.sessionManager.maxConcurrency} concurrent)`);
         if (analysisOptions.userPrompt) {
             console.log(`🔍 User prompt: "${analysisOptions.userPrompt}"`);
         }
 
-        // Process in batches
-        for (let i = 0; i < productImages.length; i += batchSize) {
-            const batch = productImages.slice(i, i + batchSize);
-            const batchNumber = Math.floor(i / batchSize) + 1;
-            const totalBatches = Math.ceil(productImages.length / batchSize);
-
-            console.log(`📦 Processing batch ${batchNumber}/${totalBatches} (${batch.length} products)`);
-
-            // IMPORTANT: Analyze sequentially (one at a time) to avoid Prompt API concurrency issues
-            // Concurrent sessions seem to cache/confuse the image data
-            const batchResults = [];
-            for (let j = 0; j < batch.length; j++) {
-                console.log(`  🔍 Analyzing product ${i + j + 1}/${totalProducts}...`);
-                const result = await this.analyze(batch[j], analysisOptions);
-                batchResults.push(result);
-
-                // Small delay between analyses to ensure sessions are fully cleaned up
-                if (j < batch.length - 1) {
-                    await this.delay(100);
-                }
-            }
-
-            results.push(...batchResults);
+        const worker = async () => {
+            while (nextIndex < totalProducts && !analysisOptions.signal?.aborted) {
+                const index = nextIndex++;
+                console.log(`  🔍 Analyzing product ${index + 1}/${totalProducts}...`);
 
-            // Call progress callback
-            if (onProgress) {
-                onProgress({
-                    completed: results.length,
-                    total: totalProducts,
-                    percentage: Math.round((results.length / totalProducts) * 100)
+                results[index] = await this.analyze(productImages[index], {
+                    ...analysisOptions,
+                    productData: productData[index] || null,
+                    productId: productIds[index] || null
                 });
+                completed++;
+
+                if (onProgress) {
+                    onProgress({
+                        completed,
+                        total: totalProducts,
+                        percentage: Math.round((completed / totalProducts) * 100)
+                    });
+                }
             }
+        };
 
-            // Delay between batches (except for last batch)
-            if (i + batchSize < productImages.length) {
-                await this.delay(delayBetweenBatches);
-            }
-        }
+        await Promise.all(Array.from({ length: workerCount }, worker));
 
-        console.log(`✅ Batch analysis complete: ${results.length} products analyzed`);
+        console.log(`✅ Batch analysis complete: ${results.length} products analyzed`, this.sessionManager.getStats());
         return results;
     }
 
-    /**
-     * Utility delay function
-     * @private
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
 	/**
 	 * Compute a simple hash of a string for diagnostics
 	 * @private
@@ -619,6 +861,15 @@ export class BaseProductMatcher {
 		return hash;
 	}
 
+	/**
+	 * Hash a string into a short unsigned base-36 id for cache keys
+	 * @param {string} str
+	 * @returns {string}
+	 */
+	_shortHash(str) {
+		return (this._hashString(str) >>> 0).toString(36);
+	}
+
 	/**
 	 * Compute a short hash for a Blob/File's bytes for diagnostics
 	 * @param {Blob} blob
@@ -653,10 +904,11 @@ export class BaseProductMatcher {
     /**
      * Generate detailed outfit description for virtual try-on
      * @param {HTMLImageElement} productImage - Product image element
+     * @param {Object|null} [productData=null] - Structured product record from ProductMetadataExtractor
      * @returns {Promise<string|null>} Outfit description or null if failed
      */
-    async generateOutfitDescription(productImage) {
-        console.log('👗 Generating outfit description for:', productImage.alt || productImage.src.substring(0, 60));
+    async generateOutfitDescription(productImage, productData = null) {
+        console.log('👗 Generating outfit description for:', productImage.alt || ImageSourceResolver.getImageUrl(productImage).substring(0, 60));
 
         if (!this.isInitialized) {
             console.log('⚠️ Analyzer not initialized, initializing now...');
@@ -668,33 +920,27 @@ export class BaseProductMatcher {
         }
 
         try {
-            // Import prompt builder (dynamic import to avoid circular dependencies)
-            const { buildOutfitDescriptionPrompt } = await import('../config/Prompts.js');
-
             // Extract image information
             const altText = productImage.alt || '';
             const imageContext = this.extractImageContext(productImage);
 
             // Build prompt
-            const prompt = buildOutfitDescriptionPrompt({ altText, imageContext });
+            const prompt = buildOutfitDescriptionPrompt({ altText, imageContext, productData });
 
-            // Create AI session
-            const session = await window.LanguageModel.create({
-                temperature: 0,
-                topK: 20,
-                outputLanguage: 'en'
+            // The user is waiting for the try-on, so this goes ahead of queued analyses
+            const response = await this._runPrompt(prompt, [], {
+                responseConstraint: OUTFIT_DESCRIPTION_SCHEMA,
+                priority: LanguageModelSessionManager.PRIORITY.HIGH,
+                label: 'outfit description'
             });
 
-            // Get AI response
-            const description = await session.prompt(prompt);
-
-            // Clean up session
-            session.destroy();
-
-            // Clean up the description (remove any extra formatting)
-            const cleanDescription = description.trim();
+            const parsed = StructuredOutput.parse(response, OUTFIT_DESCRIPTION_SCHEMA);
+            if (!parsed.valid) {
+                console.warn('⚠️ Outfit description failed validation:', StructuredOutput.formatErrors(parsed.errors));
+                return null;
+            }
 
-            return cleanDescription;
+            return parsed.value.description;
 
         } catch (error) {
             console.error('❌ Failed to generate outfit description:', error);
@@ -707,6 +953,7 @@ export class BaseProductMatcher {
      * Destroy analyzer and clean up resources
      */
     async destroy() {
+        this.sessionManager.destroy();
         this.analysisCache.clear();
         this.pendingAnalyses.clear();
         this.isInitialized = false;
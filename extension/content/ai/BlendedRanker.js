@@ -0,0 +1,80 @@
+/**
+ * BlendedRanker merges the personal style score (PersonalStyleMatcher, 1-10) and the
+ * search rank (ProductSearchMatcher, 1-3) into one 1-10 score for the combined ranking mode
+ * No model is involved, so changing the weight re-ranks instantly.
+ */
+export class BlendedRanker {
+    /**
+     * Share of the search rank in the combined score (0 = style only, 1 = search only).
+     * Overridden with setSearchWeight() ('combinedSearchWeight' in storage).
+     */
+    static DEFAULT_SEARCH_WEIGHT = 0.5;
+
+    // Search tiers on the style score scale: NO, MAYBE, YES
+    static SEARCH_RANK_SCORES = {
+        1: 1,
+        2: 5,
+        3: 10
+    };
+
+    /**
+     * @param {number} [searchWeight=BlendedRanker.DEFAULT_SEARCH_WEIGHT]
+     */
+    constructor(searchWeight = BlendedRanker.DEFAULT_SEARCH_WEIGHT) {
+        this.setSearchWeight(searchWeight);
+    }
+
+    /**
+     * Set how much the search rank counts; values outside 0-1 are clamped,
+     * non-numeric values fall back to the default
+     * @param {number} weight - 0 (style only) to 1 (search only)
+     */
+    setSearchWeight(weight) {
+        const value = Number(weight);
+        this.searchWeight = Number.isFinite(value)
+            ? Math.min(1, Math.max(0, value))
+            : BlendedRanker.DEFAULT_SEARCH_WEIGHT;
+
+        console.log(`⚖️ Combined ranking weight: ${Math.round((1 - this.searchWeight) * 100)}% style, ${Math.round(this.searchWeight * 100)}% search`);
+    }
+
+    /**
+     * Combine the two analyses of one product
+     * When one of them is missing (no style profile, failed analysis) the other one is the score.
+     * @param {Object|null} styleAnalysis - { score, reason, breakdown } from PersonalStyleMatcher
+     * @param {Object|null} searchAnalysis - { rank, reason } from ProductSearchMatcher
+     * @returns {Object|null} { score, searchWeight, style: { score, reason, breakdown } | null,
+     *   search: { rank, score, reason } | null }, or null when neither is known
+     */
+    blend(styleAnalysis, searchAnalysis) {
+        // A failed analysis has no score; the product is then ranked by the other one alone
+        const style = typeof styleAnalysis?.score === 'number'
+            ? { score: styleAnalysis.score, reason: styleAnalysis.reason, breakdown: styleAnalysis.breakdown || null }
+            : null;
+        const search = searchAnalysis && BlendedRanker.SEARCH_RANK_SCORES[searchAnalysis.rank] !== undefined
+            ? { rank: searchAnalysis.rank, score: BlendedRanker.SEARCH_RANK_SCORES[searchAnalysis.rank], reason: searchAnalysis.reason }
+            : null;
+        if (!style && !search) {
+            return null;
+        }
+
+        let score;
+        if (style && search) {
+            score = (1 - this.searchWeight) * style.score + this.searchWeight * search.score;
+        } else {
+            score = style ? style.score : search.score;
+        }
+
+        return {
+            score: Math.min(10, Math.max(1, Math.round(score))),
+            searchWeight: this.searchWeight,
+            style,
+            search
+        };
+    }
+}
+
+// Expose on window for debugging
+if (typeof window !== 'undefined') {
+    window.BlendedRanker = BlendedRanker;
+}
@@ -0,0 +1,395 @@
+/**
+ * ImagePreprocessor prepares product photos before they are sent to the model.
+ *
+ * Shop photos are often much larger than the model's input, framed by wide plain
+ * borders, or show the garment small in a studio shot. Scoring such a photo costs
+ * latency and lets the photo's styling sway the score. Each image goes through:
+ * 1. Border trim: uniform rows and columns at the edges are cut off
+ * 2. Garment crop (optional): a cheap first pass on a small thumbnail finds the band of
+ *    pixels that differ from the plain background; the photo is cropped to it when the
+ *    result is confident (plain background, region neither tiny nor nearly everything)
+ * 3. Downscale: the longest side is reduced to the model's input size
+ *
+ * process() returns the prepared Blob with the transform applied to it, so results can
+ * be traced back to what the model actually saw. Where OffscreenCanvas or
+ * createImageBitmap are unavailable, the original image is returned unchanged.
+ * Changes to what the model is shown need a PROMPT_VERSION bump (config/Prompts.js),
+ * as cached scores were given for the old images.
+ */
+export class ImagePreprocessor {
+    // Longest side sent to the model; the Prompt API and Gemini tile images at 768px
+    static TARGET_SIZE = 768;
+
+    // Longest side of the thumbnail the trim and crop are computed on
+    static ANALYSIS_SIZE = 96;
+
+    // Per-channel difference still counted as the border (JPEG noise, soft gradients)
+    static BORDER_TOLERANCE = 24;
+
+    // Share of a row or column that must match the border colour for it to be trimmed
+    static UNIFORM_RATIO = 0.98;
+
+    // Per-channel difference from the background that makes a pixel foreground
+    static FOREGROUND_TOLERANCE = 40;
+
+    // Share of a row or column that must be foreground for it to belong to the garment
+    static FOREGROUND_RATIO = 0.08;
+
+    // Share of the photo's outer frame that must match the background colour before cropping
+    static MIN_BACKGROUND_RATIO = 0.6;
+
+    // Gap of background rows or columns (share of the side) still bridged within a garment
+    static MAX_GAP_RATIO = 0.05;
+
+    // Crop only to regions covering this share of the trimmed image: smaller ones are
+    // likely a logo or a detail, larger ones save nothing worth a re-encode
+    static MIN_CROP_AREA = 0.2;
+    static MAX_CROP_AREA = 0.85;
+
+    // Margin kept around the garment (share of its size)
+    static CROP_PADDING = 0.04;
+
+    static JPEG_QUALITY = 0.9;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.targetSize=ImagePreprocessor.TARGET_SIZE] - Longest side of the output
+     * @param {boolean} [options.cropToGarment=true] - Crop to the garment region when confident
+     */
+    constructor(options = {}) {
+        this.targetSize = options.targetSize || ImagePreprocessor.TARGET_SIZE;
+        this.cropToGarment = options.cropToGarment ?? true;
+    }
+
+    /**
+     * Check if images can be decoded and re-encoded here
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof createImageBitmap === 'function' && typeof OffscreenCanvas === 'function';
+    }
+
+    /**
+     * Trim, crop and downscale an image for the model
+     * @param {Blob} blob - Product image
+     * @returns {Promise<{blob: Blob, transform: Object}>} Prepared image (the original when
+     *   nothing needed to change) and the transform from plan(), with byte sizes and timing
+     */
+    async process(blob) {
+        if (!ImagePreprocessor.isSupported()) {
+            return { blob, transform: { applied: false, reason: 'Canvas not available' } };
+        }
+
+        const startedAt = performance.now();
+        const bitmap = await createImageBitmap(blob);
+
+        try {
+            const transform = this.plan(ImagePreprocessor.readThumbnail(bitmap), bitmap.width, bitmap.height);
+            if (!transform.applied) {
+                return { blob, transform };
+            }
+
+            const { region, outputWidth, outputHeight } = transform;
+            const canvas = new OffscreenCanvas(outputWidth, outputHeight);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff'; // JPEG has no alpha: transparent PNGs get a white background
+            ctx.fillRect(0, 0, outputWidth, outputHeight);
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, outputWidth, outputHeight);
+
+            const output = await canvas.convertToBlob({ type: 'image/jpeg', quality: ImagePreprocessor.JPEG_QUALITY });
+
+            return {
+                blob: output,
+                transform: {
+                    ...transform,
+                    bytesBefore: blob.size,
+                    bytesAfter: output.size,
+                    durationMs: Math.round(performance.now() - startedAt)
+                }
+            };
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Decide the trim, crop and scale from a thumbnail of the image
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} pixels - RGBA thumbnail
+     * @param {number} sourceWidth - Width of the full image
+     * @param {number} sourceHeight - Height of the full image
+     * @returns {Object} { applied, sourceWidth, sourceHeight, trimmed, cropped, region (in
+     *   source pixels), scale, outputWidth, outputHeight }
+     */
+    plan(pixels, sourceWidth, sourceHeight) {
+        const trim = ImagePreprocessor.findContentBounds(pixels);
+        const garment = this.cropToGarment ? ImagePreprocessor.findGarmentBounds(pixels, trim) : null;
+        const bounds = garment || trim;
+
+        // Thumbnail bounds -> source pixels
+        const scaleX = sourceWidth / pixels.width;
+        const scaleY = sourceHeight / pixels.height;
+        const x = Math.round(bounds.x * scaleX);
+        const y = Math.round(bounds.y * scaleY);
+        const region = {
+            x,
+            y,
+            width: Math.min(sourceWidth, Math.round((bounds.x + bounds.width) * scaleX)) - x,
+            height: Math.min(sourceHeight, Math.round((bounds.y + bounds.height) * scaleY)) - y
+        };
+
+        const scale = Math.min(1, this.targetSize / Math.max(region.width, region.height));
+        const trimmed = trim.width < pixels.width || trim.height < pixels.height;
+
+        return {
+            applied: trimmed || garment !== null || scale < 1,
+            sourceWidth,
+            sourceHeight,
+            trimmed,
+            cropped: garment !== null,
+            region,
+            scale: Number(scale.toFixed(4)),
+            outputWidth: Math.max(1, Math.round(region.width * scale)),
+            outputHeight: Math.max(1, Math.round(region.height * scale))
+        };
+    }
+
+    /**
+     * Bounds left after cutting off uniform rows and columns at the edges
+     * Each side is compared with its own outermost colour, so a white top and a grey
+     * floor are both trimmed.
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} pixels - RGBA thumbnail
+     * @param {number} [tolerance=ImagePreprocessor.BORDER_TOLERANCE]
+     * @returns {{x: number, y: number, width: number, height: number}} Content bounds (the whole
+     *   image when it is uniform throughout)
+     */
+    static findContentBounds(pixels, tolerance = ImagePreprocessor.BORDER_TOLERANCE) {
+        const { width, height } = pixels;
+        const matches = (x, y, reference) => ImagePreprocessor.colorDistance(pixels, x, y, reference) <= tolerance;
+        const isUniformRow = (y, left, right, reference) =>
+            ImagePreprocessor.countWhere(left, right, x => matches(x, y, reference)) >= (right - left) * ImagePreprocessor.UNIFORM_RATIO;
+        const isUniformColumn = (x, top, bottom, reference) =>
+            ImagePreprocessor.countWhere(top, bottom, y => matches(x, y, reference)) >= (bottom - top) * ImagePreprocessor.UNIFORM_RATIO;
+
+        let top = 0;
+        let bottom = height;
+        let left = 0;
+        let right = width;
+
+        const topColor = ImagePreprocessor.colorAt(pixels, Math.floor(width / 2), 0);
+        while (top < bottom - 1 && isUniformRow(top, left, right, topColor)) top++;
+
+        const bottomColor = ImagePreprocessor.colorAt(pixels, Math.floor(width / 2), height - 1);
+        while (bottom - 1 > top && isUniformRow(bottom - 1, left, right, bottomColor)) bottom--;
+
+        const leftColor = ImagePreprocessor.colorAt(pixels, 0, Math.floor((top + bottom) / 2));
+        while (left < right - 1 && isUniformColumn(left, top, bottom, leftColor)) left++;
+
+        const rightColor = ImagePreprocessor.colorAt(pixels, width - 1, Math.floor((top + bottom) / 2));
+        while (right - 1 > left && isUniformColumn(right - 1, top, bottom, rightColor)) right--;
+
+        // Nothing but border (blank or placeholder image): keep it whole
+        if (bottom - top <= 1 || right - left <= 1) {
+            return { x: 0, y: 0, width, height };
+        }
+
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Garment region within the trimmed image: the strongest band of foreground columns,
+     * then the strongest band of foreground rows within it, with some padding
+     * Only found on a plain background, which most of the photo's outer frame must match;
+     * on lifestyle photos the whole image is kept.
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} pixels - RGBA thumbnail
+     * @param {{x: number, y: number, width: number, height: number}} bounds - From findContentBounds()
+     * @returns {{x: number, y: number, width: number, height: number}|null} Crop bounds, or
+     *   null when cropping is not worth it or not safe
+     */
+    static findGarmentBounds(pixels, bounds) {
+        const background = ImagePreprocessor.estimateBackground(pixels);
+        if (!background) {
+            return null;
+        }
+
+        const isForeground = (x, y) => ImagePreprocessor.colorDistance(pixels, x, y, background) > ImagePreprocessor.FOREGROUND_TOLERANCE;
+        const { x: left, y: top, width, height } = bounds;
+
+        const columnCounts = Array.from({ length: width }, (_, i) =>
+            ImagePreprocessor.countWhere(top, top + height, y => isForeground(left + i, y)));
+        const columns = ImagePreprocessor.findStrongestBand(columnCounts, height);
+        if (!columns) {
+            return null;
+        }
+
+        const rowCounts = Array.from({ length: height }, (_, i) =>
+            ImagePreprocessor.countWhere(left + columns.start, left + columns.end, x => isForeground(x, top + i)));
+        const rows = ImagePreprocessor.findStrongestBand(rowCounts, columns.end - columns.start);
+        if (!rows) {
+            return null;
+        }
+
+        const padX = Math.ceil((columns.end - columns.start) * ImagePreprocessor.CROP_PADDING);
+        const padY = Math.ceil((rows.end - rows.start) * ImagePreprocessor.CROP_PADDING);
+        const x = Math.max(left, left + columns.start - padX);
+        const y = Math.max(top, top + rows.start - padY);
+        const crop = {
+            x,
+            y,
+            width: Math.min(left + width, left + columns.end + padX) - x,
+            height: Math.min(top + height, top + rows.end + padY) - y
+        };
+
+        const area = (crop.width * crop.height) / (width * height);
+        if (area < ImagePreprocessor.MIN_CROP_AREA || area > ImagePreprocessor.MAX_CROP_AREA) {
+            return null;
+        }
+        return crop;
+    }
+
+    /**
+     * Background colour: the per-channel median of the photo's outer frame
+     * (the trimmed bounds are no help, they end where the garment starts)
+     * @returns {number[]|null} [r, g, b], or null when the frame is not plain enough
+     * @private
+     */
+    static estimateBackground(pixels) {
+        const { width, height } = pixels;
+        const frame = [];
+        for (let x = 0; x < width; x++) {
+            frame.push([x, 0], [x, height - 1]);
+        }
+        for (let y = 1; y < height - 1; y++) {
+            frame.push([0, y], [width - 1, y]);
+        }
+
+        const colors = frame.map(([px, py]) => ImagePreprocessor.colorAt(pixels, px, py));
+        const median = [0, 1, 2].map(channel => {
+            const values = colors.map(color => color[channel]).sort((a, b) => a - b);
+            return values[Math.floor(values.length / 2)];
+        });
+
+        const plain = frame.filter(([px, py]) =>
+            ImagePreprocessor.colorDistance(pixels, px, py, median) <= ImagePreprocessor.FOREGROUND_TOLERANCE).length;
+        return plain >= frame.length * ImagePreprocessor.MIN_BACKGROUND_RATIO ? median : null;
+    }
+
+    /**
+     * Contiguous run of lines with the most foreground, bridging short background gaps
+     * (a light stripe in the garment, the space between sleeve and body)
+     * @param {number[]} counts - Foreground pixels per line
+     * @param {number} lineLength - Pixels per line
+     * @returns {{start: number, end: number}|null} Band [start, end), or null without foreground
+     * @private
+     */
+    static findStrongestBand(counts, lineLength) {
+        const minCount = lineLength * ImagePreprocessor.FOREGROUND_RATIO;
+        const maxGap = Math.max(1, Math.round(counts.length * ImagePreprocessor.MAX_GAP_RATIO));
+
+        let best = null;
+        let current = null;
+        let gap = 0;
+
+        counts.forEach((count, index) => {
+            if (count >= minCount) {
+                if (!current) {
+                    current = { start: index, end: index + 1, mass: 0 };
+                }
+                current.end = index + 1;
+                current.mass += count;
+                gap = 0;
+            } else if (current && ++gap > maxGap) {
+                if (!best || current.mass > best.mass) best = current;
+                current = null;
+                gap = 0;
+            }
+        });
+        if (current && (!best || current.mass > best.mass)) {
+            best = current;
+        }
+
+        return best ? { start: best.start, end: best.end } : null;
+    }
+
+    /**
+     * Draw the image into a thumbnail and read its pixels
+     * @param {ImageBitmap} bitmap - Decoded image
+     * @returns {ImageData} RGBA thumbnail, at most ANALYSIS_SIZE on its longest side
+     * @private
+     */
+    static readThumbnail(bitmap) {
+        const scale = Math.min(1, ImagePreprocessor.ANALYSIS_SIZE / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Short description of a transform, for logs
+     * @param {Object} transform - From process() or plan()
+     * @returns {string} e.g. "2000x3000 → crop 1240x2310 at 380,290 → 412x768 (171 KB → 38 KB)"
+     */
+    static describe(transform) {
+        if (!transform.applied) {
+            return `unchanged${transform.reason ? ` (${transform.reason})` : ''}`;
+        }
+
+        const { sourceWidth, sourceHeight, region, outputWidth, outputHeight } = transform;
+        const step = transform.cropped ? 'crop' : transform.trimmed ? 'trim' : null;
+        const parts = [`${sourceWidth}x${sourceHeight}`];
+        if (step) {
+            parts.push(`${step} ${region.width}x${region.height} at ${region.x},${region.y}`);
+        }
+        parts.push(`${outputWidth}x${outputHeight}`);
+
+        const bytes = transform.bytesBefore
+            ? ` (${Math.round(transform.bytesBefore / 1024)} KB → ${Math.round(transform.bytesAfter / 1024)} KB)`
+            : '';
+        return parts.join(' → ') + bytes;
+    }
+
+    /**
+     * @returns {number[]} [r, g, b] at (x, y)
+     * @private
+     */
+    static colorAt(pixels, x, y) {
+        const offset = (y * pixels.width + x) * 4;
+        return [pixels.data[offset], pixels.data[offset + 1], pixels.data[offset + 2]];
+    }
+
+    /**
+     * Largest per-channel difference between the pixel at (x, y) and a colour
+     * @private
+     */
+    static colorDistance(pixels, x, y, color) {
+        const offset = (y * pixels.width + x) * 4;
+        return Math.max(
+            Math.abs(pixels.data[offset] - color[0]),
+            Math.abs(pixels.data[offset + 1] - color[1]),
+            Math.abs(pixels.data[offset + 2] - color[2])
+        );
+    }
+
+    /**
+     * Count of integers in [from, to) that satisfy predicate
+     * @private
+     */
+    static countWhere(from, to, predicate) {
+        let count = 0;
+        for (let i = from; i < to; i++) {
+            if (predicate(i)) count++;
+        }
+        return count;
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.ImagePreprocessor = ImagePreprocessor;
+}
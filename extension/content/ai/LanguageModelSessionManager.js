@@ -0,0 +1,330 @@
+import { SCORING_SYSTEM_PROMPT } from '../config/Prompts.js';
+
+/**
+ * LanguageModelSessionManager - Session pool and scheduler for the Prompt API
+ *
+ * Creating a LanguageModel session is slow and every analysis needs a fresh context
+ * (a session that has seen one product must not answer for the next). The manager
+ * creates one base session with the shared options, primed with the instructions every
+ * prompt shares (SCORING_SYSTEM_PROMPT), and gives each request its own clone, destroyed
+ * as soon as the request finishes. Clones start from the base session's context, so they
+ * are isolated from each other but skip the creation cost.
+ *
+ * Requests are queued and run at most maxConcurrency at a time, highest priority
+ * first (FIFO within a priority), so throughput is bounded by the model rather than
+ * by fixed delays between calls. Per-call latency is recorded for getStats().
+ * Requests for a remote provider (see services/AIProviders.js) need no session but are
+ * scheduled the same way (useSession: false).
+ *
+ * A request with an AbortSignal is cancellable: aborted while queued, it leaves the queue;
+ * aborted while running, its session is destroyed at once (which stops the model) and
+ * its slot goes to the next request.
+ */
+export class LanguageModelSessionManager {
+    static PRIORITY = {
+        HIGH: 2,    // User is waiting (try-on, PDP main product)
+        NORMAL: 1,  // Grid cards
+        LOW: 0      // Prefetch / off-screen work
+    };
+
+    // The base session is primed with the instructions every scoring prompt shares
+    static DEFAULT_SESSION_OPTIONS = {
+        temperature: 0,
+        topK: 5,
+        outputLanguage: 'en',
+        expectedInputs: [{ type: 'image' }, { type: 'text' }],
+        initialPrompts: [{ role: 'system', content: SCORING_SYSTEM_PROMPT }]
+    };
+
+    static DEFAULT_MAX_CONCURRENCY = 2;
+
+    // Number of recent calls kept for latency statistics
+    static LATENCY_WINDOW = 50;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxConcurrency=2] - Requests running against the model at once
+     * @param {Object} [options.sessionOptions] - Overrides for LanguageModel.create() (e.g. initialPrompts)
+     */
+    constructor(options = {}) {
+        this.maxConcurrency = options.maxConcurrency || LanguageModelSessionManager.DEFAULT_MAX_CONCURRENCY;
+        this.sessionOptions = {
+            ...LanguageModelSessionManager.DEFAULT_SESSION_OPTIONS,
+            ...options.sessionOptions
+        };
+
+        this.baseSessionPromise = null;
+        this.queue = [];
+        this.activeCount = 0;
+        this.sequence = 0;
+
+        // Recent calls: { waitMs, runMs }
+        this.recentCalls = [];
+        this.counters = {
+            completed: 0,
+            failed: 0,
+            cancelled: 0,
+            clones: 0,
+            baseSessions: 0
+        };
+    }
+
+    /**
+     * Create (once) the primed base session every request is cloned from
+     * @returns {Promise<Object>} LanguageModel session
+     */
+    getBaseSession() {
+        if (this.baseSessionPromise) {
+            return this.baseSessionPromise;
+        }
+
+        if (!window.LanguageModel) {
+            return Promise.reject(new Error('Chrome Prompt API not available'));
+        }
+
+        const startedAt = performance.now();
+        this.baseSessionPromise = window.LanguageModel.create(this.sessionOptions)
+            .then(session => {
+                this.counters.baseSessions++;
+                console.log(`🧠 Base language model session ready in ${(performance.now() - startedAt).toFixed(0)}ms`);
+                return session;
+            })
+            .catch(error => {
+                // Allow a retry on the next request (e.g. the model was still downloading)
+                this.baseSessionPromise = null;
+                throw error;
+            });
+
+        return this.baseSessionPromise;
+    }
+
+    /**
+     * Schedule a request. The task gets its own session, destroyed when the task settles.
+     * @param {Function} task - async (session) => result
+     * @param {Object} [options]
+     * @param {number} [options.priority=PRIORITY.NORMAL] - Higher runs first
+     * @param {string} [options.label=''] - Shown in logs
+     * @param {boolean} [options.useSession=true] - false: schedule only, the task gets no session
+     * @param {AbortSignal|null} [options.signal=null] - Cancels the request (rejects with the signal's reason)
+     * @returns {Promise<*>} Task result
+     */
+    run(task, { priority = LanguageModelSessionManager.PRIORITY.NORMAL, label = '', useSession = true, signal = null } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                this.counters.cancelled++;
+                reject(signal.reason);
+                return;
+            }
+
+            const job = {
+                task,
+                priority,
+                label,
+                useSession,
+                signal,
+                sequence: this.sequence++,
+                enqueuedAt: performance.now(),
+                resolve,
+                reject
+            };
+
+            // Still queued when aborted: drop it (a running job is stopped by execute(),
+            // which removes this listener)
+            job.onQueuedAbort = () => {
+                const index = this.queue.indexOf(job);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    this.counters.cancelled++;
+                    reject(signal.reason);
+                }
+            };
+            signal?.addEventListener('abort', job.onQueuedAbort, { once: true });
+
+            this.queue.push(job);
+            this.pump();
+        });
+    }
+
+    /**
+     * Start queued requests while there are free slots
+     * @private
+     */
+    pump() {
+        while (this.activeCount < this.maxConcurrency && this.queue.length > 0) {
+            const job = this.takeNext();
+            this.activeCount++;
+
+            this.execute(job).finally(() => {
+                this.activeCount--;
+                this.pump();
+            });
+        }
+    }
+
+    /**
+     * Remove and return the highest-priority, oldest job
+     * @private
+     */
+    takeNext() {
+        let bestIndex = 0;
+        for (let i = 1; i < this.queue.length; i++) {
+            const candidate = this.queue[i];
+            const best = this.queue[bestIndex];
+            if (candidate.priority > best.priority ||
+                (candidate.priority === best.priority && candidate.sequence < best.sequence)) {
+                bestIndex = i;
+            }
+        }
+        return this.queue.splice(bestIndex, 1)[0];
+    }
+
+    /**
+     * Run one job on its own session and record its latency
+     * An abort destroys the session right away and settles the job without waiting for the task.
+     * @private
+     */
+    async execute(job) {
+        const startedAt = performance.now();
+        const waitMs = startedAt - job.enqueuedAt;
+        let session = null;
+        let onAbort = null;
+        job.signal?.removeEventListener('abort', job.onQueuedAbort);
+
+        const aborted = new Promise((_, reject) => {
+            onAbort = () => {
+                if (session) {
+                    try { session.destroy(); } catch (_) {}
+                }
+                reject(job.signal.reason);
+            };
+            job.signal?.addEventListener('abort', onAbort, { once: true });
+        });
+        aborted.catch(() => {}); // Only observed through the race below
+
+        try {
+            if (job.useSession) {
+                const acquiring = this.acquireSession();
+                try {
+                    session = await Promise.race([acquiring, aborted]);
+                } catch (error) {
+                    // Aborted while the clone was being created: destroy it once it arrives
+                    acquiring.then(late => { try { late.destroy(); } catch (_) {} }).catch(() => {});
+                    throw error;
+                }
+            }
+            job.signal?.throwIfAborted();
+            const running = job.task(session);
+            running.catch(() => {}); // Settles after an abort too (the destroyed session fails it)
+            const result = await Promise.race([running, aborted]);
+
+            const runMs = performance.now() - startedAt;
+            this.recordCall(waitMs, runMs);
+            this.counters.completed++;
+            console.log(`⏱️ Model call${job.label ? ` ${job.label}` : ''}: ${runMs.toFixed(0)}ms (queued ${waitMs.toFixed(0)}ms, ${this.queue.length} waiting)`);
+
+            job.resolve(result);
+        } catch (error) {
+            if (job.signal?.aborted) {
+                this.counters.cancelled++;
+                console.log(`⏹️ Model call${job.label ? ` ${job.label}` : ''} cancelled after ${(performance.now() - startedAt).toFixed(0)}ms`);
+                job.reject(job.signal.reason);
+            } else {
+                this.counters.failed++;
+                job.reject(error);
+            }
+        } finally {
+            job.signal?.removeEventListener('abort', onAbort);
+            if (session) {
+                try { session.destroy(); } catch (_) {}
+            }
+        }
+    }
+
+    /**
+     * Get a fresh session for one request: a clone of the base session, or a newly
+     * created one when cloning is unavailable or fails
+     * @returns {Promise<Object>} LanguageModel session
+     * @private
+     */
+    async acquireSession() {
+        const base = await this.getBaseSession();
+
+        if (typeof base.clone === 'function') {
+            try {
+                const clone = await base.clone();
+                this.counters.clones++;
+                return clone;
+            } catch (error) {
+                // The base session can be evicted (e.g. the model was unloaded); prime a new one next time
+                console.warn('⚠️ Session clone failed, recreating base session:', error.message);
+                this.resetBaseSession();
+            }
+        }
+
+        return window.LanguageModel.create(this.sessionOptions);
+    }
+
+    /**
+     * Destroy the base session; the next request primes a new one
+     */
+    resetBaseSession() {
+        const previous = this.baseSessionPromise;
+        this.baseSessionPromise = null;
+
+        previous?.then(session => {
+            try { session.destroy(); } catch (_) {}
+        }).catch(() => {});
+    }
+
+    /**
+     * @private
+     */
+    recordCall(waitMs, runMs) {
+        this.recentCalls.push({ waitMs, runMs });
+        if (this.recentCalls.length > LanguageModelSessionManager.LATENCY_WINDOW) {
+            this.recentCalls.shift();
+        }
+    }
+
+    /**
+     * Scheduler and latency statistics over the recent calls
+     * @returns {Object} Active/queued counts, counters and latency in ms
+     */
+    getStats() {
+        const runTimes = this.recentCalls.map(call => call.runMs).sort((a, b) => a - b);
+        const average = values => values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : null;
+        const percentile = p => runTimes.length > 0
+            ? Math.round(runTimes[Math.min(runTimes.length - 1, Math.floor(runTimes.length * p))])
+            : null;
+
+        return {
+            maxConcurrency: this.maxConcurrency,
+            active: this.activeCount,
+            queued: this.queue.length,
+            ...this.counters,
+            averageLatencyMs: average(runTimes),
+            p50LatencyMs: percentile(0.5),
+            p95LatencyMs: percentile(0.95),
+            averageWaitMs: average(this.recentCalls.map(call => call.waitMs))
+        };
+    }
+
+    /**
+     * Reject queued requests and destroy the base session
+     * Running requests finish (their sessions are destroyed when they settle)
+     */
+    destroy() {
+        const pending = this.queue.splice(0);
+        pending.forEach(job => job.reject(new Error('Session manager destroyed')));
+        this.resetBaseSession();
+
+        console.log(`🗑️ Session manager destroyed (${pending.length} queued requests dropped)`);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LanguageModelSessionManager = LanguageModelSessionManager;
+}
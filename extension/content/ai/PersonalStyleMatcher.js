@@ -1,4 +1,4 @@
-import { buildProductAnalysisPrompt } from '../config/Prompts.js';
+import { buildProductAnalysisPrompt, PROMPT_VERSION, PRODUCT_ANALYSIS_SCHEMA } from '../config/Prompts.js';
 import { BaseProductMatcher } from './BaseProductMatcher.js';
 
 /**
@@ -6,10 +6,87 @@ import { BaseProductMatcher } from './BaseProductMatcher.js';
  * and provides compatibility scores (1-10) using Chrome's built-in AI
  */
 export class PersonalStyleMatcher extends BaseProductMatcher {
-    constructor() {
-        super();
+    /**
+     * Default weight of each sub-score in the overall score. The model judges each one
+     * against one section of the style profile: color -> color_palette, silhouette ->
+     * body_type_analysis, pattern -> pattern_preferences, aesthetic -> style_categories
+     * and overall_aesthetic. Overridden with setScoreWeights() ('styleScoreWeights' in storage).
+     */
+    static DEFAULT_SCORE_WEIGHTS = {
+        color: 0.3,
+        silhouette: 0.3,
+        pattern: 0.15,
+        aesthetic: 0.25
+    };
+
+    /**
+     * @param {LanguageModelSessionManager|null} [sessionManager=null] - Shared session pool
+     */
+    constructor(sessionManager = null) {
+        super(sessionManager);
         this.maxScore = 10;  // Score range: 1-10
         this.analyzerName = 'PersonalStyleMatcher';
+        this.responseSchema = PRODUCT_ANALYSIS_SCHEMA;
+        // Profile object -> version hash, so the profile is serialized once, not per product
+        this.profileVersions = new WeakMap();
+        this.scoreWeights = { ...PersonalStyleMatcher.DEFAULT_SCORE_WEIGHTS };
+    }
+
+    /**
+     * Set how much each sub-score counts towards the overall score
+     * Weights are relative (they need not add up to 1); missing, negative or
+     * non-numeric weights fall back to the defaults
+     * @param {Object|null} weights - e.g. { color: 2, silhouette: 1, pattern: 0, aesthetic: 1 }
+     */
+    setScoreWeights(weights) {
+        const defaults = PersonalStyleMatcher.DEFAULT_SCORE_WEIGHTS;
+        const next = {};
+
+        Object.keys(defaults).forEach(key => {
+            const value = Number(weights?.[key]);
+            next[key] = Number.isFinite(value) && value >= 0 ? value : defaults[key];
+        });
+
+        // All zero would divide by zero - keep the defaults instead
+        const total = Object.values(next).reduce((sum, value) => sum + value, 0);
+        this.scoreWeights = total > 0 ? next : { ...defaults };
+
+        console.log('⚖️ Style score weights:', this.scoreWeights);
+    }
+
+    /**
+     * Compute the overall score as the weighted average of the sub-scores
+     * Implementation of BaseProductMatcher.applyScoring()
+     * @param {Object} result - Successful analysis result with a breakdown
+     * @returns {Object} Result with score (1-10)
+     */
+    applyScoring(result) {
+        if (!result.breakdown) {
+            return result;
+        }
+        return { ...result, score: this.computeScore(result.breakdown) };
+    }
+
+    /**
+     * Weighted average of a breakdown, rounded and kept within 1-10
+     * @param {Object} breakdown - { color, silhouette, pattern, aesthetic }
+     * @returns {number} Overall score
+     */
+    computeScore(breakdown) {
+        let weighted = 0;
+        let totalWeight = 0;
+
+        Object.entries(this.scoreWeights).forEach(([key, weight]) => {
+            if (typeof breakdown[key] === 'number') {
+                weighted += breakdown[key] * weight;
+                totalWeight += weight;
+            }
+        });
+
+        if (totalWeight === 0) {
+            return Math.ceil(this.maxScore / 2);
+        }
+        return Math.min(this.maxScore, Math.max(1, Math.round(weighted / totalWeight)));
     }
 
     /**
@@ -17,10 +94,16 @@ export class PersonalStyleMatcher extends BaseProductMatcher {
      * Convenience wrapper around base analyze() method
      * @param {HTMLImageElement} productImage - Product image element
      * @param {Object} styleProfile - User's style profile
+     * @param {Object} [options={}] - Analysis options
+     * @param {Object|null} [options.productData] - Structured product record from ProductMetadataExtractor
+     * @param {HTMLImageElement[]} [options.additionalImages] - Other shots of the same product (PDP deep analysis)
+     * @param {string|null} [options.productId] - Product page URL, used to key the analysis cache
+     * @param {number} [options.priority] - LanguageModelSessionManager.PRIORITY value (NORMAL when omitted)
+     * @param {AbortSignal|null} [options.signal] - Cancels the analysis (result method 'cancelled')
      * @returns {Promise<Object>} Analysis result with score (1-10) and reasoning
      */
-    async analyzeProduct(productImage, styleProfile) {
-        return this.analyze(productImage, { styleProfile });
+    async analyzeProduct(productImage, styleProfile, options = {}) {
+        return this.analyze(productImage, { ...options, styleProfile });
     }
 
 
@@ -30,7 +113,7 @@ export class PersonalStyleMatcher extends BaseProductMatcher {
      * @private
      */
     async buildPrompt(productImage, options) {
-        const { styleProfile } = options;
+        const { styleProfile, productData = null, imageCount = 1 } = options;
 
         // Extract key information from style profile
         const bestColors = styleProfile.color_palette?.best_colors || [];
@@ -39,6 +122,11 @@ export class PersonalStyleMatcher extends BaseProductMatcher {
         const recommendedPatterns = styleProfile.pattern_preferences?.recommended_patterns || [];
         const avoidPatterns = styleProfile.pattern_preferences?.avoid_patterns || [];
         const aestheticKeywords = styleProfile.overall_aesthetic?.keywords || [];
+        const silhouettes = styleProfile.body_type_analysis?.silhouettes || [];
+        const fits = styleProfile.body_type_analysis?.fits || [];
+        // Added by ContentScriptManager from the summarized thumbs up/down (StyleFeedbackStore)
+        const learnedLikes = styleProfile.learned_preferences?.likes || [];
+        const learnedDislikes = styleProfile.learned_preferences?.dislikes || [];
 
         // Get image context
         const altText = productImage.alt || '';
@@ -54,6 +142,12 @@ export class PersonalStyleMatcher extends BaseProductMatcher {
             aestheticKeywords,
             recommendedPatterns,
             avoidPatterns,
+            silhouettes,
+            fits,
+            productData,
+            imageCount,
+            learnedLikes,
+            learnedDislikes,
         });
         console.log('🔍 The prompt i asked:', prompt);
         return prompt;
@@ -62,18 +156,29 @@ export class PersonalStyleMatcher extends BaseProductMatcher {
 
     /**
      * Generate cache key for product
-     * Only uses image src since style profile is global (one per session)
-     * When style profile changes, cache should be cleared entirely
+     * Includes the style profile and prompt versions and the provider, so editing or
+     * regenerating the profile, changing the prompt or switching models never reuses results
      * @private
      */
     getCacheKey(productImage, options) {
-        // Use only image src for cache key (ignore styleProfile in options)
-        const imageSrc = productImage.src || productImage.currentSrc || '';
-
-        // Simple hash of the image src (first 50 chars + length)
-        const imageHash = imageSrc.substring(0, 50) + imageSrc.length;
+        const profileVersion = this.getProfileVersion(options.styleProfile);
+        return `style:${this.getProductCacheId(productImage, options)}:p${profileVersion}:v${PROMPT_VERSION}${this.getProviderCacheSuffix()}`;
+    }
 
-        return `product_${imageHash}`;
+    /**
+     * Hash the style profile's contents
+     * @param {Object} styleProfile - User's style profile
+     * @returns {string} Version hash
+     * @private
+     */
+    getProfileVersion(styleProfile) {
+        if (!styleProfile) {
+            return '-';
+        }
+        if (!this.profileVersions.has(styleProfile)) {
+            this.profileVersions.set(styleProfile, this._shortHash(JSON.stringify(styleProfile)));
+        }
+        return this.profileVersions.get(styleProfile);
     }
 
 }
@@ -1,4 +1,4 @@
-import { buildPromptRankingPrompt } from '../config/Prompts.js';
+import { buildPromptRankingPrompt, PROMPT_VERSION, PROMPT_RANKING_SCHEMA } from '../config/Prompts.js';
 import { BaseProductMatcher } from './BaseProductMatcher.js';
 
 /**
@@ -7,10 +7,14 @@ import { BaseProductMatcher } from './BaseProductMatcher.js';
  * Uses actual image classification for accurate matching beyond just alt text
  */
 export class ProductSearchMatcher extends BaseProductMatcher {
-    constructor() {
-        super();
+    /**
+     * @param {LanguageModelSessionManager|null} [sessionManager=null] - Shared session pool
+     */
+    constructor(sessionManager = null) {
+        super(sessionManager);
         this.maxScore = 3;  // Score range: 1-3 (tier system)
         this.analyzerName = 'ProductSearchMatcher';
+        this.responseSchema = PROMPT_RANKING_SCHEMA;
     }
 
     /**
@@ -18,10 +22,15 @@ export class ProductSearchMatcher extends BaseProductMatcher {
      * Convenience wrapper around base analyze() method
      * @param {HTMLImageElement} productImage - Product image element
      * @param {string} userPrompt - User's search prompt
+     * @param {Object} [options={}] - Analysis options
+     * @param {Object|null} [options.productData] - Structured product record from ProductMetadataExtractor
+     * @param {string|null} [options.productId] - Product page URL, used to key the analysis cache
+     * @param {number} [options.priority] - LanguageModelSessionManager.PRIORITY value (NORMAL when omitted)
+     * @param {AbortSignal|null} [options.signal] - Cancels the analysis (result method 'cancelled')
      * @returns {Promise<Object>} Analysis result with tier (1=bad, 2=fine, 3=good) and reasoning
      */
-    async analyzeProductWithPrompt(productImage, userPrompt) {
-        return this.analyze(productImage, { userPrompt });
+    async analyzeProductWithPrompt(productImage, userPrompt, options = {}) {
+        return this.analyze(productImage, { ...options, userPrompt });
     }
 
 
@@ -117,7 +126,7 @@ export class ProductSearchMatcher extends BaseProductMatcher {
      * @private
      */
     async buildPrompt(productImage, options) {
-        const { userPrompt } = options;
+        const { userPrompt, productData = null } = options;
 
         // Get image context
         const altText = productImage.alt || '';
@@ -140,7 +149,8 @@ export class ProductSearchMatcher extends BaseProductMatcher {
             userPrompt,
             altText,
             imageContext,
-            classificationInfo
+            classificationInfo,
+            productData
         });
     }
 
@@ -152,28 +162,22 @@ export class ProductSearchMatcher extends BaseProductMatcher {
      */
     getCacheKey(productImage, options) {
         const { userPrompt = '' } = options;
+        const promptHash = this._shortHash(userPrompt.trim());
 
-        // Use image src and prompt for cache key
-        const imageSrc = productImage.src || productImage.currentSrc || '';
-
-        // Simple hash of the image src (first 50 chars + length)
-        const imageHash = imageSrc.substring(0, 50) + imageSrc.length;
-
-        // Simple hash of prompt (first 30 chars + length)
-        const promptHash = userPrompt.substring(0, 30) + userPrompt.length;
-
-        return `prompt_${imageHash}_${promptHash}`;
+        return `search:${this.getProductCacheId(productImage, options)}:q${promptHash}:v${PROMPT_VERSION}${this.getProviderCacheSuffix()}`;
     }
 
     /**
-     * Analyze detected products against user's prompt (moved from ContentScriptManager)
-     * This method is kept for potential future use when prompt mode is re-enabled
+     * Analyze detected products against user's prompt (search mode in the popup)
      * @param {Array<Object>} detectedProducts - Array of detected product objects
      * @param {string} userPrompt - User's search prompt
      * @param {Object} callbacks - Callback functions for progress and completion
-     * @returns {Promise<Array>} Analysis results
+     * @param {Object} [options]
+     * @param {number} [options.priority] - LanguageModelSessionManager.PRIORITY value for every product
+     * @param {AbortSignal} [options.signal] - Cancels the batch; products not started get no result
+     * @returns {Promise<Array>} Analysis results, index-aligned with detectedProducts
      */
-    async analyzeDetectedProducts(detectedProducts, userPrompt, callbacks = {}) {
+    async analyzeDetectedProducts(detectedProducts, userPrompt, callbacks = {}, { priority, signal = null } = {}) {
         console.log('🎯 ProductSearchMatcher.analyzeDetectedProducts called');
         console.log('   Products:', detectedProducts.length);
         console.log('   Prompt:', userPrompt);
@@ -195,14 +199,14 @@ export class ProductSearchMatcher extends BaseProductMatcher {
             // Initialize the analyzer
             await this.initialize();
 
-            // Analyze products in batches
+            // Analyze products (concurrency is bounded by the session manager)
             console.log('🚀 Starting batch analysis...');
             const analysisResults = await this.analyzeBatch(
                 productImages,
-                { userPrompt },
+                { userPrompt, priority, signal },
                 {
-                    batchSize: 10,
-                    delayBetweenBatches: 500,
+                    productData: detectedProducts.map(product => product.productData || null),
+                    productIds: detectedProducts.map(product => product.productLink || null),
                     onProgress: (progress) => {
                         console.log(`📊 Analysis progress: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
                         if (callbacks.onProgress) {
@@ -3,6 +3,96 @@
  * All AI prompts used across the extension are defined here
  */
 
+/**
+ * Version of the prompts below. Analysis results are cached across sessions under keys
+ * that include it, so bump it whenever a prompt or its expected response format changes,
+ * or the product images the model is shown (ai/ImagePreprocessor.js).
+ */
+export const PROMPT_VERSION = 6;
+
+/**
+ * Instructions shared by the product matchers' prompts (style scores, search ranks, outfit
+ * descriptions). The Prompt API base session starts with them (LanguageModelSessionManager),
+ * so each clone has them without reading them again; remote providers have no session and
+ * get them in front of the prompt (BaseProductMatcher).
+ */
+export const SCORING_SYSTEM_PROMPT = `You are a fashion assistant looking at clothing from online shops for one user.
+- Judge only the garment being sold, not the model wearing it, the background or the styling around it.
+- Product details from the retailer's page are reliable for name, colour and material; prefer them to guesses from the image.
+- Answer with one JSON object matching the response format given in the request: no markdown, no code fences, nothing before or after it.
+- Scores are integers inside the range the request gives.`;
+
+/**
+ * JSON Schemas passed to the Prompt API as `responseConstraint` and used to validate
+ * the responses (services/StructuredOutput.js). Keep them in sync with the prompts.
+ */
+const SUB_SCORE_SCHEMA = { type: 'integer', minimum: 1, maximum: 10 };
+
+// No overall score: PersonalStyleMatcher computes it from the breakdown with its weights
+export const PRODUCT_ANALYSIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        breakdown: {
+            type: 'object',
+            properties: {
+                color: SUB_SCORE_SCHEMA,
+                silhouette: SUB_SCORE_SCHEMA,
+                pattern: SUB_SCORE_SCHEMA,
+                aesthetic: SUB_SCORE_SCHEMA
+            },
+            required: ['color', 'silhouette', 'pattern', 'aesthetic'],
+            additionalProperties: false
+        },
+        reason: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 }
+    },
+    required: ['breakdown', 'reason', 'description'],
+    additionalProperties: false
+};
+
+export const PROMPT_RANKING_SCHEMA = {
+    type: 'object',
+    properties: {
+        score: { type: 'integer', minimum: 1, maximum: 3 },
+        reason: { type: 'string', minLength: 1 }
+    },
+    required: ['score', 'reason'],
+    additionalProperties: false
+};
+
+export const OUTFIT_DESCRIPTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        description: { type: 'string', minLength: 1 }
+    },
+    required: ['description'],
+    additionalProperties: false
+};
+
+/**
+ * Format a normalized product record (see ProductMetadataExtractor) as prompt lines
+ * @param {Object|null} productData - Product record
+ * @returns {string} Bullet lines, or empty string when nothing is known
+ */
+export function formatProductDetails(productData) {
+    if (!productData) {
+        return '';
+    }
+
+    const lines = [];
+    if (productData.name) lines.push(`- Name: ${productData.name}`);
+    if (productData.brand) lines.push(`- Brand: ${productData.brand}`);
+    if (productData.price !== null && productData.price !== undefined) {
+        lines.push(`- Price: ${productData.price}${productData.currency ? ` ${productData.currency}` : ''}`);
+    }
+    if (productData.colour) lines.push(`- Colour: ${productData.colour}`);
+    if (productData.material) lines.push(`- Material: ${productData.material}`);
+    if (productData.sizes?.length > 0) lines.push(`- Sizes: ${productData.sizes.join(', ')}`);
+    if (productData.availability) lines.push(`- Availability: ${productData.availability.replace('_', ' ')}`);
+
+    return lines.join('\n');
+}
+
 /**
  * Product analysis prompt - analyzes product against user's style profile
  * @param {Object} params - Prompt parameters
@@ -14,7 +104,13 @@
  * @param {Array<string>} params.aestheticKeywords - Aesthetic keywords
  * @param {Array<string>} params.recommendedPatterns - Recommended patterns
  * @param {Array<string>} params.avoidPatterns - Patterns to avoid
+ * @param {Array<string>} [params.silhouettes=[]] - Silhouettes that flatter the user's body type
+ * @param {Array<string>} [params.fits=[]] - Fit styles that work best on the user
  * @param {boolean} [params.hasImageAttached=false] - Whether an image will be attached to the Prompt API call
+ * @param {Object|null} [params.productData=null] - Structured product record from the retailer's page
+ * @param {number} [params.imageCount=1] - Number of attached images (several = gallery of the same product)
+ * @param {Array<string>} [params.learnedLikes=[]] - Preferences learned from the user's thumbs up (StyleFeedbackStore)
+ * @param {Array<string>} [params.learnedDislikes=[]] - Preferences learned from the user's thumbs down
  * @returns {string} Formatted prompt
  */
 export function buildProductAnalysisPrompt({
@@ -25,22 +121,50 @@ export function buildProductAnalysisPrompt({
     aestheticKeywords,
     recommendedPatterns,
     avoidPatterns,
+    silhouettes = [],
+    fits = [],
+    productData = null,
+    imageCount = 1,
+    learnedLikes = [],
+    learnedDislikes = [],
 }) {
-    return `Rate how good the outfit in the attached image will look on the user based on their style profile.
+    const productDetails = formatProductDetails(productData);
+    // Likes and dislikes stay apart: an entry like "satin and shiny fabrics" means nothing without its side
+    const learnedLines = [
+        learnedLikes.length > 0 ? `Likes:\n${learnedLikes.map(text => `- ${text}`).join('\n')}` : '',
+        learnedDislikes.length > 0 ? `Dislikes:\n${learnedDislikes.map(text => `- ${text}`).join('\n')}` : ''
+    ].filter(Boolean).join('\n');
 
+    return `Rate how good the outfit in the attached image will look on the user based on their style profile.
+${imageCount > 1 ? `The ${imageCount} attached images are different shots of the SAME product - judge them together as one item.
+` : ''}${productDetails ? `
+PRODUCT DETAILS (from the retailer's page - trust these over guesses from the image):
+${productDetails}
+` : ''}
 USER'S STYLE PROFILE (what tends to look good on the user):
 - Best colors that flatter the user: ${bestColors.join(', ')}
 ${avoidColors.length > 0 ? `- Colors to avoid on the user: ${avoidColors.join(', ')}` : ''}
-- Preferred style categories on the user: ${styleCategories.join(', ')}
-- User's aesthetic tendencies: ${aestheticKeywords.join(', ')}
+- Silhouettes that flatter the user: ${silhouettes.length > 0 ? silhouettes.join(', ') : 'not specified'}
+- Fits that work best on the user: ${fits.length > 0 ? fits.join(', ') : 'not specified'}
 - Patterns that suit the user: ${recommendedPatterns.join(', ')}
 ${avoidPatterns.length > 0 ? `- Patterns that usually don't suit the user: ${avoidPatterns.join(', ')}` : ''}
-
+- Preferred style categories on the user: ${styleCategories.join(', ')}
+- User's aesthetic tendencies: ${aestheticKeywords.join(', ')}
+${learnedLines ? `
+LEARNED FROM THE USER'S FEEDBACK ON EARLIER SCORES (these override the profile above where they disagree):
+${learnedLines}
+` : ''}
 TASK:
-Judge whether the outfit in the image will look good on the user based on the style profile above. Provide a strict 1-10 rating and a concise reason:
-- 1-4: Unfavorable for the user (clashes with flattering colors/aesthetic; unflattering pattern/silhouette)
+Judge whether the outfit in the image will look good on the user based on the style profile above. Rate it strictly from 1 to 10 on each of these dimensions, judging each one ONLY against its part of the profile:
+- color: the garment's colors against the best colors and colors to avoid
+- silhouette: its cut, shape and fit against the flattering silhouettes and fits
+- pattern: its pattern or texture against the suitable patterns and patterns to avoid (a plain solid that suits the user scores well)
+- aesthetic: its overall style against the preferred style categories and aesthetic tendencies
+For each dimension:
+- 1-4: Unfavorable for the user (clashes with that part of the profile)
 - 5-8: Mixed/uncertain for the user (some alignment but notable mismatches)
-- 9-10: Excellent for the user (strong alignment; visually very flattering) — reserve for truly exceptional cases
+- 9-10: Excellent for the user (strong alignment) — reserve for truly exceptional cases
+Then give a concise reason naming the strongest and weakest dimension.
 
 Then provide a detailed visual description of the garment for virtual try-on image generation. Focus on:
 - Type of garment (e.g., dress, shirt, pants, jacket, skirt)
@@ -57,10 +181,17 @@ Then provide a detailed visual description of the garment for virtual try-on ima
 - Pattern/texture (e.g., solid, striped, floral, plaid, textured, ribbed)
 - Overall aesthetic (e.g., casual, formal, sporty, bohemian, minimalist, vintage)
 
-Respond in this exact format:
-SCORE: [number 1-10]
-REASON: [brief 1-sentence explanation tied to the user's style profile]
-DESCRIPTION: [2-3 sentence detailed visual description capturing fit, length, and key features]`;
+Respond with a JSON object:
+{
+  "breakdown": {
+    "color": <integer 1-10>,
+    "silhouette": <integer 1-10>,
+    "pattern": <integer 1-10>,
+    "aesthetic": <integer 1-10>
+  },
+  "reason": "<brief 1-sentence explanation tied to the user's style profile>",
+  "description": "<2-3 sentence detailed visual description capturing fit, length, and key features>"
+}`;
 }
 
 /**
@@ -70,14 +201,18 @@ DESCRIPTION: [2-3 sentence detailed visual description capturing fit, length, an
  * @param {string} params.altText - Image alt text
  * @param {string} params.imageContext - Additional image context
  * @param {string} params.classificationInfo - Image classification results (if available)
+ * @param {Object|null} [params.productData=null] - Structured product record from the retailer's page
  * @returns {string} Formatted prompt
  */
 export function buildPromptRankingPrompt({
     userPrompt,
     altText,
     imageContext,
-    classificationInfo = ''
+    classificationInfo = '',
+    productData = null
 }) {
+    const productDetails = formatProductDetails(productData);
+
     return `Analyze this clothing item for how well it matches this specific search request:
 
 USER IS LOOKING FOR: "${userPrompt}"
@@ -85,7 +220,10 @@ USER IS LOOKING FOR: "${userPrompt}"
 IMAGE CONTEXT:
 - Alt text: "${altText}"
 - ${imageContext}${classificationInfo}
-
+${productDetails ? `
+PRODUCT DETAILS (from the retailer's page):
+${productDetails}
+` : ''}
 TASK:
 Rate how well this item matches the user's specific request from 1-3:
 - 1 (NO): Does not match the request at all (wrong item type, color, or style)
@@ -104,34 +242,34 @@ IMPORTANT RULES:
 - If image classification shows labels that match the user's request: higher score likely
 - If image classification shows labels that conflict with the request: lower score likely
 - Use alt text as secondary information to supplement the classification
+- Product details (name, colour, material) come from the retailer and are reliable for colour and material
 - If the image classification clearly matches the request: score 3
 - If the image classification conflicts with the request: score 1
 - If information is limited or ambiguous: score 2
 
-Respond in this exact format:
-SCORE: [number 1, 2, or 3]
-REASON: [brief 1-sentence explanation of why this matches or doesn't match the request]
+Respond with a JSON object:
+{
+  "score": <integer 1, 2 or 3>,
+  "reason": "<brief 1-sentence explanation of why this matches or doesn't match the request>"
+}
 
 Example 1 - Good match:
 User prompt: "black A-line dress"
 Alt text: "Black A-line midi dress with v-neck"
 Response:
-SCORE: 3
-REASON: Black A-line dress matches all specified criteria perfectly.
+{"score": 3, "reason": "Black A-line dress matches all specified criteria perfectly."}
 
 Example 2 - Wrong item:
 User prompt: "black A-line dress"
 Alt text: "White floral maxi skirt"
 Response:
-SCORE: 1
-REASON: This is a skirt, not a dress, and wrong color.
+{"score": 1, "reason": "This is a skirt, not a dress, and wrong color."}
 
 Example 3 - Partial match:
 User prompt: "black A-line dress"
 Alt text: "Black bodycon dress"
 Response:
-SCORE: 2
-REASON: Black dress but bodycon style instead of A-line.`;
+{"score": 2, "reason": "Black dress but bodycon style instead of A-line."}`;
 }
 
 /**
@@ -139,18 +277,23 @@ REASON: Black dress but bodycon style instead of A-line.`;
  * @param {Object} params - Prompt parameters
  * @param {string} params.altText - Image alt text
  * @param {string} params.imageContext - Additional image context
+ * @param {Object|null} [params.productData=null] - Structured product record from the retailer's page
  * @returns {string} Formatted prompt
  */
 export function buildOutfitDescriptionPrompt({
     altText,
-    imageContext
+    imageContext,
+    productData = null
 }) {
+    const productDetails = formatProductDetails(productData);
+
     return `Describe this clothing item in detail for virtual try-on image generation.
 
 IMAGE CONTEXT:
 - Alt text: "${altText}"
 - ${imageContext}
-
+${productDetails ? `${productDetails}
+` : ''}
 TASK:
 Provide a detailed description of this clothing item that will help an AI image generator create accurate virtual try-on images. Focus on:
 - Type of garment (e.g., dress, shirt, pants, jacket, skirt)
@@ -169,7 +312,7 @@ Provide a detailed description of this clothing item that will help an AI image
 
 Provide a concise but comprehensive description in 2-3 sentences that captures ALL important visual details, especially fit and length.
 
-Example responses:
+Example descriptions:
 "Black fitted leather jacket with silver zipper closure, notched lapels, and zippered pockets. Features long sleeves with zippered cuffs and a cropped length hitting at the waist. Tight, body-hugging fit with classic moto-style and edgy hardware details."
 
 "Floral midi dress in a soft pink and white pattern with small roses. Features a loose, flowy A-line silhouette, short flutter sleeves, and a v-neckline with button details. Knee-length hem with relaxed fit made from lightweight cotton, romantic feminine aesthetic."
@@ -178,5 +321,5 @@ Example responses:
 
 "Oversized white linen button-down shirt with long sleeves and collar. Loose, relaxed fit hitting mid-thigh length with dropped shoulders and chest pocket. Breezy casual aesthetic perfect for layering."
 
-Respond with ONLY the description text, no additional formatting.`;
+Respond with a JSON object: {"description": "<the description>"}`;
 }
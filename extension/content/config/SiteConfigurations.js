@@ -1,10 +1,22 @@
 // Site-specific configuration for e-commerce site detection and selectors
+// Each entry is a site adapter (see services/SiteAdapterRegistry.js for the schema).
+// User-imported adapters use the same format and are loaded from chrome.storage.local.
+
+// Version of the site adapter format understood by this build
+export const SITE_ADAPTER_SCHEMA_VERSION = 1;
+
 export const SUPPORTED_SITES = {
     'zara.com': {
+        schemaVersion: 1,
+        id: 'zara',
         name: 'Zara',
-        productPagePatterns: ['/product/', '/p/', '/item/'],
-        categoryPagePatterns: ['/category/', '/c/', '/shop/'],
+        hosts: ['zara.com'],
         isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: ['/product/', '/p/', '/item/'], urlRegex: ['-p\\d+\\.html'] },
+            category: { urlPatterns: ['/category/', '/c/', '/shop/'], urlRegex: ['-l\\d+\\.html'] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&](q|query|searchterm|search_term|text)='] }
+        },
         selectors: {
             productImages: [
                 '.media-image img',
@@ -23,14 +35,32 @@ export const SUPPORTED_SITES = {
                 'a[href*="/product/"]',
                 'a[href*="/p/"]',
                 '.product-link'
+            ],
+            price: [
+                '.price__amount',
+                '.money-amount__main',
+                '[class*="price"]'
+            ],
+            title: [
+                '.product-grid-product-info__name',
+                '.product-detail-info__header-name',
+                'h1',
+                'h2'
             ]
-        }
+        },
+        locale: { languages: ['en', 'es'], currency: 'EUR', decimalSeparator: ',' }
     },
     'hm.com': {
+        schemaVersion: 1,
+        id: 'hm',
         name: 'H&M',
-        productPagePatterns: ['/product/', '/p/', '/item/'],
-        categoryPagePatterns: ['/category/', '/c/', '/shop/', '/women/', '/men/', '/kids/'],
+        hosts: ['hm.com'],
         isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: ['/product/', '/p/', '/item/'], urlRegex: ['productpage\\.\\d+\\.html'] },
+            category: { urlPatterns: ['/category/', '/c/', '/shop/', '/women/', '/men/', '/kids/'], urlRegex: [] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&](q|query|searchterm|search_term|text)='] }
+        },
         selectors: {
             productImages: [
                 '.product-detail-main-image img',
@@ -49,14 +79,32 @@ export const SUPPORTED_SITES = {
                 'a[href*="/product/"]',
                 'a[href*="/p/"]',
                 '.item-link'
+            ],
+            price: [
+                '.item-price',
+                '.price-value',
+                '[class*="price"]'
+            ],
+            title: [
+                '.item-heading',
+                '.product-item-headline',
+                'h1',
+                'h2'
             ]
-        }
+        },
+        locale: { languages: ['en'], currency: 'USD', decimalSeparator: '.' }
     },
     'nike.com': {
+        schemaVersion: 1,
+        id: 'nike',
         name: 'Nike',
-        productPagePatterns: ['/product/', '/p/', '/item/', '/t/'],
-        categoryPagePatterns: ['/category/', '/c/', '/shop/', '/men/', '/women/', '/kids/'],
+        hosts: ['nike.com'],
         isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: ['/product/', '/p/', '/item/', '/t/'], urlRegex: [] },
+            category: { urlPatterns: ['/category/', '/c/', '/shop/', '/w/', '/men/', '/women/', '/kids/'], urlRegex: [] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&](q|query|searchterm|search_term|text)='] }
+        },
         selectors: {
             productImages: [
                 '.product-image img',
@@ -75,8 +123,208 @@ export const SUPPORTED_SITES = {
                 'a[href*="/t/"]',
                 'a[href*="/product/"]',
                 '.product-card-link'
+            ],
+            price: [
+                '.product-price',
+                '[data-testid="product-price"]',
+                '[class*="price"]'
+            ],
+            title: [
+                '.product-card__title',
+                '#pdp_product_title',
+                'h1'
+            ]
+        },
+        locale: { languages: ['en'], currency: 'USD', decimalSeparator: '.' }
+    },
+    'asos.com': {
+        schemaVersion: 1,
+        id: 'asos',
+        name: 'ASOS',
+        hosts: ['asos.com'],
+        isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: ['/prd/'], urlRegex: [] },
+            category: { urlPatterns: ['/cat/'], urlRegex: ['[?&]cid=\\d+'] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&]q='] }
+        },
+        selectors: {
+            productImages: [
+                'article[id^="product-"] img',
+                '[data-testid="gallery-image"] img',
+                '.gallery-image'
+            ],
+            productCards: [
+                'article[id^="product-"]',
+                'section[data-auto-id="productList"] article'
+            ],
+            productLinks: [
+                'a[href*="/prd/"]'
+            ],
+            price: [
+                '[data-auto-id="productTilePrice"]',
+                '[data-testid="current-price"]',
+                '[class*="price"]'
+            ],
+            title: [
+                '[data-auto-id="productTileDescription"]',
+                '[class*="productDescription"]',
+                'h1'
+            ]
+        },
+        locale: { languages: ['en'], currency: 'GBP', decimalSeparator: '.' }
+    },
+    'uniqlo.com': {
+        schemaVersion: 1,
+        id: 'uniqlo',
+        name: 'Uniqlo',
+        hosts: ['uniqlo.com'],
+        isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: [], urlRegex: ['/products/e\\d{6}'] },
+            category: { urlPatterns: ['/feature/', '/women/', '/men/', '/kids/', '/baby/'], urlRegex: [] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&]q='] }
+        },
+        selectors: {
+            productImages: [
+                '.fr-ec-product-tile__image img',
+                '.fr-ec-image-gallery img',
+                '.fr-ec-media-gallery img'
+            ],
+            productCards: [
+                '.fr-ec-product-tile',
+                '[data-testid="productTile"]'
+            ],
+            productLinks: [
+                'a[href*="/products/"]'
+            ],
+            price: [
+                '.fr-ec-price-text',
+                '.fr-ec-price',
+                '[class*="price"]'
+            ],
+            title: [
+                '.fr-ec-product-tile__end-product-name',
+                '.fr-ec-title',
+                'h1'
+            ]
+        },
+        locale: { languages: ['en'], currency: 'USD', decimalSeparator: '.' }
+    },
+    'mango.com': {
+        schemaVersion: 1,
+        id: 'mango',
+        name: 'Mango',
+        hosts: ['mango.com'],
+        isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: ['/p/'], urlRegex: ['_\\d{8}(\\?|$)'] },
+            category: { urlPatterns: ['/c/'], urlRegex: [] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&](q|query)='] }
+        },
+        selectors: {
+            productImages: [
+                '[data-testid="plp.product"] img',
+                '[data-testid="pdp.imageGrid"] img',
+                '.product-image img'
+            ],
+            productCards: [
+                '[data-testid="plp.product"]',
+                'li[class*="ProductItem"]'
+            ],
+            productLinks: [
+                'a[href*="/p/"]'
+            ],
+            price: [
+                '[data-testid="plp.product.price"]',
+                '[data-testid="pdp.price"]',
+                '[class*="price"]'
+            ],
+            title: [
+                '[data-testid="plp.product.title"]',
+                '[data-testid="pdp.title"]',
+                'h1'
+            ]
+        },
+        // Country lives in the path (/gb/, /es/), so currency and separator vary per page
+        locale: { languages: ['en', 'es'], currency: null, decimalSeparator: null }
+    },
+    'cos.com': {
+        schemaVersion: 1,
+        id: 'cos',
+        name: 'COS',
+        hosts: ['cos.com'],
+        isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: [], urlRegex: ['/product\\.[a-z0-9-]+\\.\\d+\\.html', '/product/[a-z0-9-]+-\\d+'] },
+            category: { urlPatterns: [], urlRegex: ['^(?!.*/product[./]).*/(women|men)/'] },
+            search: { urlPatterns: ['/search'], urlRegex: ['[?&](q|text)='] }
+        },
+        selectors: {
+            productImages: [
+                '.o-product img',
+                '[data-testid="product-card"] img',
+                '.product-gallery img'
+            ],
+            productCards: [
+                '.o-product',
+                '[data-testid="product-card"]'
+            ],
+            productLinks: [
+                'a[href*="/product"]'
+            ],
+            price: [
+                '.m-product-price',
+                '[data-testid="product-price"]',
+                '[class*="price"]'
+            ],
+            title: [
+                '.m-product-title',
+                '[data-testid="product-title"]',
+                'h1'
+            ]
+        },
+        locale: { languages: ['en'], currency: 'GBP', decimalSeparator: '.' }
+    },
+    'zalando.co.uk': {
+        schemaVersion: 1,
+        id: 'zalando',
+        name: 'Zalando',
+        hosts: [
+            'zalando.co.uk', 'zalando.de', 'zalando.fr', 'zalando.it', 'zalando.es', 'zalando.nl',
+            'zalando.be', 'zalando.at', 'zalando.ch', 'zalando.se', 'zalando.dk', 'zalando.pl'
+        ],
+        isClothingSite: true,
+        pageTypes: {
+            product: { urlPatterns: [], urlRegex: ['-[a-z0-9]{9}-[a-z0-9]{3}\\.html'] },
+            category: { urlPatterns: [], urlRegex: ['^https?://[^/]+/[a-z-]+/(\\?|$)'] },
+            search: { urlPatterns: ['/catalog/'], urlRegex: ['[?&]q='] }
+        },
+        selectors: {
+            productImages: [
+                'article[data-testid="product-card"] img',
+                '[data-testid="pdp-gallery"] img',
+                'article img[src*="ztat.net"]'
+            ],
+            productCards: [
+                'article[data-testid="product-card"]',
+                'article:has(a[href$=".html"])'
+            ],
+            productLinks: [
+                'a[href$=".html"]'
+            ],
+            price: [
+                '[data-testid="product-card-price"]',
+                '[data-testid="pdp-price"]',
+                'section[class*="price"] p'
+            ],
+            title: [
+                '[data-testid="product-card-name"]',
+                'h1'
             ]
-        }
+        },
+        // Currency and decimal separator differ per country domain, so prices are parsed heuristically
+        locale: { languages: ['en', 'de', 'fr', 'it', 'es', 'nl', 'sv', 'da', 'pl'], currency: null, decimalSeparator: null }
     }
 };
 // Also expose on window for backward compatibility
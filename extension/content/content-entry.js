@@ -7,6 +7,7 @@ import { SUPPORTED_SITES } from './config/SiteConfigurations.js';
 // Import core modules
 import { SiteDetector } from './core/SiteDetector.js';
 import { PageTypeDetector } from './core/PageTypeDetector.js';
+import { NavigationManager } from './core/NavigationManager.js';
 import { ContentScriptManager } from './core/ContentScriptManager.js';
 
 // Import AI modules
@@ -14,13 +15,21 @@ import { AIAnalysisEngine } from './ai/AIAnalysisEngine.js';
 import { AltTextAnalyzer } from './ai/AltTextAnalyzer.js';
 import { ImageClassifier } from './ai/ImageClassifier.js';
 import { PersonalStyleMatcher } from './ai/PersonalStyleMatcher.js';
+import { LanguageModelSessionManager } from './ai/LanguageModelSessionManager.js';
 import { ProductSearchMatcher } from './ai/ProductSearchMatcher.js';
+import { ImagePreprocessor } from './ai/ImagePreprocessor.js';
+import { BlendedRanker } from './ai/BlendedRanker.js';
 
 // Import detection modules
 import { ImageDetector } from './detection/ImageDetector.js';
 import { QuickExclusion } from './detection/QuickExclusion.js';
 import { CandidateFinder } from './detection/CandidateFinder.js';
 import { VisibilityChecker } from './detection/VisibilityChecker.js';
+import { ProductMetadataExtractor } from './detection/ProductMetadataExtractor.js';
+import { SelectorHealthMonitor } from './detection/SelectorHealthMonitor.js';
+import { ProductEntityGrouper } from './detection/ProductEntityGrouper.js';
+import { IncrementalDetector } from './detection/IncrementalDetector.js';
+import { ViewportAnalysis } from './detection/ViewportAnalysis.js';
 
 // Import UI modules
 import { VisualIndicators } from './ui/VisualIndicators.js';
@@ -29,37 +38,56 @@ import { LoadingAnimations } from './ui/LoadingAnimations.js';
 import { GlobalProgressIndicator } from './ui/GlobalProgressIndicator.js';
 import { StyleOverlayController } from './ui/StyleOverlayController.js';
 import { VirtualTryOnUI } from './ui/VirtualTryOnUI.js';
+import { SelectorPicker } from './ui/SelectorPicker.js';
 
 // Import utility modules
 import { DOMUtils } from './utils/DOMUtils.js';
 import { GeometryUtils } from './utils/GeometryUtils.js';
 import { EventListeners } from './utils/EventListeners.js';
 import { PositionCalculator } from './utils/PositionCalculator.js';
+import { SelectorGenerator } from './utils/SelectorGenerator.js';
+import { ImageSourceResolver } from './utils/ImageSourceResolver.js';
+import { DeepQuery } from './utils/DeepQuery.js';
+import { BackgroundRequest } from './utils/BackgroundRequest.js';
 
 // Export to window for compatibility
 window.SUPPORTED_SITES = SUPPORTED_SITES;
 window.SiteDetector = SiteDetector;
 window.PageTypeDetector = PageTypeDetector;
+window.NavigationManager = NavigationManager;
 window.ContentScriptManager = ContentScriptManager;
 window.AIAnalysisEngine = AIAnalysisEngine;
 window.AltTextAnalyzer = AltTextAnalyzer;
 window.ImageClassifier = ImageClassifier;
 window.PersonalStyleMatcher = PersonalStyleMatcher;
 window.ProductSearchMatcher = ProductSearchMatcher;
+window.LanguageModelSessionManager = LanguageModelSessionManager;
+window.BlendedRanker = BlendedRanker;
+window.ImagePreprocessor = ImagePreprocessor;
 window.ImageDetector = ImageDetector;
 window.QuickExclusion = QuickExclusion;
 window.CandidateFinder = CandidateFinder;
 window.VisibilityChecker = VisibilityChecker;
+window.ProductMetadataExtractor = ProductMetadataExtractor;
+window.SelectorHealthMonitor = SelectorHealthMonitor;
+window.ProductEntityGrouper = ProductEntityGrouper;
+window.IncrementalDetector = IncrementalDetector;
+window.ViewportAnalysis = ViewportAnalysis;
 window.VisualIndicators = VisualIndicators;
 window.DebugInterface = DebugInterface;
 window.LoadingAnimations = LoadingAnimations;
 window.GlobalProgressIndicator = GlobalProgressIndicator;
 window.StyleOverlayController = StyleOverlayController;
 window.VirtualTryOnUI = VirtualTryOnUI;
+window.SelectorPicker = SelectorPicker;
 window.DOMUtils = DOMUtils;
 window.GeometryUtils = GeometryUtils;
 window.EventListeners = EventListeners;
 window.PositionCalculator = PositionCalculator;
+window.SelectorGenerator = SelectorGenerator;
+window.ImageSourceResolver = ImageSourceResolver;
+window.DeepQuery = DeepQuery;
+window.BackgroundRequest = BackgroundRequest;
 
 // Initialize the content script
 console.log('🚀 Initializing AI Style Filter content script...');
@@ -1,15 +1,23 @@
 // Core modules
 import { SiteDetector } from './SiteDetector.js';
 import { PageTypeDetector } from './PageTypeDetector.js';
+import { NavigationManager } from './NavigationManager.js';
 
 // Detection modules
 import { ImageDetector } from '../detection/ImageDetector.js';
 import { CandidateFinder } from '../detection/CandidateFinder.js';
+import { ProductMetadataExtractor } from '../detection/ProductMetadataExtractor.js';
+import { SelectorHealthMonitor } from '../detection/SelectorHealthMonitor.js';
+import { IncrementalDetector } from '../detection/IncrementalDetector.js';
+import { ProductEntityGrouper } from '../detection/ProductEntityGrouper.js';
+import { ViewportAnalysis } from '../detection/ViewportAnalysis.js';
 
 // AI modules
 import { AIAnalysisEngine } from '../ai/AIAnalysisEngine.js';
 import { PersonalStyleMatcher } from '../ai/PersonalStyleMatcher.js';
 import { ProductSearchMatcher } from '../ai/ProductSearchMatcher.js';
+import { LanguageModelSessionManager } from '../ai/LanguageModelSessionManager.js';
+import { BlendedRanker } from '../ai/BlendedRanker.js';
 
 // UI modules
 import { LoadingAnimations } from '../ui/LoadingAnimations.js';
@@ -18,16 +26,33 @@ import { VisualIndicators } from '../ui/VisualIndicators.js';
 import { DebugInterface } from '../ui/DebugInterface.js';
 import { ScoreBadgeManager } from '../ui/ScoreBadgeManager.js';
 import { StyleToggleController } from '../ui/StyleToggleController.js';
+import { SelectorPicker } from '../ui/SelectorPicker.js';
 
 // Utility modules
 import { EventListeners } from '../utils/EventListeners.js';
 import { DOMUtils } from '../utils/DOMUtils.js';
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+import { BackgroundRequest } from '../utils/BackgroundRequest.js';
+import { updatePromptResultsCount } from '../../utils/PromptStorageUtils.js';
+import ExclusionRules from '../../services/ExclusionRules.js';
 
 /**
  * ContentScriptManager is the main orchestrating class that coordinates
  * all modules and provides the public API for the content script
  */
 export class ContentScriptManager {
+    // SPA routes render after the URL changes, so wait longer than on first load
+    static NAVIGATION_DETECTION_DELAY_MS = 1000;
+
+    // Image readiness events arrive in bursts (a grid scrolling in), so handle them together
+    static BACKGROUND_WORK_DELAY_MS = 250;
+
+    // Analyses that threw (image fetch, model session) are tried again after this
+    static RETRY_DELAY_MS = 5000;
+
+    // After this many thrown analyses a product is marked failed instead of retried
+    static MAX_ANALYSIS_ATTEMPTS = 3;
+
     constructor() {
         // Get current page info
         this.currentUrl = window.location.href;
@@ -40,18 +65,28 @@ export class ContentScriptManager {
         // Detect current site and page type
         this.currentSite = this.siteDetector.detectCurrentSite();
         this.pageType = this.pageTypeDetector.detectPageType();
+        this.pageClassification = this.pageTypeDetector.getLastClassification(); // { type, confidence, signals }
+        this.pipeline = 'grid'; // 'grid' (score every card) | 'pdp' (deep analysis of the main product)
 
         // Initialize other components
         this.candidateFinder = new CandidateFinder(this.currentSite);
         this.imageDetector = new ImageDetector(this.currentSite, this.isClothingImageCallback.bind(this));
+        this.productMetadataExtractor = new ProductMetadataExtractor(this.candidateFinder);
+        this.selectorHealthMonitor = new SelectorHealthMonitor(this.candidateFinder);
+        this.incrementalDetector = new IncrementalDetector(this); // Picks up cards added/removed after the first pass
+        this.viewportAnalysis = new ViewportAnalysis((element, priority) => this.handleViewportChange(element, priority)); // Analysis order: visible > near > offscreen
         this.aiAnalysisEngine = new AIAnalysisEngine();
-        this.personalStyleMatcher = new PersonalStyleMatcher();
-        this.productSearchMatcher = new ProductSearchMatcher();
+        this.sessionManager = new LanguageModelSessionManager(); // Prompt API session pool shared by the matchers
+        this.personalStyleMatcher = new PersonalStyleMatcher(this.sessionManager);
+        this.productSearchMatcher = new ProductSearchMatcher(this.sessionManager);
+        this.blendedRanker = new BlendedRanker(); // Combined mode: style score + search rank
 
         // UI components
         this.loadingAnimations = new LoadingAnimations();
         this.globalProgressIndicator = new GlobalProgressIndicator();
         this.debugInterface = new DebugInterface();
+        this.debugInterface.onStartSelectorPicker = () => this.startSelectorPicker();
+        this.selectorPicker = new SelectorPicker(this.currentHost, (override) => this.applySelectorOverride(override));
 
         // State tracking
         this.detectedProducts = [];
@@ -71,8 +106,14 @@ export class ContentScriptManager {
         // Set up try-on handler for ScoreBadgeManager
         this.scoreBadgeManager.setTryOnHandler(this.createTryOnHandler());
 
+        // Thumbs up/down on score badges go to the background's StyleFeedbackStore
+        this.scoreBadgeManager.setFeedbackHandler(this.createFeedbackHandler());
+
         // Event management
         this.eventListeners = new EventListeners(this);
+        this.navigationManager = new NavigationManager((url) => this.handleNavigationChange(url));
+        this.navigationGeneration = 0; // Bumped on every route change; async work from an older route is discarded
+        this.initialDetectionTimer = null;
         this.processedImages = new Set();
         this.lastDetectionResults = null;
         this.isInitialized = false;
@@ -83,12 +124,27 @@ export class ContentScriptManager {
         this.isShowingStyleSuggestions = false; // true = show UI suggestions, false = hide UI
         this.isStyleModeOn = false; // NEW: Simple toggle for score badges and visual effects
 
-        // Background task
-        this.backgroundTaskInterval = null; // Interval ID for background task
+        // Popup filter mode: 'style' | 'prompt' (rank products against userPrompt) |
+        // 'combined' (blend the style score with the userPrompt rank) | 'off'
+        this.rankingMode = 'style';
+        this.userPrompt = '';
+        this.searchGeneration = 0; // Bumped on every new prompt; ranks for an older prompt are discarded
+        this.isRankingSearch = false; // Lock to prevent concurrent search ranking batches
+
+        // "Never show me" rules from the dashboard: { action: 'hide' | 'minScore', rules }
+        this.exclusionRules = ExclusionRules.getDefaults();
+
+        // Background work (see scheduleBackgroundWork)
+        this.backgroundWorkTimer = null;
+        this.backgroundWorkDueAt = 0;
         this.isAnalyzing = false; // Lock to prevent concurrent analysis batches
+        this.backgroundWorkMissed = false; // Work arrived while a batch held its lock
+        ImageSourceResolver.onReady(() => this.scheduleBackgroundWork());
 
-        // Performance settings
-        // Viewport analysis moved to separate module (ViewportAnalysis.js)
+        // Aborting a kind's controller cancels its in-flight model calls, image fetches and
+        // background requests; cancelWork() replaces it for the work started afterwards
+        this.abortControllers = { style: new AbortController(), search: new AbortController(), tryOn: new AbortController() };
+        this.isStyleAnalysisPaused = false; // Set while the user has turned style mode off
     }
 
     /**
@@ -104,26 +160,24 @@ export class ContentScriptManager {
         console.log(`✅ AI Style Filter initializing on ${this.currentSite?.name || 'Unknown site'}`);
         console.log(`📄 Page Type: ${this.pageType}`);
 
-        // Inject reactive filter CSS styles
-        const cssStart = performance.now();
-        this.injectFilterStyles();
-        console.log(`⏱️ CSS injection took ${(performance.now() - cssStart).toFixed(2)}ms`);
-
         // Load user's style profile and UI visibility setting in parallel
         const storageStart = performance.now();
         await Promise.all([
+            this.loadSiteAdapters(),
+            this.loadSelectorOverride(),
             this.loadStyleProfile(),
             this.loadUIVisibility(),
-            this.loadToggleState() // NEW: Load toggle state for score badges
+            this.loadToggleState(), // NEW: Load toggle state for score badges
+            this.loadRankingMode(),
+            this.loadScoreWeights(),
+            this.loadAIProvider(),
+            this.loadExclusionRules()
         ]);
-        console.log(`⏱️ Storage operations (profile + visibility + toggle) took ${(performance.now() - storageStart).toFixed(2)}ms`);
+        console.log(`⏱️ Storage operations (adapters + taught selectors + profile + visibility + toggle + search prompt + weights + provider + rules) took ${(performance.now() - storageStart).toFixed(2)}ms`);
 
         // Set up event listeners (non-blocking)
         this.setupEventListeners();
 
-        // Viewport analysis moved to separate module (ViewportAnalysis.js)
-        // Currently unused - extension uses one-time detection instead
-
         // Show style toggle controls on the page automatically (non-blocking)
         this.styleToggleController.showControls();
 
@@ -135,52 +189,26 @@ export class ContentScriptManager {
 
         this.isInitialized = true;
         console.log(`🎉 ContentScriptManager initialization complete - Total: ${(performance.now() - initStart).toFixed(2)}ms`);
-
-        // Start background task
-        this.startBackgroundTask();
-    }
-
-    /**
-     * Inject CSS stylesheet for reactive filter styling
-     * @private
-     */
-    injectFilterStyles() {
-        const styleId = 'ai-style-filter-css';
-
-        // Check if already injected
-        if (document.getElementById(styleId)) {
-            console.log('ℹ️ Filter CSS already injected');
-            return;
-        }
-
-        try {
-            const link = document.createElement('link');
-            link.id = styleId;
-            link.rel = 'stylesheet';
-            link.type = 'text/css';
-            link.href = chrome.runtime.getURL('content/styles/FilterStyles.css');
-
-            document.head.appendChild(link);
-            console.log('✅ Filter CSS injected successfully');
-        } catch (error) {
-            console.error('❌ Failed to inject filter CSS:', error);
-        }
     }
 
     /**
      * Run initial product detection after a brief delay
+     * A pending run is replaced, so repeated calls (fast route changes) detect once.
+     * @param {number} [delay] - Milliseconds to let the page settle first
      * @private
      */
-    async runInitialDetection() {
+    async runInitialDetection(delay = 500) {
         const delayStart = performance.now();
+        clearTimeout(this.initialDetectionTimer);
+
         // Wait for page to settle and images to load
-        // Reduced delay significantly - most pages are ready much faster
-        setTimeout(async () => {
+        this.initialDetectionTimer = setTimeout(async () => {
+            this.initialDetectionTimer = null;
             console.log(`⏱️ Delay before detection: ${(performance.now() - delayStart).toFixed(2)}ms`);
             const detectionStart = performance.now();
             await this.detectProductImages();
             console.log(`⏱️ Image detection took ${(performance.now() - detectionStart).toFixed(2)}ms`);
-        }, 500); // Increased to 500ms to allow for lazy loading and dynamic content
+        }, delay);
     }
 
     /**
@@ -188,21 +216,216 @@ export class ContentScriptManager {
      * @private
      */
     setupEventListeners() {
-        this.eventListeners.setupNavigationListener(() => {
-            this.handleNavigationChange();
-        });
+        // Route changes in single-page apps call handleNavigationChange() through NavigationManager
+        this.eventListeners.setupNavigationListener();
 
-        // DISABLED: Lazy loading detection causes issues with image hover swaps
-        // Only detect initial images on page load, not dynamic changes
-        // this.eventListeners.setupLazyLoadingDetection(() => {
-        //     this.handleNewImagesDetected();
-        // });
+        // Cards added/removed after the first pass are handled by IncrementalDetector
+        // (started once initial detection completes)
 
         // EventListeners handles message setup directly
         this.eventListeners.setupMessageListeners();
 
         // Listen for showStyleSuggestions changes from popup
         this.setupUIVisibilityListener();
+
+        // Re-score analyzed products when the sub-score weights change
+        this.setupScoreWeightsListener();
+
+        // Re-blend combined scores when the style/search weight changes
+        this.setupCombinedWeightListener();
+
+        // Re-check every product when the "never show me" rules change
+        this.setupExclusionRulesListener();
+
+        // Score new products with what was learned from the user's votes
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes.learnedPreferences && this.styleProfile) {
+                this.styleProfile = this.withLearnedPreferences(this.styleProfile, changes.learnedPreferences.newValue);
+            }
+        });
+
+        // Switch models when another provider is chosen in the dashboard
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes.aiProviderSettings) {
+                this.applyAIProvider(changes.aiProviderSettings.newValue);
+            }
+        });
+    }
+
+    /**
+     * Setup storage listener for style score weight changes
+     * Scores are recomputed from the stored breakdowns - no product is analyzed again
+     * @private
+     */
+    setupScoreWeightsListener() {
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'local' || !changes.styleScoreWeights) {
+                return;
+            }
+
+            this.personalStyleMatcher.setScoreWeights(changes.styleScoreWeights.newValue);
+
+            let rescored = 0;
+            this.detectedProducts.forEach(item => {
+                if (!item.styleAnalysis?.breakdown) {
+                    return;
+                }
+                item.styleAnalysis.score = this.personalStyleMatcher.computeScore(item.styleAnalysis.breakdown);
+
+                // Gallery shots share the primary's result but carry no badge
+                if (item.role !== 'gallery' && item.element) {
+                    this.showStyleAnalysis(item.element, this.getDisplayedStyleAnalysis(item));
+                }
+                rescored++;
+            });
+
+            if (this.rankingMode === 'combined') {
+                this.renderCombinedBadges();
+            }
+
+            console.log(`⚖️ Score weights changed - rescored ${rescored} products`);
+        });
+    }
+
+    /**
+     * Setup storage listener for the combined mode's style/search weight (popup or page panel)
+     * Both analyses are kept per product, so only the blend is recomputed
+     * @private
+     */
+    setupCombinedWeightListener() {
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'local' || !changes.combinedSearchWeight) {
+                return;
+            }
+
+            this.blendedRanker.setSearchWeight(changes.combinedSearchWeight.newValue);
+            if (this.rankingMode === 'combined') {
+                this.renderCombinedBadges();
+            }
+        });
+    }
+
+    /**
+     * Setup storage listener for the dashboard's "never show me" rules
+     * @private
+     */
+    setupExclusionRulesListener() {
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'local' || !changes.exclusionRules) {
+                return;
+            }
+
+            this.exclusionRules = ExclusionRules.validate(changes.exclusionRules.newValue).settings;
+            this.reapplyExclusionRules();
+        });
+    }
+
+    /**
+     * Check a product against the "never show me" rules and mark it on the page
+     * Metadata is checked once the product is detected, the model's description once it is
+     * analyzed. Only grid products are hidden: a PDP's main product shows the rule on its badge.
+     * @param {Object} item - Detected product
+     * @returns {Object|null} { rule, label } of the matching rule
+     * @private
+     */
+    applyExclusion(item) {
+        const rule = ExclusionRules.match(this.exclusionRules, item.productData, item.styleAnalysis?.description || null);
+        item.exclusion = rule ? { rule, label: ExclusionRules.describe(rule) } : null;
+        item.hiddenByRule = Boolean(item.exclusion) && this.exclusionRules.action === 'hide' && item.role === 'grid';
+
+        if (!item.element || item.role === 'gallery') {
+            return item.exclusion;
+        }
+
+        this.scoreBadgeManager.storeExclusion(item.element, item.exclusion?.label || null);
+
+        const target = item.card || this.candidateFinder.findCardForImage(item.element) || item.element;
+        if (item.hiddenByRule) {
+            target.dataset.aiExcluded = 'hidden';
+            this.scoreBadgeManager.removeBadge(item.element);
+            this.scoreBadgeManager.hideEyeIcon(item.element);
+        } else if (target.dataset.aiExcluded) {
+            delete target.dataset.aiExcluded;
+        }
+
+        return item.exclusion;
+    }
+
+    /**
+     * Re-check every product after the rules changed and refresh its badge
+     * Products that skipped the model for a rule that no longer matches are analyzed again.
+     * @private
+     */
+    reapplyExclusionRules() {
+        let excluded = 0;
+
+        this.detectedProducts.forEach(item => {
+            const skippedModel = item.analysisStatus === 'complete' && !item.styleAnalysis;
+            if (this.applyExclusion(item)) {
+                excluded++;
+            }
+
+            if (item.role === 'gallery' || !item.element) {
+                return;
+            }
+
+            if (skippedModel && !item.exclusion) {
+                item.analysisStatus = 'not_started';
+                this.scoreBadgeManager.clearStoredScore(item.element);
+                this.scoreBadgeManager.removeBadge(item.element);
+            } else if (item.analysisStatus === 'complete') {
+                this.showStyleAnalysis(item.element, this.getDisplayedStyleAnalysis(item));
+            }
+
+            if (this.rankingMode === 'prompt' && item.searchStatus === 'complete') {
+                this.scoreBadgeManager.renderSearchBadge(item.element, item.searchAnalysis.rank, item.searchAnalysis.reason);
+            }
+        });
+
+        if (this.rankingMode === 'combined') {
+            this.renderCombinedBadges();
+        }
+
+        console.log(`🚫 Never-show-me rules changed - ${excluded} of ${this.detectedProducts.length} products excluded`);
+        this.scheduleBackgroundWork();
+    }
+
+    /**
+     * The style analysis to show for a product: its own, or the minimum score when a
+     * "never show me" rule matches (the model's score stays in the tooltip)
+     * @param {Object} item - Detected product
+     * @returns {Object} { score, reason, breakdown }
+     * @private
+     */
+    getDisplayedStyleAnalysis(item) {
+        if (!item.exclusion) {
+            return item.styleAnalysis;
+        }
+
+        const styleAnalysis = item.styleAnalysis;
+        return {
+            score: 1,
+            reason: styleAnalysis ? `Style score without the rule: ${styleAnalysis.score}/10. ${styleAnalysis.reason || ''}`.trim() : '',
+            breakdown: styleAnalysis?.breakdown || null
+        };
+    }
+
+    /**
+     * Store a product's score on its image and show the badge when style mode is ON
+     * @param {HTMLImageElement} img - Product image element
+     * @param {Object} styleAnalysis - { score, reason, breakdown }
+     * @private
+     */
+    showStyleAnalysis(img, styleAnalysis) {
+        const { score, reason, breakdown } = styleAnalysis;
+
+        // Store score in DOM data attributes (for persistence)
+        this.scoreBadgeManager.storeScore(img, score, reason, breakdown);
+
+        // If style mode is ON, render badge immediately (progressive rendering)
+        if (this.isStyleModeOn) {
+            this.scoreBadgeManager.renderBadge(img, score, reason, breakdown);
+        }
     }
 
     /**
@@ -224,9 +447,6 @@ export class ContentScriptManager {
         });
     }
 
-    // Viewport analysis code moved to /detection/ViewportAnalysis.js
-    // This feature is currently unused - extension uses one-time detection instead
-
 
 
 
@@ -244,10 +464,21 @@ export class ContentScriptManager {
         // Show loading animation
         this.loadingAnimations.showLoadingAnimation('Detecting clothing items...');
 
+        // Re-classify now that the DOM (cards, buttons, JSON-LD) has loaded
+        this.classifyPage();
+        const generation = this.navigationGeneration;
+
         try {
             // Use ImageDetector for the main detection logic
             const results = await this.imageDetector.detectProductImages(options);
 
+            // The route changed while detecting - these images belong to the previous page
+            if (generation !== this.navigationGeneration) {
+                console.log('⏭️ Route changed during detection, discarding results');
+                this.loadingAnimations.hideLoadingAnimation();
+                return { detectedImages: [], rejectedImages: [] };
+            }
+
             // Add visual indicators (basic green borders only, no scores)
             this.visualIndicators.addVisualIndicators(results.detectedImages, results.rejectedImages);
 
@@ -257,23 +488,33 @@ export class ContentScriptManager {
             }
 
             // Store results and initialize analysis status
-            this.detectedProducts = results.detectedImages.map(item => ({
-                ...item,
-                analysisStatus: 'not_started', // Track: 'not_started' | 'in_progress' | 'complete'
-                styleAnalysis: null // Will store: { score, reason, description }
-            }));
+            this.viewportAnalysis.reset();
+            this.detectedProducts = results.detectedImages.map(item => this.createProductItem(item));
+            this.assignPipelineRoles();
+            this.detectedProducts.forEach(item => this.applyExclusion(item));
             this.lastDetectionResults = {
                 detected: results.detectedImages.length,
                 rejected: results.rejectedImages.length,
                 timestamp: Date.now(),
                 pageType: this.pageType,
+                pageTypeConfidence: this.pageClassification?.confidence,
+                pipeline: this.pipeline,
                 site: this.currentSite.name
             };
 
             // Print summary table of detection results
             this.printImageDetectionSummary(results.detectedImages, results.rejectedImages);
 
-            // Scroll-based detection moved to ViewportAnalysis.js module
+            // Track how well the adapter's selectors still match (does not block detection)
+            this.selectorHealthMonitor.record(results.detectedImages, this.pageType).then(entry => {
+                if (entry && this.debugInterface.isDebugEnabled()) {
+                    this.debugInterface.logSelectorStats(entry);
+                }
+            });
+
+            // From here on only cards added to or removed from the page are processed
+            this.incrementalDetector.start();
+            this.scheduleBackgroundWork();
 
             // Hide loading animation
             this.loadingAnimations.hideLoadingAnimation();
@@ -299,6 +540,126 @@ export class ContentScriptManager {
         }
     }
 
+    /**
+     * Build the tracked product item for a detection result
+     * @param {Object} item - Detected product from ImageDetector
+     * @returns {Object} Product item with metadata and analysis state
+     * @private
+     */
+    createProductItem(item) {
+        this.viewportAnalysis.observe(item.element);
+        return {
+            ...item,
+            productData: this.productMetadataExtractor.extractForImage(item.element, this.pageType), // { name, brand, price, ... }
+            analysisStatus: 'not_started', // Track: 'not_started' | 'in_progress' | 'complete' | 'failed'
+            styleAnalysis: null, // Will store: { score, reason, description, breakdown }
+            searchStatus: 'not_started', // Search mode ranking, same states as analysisStatus
+            searchAnalysis: null, // Will store: { rank, reason } (rank 3 = YES, 2 = MAYBE, 1 = NO)
+            exclusion: null, // "Never show me" rule the product matches: { rule, label }
+            hiddenByRule: false
+        };
+    }
+
+    /**
+     * Detect products in subtrees added after the first pass (infinite scroll, lazy sections)
+     * Called by IncrementalDetector; nothing outside the subtrees is rescanned.
+     * PDP roles were settled by the first pass, so new products are scored as grid items.
+     * @param {Element[]} roots - Added subtrees
+     * @returns {Promise<Array>} Newly tracked product items
+     */
+    async detectInSubtrees(roots) {
+        if (!this.currentSite) {
+            return [];
+        }
+
+        const results = await this.imageDetector.detectProductImages({ roots });
+        if (results.detectedImages.length === 0) {
+            return [];
+        }
+
+        this.visualIndicators.addVisualIndicators(results.detectedImages, results.rejectedImages, this.detectedProducts.length);
+
+        const newItems = results.detectedImages.map(item => ({ ...this.createProductItem(item), role: 'grid' }));
+        newItems.forEach(item => this.applyExclusion(item));
+        this.detectedProducts.push(...newItems);
+
+        if (this.lastDetectionResults) {
+            this.lastDetectionResults.detected += results.detectedImages.length;
+            this.lastDetectionResults.rejected += results.rejectedImages.length;
+            this.lastDetectionResults.timestamp = Date.now();
+        }
+
+        console.log(`➕ ${newItems.length} new product(s) detected (${this.detectedProducts.length} total)`);
+
+        this.scheduleBackgroundWork();
+
+        return newItems;
+    }
+
+    /**
+     * Release products whose image left the page (recycled infinite-scroll cards, re-rendered grids)
+     * A product whose card is still on the page moves to another of its images instead
+     * (cards that swap their <img> on hover or in a carousel).
+     */
+    releaseRemovedProducts() {
+        const released = [];
+
+        this.detectedProducts = this.detectedProducts.filter(item => {
+            if (!item.element || item.element.isConnected) {
+                return true;
+            }
+
+            const remaining = (item.images || []).filter(img => img.isConnected);
+            if (item.card?.isConnected && remaining.length > 0) {
+                this.moveProductToImage(item, ProductEntityGrouper.chooseBestImage(remaining));
+                return true;
+            }
+
+            released.push(item);
+            return false;
+        });
+
+        if (released.length === 0) {
+            return;
+        }
+
+        released.forEach(item => {
+            (item.images || [item.element]).forEach(img => {
+                this.visualIndicators.removeImageIndicator(img);
+                this.scoreBadgeManager.removeBadge(img);
+                this.productAnalysisResults.delete(img);
+                this.processedImages.delete(DOMUtils.getImageKey(img));
+                this.viewportAnalysis.unobserve(img);
+            });
+        });
+        this.imageDetector.removeProducts(released.flatMap(item => item.images || [item.element]));
+
+        console.log(`➖ Released ${released.length} product(s) removed from the page (${this.detectedProducts.length} left)`);
+    }
+
+    /**
+     * Move a product's badge, eye icon and score to another image of the same product
+     * @param {Object} item - Product item whose element left the page
+     * @param {HTMLElement} img - Connected image of the same product
+     * @private
+     */
+    moveProductToImage(item, img) {
+        const previous = item.element;
+        this.visualIndicators.removeImageIndicator(previous);
+        this.scoreBadgeManager.removeBadge(previous);
+        this.viewportAnalysis.unobserve(previous);
+
+        item.element = img;
+        this.viewportAnalysis.observe(img);
+        item.imageInfo = DOMUtils.getImageInfo(img);
+        this.visualIndicators.addDetectedItemOverlays(item, this.detectedProducts.indexOf(item));
+        this.applyExclusion(item);
+
+        if (item.analysisStatus === 'complete') {
+            this.showStyleAnalysis(img, this.getDisplayedStyleAnalysis(item));
+        }
+    }
+
     /**
      * Print summary table of detected images with their details
      * @param {Array} detectedImages - Array of detected image objects
@@ -333,6 +694,9 @@ export class ContentScriptManager {
                 case 'complete':
                     analysisDisplay = '✅ Complete';
                     break;
+                case 'failed':
+                    analysisDisplay = '❌ Failed';
+                    break;
                 default:
                     analysisDisplay = analysisStatus;
             }
@@ -399,15 +763,137 @@ export class ContentScriptManager {
         return await this.aiAnalysisEngine.isClothingImage(img);
     }
 
+    /**
+     * Classify the page and choose the analysis pipeline from the result
+     * @returns {Object} Classification { type, confidence, scores, signals }
+     */
+    classifyPage() {
+        this.pageClassification = this.pageTypeDetector.classifyPage();
+        this.pageType = this.pageClassification.type;
+        this.pipeline = this.selectPipeline(this.pageClassification);
+
+        console.log(`🧭 Pipeline: ${this.pipeline} (page type ${this.pageType}, ${Math.round(this.pageClassification.confidence * 100)}% confidence)`);
+        return this.pageClassification;
+    }
+
+    /**
+     * Pick the analysis pipeline for a classification
+     * Only confident product pages get PDP deep analysis; everything else is scored as a grid
+     * @param {Object} classification - Result of PageTypeDetector.classifyPage()
+     * @returns {string} 'pdp' | 'grid'
+     */
+    selectPipeline(classification) {
+        return classification.type === 'product' && classification.confidence >= 0.5 ? 'pdp' : 'grid';
+    }
+
+    /**
+     * Tag detected products with their role in the current pipeline
+     * Grid: every product is scored on its own ('grid').
+     * PDP: the largest image outside product cards is the 'primary' and is analyzed with the
+     * other 'gallery' shots; images inside cards (recommendations) are still scored as 'grid'.
+     * @private
+     */
+    assignPipelineRoles() {
+        if (this.pipeline !== 'pdp') {
+            this.detectedProducts.forEach(item => { item.role = 'grid'; });
+            return;
+        }
+
+        const gallery = [];
+        this.detectedProducts.forEach(item => {
+            if (item.element && this.candidateFinder.findCardForImage(item.element)) {
+                item.role = 'grid';
+            } else {
+                gallery.push(item);
+            }
+        });
+
+        if (gallery.length === 0) {
+            return;
+        }
+
+        const area = (item) => {
+            const rect = item.element?.getBoundingClientRect();
+            return rect ? rect.width * rect.height : 0;
+        };
+        const primary = gallery.reduce((best, item) => (area(item) > area(best) ? item : best));
+
+        gallery.forEach(item => {
+            item.role = item === primary ? 'primary' : 'gallery';
+            if (item.role === 'gallery') {
+                // Scored together with the primary image, never on their own
+                item.analysisStatus = 'waiting_for_primary';
+            }
+        });
+
+        console.log(`🖼️ PDP pipeline: 1 primary image, ${gallery.length - 1} gallery image(s), ${this.detectedProducts.length - gallery.length} recommendation(s)`);
+    }
+
+    /**
+     * Load user-imported site adapters and re-detect the site with them
+     * Imported adapters override built-in ones for the same host
+     * @returns {Promise<void>}
+     */
+    async loadSiteAdapters() {
+        const adapters = await SiteDetector.loadCustomAdapters();
+        if (adapters.length === 0) {
+            return;
+        }
+
+        this.siteDetector.setCustomAdapters(adapters);
+        this.currentSite = this.siteDetector.detectCurrentSite();
+        this.pageTypeDetector.setCurrentSite(this.currentSite);
+        this.classifyPage();
+        this.candidateFinder.updateSiteConfig(this.currentSite);
+        this.imageDetector.updateSiteConfig(this.currentSite);
+
+        console.log(`✅ ${adapters.length} custom site adapter(s) loaded - site: ${this.currentSite?.name || 'Unknown'}, page type: ${this.pageType}`);
+    }
+
+    /**
+     * Load the selectors the user taught for this site (if any)
+     * @returns {Promise<void>}
+     */
+    async loadSelectorOverride() {
+        const override = await SelectorPicker.loadOverride(this.currentHost);
+        if (!override) {
+            return;
+        }
+
+        this.candidateFinder.setSelectorOverride(override);
+        this.imageDetector.setSelectorOverride(override);
+        console.log(`✅ Taught selectors loaded for ${this.currentHost}:`, override.productCards);
+    }
+
+    /**
+     * Start point-and-click selector teaching on this page
+     */
+    startSelectorPicker() {
+        this.selectorPicker.start();
+    }
+
+    /**
+     * Apply a newly saved (or removed) selector override and re-run detection
+     * @param {Object|null} override - Selector override, or null when reset
+     */
+    applySelectorOverride(override) {
+        this.candidateFinder.setSelectorOverride(override);
+        this.imageDetector.setSelectorOverride(override);
+        console.log(override ? '🎯 Taught selectors applied, re-detecting products' : '🎯 Taught selectors removed, re-detecting products');
+
+        this.clearProductDetection();
+        this.runInitialDetection();
+    }
+
     /**
      * Load user's style profile from storage
      * @returns {Promise<void>}
      */
     async loadStyleProfile() {
         try {
-            const result = await chrome.storage.local.get(['styleProfile']);
+            const result = await chrome.storage.local.get(['styleProfile', 'learnedPreferences']);
             if (result.styleProfile) {
-                this.styleProfile = result.styleProfile;
+                this.styleProfile = this.withLearnedPreferences(result.styleProfile, result.learnedPreferences);
                 console.log('✅ Style profile loaded:', {
                     version: this.styleProfile.version,
                     generatedAt: new Date(this.styleProfile.generated_at).toLocaleString(),
@@ -421,6 +907,29 @@ export class ContentScriptManager {
         }
     }
 
+    /**
+     * Add the preferences learned from the user's votes to the style profile
+     * The profile's hash changes with them, so cached scores made without them are not reused.
+     * @param {Object} styleProfile - Style profile (with or without learned preferences)
+     * @param {Object|undefined} learnedPreferences - Stored learnedPreferences (StyleFeedbackStore)
+     * @returns {Object} Profile with learned_preferences: { likes: string[], dislikes: string[] },
+     *   or without it when nothing was learned
+     * @private
+     */
+    withLearnedPreferences(styleProfile, learnedPreferences) {
+        const profile = { ...styleProfile };
+        delete profile.learned_preferences;
+        const likes = (learnedPreferences?.likes || []).map(entry => entry.text);
+        const dislikes = (learnedPreferences?.dislikes || []).map(entry => entry.text);
+
+        if (likes.length === 0 && dislikes.length === 0) {
+            return profile;
+        }
+
+        console.log(`🧠 Style profile extended with ${likes.length} learned like(s) and ${dislikes.length} dislike(s)`);
+        return { ...profile, learned_preferences: { likes, dislikes } };
+    }
+
     /**
      * Load UI visibility setting from storage
      * @returns {Promise<void>}
@@ -455,36 +964,119 @@ export class ContentScriptManager {
         }
     }
 
-    // REMOVED: analyzeCombined method - See IMAGE_ANALYSIS_REFACTOR_PLAN.md
-    // This method used Promise.all() to analyze all images simultaneously with no rate limiting
-    // TODO: Will be replaced with queue-based analysis system in Phase 2
-
-
     /**
-     * Clear all product analysis data
+     * Load the popup's filter mode; a search prompt applied earlier ranks this page too
+     * @private
      */
-    clearProductAnalysis() {
-        this.productAnalysisResults.clear();
-        this.personalStyleMatcher.clearCache();
-        console.log('🧹 Product analysis data cleared');
+    async loadRankingMode() {
+        try {
+            const result = await chrome.storage.local.get(['rankingMode', 'userPrompt', 'combinedSearchWeight']);
+            if (result.combinedSearchWeight !== undefined) {
+                this.blendedRanker.setSearchWeight(result.combinedSearchWeight);
+            }
+
+            if ((result.rankingMode === 'prompt' || result.rankingMode === 'combined') && result.userPrompt) {
+                this.rankingMode = result.rankingMode;
+                this.userPrompt = result.userPrompt;
+                this.scoreBadgeManager.setMode(result.rankingMode === 'combined' ? 'combined' : 'search');
+                this.updateCombinedResults();
+                console.log(`🔍 ${result.rankingMode === 'combined' ? 'Combined' : 'Search'} mode loaded: "${this.userPrompt}"`);
+            } else if (result.rankingMode === 'off') {
+                this.rankingMode = 'off';
+            }
+        } catch (error) {
+            console.error('❌ Failed to load ranking mode:', error);
+        }
     }
 
     /**
-     * Clear all product detection indicators and state
+     * Load the style sub-score weights from storage (defaults when never set)
+     * @private
      */
-    clearProductDetection() {
-        this.visualIndicators.clearProductDetection();
+    async loadScoreWeights() {
+        try {
+            const result = await chrome.storage.local.get(['styleScoreWeights']);
+            if (result.styleScoreWeights) {
+                this.personalStyleMatcher.setScoreWeights(result.styleScoreWeights);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load score weights:', error);
+        }
+    }
+
+    /**
+     * Load the AI provider chosen for product scoring (settings → AI Providers)
+     * @private
+     */
+    async loadAIProvider() {
+        try {
+            const result = await chrome.storage.local.get(['aiProviderSettings']);
+            this.applyAIProvider(result.aiProviderSettings);
+        } catch (error) {
+            console.error('❌ Failed to load AI provider settings:', error);
+        }
+    }
+
+    /**
+     * Load the "never show me" rules from the dashboard
+     * @private
+     */
+    async loadExclusionRules() {
+        try {
+            const result = await chrome.storage.local.get([ExclusionRules.STORAGE_KEY]);
+            this.exclusionRules = ExclusionRules.validate(result[ExclusionRules.STORAGE_KEY]).settings;
+            if (this.exclusionRules.rules.length > 0) {
+                console.log(`🚫 ${this.exclusionRules.rules.length} never-show-me rule(s) loaded (${this.exclusionRules.action})`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load never-show-me rules:', error);
+        }
+    }
+
+    /**
+     * Point both matchers at the 'styleScoring' provider (Chrome's Prompt API by default)
+     * Products already scored keep their scores; new analyses use the new provider
+     * @param {Object|undefined} settings - Stored aiProviderSettings
+     * @private
+     */
+    applyAIProvider(settings) {
+        const providerId = settings?.tasks?.styleScoring || 'chrome';
+        this.personalStyleMatcher.setProvider(providerId);
+        this.productSearchMatcher.setProvider(providerId);
+    }
+
+    // REMOVED: analyzeCombined method - See IMAGE_ANALYSIS_REFACTOR_PLAN.md
+    // This method used Promise.all() to analyze all images simultaneously with no rate limiting
+    // TODO: Will be replaced with queue-based analysis system in Phase 2
+
+
+    /**
+     * Clear all product analysis data
+     */
+    clearProductAnalysis() {
+        this.productAnalysisResults.clear();
+        this.personalStyleMatcher.clearCache();
+        console.log('🧹 Product analysis data cleared');
+    }
+
+    /**
+     * Clear all product detection indicators and state
+     */
+    clearProductDetection() {
+        this.incrementalDetector.stop();
+        this.visualIndicators.clearProductDetection();
         this.scoreBadgeManager.hideAllBadges(); // Clear score badges
         if (this.scoreBadgeManager && typeof this.scoreBadgeManager.hideAllEyeIcons === 'function') {
             this.scoreBadgeManager.hideAllEyeIcons();
         }
         this.detectedProducts = [];
+        this.viewportAnalysis.reset(); // The next page gets a fresh offscreen budget
         this.processedImages.clear();
         this.lastDetectionResults = null;
         this.clearProductAnalysis(); // Also clear analysis data
 
-        // Stop background task when clearing detection
-        this.stopBackgroundTask();
+        this.cancelBackgroundWork();
+        this.backgroundWorkMissed = false;
 
         console.log('🧹 Product detection cleared');
     }
@@ -543,21 +1135,50 @@ export class ContentScriptManager {
     }
 
     /**
-     * Handle navigation change (SPA support)
+     * Handle a route change in a single-page app
+     * Tears down everything tied to the previous route (pending detection, in-flight
+     * analyses, badges, overlays, observers, scheduled background work), re-detects site and
+     * page type for the new URL and runs the matching pipeline again.
+     * @param {string} [url] - New URL
      * @private
      */
-    handleNavigationChange() {
-        console.log('🧭 Navigation detected, re-evaluating page...');
-
-        // Update URL and page type
-        this.currentUrl = window.location.href;
-        this.pageType = this.pageTypeDetector.detectPageType(this.currentSite);
-
-        // Clear current state
+    handleNavigationChange(url = window.location.href) {
+        console.log('🧭 Navigation detected, re-evaluating page...', url);
+
+        // Results of detection/analysis started for the previous route are ignored from now on,
+        // and the work still running for it is cancelled
+        this.navigationGeneration++;
+        this.cancelWork(['style', 'search', 'tryOn'], 'Navigated to another page');
+        clearTimeout(this.initialDetectionTimer);
+        this.initialDetectionTimer = null;
+        this.isAnalyzing = false;
+        this.isRankingSearch = false;
+
+        // Tear down the previous route's products, badges and overlays
         this.clearProductDetection();
+        this.scoreBadgeManager.removeTryonOverlays();
+        this.scoreBadgeManager.clearStoredScores();
+        this.scoreBadgeManager.clearSearchRanks();
+        this.scoreBadgeManager.isVisible = this.isStyleModeOn; // hideAllBadges() resets it
+        this.updateCombinedResults();
+        this.loadingAnimations.hideLoadingAnimation();
+
+        // Update URL, site and page type
+        this.currentUrl = url;
+        const site = this.siteDetector.detectCurrentSite();
+        if (site !== this.currentSite) {
+            this.currentSite = site;
+            this.pageTypeDetector.setCurrentSite(site);
+            this.candidateFinder.updateSiteConfig(site);
+            this.imageDetector.updateSiteConfig(site);
+        }
+        this.pageTypeDetector.setCurrentUrl(url);
+        this.classifyPage();
 
-        // Run detection on new page
-        this.runInitialDetection();
+        // Run the pipeline for the new route once it has rendered
+        this.runInitialDetection(ContentScriptManager.NAVIGATION_DETECTION_DELAY_MS);
+
+        this.notifyBackgroundScript();
     }
 
     // Message handling moved to EventListeners.js for centralized management
@@ -612,7 +1233,18 @@ export class ContentScriptManager {
 
         this.isStyleModeOn = isOn;
 
-        if (isOn) {
+        // Nobody looks at style scores while the mode is off (combined mode still blends them)
+        this.isStyleAnalysisPaused = !isOn;
+        if (!this.isStyleAnalysisActive()) {
+            this.cancelWork(['style'], 'Style mode turned off');
+        } else if (isOn && this.detectedProducts.length > 0) {
+            this.runBackgroundAnalysis();
+        }
+
+        if (this.isSearchActive()) {
+            // Search or combined badges stay on screen; style badges come back when that mode ends
+            this.scoreBadgeManager.isVisible = isOn;
+        } else if (isOn) {
             // Toggle ON: Show all badges for images with scores AND spinners for in-progress analyses
             this.scoreBadgeManager.showAllBadges(this.detectedProducts);
         } else {
@@ -654,102 +1286,132 @@ export class ContentScriptManager {
     }
 
     /**
-     * Start background task that runs every 5 seconds
+     * Schedule the background work: refresh lazily loaded image URLs, then analyze and rank
+     * the products whose images are ready. Nothing polls - detection, image readiness
+     * (preloads, <img> loads, lazy loaders filling in sources), toggles and prompts call this.
+     * @param {number} [delay] - Milliseconds to wait; an earlier pending run is kept
      * @private
      */
-    startBackgroundTask() {
-        console.log('🔄 Starting background task (runs every 5 seconds)');
-        
-        this.backgroundTaskInterval = setInterval(() => {
-            const timestamp = new Date().toLocaleTimeString();
-            console.log(`🔄 Running in background - ${timestamp}`);
-            
-            // Check for updated src attributes and update stored images
-            if (this.detectedProducts && this.detectedProducts.length > 0) {
-                let updatedCount = 0;
+    scheduleBackgroundWork(delay = ContentScriptManager.BACKGROUND_WORK_DELAY_MS) {
+        const dueAt = Date.now() + delay;
+        if (this.backgroundWorkTimer) {
+            if (this.backgroundWorkDueAt <= dueAt) {
+                return;
+            }
+            clearTimeout(this.backgroundWorkTimer);
+        }
 
-                this.detectedProducts.forEach((item, index) => {
-                    // Query DOM element by alt text instead of data-detection-index
-                    // This is more reliable for lazy-loaded images where DOM elements may be replaced
-                    const altText = item.imageInfo?.alt;
-                    let currentElement = null;
+        this.backgroundWorkDueAt = dueAt;
+        this.backgroundWorkTimer = setTimeout(() => {
+            this.backgroundWorkTimer = null;
+            this.runBackgroundWork();
+        }, delay);
+    }
 
-                    if (altText && altText !== '(no alt text)') {
-                        // Find the image by alt text (safer than querySelector with special characters)
-                        const allImages = document.querySelectorAll('img');
-                        currentElement = Array.from(allImages).find(img => img.alt === altText);
-                    }
+    /**
+     * Drop a scheduled background run
+     * @private
+     */
+    cancelBackgroundWork() {
+        clearTimeout(this.backgroundWorkTimer);
+        this.backgroundWorkTimer = null;
+    }
 
-                    const currentSrc = currentElement?.src || '';
-                    const storedSrc = item.imageInfo?.src || '';
+    /**
+     * Refresh image URLs and eye icons, then start analysis and search ranking
+     * @private
+     */
+    runBackgroundWork() {
+        if (this.detectedProducts.length === 0) {
+            return;
+        }
 
-                    // Check if src has been updated (lazy loading completed)
-                    if (currentSrc && currentSrc !== storedSrc && !currentSrc.startsWith('data:')) {
-                        // Update the stored imageInfo with new src
-                        item.imageInfo.src = currentSrc;
-                        item.imageInfo.srcShort = currentSrc.length > 60 ?
-                            '.../' + currentSrc.split('/').pop().substring(0, 57) + '...' :
-                            currentSrc;
+        let updatedCount = 0;
 
-                        // Update the stored element reference to the fresh DOM element
-                        item.element = currentElement;
+        this.detectedProducts.forEach((item, index) => {
+            // Replaced DOM elements are handled by IncrementalDetector (released or moved),
+            // so the stored element is the live one
+            const liveElement = item.element?.isConnected ? item.element : null;
 
-                        updatedCount++;
-                        console.log(`🔄 Updated image ${index + 1} (alt: "${altText}"): ${storedSrc} → ${currentSrc}`);
-                    }
+            // Lazy loaders fill in srcset/data-src/backgrounds late, so resolve the real URL again
+            const currentSrc = liveElement ? ImageSourceResolver.annotate(liveElement) : '';
+            const storedSrc = item.imageInfo?.src || '';
 
-                    // Ensure eye icon exists for this image (in case DOM element was replaced)
-                    // Use currentElement if available, otherwise fall back to item.element
-                    const elementForEyeIcon = currentElement || item.element;
-                    if (elementForEyeIcon && !this.scoreBadgeManager.activeEyeIcons.has(elementForEyeIcon)) {
-                        console.log(`👁️ Adding missing eye icon for image ${index + 1}`);
-                        this.scoreBadgeManager.showEyeIcon(elementForEyeIcon);
-                    }
-                });
+            // Check if src has been updated (lazy loading completed)
+            if (currentSrc && currentSrc !== storedSrc) {
+                // Update the stored imageInfo with new src
+                item.imageInfo.src = currentSrc;
+                item.imageInfo.srcShort = currentSrc.length > 60 ?
+                    '.../' + currentSrc.split('/').pop().substring(0, 57) + '...' :
+                    currentSrc;
 
-                if (updatedCount > 0) {
-                    console.log(`✅ Updated ${updatedCount} images with new src attributes`);
-                }
+                updatedCount++;
+                console.log(`🔄 Updated image ${index + 1} (alt: "${item.imageInfo?.alt}"): ${storedSrc} → ${currentSrc}`);
+            }
 
-                // Check for images that need style analysis (non-blocking)
-                this.runBackgroundAnalysis();
+            // Ensure eye icon exists for this image
+            if (liveElement && !item.hiddenByRule && !this.scoreBadgeManager.activeEyeIcons.has(liveElement)) {
+                console.log(`👁️ Adding missing eye icon for image ${index + 1}`);
+                this.scoreBadgeManager.showEyeIcon(liveElement);
+            }
+        });
 
-                // Print summary table with updated analysis status
-                this.printImageDetectionSummary(this.detectedProducts, []);
-                this.detectedProducts.forEach((item, index) => {
-                    console.log(`Image ${index + 1}: ${item.imageInfo?.src}, ${item.imageInfo?.alt}, ${item.alt}`);
-                });
-                // Log badge status
-                if (this.isStyleModeOn) {
-                    const badgeCount = this.scoreBadgeManager.activeBadges.size;
-                    console.log(`🎨 Style mode ON - ${badgeCount} badges currently displayed`);
-                }
+        if (updatedCount > 0) {
+            console.log(`✅ Updated ${updatedCount} images with new src attributes`);
+        }
+
+        // Check for images that need style analysis (non-blocking)
+        this.runBackgroundAnalysis();
 
-            // If all detected products have a valid src and none need triggering, stop background task
-            const allHaveValidSrc = this.detectedProducts.every(item => (item.imageInfo?.src || '').startsWith('http'));
-            const anyNeedsTrigger = this.detectedProducts.some(item => {
-                const src = item.imageInfo?.src || '';
-                return item.analysisStatus === 'not_started' && src.startsWith('http');
+        // In search or combined mode, rank products detected or loaded since the prompt was applied
+        if (this.isSearchActive()) {
+            this.runSearchRanking().catch(error => {
+                console.error('❌ Search ranking error:', error);
             });
-            if (allHaveValidSrc && !anyNeedsTrigger) {
-                console.log('✅ All images have valid src and no analyses need triggering. Stopping background task.');
-                this.stopBackgroundTask();
-            }
-            } else {
-                console.log('📸 No detected images found');
-            }
-        }, 5000); // 5 seconds
+        }
+    }
+
+    /**
+     * Images changed source (a lazy loader filled in the real URL, an <img> finished loading):
+     * analyze and rank the products that became ready
+     * @param {Element[]} elements - Changed elements (from IncrementalDetector)
+     */
+    handleImageSourceChanges(elements) {
+        const productElements = new Set(this.detectedProducts.map(item => item.element));
+        const affectsProduct = elements.some(element =>
+            productElements.has(element) ||
+            // <picture><source srcset> changes the <img> next to it
+            (element.tagName === 'SOURCE' && productElements.has(element.parentElement?.querySelector('img')))
+        );
+
+        if (affectsProduct) {
+            this.scheduleBackgroundWork();
+        }
+    }
+
+    /**
+     * Run the background work that found a batch running, now that the batch released its lock
+     * @private
+     */
+    runMissedBackgroundWork() {
+        if (this.backgroundWorkMissed) {
+            this.backgroundWorkMissed = false;
+            this.scheduleBackgroundWork();
+        }
     }
 
     /**
      * Run style analysis on images that are ready (fire-and-forget)
+     * Products closest to the viewport go first (ViewportAnalysis); each free worker picks
+     * the next one, so scrolling during a batch changes what is analyzed next.
      * Triggers analyses without waiting for results
      * @private
      */
     runBackgroundAnalysis() {
         // Prevent concurrent analysis batches
         if (this.isAnalyzing) {
-            console.log('⏸️ Analysis already in progress, skipping this cycle');
+            console.log('⏸️ Analysis already in progress, running again once it finishes');
+            this.backgroundWorkMissed = true;
             return;
         }
 
@@ -758,6 +1420,10 @@ export class ContentScriptManager {
             return; // Skip analysis if no style profile
         }
 
+        if (!this.isStyleAnalysisActive()) {
+            return; // Style mode turned off - analyses resume when it is turned on
+        }
+
         // Log current status of all images for debugging
         const statusCounts = this.detectedProducts.reduce((acc, item) => {
             const status = item.analysisStatus || 'undefined';
@@ -766,130 +1432,605 @@ export class ContentScriptManager {
         }, {});
         console.log('📊 Image statuses:', statusCounts);
 
-        // Find images that need analysis
-        const imagesToAnalyze = this.detectedProducts.filter(item => {
-            const src = item.imageInfo?.src || '';
-            const needsAnalysis = item.analysisStatus === 'not_started';
-            const hasValidSrc = src.startsWith('http');
+        // Find images that need analysis and whose real image (not a lazy placeholder) has loaded
+        const pending = this.detectedProducts.filter(item => item.analysisStatus === 'not_started');
+        const ready = this.getAnalysisCandidates();
 
-            return needsAnalysis && hasValidSrc;
-        });
+        if (pending.length > ready.length) {
+            console.log(`⏳ ${pending.length - ready.length} images still showing placeholders or waiting to retry, deferring analysis`);
+        }
 
-        if (imagesToAnalyze.length === 0) {
-            console.log('✅ No images need analysis (all done or in progress)');
-            return; // No images need analysis
+        const deferred = ready.filter(item => this.viewportAnalysis.isDeferred(item.element)).length;
+        if (deferred > 0) {
+            console.log(`💤 ${deferred} offscreen images wait until scrolled near (page budget of ${this.viewportAnalysis.offscreenBudget} used)`);
         }
-        
 
-        console.log(`🎨 Triggering style analysis for ${imagesToAnalyze.length} images...`);
+        const runnable = ready.length - deferred;
+        if (runnable === 0) {
+            console.log('✅ No images need analysis (all done, in progress or offscreen)');
+            return; // No images need analysis
+        }
 
-        // Mark all images as in_progress IMMEDIATELY to prevent re-analysis
-        imagesToAnalyze.forEach((item, index) => {
-            const src = item.imageInfo?.src || 'unknown';
-            console.log(`  📝 Marking image ${index + 1} as in_progress:`, src.substring(0, 60));
-            item.analysisStatus = 'in_progress';
-        });
+        console.log(`🎨 Triggering style analysis for ${runnable} images, nearest to the viewport first...`, this.viewportAnalysis.getStats());
 
         // Set analyzing flag to prevent concurrent batches
         this.isAnalyzing = true;
+        const generation = this.navigationGeneration;
+        const signal = this.getAbortSignal('style');
+
+        // Each analysis runs on its own clone of the primed base session, so products can
+        // be analyzed concurrently; the session manager bounds how many reach the model at
+        // once. One extra worker keeps the next image fetching while the model is busy.
+        const workerCount = Math.min(runnable, this.sessionManager.maxConcurrency + 1);
+        let started = 0;
+
+        const worker = async () => {
+            for (;;) {
+                // Navigated away: stop the batch (the new route has its own products)
+                if (generation !== this.navigationGeneration) {
+                    console.log('⏹️ Route changed, aborting analysis batch');
+                    return;
+                }
 
-        // IMPORTANT: Analyze sequentially to avoid Prompt API concurrency issues
-        // The Prompt API appears to cache/confuse image data when multiple sessions run concurrently
-        const analyzeSequentially = async () => {
-            try {
-                for (let i = 0; i < imagesToAnalyze.length; i++) {
-                const item = imagesToAnalyze[i];
-
-                // Get the DOM element for analysis
-                const imgElement = item.element;
+                // Style mode turned off: the running analyses were cancelled, start no more
+                if (signal.aborted) {
+                    console.log('⏹️ Style analysis cancelled, stopping analysis batch');
+                    return;
+                }
 
-                if (!imgElement || !imgElement.complete) {
-                    console.log(`⚠️ Image not ready for analysis: ${item.imageInfo?.alt || 'no alt'}`);
-                    item.analysisStatus = 'not_started'; // Reset to retry later
-                    continue;
+                const next = this.takeNextAnalysisItem();
+                if (!next) {
+                    return;
                 }
 
-                // Show loading spinner if style mode is ON
-                if (this.isStyleModeOn) {
-                    this.scoreBadgeManager.renderLoadingSpinner(imgElement);
+                started++;
+                await this.analyzeProductItem(next.item, `${started} (${ViewportAnalysis.PRIORITY_NAMES[next.priority]})`, generation, signal);
+            }
+        };
+
+        const startedAt = performance.now();
+        Promise.all(Array.from({ length: workerCount }, worker))
+            .then(() => {
+                console.log(`✅ ${started} analyses completed in ${((performance.now() - startedAt) / 1000).toFixed(1)}s`,
+                    this.sessionManager.getStats());
+            })
+            .catch(error => {
+                console.error('❌ Batch analysis error:', error);
+            })
+            .finally(() => {
+                // Release analyzing lock (after a route change the new route may already hold it)
+                if (generation === this.navigationGeneration) {
+                    this.isAnalyzing = false;
+                    console.log('🔓 Analysis lock released');
+                    this.runMissedBackgroundWork();
                 }
+            });
+    }
 
-                console.log(`  🔍 Analyzing image ${i + 1}/${imagesToAnalyze.length}...`);
+    /**
+     * Products waiting for style analysis whose real image has loaded, in page order
+     * @returns {Array<Object>} Product items
+     * @private
+     */
+    getAnalysisCandidates() {
+        const now = Date.now();
+        return this.detectedProducts.filter(item =>
+            item.analysisStatus === 'not_started' && !(item.retryAfter > now) && ImageSourceResolver.isReady(item.element));
+    }
 
-                try {
-                    // AWAIT each analysis to run sequentially
-                    const result = await this.personalStyleMatcher.analyzeProduct(
-                        imgElement,
-                        this.styleProfile
-                    );
-                    // Store the analysis results when complete
-                    item.styleAnalysis = {
-                        score: result.score,
-                        reason: result.reasoning || result.reason,
-                        description: result.description || null
-                    };
+    /**
+     * Take the product closest to the viewport off the queue and mark it in_progress
+     * @returns {{item: Object, priority: number}|null} Next product, or null when nothing may run now
+     * @private
+     */
+    takeNextAnalysisItem() {
+        const next = this.viewportAnalysis.takeNext(this.getAnalysisCandidates());
+        if (next) {
+            // Mark IMMEDIATELY so no other worker or batch picks it again
+            next.item.analysisStatus = 'in_progress';
+        }
+        return next;
+    }
 
-                    // Mark as complete
-                    item.analysisStatus = 'complete';
-                    console.log(`  ✅ Marked as COMPLETE:`, item.imageInfo?.src?.substring(0, 60));
+    /**
+     * A tracked product moved between visible, near and offscreen
+     * A product waiting for analysis that came near the viewport is analyzed now, ahead of
+     * the offscreen ones (running workers pick it next; otherwise a batch is started).
+     * @param {HTMLElement} element - Product image
+     * @param {number} priority - ViewportAnalysis.PRIORITY value
+     * @private
+     */
+    handleViewportChange(element, priority) {
+        if (priority === ViewportAnalysis.PRIORITY.OFFSCREEN || !this.styleProfile || !this.isStyleAnalysisActive()) {
+            return;
+        }
 
-                    // Store score in DOM data attributes (for persistence)
-                    this.scoreBadgeManager.storeScore(
-                        imgElement,
-                        result.score,
-                        result.reasoning || result.reason
-                    );
+        const item = this.detectedProducts.find(product => product.element === element);
+        if (item?.analysisStatus !== 'not_started') {
+            return;
+        }
 
-                    // If style mode is ON, render badge immediately (progressive rendering)
-                    if (this.isStyleModeOn) {
-                        this.scoreBadgeManager.renderBadge(
-                            imgElement,
-                            result.score,
-                            result.reasoning || result.reason
-                        );
-                    }
+        console.log(`👁️ Image scrolled ${ViewportAnalysis.PRIORITY_NAMES[priority]}, analyzing it next:`, item.imageInfo?.alt || item.imageInfo?.srcShort);
+        this.runBackgroundAnalysis();
+    }
+
+    /**
+     * Analyze one product against the style profile and show its badge
+     * @param {Object} item - Detected product (status already set to in_progress)
+     * @param {string} label - Position in the batch, for logs
+     * @param {number} generation - Navigation generation the batch belongs to
+     * @param {AbortSignal|null} [signal=null] - The batch's style signal (cancelWork('style'))
+     * @returns {Promise<void>}
+     * @private
+     */
+    async analyzeProductItem(item, label, generation, signal = null) {
+        // Get the DOM element for analysis
+        const imgElement = item.element;
+
+        // The metadata already matches a "never show me" rule - no need to ask the model
+        if (item.exclusion) {
+            item.analysisStatus = 'complete';
+            if (imgElement) {
+                this.showStyleAnalysis(imgElement, this.getDisplayedStyleAnalysis(item));
+            }
+            if (this.rankingMode === 'combined') {
+                this.showCombinedAnalysis(item);
+            }
+            console.log(`  🚫 Skipped image ${label}: ${item.exclusion.label}`);
+            return;
+        }
 
-                    console.log(`✅ Analysis complete for "${item.imageInfo?.alt || 'no alt'}" - Score: ${result.score}/10`);
+        if (!imgElement || !ImageSourceResolver.isReady(imgElement)) {
+            console.log(`⚠️ Image not ready for analysis: ${item.imageInfo?.alt || 'no alt'}`);
+            item.analysisStatus = 'not_started'; // Analyzed once its image is ready
+            return;
+        }
 
-                    // Longer delay between analyses to ensure session cleanup
-                    // The Prompt API needs significant time to fully clean up previous sessions
-                    // Without this, we see cross-contamination where different images get the same response
-                    if (i < imagesToAnalyze.length - 1) {
-                        console.log('  ⏳ Waiting 1s before next analysis...');
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                    }
-                } catch (error) {
-                    console.error(`❌ Analysis failed for image: ${item.imageInfo?.alt || 'no alt'}`, error);
-                    // Reset to not_started so it can be retried
-                    item.analysisStatus = 'not_started';
+        // Show loading spinner if style mode is ON (search and combined modes show their own spinners)
+        if (this.isStyleModeOn && !this.isSearchActive()) {
+            this.scoreBadgeManager.renderLoadingSpinner(imgElement);
+        }
+
+        console.log(`  🔍 Analyzing image ${label}...`);
+
+        try {
+            // PDP deep analysis: send the other gallery shots of the same product along
+            const galleryItems = item.role === 'primary'
+                ? this.detectedProducts.filter(other => other.role === 'gallery')
+                : [];
+            const additionalImages = galleryItems
+                .map(other => other.element)
+                .filter(el => el && ImageSourceResolver.isReady(el))
+                .slice(0, 3);
+
+            // The PDP's main product is what the user is looking at - it goes first
+            const priority = item.role === 'primary'
+                ? LanguageModelSessionManager.PRIORITY.HIGH
+                : LanguageModelSessionManager.PRIORITY.NORMAL;
+
+            const result = await this.personalStyleMatcher.analyzeProduct(imgElement, this.styleProfile, {
+                productData: item.productData,
+                additionalImages,
+                productId: item.productLink,
+                priority,
+                signal
+            });
+
+            // Result for a product of the previous route - its badge was already torn down
+            if (generation !== this.navigationGeneration) {
+                console.log('⏭️ Route changed during analysis, discarding result');
+                return;
+            }
+
+            // Cancelled (style mode turned off) - analyzed again once it is back on
+            if (result.method === 'cancelled') {
+                item.analysisStatus = 'not_started';
+                if (!this.isSearchActive()) {
+                    this.scoreBadgeManager.removeBadge(imgElement);
                 }
+                return;
             }
 
-                console.log(`✅ ${imagesToAnalyze.length} analyses completed`);
-            } finally {
-                // Release analyzing lock
-                this.isAnalyzing = false;
-                console.log('🔓 Analysis lock released');
+            // No usable score - show no badge rather than a made-up one. A model that is
+            // unavailable or answered invalid fields will do so again; other errors (a busy
+            // session, a dropped request) are retried like a thrown analysis
+            if (!result.success) {
+                const detail = result.invalidFields ? `fields: ${result.invalidFields.join(', ')}` : result.error || result.reasoning;
+                console.warn(`⚠️ Analysis failed for "${item.imageInfo?.alt || 'no alt'}" (${detail})`);
+                if (result.method === 'invalid_response' || result.method === 'unavailable') {
+                    this.markAnalysisFailed(item, result.error || result.reasoning);
+                } else {
+                    this.retryAnalysisLater(item, result.error || result.reasoning);
+                }
+                return;
             }
-        };
 
-        // Execute and await the analysis to ensure lock is held until complete
-        analyzeSequentially().catch(error => {
-            console.error('❌ Batch analysis error:', error);
-            this.isAnalyzing = false; // Release lock on error
+            // Store the analysis results when complete
+            item.styleAnalysis = {
+                score: result.score,
+                reason: result.reasoning || result.reason,
+                description: result.description || null,
+                breakdown: result.breakdown || null
+            };
+
+            // Mark as complete
+            item.analysisStatus = 'complete';
+            item.retryAfter = null;
+            console.log(`  ✅ Marked as COMPLETE:`, item.imageInfo?.src?.substring(0, 60));
+
+            // Gallery shots share the primary's result (badge stays on the primary only)
+            galleryItems.forEach(other => {
+                other.styleAnalysis = { ...item.styleAnalysis };
+                other.analysisStatus = 'complete';
+            });
+
+            // The description can match a rule the metadata did not (necklines, garment types)
+            this.applyExclusion(item);
+            this.showStyleAnalysis(imgElement, this.getDisplayedStyleAnalysis(item));
+            if (this.rankingMode === 'combined') {
+                this.showCombinedAnalysis(item);
+            }
+
+            console.log(`✅ Analysis complete for "${item.imageInfo?.alt || 'no alt'}" - Score: ${result.score}/10`);
+        } catch (error) {
+            console.error(`❌ Analysis failed for image: ${item.imageInfo?.alt || 'no alt'}`, error);
+            this.retryAnalysisLater(item, error.message);
+        }
+    }
+
+    /**
+     * Queue a product whose analysis did not finish again once RETRY_DELAY_MS has passed,
+     * so the worker does not pick it straight back up; gives up after MAX_ANALYSIS_ATTEMPTS
+     * @param {Object} item - Product item
+     * @param {string} reason - Why the analysis did not finish
+     * @private
+     */
+    retryAnalysisLater(item, reason) {
+        item.analysisAttempts = (item.analysisAttempts || 0) + 1;
+        if (item.analysisAttempts >= ContentScriptManager.MAX_ANALYSIS_ATTEMPTS) {
+            console.warn(`⚠️ Giving up on "${item.imageInfo?.alt || 'no alt'}" after ${item.analysisAttempts} attempts`);
+            this.markAnalysisFailed(item, reason);
+            return;
+        }
+
+        item.analysisStatus = 'not_started';
+        item.retryAfter = Date.now() + ContentScriptManager.RETRY_DELAY_MS;
+        this.scheduleBackgroundWork(ContentScriptManager.RETRY_DELAY_MS);
+    }
+
+    /**
+     * Mark a product as having no usable score and show no badge rather than a made-up one
+     * @param {Object} item - Product item
+     * @param {string} reason - Why no score is available
+     * @private
+     */
+    markAnalysisFailed(item, reason) {
+        item.analysisStatus = 'failed';
+        item.analysisError = reason;
+        item.retryAfter = null;
+        if (!this.isSearchActive()) {
+            this.scoreBadgeManager.removeBadge(item.element);
+        } else if (this.rankingMode === 'combined') {
+            this.showCombinedAnalysis(item); // Ranked by the search alone
+        }
+    }
+
+    /**
+     * Switch to search (or combined) mode and rank every detected product against the prompt
+     * Products detected or loaded later are ranked by the background work.
+     * @param {string} prompt - Search prompt from the popup (already saved by PromptStorageUtils)
+     * @param {'prompt'|'combined'} [mode='prompt'] - 'combined' blends each rank with the style score
+     * @returns {Promise<Object>} { ranked, matches } once the products ready now are ranked
+     */
+    async applySearchPrompt(prompt, mode = 'prompt') {
+        console.log(`🔍 Applying search prompt (${mode}): "${prompt}"`);
+
+        this.rankingMode = mode;
+        this.userPrompt = prompt;
+        this.searchGeneration++;
+        this.cancelWork(['search'], 'Search prompt changed');
+        this.isRankingSearch = false; // A batch for the previous prompt may still hold the lock
+        this.resetSearchRanks();
+        this.scoreBadgeManager.setMode(mode === 'combined' ? 'combined' : 'search');
+        this.updateCombinedResults();
+
+        return this.runSearchRanking();
+    }
+
+    /**
+     * Leave search mode (popup switched to style mode or off)
+     * Search ranks are dropped; style badges return if the on-page toggle is ON.
+     * @param {'style'|'off'} mode
+     */
+    setRankingMode(mode) {
+        if (mode === this.rankingMode) {
+            return;
+        }
+
+        console.log(`🔀 Ranking mode: ${this.rankingMode} → ${mode}`);
+
+        this.rankingMode = mode;
+        this.userPrompt = '';
+        this.searchGeneration++;
+        this.cancelWork(['search'], 'Search mode left');
+        if (!this.isStyleAnalysisActive()) {
+            this.cancelWork(['style'], 'Combined mode left while style mode is off');
+        }
+        this.isRankingSearch = false;
+        this.resetSearchRanks();
+        this.scoreBadgeManager.setMode('style', this.detectedProducts);
+        this.updateCombinedResults();
+    }
+
+    /**
+     * @returns {boolean} true when products are ranked against the popup's prompt
+     *   (search mode, or combined mode)
+     * @private
+     */
+    isSearchActive() {
+        return this.rankingMode === 'prompt' || this.rankingMode === 'combined';
+    }
+
+    /**
+     * @returns {boolean} true when products get style scores: style mode was not turned off,
+     *   or combined mode needs the scores anyway
+     * @private
+     */
+    isStyleAnalysisActive() {
+        return !this.isStyleAnalysisPaused || this.rankingMode === 'combined';
+    }
+
+    /**
+     * Signal for new work of a kind; it aborts when that kind of work is cancelled
+     * @param {'style'|'search'|'tryOn'} kind
+     * @returns {AbortSignal}
+     * @private
+     */
+    getAbortSignal(kind) {
+        return this.abortControllers[kind].signal;
+    }
+
+    /**
+     * Cancel the in-flight work of some kinds: queued and running model prompts (their
+     * sessions are destroyed), image fetches and background requests. Work started
+     * afterwards gets a fresh signal.
+     * @param {Array<'style'|'search'|'tryOn'>} kinds
+     * @param {string} reason - Logged, and the AbortError's message
+     * @private
+     */
+    cancelWork(kinds, reason) {
+        kinds.forEach(kind => {
+            const controller = this.abortControllers[kind];
+            if (!controller.signal.aborted) {
+                controller.abort(new DOMException(reason, 'AbortError'));
+            }
+            this.abortControllers[kind] = new AbortController();
+        });
+        console.log(`⏹️ Cancelled ${kinds.join(', ')} work: ${reason}`);
+    }
+
+    /**
+     * Forget all search ranks so the products are ranked again
+     * @private
+     */
+    resetSearchRanks() {
+        this.scoreBadgeManager.clearSearchRanks();
+        this.detectedProducts.forEach(item => {
+            item.searchStatus = 'not_started';
+            item.searchAnalysis = null;
+            item.combinedAnalysis = null;
+        });
+    }
+
+    /**
+     * Rank products that are ready and not ranked yet against the current prompt
+     * Runs at high priority: the user asked for this search and is waiting for it.
+     * The prompt's history entry gets the number of YES matches on the page.
+     * @returns {Promise<Object>} { ranked, matches } over all products ranked for this prompt
+     * @private
+     */
+    async runSearchRanking() {
+        if (!this.isSearchActive() || !this.userPrompt) {
+            return { ranked: 0, matches: 0 };
+        }
+
+        if (this.isRankingSearch) {
+            console.log('⏸️ Search ranking already in progress, running again once it finishes');
+            this.backgroundWorkMissed = true;
+            return this.getSearchSummary();
+        }
+
+        // Gallery shots are more photos of the primary product, which carries the rank
+        // Products hidden by a "never show me" rule are not ranked at all
+        const itemsToRank = this.detectedProducts.filter(item =>
+            item.role !== 'gallery' &&
+            !item.hiddenByRule &&
+            item.searchStatus === 'not_started' &&
+            ImageSourceResolver.isReady(item.element)
+        );
+
+        if (itemsToRank.length === 0) {
+            return this.getSearchSummary();
+        }
+
+        console.log(`🔍 Ranking ${itemsToRank.length} products for "${this.userPrompt}"...`);
+
+        itemsToRank.forEach(item => {
+            item.searchStatus = 'in_progress';
+            this.scoreBadgeManager.renderLoadingSpinner(item.element);
         });
+
+        this.isRankingSearch = true;
+        const generation = this.navigationGeneration;
+        const searchGeneration = this.searchGeneration;
+        const isStale = () => generation !== this.navigationGeneration || searchGeneration !== this.searchGeneration;
+
+        try {
+            const results = await this.productSearchMatcher.analyzeDetectedProducts(
+                itemsToRank,
+                this.userPrompt,
+                {},
+                { priority: LanguageModelSessionManager.PRIORITY.HIGH, signal: this.getAbortSignal('search') }
+            );
+
+            // Route changed or a new prompt was applied - these ranks belong to neither
+            if (isStale()) {
+                console.log('⏭️ Search changed during ranking, discarding results');
+                return this.getSearchSummary();
+            }
+
+            itemsToRank.forEach((item, index) => {
+                const result = results[index];
+
+                // The batch failed as a whole or was cancelled - ranked again later
+                if (!result || result.method === 'cancelled') {
+                    item.searchStatus = 'not_started';
+                    this.scoreBadgeManager.removeBadge(item.element);
+                    if (!result) {
+                        this.scheduleBackgroundWork(ContentScriptManager.RETRY_DELAY_MS);
+                    }
+                    return;
+                }
+
+                // No usable rank - show no badge rather than a made-up one
+                if (!result.success) {
+                    console.warn(`⚠️ Invalid search rank for "${item.imageInfo?.alt || 'no alt'}": ${result.reasoning}`);
+                    item.searchStatus = 'failed';
+                    this.scoreBadgeManager.removeBadge(item.element);
+                    return;
+                }
+
+                item.searchAnalysis = { rank: result.score, reason: result.reasoning };
+                item.searchStatus = 'complete';
+                this.scoreBadgeManager.storeSearchRank(item.element, result.score, result.reasoning);
+                if (this.rankingMode === 'combined') {
+                    this.showCombinedAnalysis(item);
+                } else {
+                    this.scoreBadgeManager.renderSearchBadge(item.element, result.score, result.reasoning);
+                }
+            });
+        } finally {
+            // After a route change or a new prompt the new search may already hold the lock
+            if (!isStale()) {
+                this.isRankingSearch = false;
+                this.runMissedBackgroundWork();
+            }
+        }
+
+        const summary = this.getSearchSummary();
+        console.log(`✅ Search ranking: ${summary.matches} of ${summary.ranked} products match "${this.userPrompt}"`);
+        await updatePromptResultsCount(summary.matches);
+        return summary;
+    }
+
+    /**
+     * Blend a product's style score and search rank and show the combined badge
+     * Waits for the style score unless none can come (no style profile, or its analysis failed);
+     * the spinner stays until then.
+     * @param {Object} item - Detected product
+     * @private
+     */
+    showCombinedAnalysis(item) {
+        const styleSettled = !this.styleProfile || item.analysisStatus === 'complete' || item.analysisStatus === 'failed';
+        if (item.searchStatus !== 'complete' || !styleSettled) {
+            return;
+        }
+
+        const styleAnalysis = item.analysisStatus === 'complete' ? item.styleAnalysis : null;
+        item.combinedAnalysis = this.blendedRanker.blend(styleAnalysis, item.searchAnalysis);
+        if (item.exclusion) {
+            item.combinedAnalysis = { ...item.combinedAnalysis, score: 1, excludedBy: item.exclusion.label };
+        }
+        this.scoreBadgeManager.renderCombinedBadge(item.element, item.combinedAnalysis);
+        this.updateCombinedResults();
+    }
+
+    /**
+     * Re-blend every ranked product (combined mode entered, or a weight changed)
+     * @private
+     */
+    renderCombinedBadges() {
+        this.detectedProducts
+            .filter(item => item.role !== 'gallery' && item.element)
+            .forEach(item => this.showCombinedAnalysis(item));
+        this.updateCombinedResults();
     }
 
     /**
-     * Stop the background task
+     * Show the best combined matches in the page's control panel (hidden outside combined mode)
      * @private
      */
-    stopBackgroundTask() {
-        if (this.backgroundTaskInterval) {
-            clearInterval(this.backgroundTaskInterval);
-            this.backgroundTaskInterval = null;
-            console.log('⏹️ Background task stopped');
+    updateCombinedResults() {
+        if (this.rankingMode !== 'combined') {
+            this.styleToggleController.showCombinedResults(null);
+            return;
         }
+
+        const results = this.detectedProducts
+            .filter(item => item.role !== 'gallery' && item.combinedAnalysis && !item.exclusion)
+            .sort((a, b) => b.combinedAnalysis.score - a.combinedAnalysis.score)
+            .slice(0, 3)
+            .map(item => ({
+                name: item.productData?.name || item.imageInfo?.alt || 'Product',
+                blended: item.combinedAnalysis
+            }));
+
+        this.styleToggleController.showCombinedResults({
+            prompt: this.userPrompt,
+            searchWeight: this.blendedRanker.searchWeight,
+            results
+        });
+    }
+
+    /**
+     * Count the products ranked for the current prompt
+     * @returns {Object} { ranked, matches } - matches are the YES ranks
+     * @private
+     */
+    getSearchSummary() {
+        const ranked = this.detectedProducts.filter(item => item.searchStatus === 'complete');
+        return {
+            ranked: ranked.length,
+            matches: ranked.filter(item => item.searchAnalysis.rank === 3).length
+        };
+    }
+
+    /**
+     * Create the thumbs up/down handler for ScoreBadgeManager
+     * The vote is stored with what the model said about the product, so the background can
+     * summarize votes into learned preferences.
+     * @returns {Function} (img, vote) => Promise<boolean> - true once the vote is saved
+     */
+    createFeedbackHandler() {
+        return async (img, vote) => {
+            const item = this.detectedProducts.find(product => product.element === img);
+            if (!item?.styleAnalysis) {
+                console.warn('⚠️ No style score to give feedback on');
+                return false;
+            }
+
+            const { name, brand, colour, material, price, currency } = item.productData || {};
+            const response = await chrome.runtime.sendMessage({
+                action: 'recordStyleFeedback',
+                feedback: {
+                    productId: item.productLink || ImageSourceResolver.getImageUrl(img),
+                    vote,
+                    score: item.styleAnalysis.score,
+                    reason: item.styleAnalysis.reason,
+                    description: item.styleAnalysis.description,
+                    attributes: { name: name || item.imageInfo?.alt, brand, colour, material, price, currency },
+                    site: this.currentHost
+                }
+            });
+
+            if (!response?.success) {
+                console.error('❌ Style feedback not saved:', response?.error);
+                return false;
+            }
+
+            console.log(`${vote === 'like' ? '👍' : vote === 'dislike' ? '👎' : '↩️'} Style feedback saved (${response.pending} vote(s) waiting for the next summary)`);
+            return true;
+        };
     }
 
     /**
@@ -900,6 +2041,7 @@ export class ContentScriptManager {
     createTryOnHandler() {
         return async (img, eyeIcon) => {
             console.log('👁️ Eye icon clicked - generating virtual try-on...');
+            const signal = this.getAbortSignal('tryOn');
 
             try {
                 // Check for cached try-on data
@@ -931,20 +2073,20 @@ export class ContentScriptManager {
                 console.log('📸 Using stored try-on photo for generation');
 
                 // Convert clothing image to base64
-                const clothingImageData = await this.fetchImageAsBase64(img.src);
+                const clothingImageData = await this.fetchImageAsBase64(ImageSourceResolver.getImageUrl(img), signal);
                 if (!clothingImageData) {
                     return { error: 'Failed to load clothing image' };
                 }
 
                 // Call background script to generate try-on
-                const response = await chrome.runtime.sendMessage({
+                const response = await BackgroundRequest.send({
                     action: 'generateTryOn',
                     userPhoto: userPhotoData,
                     clothingImage: clothingImageData,
                     options: {
                         temperature: 0
                     }
-                });
+                }, signal);
 
                 console.log('Try-on response:', response);
 
@@ -966,6 +2108,10 @@ export class ContentScriptManager {
                     };
                 }
             } catch (err) {
+                if (BackgroundRequest.isAbortError(err)) {
+                    console.log('⏹️ Try-on cancelled:', err.message);
+                    return { error: 'Try-on cancelled' };
+                }
                 console.error('❌ Try-on generation error:', err);
                 return {
                     error: err.message || 'An unexpected error occurred'
@@ -977,17 +2123,21 @@ export class ContentScriptManager {
     /**
      * Fetch image and convert to base64
      * @param {string} imageUrl - URL of the image
+     * @param {AbortSignal|null} [signal=null] - Cancels the fetch (rejects with an AbortError)
      * @returns {Promise<string>} Base64 data URL
      */
-    async fetchImageAsBase64(imageUrl) {
+    async fetchImageAsBase64(imageUrl, signal = null) {
         try {
-            const response = await chrome.runtime.sendMessage({
+            const response = await BackgroundRequest.send({
                 action: 'fetchImageAsBase64',
                 imageUrl: imageUrl
-            });
+            }, signal);
 
             return response.success ? response.dataUrl : null;
         } catch (error) {
+            if (BackgroundRequest.isAbortError(error)) {
+                throw error;
+            }
             console.error('Failed to fetch image:', error);
             return null;
         }
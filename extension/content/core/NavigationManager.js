@@ -0,0 +1,113 @@
+/**
+ * NavigationManager detects route changes in single-page apps (Zara, Nike...).
+ *
+ * Route changes arrive from three places:
+ * - history.pushState / replaceState, reported by content/navigation-hook.js, which
+ *   runs in the page's MAIN world and dispatches NAVIGATION_EVENT on window
+ * - popstate (back/forward)
+ * - pageshow from the back/forward cache
+ *
+ * Bursts (routers often pushState then replaceState within a few ms) are debounced,
+ * and hash-only changes (tabs, anchors, gallery zoom) are not treated as navigation.
+ */
+export class NavigationManager {
+    static NAVIGATION_EVENT = 'ai-style-filter:navigation';
+
+    // Routers update the URL before rendering; let the burst settle first
+    static DEBOUNCE_MS = 150;
+
+    /**
+     * @param {Function} onNavigate - Called with (newUrl, previousUrl) for each route change
+     */
+    constructor(onNavigate) {
+        this.onNavigate = onNavigate;
+        this.currentUrl = window.location.href;
+        this.isListening = false;
+        this.debounceTimer = null;
+
+        // Bound once so stop() removes exactly what start() added
+        this.handleUrlChange = () => this.scheduleCheck();
+        this.handlePageShow = (event) => {
+            if (event.persisted) {
+                this.scheduleCheck();
+            }
+        };
+    }
+
+    /**
+     * Start listening (idempotent - repeated calls never stack listeners)
+     */
+    start() {
+        if (this.isListening) {
+            return;
+        }
+
+        window.addEventListener(NavigationManager.NAVIGATION_EVENT, this.handleUrlChange);
+        window.addEventListener('popstate', this.handleUrlChange);
+        window.addEventListener('pageshow', this.handlePageShow);
+        this.isListening = true;
+        console.log('🧭 Navigation listener started');
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (!this.isListening) {
+            return;
+        }
+
+        window.removeEventListener(NavigationManager.NAVIGATION_EVENT, this.handleUrlChange);
+        window.removeEventListener('popstate', this.handleUrlChange);
+        window.removeEventListener('pageshow', this.handlePageShow);
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+        this.isListening = false;
+    }
+
+    /**
+     * @private
+     */
+    scheduleCheck() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.checkForRouteChange(), NavigationManager.DEBOUNCE_MS);
+    }
+
+    /**
+     * Call onNavigate if the route (URL without hash) changed since the last check
+     * @private
+     */
+    checkForRouteChange() {
+        this.debounceTimer = null;
+
+        const newUrl = window.location.href;
+        if (NavigationManager.getRoute(newUrl) === NavigationManager.getRoute(this.currentUrl)) {
+            this.currentUrl = newUrl;
+            return;
+        }
+
+        const previousUrl = this.currentUrl;
+        this.currentUrl = newUrl;
+        console.log(`🧭 Route changed: ${previousUrl} → ${newUrl}`);
+
+        try {
+            this.onNavigate(newUrl, previousUrl);
+        } catch (error) {
+            console.error('❌ Navigation handler failed:', error);
+        }
+    }
+
+    /**
+     * Get the part of a URL that identifies a route
+     * @param {string} url - Full URL
+     * @returns {string} URL without its hash
+     */
+    static getRoute(url) {
+        return url.split('#')[0];
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.NavigationManager = NavigationManager;
+}
@@ -3,44 +3,284 @@ import { SiteDetector } from './SiteDetector.js';
 /**
  * PageTypeDetector handles classification of page types on supported e-commerce sites.
  * Determines if current page is a product page, category page, search page, etc.
+ *
+ * Classification combines weighted signals - the site adapter's URL rules, generic URL
+ * shapes, JSON-LD/OpenGraph types, the number of product cards, add-to-bag buttons and
+ * gallery/size-picker structures - and reports the winning type with a confidence.
  */
 export class PageTypeDetector {
     constructor(url, hostname) {
         this.currentUrl = url;
         this.siteDetector = new SiteDetector(hostname);
         this.currentSite = this.siteDetector.detectCurrentSite();
+        this.lastClassification = null;
     }
 
     /**
-     * Detects the type of the current page based on URL patterns
+     * Signal weights. Scores per page type are summed and capped at 1.
+     * Listing evidence (a grid of cards) counts towards both category and search;
+     * the URL decides between them.
+     */
+    static SIGNAL_WEIGHTS = {
+        adapterUrl: 0.45,
+        genericUrl: 0.25,
+        jsonLd: 0.35,
+        openGraph: 0.2,
+        addToBag: 0.3,
+        gallery: 0.15,
+        sizePicker: 0.15,
+        productGrid: 0.35,
+        smallGrid: 0.15
+    };
+
+    /**
+     * Below this score nothing is claimed and the page is 'other'
+     */
+    static MIN_SCORE = 0.2;
+
+    /**
+     * Detects the type of the current page
      * @returns {string} Page type: 'product', 'category', 'search', 'other', or 'unknown'
      */
     detectPageType() {
-        if (!this.currentSite) return 'unknown';
+        return this.classifyPage().type;
+    }
+
+    /**
+     * Classify the current page from URL and DOM signals
+     * @returns {{type: string, confidence: number, scores: Object, signals: Array<{signal: string, type: string, weight: number, detail: string}>}}
+     */
+    classifyPage() {
+        if (!this.currentSite) {
+            this.lastClassification = { type: 'unknown', confidence: 1, scores: {}, signals: [] };
+            return this.lastClassification;
+        }
+
+        const weights = PageTypeDetector.SIGNAL_WEIGHTS;
+        const signals = [];
+        const add = (signal, type, weight, detail) => signals.push({ signal, type, weight, detail });
+
+        this.collectUrlSignals(add, weights);
+        if (typeof document !== 'undefined') {
+            this.collectStructuredDataSignals(add, weights);
+            this.collectLayoutSignals(add, weights);
+        }
+
+        const scores = { product: 0, category: 0, search: 0 };
+        signals.forEach(({ type, weight }) => {
+            scores[type] = Math.min(1, scores[type] + weight);
+        });
+
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        const [bestType, bestScore] = ranked[0];
+        const runnerUp = ranked[1][1];
+
+        let type = 'other';
+        let confidence = 1 - bestScore;
+        if (bestScore >= PageTypeDetector.MIN_SCORE) {
+            type = bestType;
+            // A close runner-up means the signals disagree
+            confidence = bestScore * (bestScore - runnerUp >= 0.2 ? 1 : 0.7);
+        }
+
+        this.lastClassification = {
+            type,
+            confidence: Math.round(confidence * 100) / 100,
+            scores,
+            signals
+        };
+
+        console.log(`📄 Page classified as ${type} (${Math.round(confidence * 100)}% confidence)`, signals.map(s => `${s.signal}→${s.type}`).join(', ') || 'no signals');
+        return this.lastClassification;
+    }
 
+    /**
+     * URL signals: adapter rules first, then shapes common across retailers
+     * @private
+     */
+    collectUrlSignals(add, weights) {
         const url = this.currentUrl.toLowerCase();
+        const pageTypes = this.currentSite.pageTypes || {};
 
-        // Check for product pages
-        for (const pattern of this.currentSite.productPagePatterns) {
-            if (url.includes(pattern)) {
-                return 'product';
+        for (const pageType of ['product', 'category', 'search']) {
+            if (this.matchesUrlRules(url, pageTypes[pageType])) {
+                add('adapter-url', pageType, weights.adapterUrl, `${this.currentSite.name} ${pageType} URL rule`);
             }
         }
 
-        // Check for category/listing pages
-        for (const pattern of this.currentSite.categoryPagePatterns) {
-            if (url.includes(pattern)) {
-                return 'category';
+        let path = url;
+        let query = '';
+        try {
+            const parsed = new URL(this.currentUrl);
+            path = parsed.pathname.toLowerCase();
+            query = parsed.search.toLowerCase();
+        } catch (e) {
+            // Keep the raw URL
+        }
+
+        if (/[?&](q|query|searchterm|search_term|text|keyword)=/.test(query) || /\/search\b/.test(path)) {
+            add('url-search-param', 'search', weights.genericUrl, 'search path or query parameter');
+        }
+        if (/-p\d+\.html$|productpage\.\d+|\/dp\/|\/(product|prd|pd)\/[^/]+/.test(path)) {
+            add('url-product-shape', 'product', weights.genericUrl, 'product-style path');
+        }
+        if (/-l\d+\.html$|\/(category|categories|collections?|c|cat)\/[^/]+\/?$/.test(path)) {
+            add('url-category-shape', 'category', weights.genericUrl, 'category-style path');
+        }
+    }
+
+    /**
+     * JSON-LD and OpenGraph signals
+     * @private
+     */
+    collectStructuredDataSignals(add, weights) {
+        const types = new Set();
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            [].concat(node['@type'] || []).forEach(t => types.add(t));
+            visit(node['@graph']);
+        };
+
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                visit(JSON.parse(script.textContent));
+            } catch (e) {
+                // Ignore malformed blocks
             }
+        });
+
+        if (types.has('Product') || types.has('ProductGroup')) {
+            add('json-ld', 'product', weights.jsonLd, 'JSON-LD Product');
+        }
+        if (types.has('SearchResultsPage')) {
+            add('json-ld', 'search', weights.jsonLd, 'JSON-LD SearchResultsPage');
+        }
+        if (types.has('CollectionPage') || types.has('ItemList') || types.has('OfferCatalog')) {
+            add('json-ld', 'category', weights.jsonLd, 'JSON-LD CollectionPage/ItemList');
         }
 
-        // Check for search pages
-        if (url.includes('search') || url.includes('query') || url.includes('q=')) {
-            return 'search';
+        const ogType = document.querySelector('meta[property="og:type"]')?.getAttribute('content')?.toLowerCase() || '';
+        if (ogType === 'product' || ogType === 'og:product' || ogType === 'product.item') {
+            add('opengraph', 'product', weights.openGraph, `og:type=${ogType}`);
         }
+    }
 
-        // Default to homepage or other
-        return 'other';
+    /**
+     * Layout signals: product grid size, add-to-bag buttons, galleries and size pickers
+     * @private
+     */
+    collectLayoutSignals(add, weights) {
+        const cardCount = this.countProductCards();
+        if (cardCount >= 8) {
+            add('product-grid', 'category', weights.productGrid, `${cardCount} product cards`);
+            add('product-grid', 'search', weights.productGrid, `${cardCount} product cards`);
+        } else if (cardCount >= 3) {
+            add('product-grid', 'category', weights.smallGrid, `${cardCount} product cards`);
+            add('product-grid', 'search', weights.smallGrid, `${cardCount} product cards`);
+        }
+
+        // Listing pages often have a quick-add per card; a product page has one or two buttons
+        const addToBagCount = this.countAddToBagButtons();
+        if (addToBagCount > 0 && addToBagCount <= 2) {
+            add('add-to-bag', 'product', weights.addToBag, `${addToBagCount} add-to-bag button(s)`);
+        }
+
+        const gallery = document.querySelector(
+            '[class*="gallery" i] img, [class*="carousel" i] img, [data-testid*="gallery" i] img, [class*="pdp" i] img, [class*="product-detail" i] img'
+        );
+        if (gallery && cardCount < 8) {
+            add('gallery', 'product', weights.gallery, 'image gallery');
+        }
+
+        const sizePicker = document.querySelector(
+            'select[name*="size" i], [class*="size-selector" i], [class*="sizeselector" i], [class*="size-picker" i], [data-testid*="size" i], [aria-label*="select size" i]'
+        );
+        if (sizePicker) {
+            add('size-picker', 'product', weights.sizePicker, 'size picker');
+        }
+    }
+
+    /**
+     * Count product cards using adapter selectors, falling back to microdata
+     * @returns {number} Card count
+     */
+    countProductCards() {
+        const selectors = [...(this.currentSite?.selectors?.productCards || []), '[itemtype*="schema.org/Product"]'];
+        let best = 0;
+
+        for (const selector of selectors) {
+            try {
+                best = Math.max(best, document.querySelectorAll(selector).length);
+            } catch (e) {
+                // Skip invalid selectors
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Count visible add-to-bag/cart buttons (text or form action based)
+     * @returns {number} Button count
+     */
+    countAddToBagButtons() {
+        const pattern = /add to (bag|cart|basket)|in den warenkorb|añadir a la cesta|ajouter au panier|aggiungi al carrello|lägg i varukorgen/i;
+        const buttons = Array.from(document.querySelectorAll('button, input[type="submit"], [role="button"]'))
+            .filter(el => pattern.test(el.textContent || el.value || el.getAttribute('aria-label') || ''));
+        const cartForms = document.querySelectorAll('form[action*="cart/add"], form[action*="/basket"]').length;
+
+        return Math.max(buttons.length, cartForms);
+    }
+
+    /**
+     * Check a URL against one page type rule from a site adapter
+     * @param {string} url - Lowercased page URL
+     * @param {Object} [rule] - Rule with urlPatterns (substrings) and urlRegex (regex sources)
+     * @returns {boolean} True if any pattern matches
+     */
+    matchesUrlRules(url, rule) {
+        if (!rule) return false;
+
+        if ((rule.urlPatterns || []).some(pattern => url.includes(pattern.toLowerCase()))) {
+            return true;
+        }
+
+        return (rule.urlRegex || []).some(source => {
+            try {
+                return new RegExp(source, 'i').test(url);
+            } catch (e) {
+                console.log(`⚠️ Invalid page type regex: ${source}`);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Update the site configuration (e.g. after custom adapters are loaded)
+     * @param {Object|null} siteConfig - Site adapter for the current host
+     */
+    setCurrentSite(siteConfig) {
+        this.currentSite = siteConfig;
+    }
+
+    /**
+     * Update the URL to classify (SPA navigation)
+     * @param {string} url - New page URL
+     */
+    setCurrentUrl(url) {
+        this.currentUrl = url;
+    }
+
+    /**
+     * Get the most recent classification without re-running it
+     * @returns {Object|null} Last classifyPage() result
+     */
+    getLastClassification() {
+        return this.lastClassification;
     }
 
     /**
@@ -66,4 +306,4 @@ export class PageTypeDetector {
     getCurrentSite() {
         return this.currentSite;
     }
-}
\ No newline at end of file
+}
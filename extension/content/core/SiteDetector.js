@@ -1,12 +1,47 @@
-import { SUPPORTED_SITES } from '../config/SiteConfigurations.js';
+import { SUPPORTED_SITES, SITE_ADAPTER_SCHEMA_VERSION } from '../config/SiteConfigurations.js';
 
 /**
  * SiteDetector handles detection of supported e-commerce sites
  * and provides site-specific configuration information.
+ * Built-in adapters come from SiteConfigurations.js; user-imported adapters
+ * (stored under `siteAdapters`) take precedence so they can override a built-in.
  */
 export class SiteDetector {
-    constructor(hostname) {
+    constructor(hostname, customAdapters = []) {
         this.currentHost = hostname || '';
+        this.customAdapters = customAdapters;
+    }
+
+    /**
+     * Load user-imported site adapters from storage
+     * @returns {Promise<Object[]>} Array of adapters compatible with this build
+     */
+    static async loadCustomAdapters() {
+        try {
+            const { siteAdapters = {} } = await chrome.storage.local.get(['siteAdapters']);
+            return Object.values(siteAdapters)
+                .map(entry => entry.adapter)
+                .filter(adapter => adapter && adapter.schemaVersion <= SITE_ADAPTER_SCHEMA_VERSION);
+        } catch (error) {
+            console.error('❌ Failed to load custom site adapters:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace the set of user-imported adapters
+     * @param {Object[]} adapters - Validated site adapters
+     */
+    setCustomAdapters(adapters) {
+        this.customAdapters = adapters || [];
+    }
+
+    /**
+     * Get all adapters in match order (custom first, then built-in)
+     * @returns {Object[]} Array of site adapters
+     */
+    getAllAdapters() {
+        return [...this.customAdapters, ...Object.values(SUPPORTED_SITES)];
     }
 
     /**
@@ -14,14 +49,25 @@ export class SiteDetector {
      * @returns {Object|null} Site configuration object with domain, or null if not supported
      */
     detectCurrentSite() {
-        for (const [domain, config] of Object.entries(SUPPORTED_SITES)) {
-            if (this.currentHost.includes(domain)) {
-                return { domain, ...config };
+        for (const adapter of this.getAllAdapters()) {
+            const domain = (adapter.hosts || []).find(host => this.matchesHost(host));
+            if (domain) {
+                return { domain, ...adapter };
             }
         }
         return null;
     }
 
+    /**
+     * Check if the current hostname is the host or one of its subdomains
+     * (plain substring matching would let "cos.com" match "tacos.com")
+     * @param {string} host - Adapter host, e.g. "asos.com"
+     * @returns {boolean} True if the hostname belongs to the host
+     */
+    matchesHost(host) {
+        return this.currentHost === host || this.currentHost.endsWith(`.${host}`);
+    }
+
     /**
      * Check if current site is a supported clothing site
      * @returns {boolean} True if current site is supported
@@ -35,7 +81,7 @@ export class SiteDetector {
      * @returns {string[]} Array of supported domain names
      */
     static getSupportedDomains() {
-        return Object.keys(SUPPORTED_SITES);
+        return Object.values(SUPPORTED_SITES).flatMap(adapter => adapter.hosts);
     }
 }
 
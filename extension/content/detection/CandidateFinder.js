@@ -1,15 +1,21 @@
 import { SUPPORTED_SITES } from '../config/SiteConfigurations.js';
 import { QuickExclusion } from './QuickExclusion.js';
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+import { DeepQuery } from '../utils/DeepQuery.js';
 
 /**
  * CandidateFinder handles finding potential product images using site-specific
- * and general CSS selectors
+ * and general CSS selectors. Queries run through DeepQuery, so products rendered
+ * in open shadow roots or same-origin iframes are found too.
  */
 export class CandidateFinder {
     constructor(currentSite) {
         this.currentSite = currentSite;
         this.quickExclusion = new QuickExclusion();
 
+        // Selectors taught by the user with SelectorPicker (take precedence over everything else)
+        this.selectorOverride = null;
+
         // General selectors as fallback
         this.generalSelectors = [
             'img[src*="product"]',
@@ -25,62 +31,49 @@ export class CandidateFinder {
 
     /**
      * Test site-specific selectors to see what's working on current page
-     * @returns {Object} Statistics about found elements
+     * @returns {{foundElements: number, selectors: Object<string, number>, perSelector: Object<string, Object<string, number>>}}
+     *          Totals per selector group plus match counts for each individual selector
      */
     testSelectors() {
         if (!this.currentSite?.selectors) {
             console.log('⚠️ No site configuration available for selector testing');
-            return { foundElements: 0, selectors: {} };
+            return { foundElements: 0, selectors: {}, perSelector: {} };
         }
 
         console.log(`🔍 Testing selectors for ${this.currentSite.name}:`);
 
-        const stats = {
-            productImages: 0,
-            productCards: 0,
-            productLinks: 0
+        // Selector groups defined by the site adapter (price/title are optional)
+        const groups = {
+            productImages: 'Product images',
+            productCards: 'Product cards',
+            productLinks: 'Product links',
+            price: 'Prices',
+            title: 'Titles'
         };
 
-        // Test product images
+        const stats = {};
+        const perSelector = {};
         let foundElements = 0;
-        for (const selector of this.currentSite.selectors.productImages) {
-            try {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    console.log(`  ✅ Product images: ${selector} (${elements.length} found)`);
-                    stats.productImages += elements.length;
-                    foundElements += elements.length;
-                }
-            } catch (e) {
-                console.log(`  ⚠️ Invalid selector: ${selector}`);
-            }
-        }
-
-        // Test product cards
-        for (const selector of this.currentSite.selectors.productCards) {
-            try {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    console.log(`  ✅ Product cards: ${selector} (${elements.length} found)`);
-                    stats.productCards += elements.length;
-                    foundElements += elements.length;
-                }
-            } catch (e) {
-                console.log(`  ⚠️ Invalid selector: ${selector}`);
-            }
-        }
 
-        // Test product links
-        for (const selector of this.currentSite.selectors.productLinks) {
-            try {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    console.log(`  ✅ Product links: ${selector} (${elements.length} found)`);
-                    stats.productLinks += elements.length;
-                    foundElements += elements.length;
+        for (const [group, label] of Object.entries(groups)) {
+            stats[group] = 0;
+            perSelector[group] = {};
+            for (const selector of this.currentSite.selectors[group] || []) {
+                try {
+                    const elements = DeepQuery.querySelectorAll(selector);
+                    perSelector[group][selector] = elements.length;
+                    if (elements.length > 0) {
+                        console.log(`  ✅ ${label}: ${selector} (${elements.length} found)`);
+                        stats[group] += elements.length;
+                        // Price/title matches describe cards, they are not extra products
+                        if (group !== 'price' && group !== 'title') {
+                            foundElements += elements.length;
+                        }
+                    }
+                } catch (e) {
+                    perSelector[group][selector] = 0;
+                    console.log(`  ⚠️ Invalid selector: ${selector}`);
                 }
-            } catch (e) {
-                console.log(`  ⚠️ Invalid selector: ${selector}`);
             }
         }
 
@@ -91,32 +84,72 @@ export class CandidateFinder {
             console.log(`  📊 Total elements found: ${foundElements}`);
         }
 
-        return { foundElements, selectors: stats };
+        return { foundElements, selectors: stats, perSelector };
     }
 
     /**
-     * Find candidate images - using universal detection only
-     * @returns {HTMLImageElement[]} Array of candidate image elements
+     * Find candidate images - user-taught selectors first, then universal detection.
+     * Candidates are <img> elements plus elements that show a product only as a CSS
+     * background image; each gets its real image URL resolved (data-ai-style-src).
+     * @param {Element[]|null} [roots] - Only search these subtrees (incremental detection); null = whole page
+     * @returns {HTMLElement[]} Array of candidate image elements
      */
-    findCandidateImages() {
-        console.log(`🔍 Looking for images...`);
+    findCandidateImages(roots = null) {
+        const scopes = roots || [document];
+        console.log(roots ? `🔍 Looking for images in ${roots.length} new subtree(s)...` : `🔍 Looking for images...`);
+
+        if (this.selectorOverride) {
+            const overrideCandidates = this._findOverrideImages(scopes);
+            if (overrideCandidates.length > 0) {
+                console.log(`  🎯 Total candidates found (taught selectors): ${overrideCandidates.length}`);
+                overrideCandidates.forEach(el => ImageSourceResolver.annotate(el));
+                return overrideCandidates;
+            }
+            console.log('  ⚠️ Taught selectors matched nothing, falling back to universal detection');
+        }
 
-        // Use universal fallback only - gets all images with quick exclusion
-        const candidates = this._universalFallback();
+        // Universal fallback - gets all images with quick exclusion
+        const candidates = this._universalFallback(scopes);
+        candidates.forEach(el => ImageSourceResolver.annotate(el));
 
         console.log(`  🎯 Total candidates found: ${candidates.length}`);
 
         return candidates;
     }
 
+    /**
+     * Find images using the user-taught selector override
+     * @param {Array<Document|Element>} scopes - Subtrees to search
+     * @returns {HTMLImageElement[]} Array of filtered image elements
+     * @private
+     */
+    _findOverrideImages(scopes) {
+        const images = new Set();
+
+        this._queryAll(this.selectorOverride.productImages, '    ⚠️ Invalid taught selector', scopes).forEach(img => {
+            if (img.tagName === 'IMG' || ImageSourceResolver.getBackgroundImageUrl(img)) images.add(img);
+        });
+
+        const cards = this._queryAll(this.selectorOverride.productCards, '    ⚠️ Invalid taught selector', scopes);
+        cards.forEach(card => card.querySelectorAll('img').forEach(img => images.add(img)));
+        scopes.forEach(scope => {
+            ImageSourceResolver.findBackgroundImageElements(cards, scope).forEach(el => images.add(el));
+        });
+
+        const candidates = Array.from(images).filter(img => this.quickExclusion.quickExclusionCheck(img).passed);
+        console.log(`    ✅ ${candidates.length}/${images.size} taught-selector images passed quick exclusion`);
+        return candidates;
+    }
+
     /**
      * Universal fallback - get all images with basic filtering
+     * @param {Array<Document|Element>} scopes - Subtrees to search
      * @returns {HTMLImageElement[]} Array of filtered image elements
      * @private
      */
-    _universalFallback() {
+    _universalFallback(scopes) {
         console.log('    📸 Using universal image fallback...');
-        const allImages = document.querySelectorAll('img');
+        const allImages = this._queryAll(['img'], '    ⚠️ Invalid selector', scopes);
         console.log(`    📸 Found ${allImages.length} total images on page`);
 
         const candidates = [];
@@ -128,10 +161,43 @@ export class CandidateFinder {
             }
         });
 
+        // Products drawn as CSS background images have no <img> to find
+        const cards = this._queryAll(this.currentSite?.selectors?.productCards, '    ⚠️ Invalid card selector', scopes);
+        const backgroundElements = scopes
+            .flatMap(scope => ImageSourceResolver.findBackgroundImageElements(cards, scope))
+            .filter((el, index, all) => all.indexOf(el) === index)
+            .filter(el => this.quickExclusion.quickExclusionCheck(el).passed);
+        if (backgroundElements.length > 0) {
+            console.log(`    🖼️ ${backgroundElements.length} background-image elements added`);
+            candidates.push(...backgroundElements);
+        }
+
         console.log(`    ✅ ${candidates.length} images passed quick exclusion`);
         return candidates;
     }
 
+    /**
+     * Query a list of selectors, skipping invalid ones
+     * @param {string[]} [selectors] - CSS selectors
+     * @param {string} warning - Log prefix for invalid selectors
+     * @param {Array<Document|Element>} [scopes] - Subtrees to search
+     * @returns {HTMLElement[]} Unique matching elements
+     * @private
+     */
+    _queryAll(selectors, warning, scopes = [document]) {
+        const elements = new Set();
+        for (const selector of selectors || []) {
+            try {
+                scopes.forEach(scope => {
+                    DeepQuery.querySelectorAll(selector, scope).forEach(el => elements.add(el));
+                });
+            } catch (e) {
+                console.log(`${warning}: ${selector}`);
+            }
+        }
+        return Array.from(elements);
+    }
+
     /**
      * Find images using only site-specific selectors (no fallbacks)
      * @returns {HTMLImageElement[]} Array of candidate image elements
@@ -146,7 +212,7 @@ export class CandidateFinder {
 
         for (const selector of this.currentSite.selectors.productImages) {
             try {
-                const images = document.querySelectorAll(selector);
+                const images = DeepQuery.querySelectorAll(selector);
                 images.forEach(img => candidates.add(img));
             } catch (e) {
                 console.log(`Invalid selector: ${selector}`);
@@ -170,7 +236,7 @@ export class CandidateFinder {
 
         for (const selector of this.currentSite.selectors.productCards) {
             try {
-                const cards = document.querySelectorAll(selector);
+                const cards = DeepQuery.querySelectorAll(selector);
                 cards.forEach(card => {
                     const images = card.querySelectorAll('img');
                     images.forEach(img => candidates.add(img));
@@ -183,6 +249,79 @@ export class CandidateFinder {
         return Array.from(candidates);
     }
 
+    /**
+     * Find the product card that contains an image, using the site adapter's card selectors
+     * @param {HTMLElement} img - Image element
+     * @returns {HTMLElement|null} Closest matching card element or null
+     */
+    findCardForImage(img) {
+        const cardSelectors = [
+            ...(this.selectorOverride?.productCards || []),
+            ...(this.currentSite?.selectors?.productCards || [])
+        ];
+
+        for (const selector of cardSelectors) {
+            try {
+                const card = DeepQuery.closest(img, selector);
+                if (card) {
+                    return card;
+                }
+            } catch (e) {
+                console.log(`Invalid card selector: ${selector}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read title, price and link from a product card using the site adapter's selectors
+     * @param {HTMLElement} card - Product card element
+     * @returns {Object} Card details: { title, price, link } (null when not found)
+     */
+    extractCardDetails(card) {
+        const siteSelectors = this.currentSite?.selectors || {};
+        const override = this.selectorOverride || {};
+        const selectors = {
+            title: [...(override.title || []), ...(siteSelectors.title || [])],
+            price: [...(override.price || []), ...(siteSelectors.price || [])],
+            productLinks: siteSelectors.productLinks || []
+        };
+
+        const firstText = (selectorList = []) => {
+            for (const selector of selectorList) {
+                try {
+                    const el = card.querySelector(selector);
+                    const text = el?.textContent?.trim();
+                    if (text) {
+                        return text;
+                    }
+                } catch (e) {
+                    // Skip invalid selectors
+                }
+            }
+            return null;
+        };
+
+        let link = null;
+        for (const selector of selectors.productLinks || []) {
+            try {
+                const anchor = card.matches(selector) ? card : card.querySelector(selector);
+                if (anchor?.href) {
+                    link = anchor.href;
+                    break;
+                }
+            } catch (e) {
+                // Skip invalid selectors
+            }
+        }
+
+        return {
+            title: firstText(selectors.title),
+            price: firstText(selectors.price),
+            link
+        };
+    }
+
     /**
      * Find images using general selectors only
      * @returns {HTMLImageElement[]} Array of candidate image elements
@@ -192,7 +331,7 @@ export class CandidateFinder {
 
         for (const selector of this.generalSelectors) {
             try {
-                const images = document.querySelectorAll(selector);
+                const images = DeepQuery.querySelectorAll(selector);
                 images.forEach(img => candidates.add(img));
             } catch (e) {
                 // Skip invalid selectors
@@ -210,6 +349,14 @@ export class CandidateFinder {
         this.currentSite = siteConfig;
     }
 
+    /**
+     * Set (or clear) the user-taught selector override for this site
+     * @param {Object|null} override - { productCards, productImages, title, price } or null
+     */
+    setSelectorOverride(override) {
+        this.selectorOverride = override;
+    }
+
     /**
      * Get current site configuration
      * @returns {Object} Current site configuration
@@ -1,6 +1,7 @@
 import { CandidateFinder } from './CandidateFinder.js';
 import { VisibilityChecker } from './VisibilityChecker.js';
 import { QuickExclusion } from './QuickExclusion.js';
+import { ProductEntityGrouper } from './ProductEntityGrouper.js';
 import { DOMUtils } from '../utils/DOMUtils.js';
 
 /**
@@ -13,6 +14,7 @@ export class ImageDetector {
         this.candidateFinder = new CandidateFinder(currentSite);
         this.visibilityChecker = new VisibilityChecker();
         this.quickExclusion = new QuickExclusion();
+        this.productGrouper = new ProductEntityGrouper(this.candidateFinder);
         this.isClothingImageCallback = isClothingImageCallback; // AI callback
 
         this.detectedProducts = [];
@@ -22,11 +24,20 @@ export class ImageDetector {
 
     /**
      * Main product image detection method
+     * Images are grouped into products first, so each detected item is one product:
+     * `element` is its best image and `images` holds all of its images.
+     *
+     * With options.roots only those subtrees are searched (incremental detection for
+     * nodes added after the first pass). Images already checked are skipped, images
+     * added to a card that already has a product join that product, and new products
+     * are appended to the detected list instead of replacing it.
      * @param {Object} options - Detection options
-     * @returns {Object} Detection results with detected and rejected images
+     * @param {Element[]} [options.roots] - Only detect inside these newly added subtrees
+     * @returns {Object} Detection results with detected products (new ones only when incremental) and rejected images
      */
     async detectProductImages(options = {}) {
-        console.log('🔍 Starting product image detection...');
+        const roots = options.roots || null;
+        console.log(roots ? '🔍 Starting incremental product image detection...' : '🔍 Starting product image detection...');
 
         const detectedImages = [];
         const rejectedImages = [];
@@ -36,8 +47,9 @@ export class ImageDetector {
             return { detectedImages, rejectedImages };
         }
 
-        // Find candidate images using selectors
-        const candidateImages = this.candidateFinder.findCandidateImages();
+        // Find candidate images using selectors (incremental: skip images a previous pass already checked)
+        const candidateImages = this.candidateFinder.findCandidateImages(roots)
+            .filter(img => !roots || img.dataset.clothingItemDetected === undefined);
 
         if (candidateImages.length === 0) {
             console.log('⚠️ No candidate images found');
@@ -46,128 +58,189 @@ export class ImageDetector {
 
         console.log(`📸 Processing ${candidateImages.length} candidate images...`);
 
-        // Process images in batches for performance
-        const batchSize = 8;
-        const allResults = [];
+        // Visibility and quality checks per image (fast, no AI)
+        const passedImages = [];
+        candidateImages.forEach(img => {
+            // Mark as processed
+            const imgKey = DOMUtils.getImageKey(img);
+            this.processedImages.add(imgKey);
+
+            const rejection = this.checkImage(img);
+            if (rejection) {
+                rejectedImages.push(rejection);
+                img.dataset.clothingItemDetected = 'false';  // Not a clothing item
+            } else {
+                passedImages.push(img);
+            }
+        });
 
-        for (let batchStart = 0; batchStart < candidateImages.length; batchStart += batchSize) {
-            const batch = candidateImages.slice(batchStart, batchStart + batchSize);
-            console.log(`🔄 Processing batch ${Math.floor(batchStart / batchSize) + 1}/${Math.ceil(candidateImages.length / batchSize)}`);
-
-            const imageProcessingPromises = batch.map(async (img, i) => {
-                const globalIndex = batchStart + i;
-                const imageInfo = DOMUtils.getImageInfo(img);
-
-                // Individual image processing logs removed - will show summary table instead
-
-                // Mark as processed
-                const imgKey = DOMUtils.getImageKey(img);
-                this.processedImages.add(imgKey);
-
-                // Quick exclusion check (fast)
-                const visibilityCheck = this.visibilityChecker.isImageVisible(img);
-                if (!visibilityCheck.isVisible) {
-                    return {
-                        type: 'rejected',
-                        element: img,
-                        imageInfo: imageInfo,
-                        reason: visibilityCheck.reason,
-                        confidence: 0.9,
-                        method: 'visibility_check'
-                    };
-                }
+        // Group the remaining images into products (primary shot, hover alternate, swatches...)
+        let products = this.productGrouper.group(passedImages);
+        if (roots) {
+            products = this.mergeIntoKnownProducts(products);
+        }
+        console.log(`🧩 Grouped ${passedImages.length} images into ${products.length} products`);
 
-                // Quality check
-                const quality = this.visibilityChecker.checkImageQuality(img);
-                if (!quality.isValid) {
-                    return {
-                        type: 'rejected',
-                        element: img,
-                        imageInfo: imageInfo,
-                        reason: quality.reason,
-                        confidence: 0.9,
-                        method: 'quality_check'
-                    };
-                }
+        // Process products in batches for performance
+        const batchSize = 8;
+        const allResults = [];
 
-                // AI clothing detection (if callback provided)
-                if (this.isClothingImageCallback) {
-                    try {
-                        const isClothing = await this.isClothingImageCallback(img);
-
-                        if (isClothing.isClothing) {
-                            return {
-                                type: 'detected',
-                                element: img,
-                                imageInfo: imageInfo,
-                                reason: isClothing.reasoning || 'AI detected as clothing',
-                                confidence: isClothing.confidence || 0.8,
-                                method: isClothing.method || 'ai_clothing_detection'  // More specific: indicates clothing detection
-                            };
-                        } else {
-                            return {
-                                type: 'rejected',
-                                element: img,
-                                imageInfo: imageInfo,
-                                reason: isClothing.reasoning || 'AI rejected as non-clothing',
-                                confidence: isClothing.confidence || 0.8,
-                                method: isClothing.method || 'ai_clothing_detection'  // More specific: indicates clothing detection
-                            };
-                        }
-                    } catch (error) {
-                        // Fallback to context analysis
-                        const contextResult = this.analyzeImageContext(img);
-                        return {
-                            type: contextResult.isClothing ? 'detected' : 'rejected',
-                            element: img,
-                            imageInfo: imageInfo,
-                            reason: contextResult.reasoning,
-                            confidence: 0.6,
-                            method: 'context_analysis'
-                        };
-                    }
-                } else {
-                    // Fallback to context analysis when no AI callback
-                    const contextResult = this.analyzeImageContext(img);
-                    return {
-                        type: contextResult.isClothing ? 'detected' : 'rejected',
-                        element: img,
-                        imageInfo: imageInfo,
-                        reason: contextResult.reasoning,
-                        confidence: 0.6,
-                        method: 'context_analysis'
-                    };
-                }
+        for (let batchStart = 0; batchStart < products.length; batchStart += batchSize) {
+            const batch = products.slice(batchStart, batchStart + batchSize);
+            console.log(`🔄 Processing batch ${Math.floor(batchStart / batchSize) + 1}/${Math.ceil(products.length / batchSize)}`);
+
+            const productProcessingPromises = batch.map(async (product) => {
+                // Classify the product once, on its best image
+                const result = await this.classifyImage(product.element);
+                return {
+                    ...result,
+                    images: product.images,
+                    card: product.card,
+                    productLink: product.link
+                };
             });
 
-            const results = await Promise.all(imageProcessingPromises);
+            const results = await Promise.all(productProcessingPromises);
             allResults.push(...results);
         }
 
-        // Separate detected and rejected images
+        // Separate detected and rejected products
+        const indexOffset = roots ? this.detectedProducts.length : 0;
         allResults.forEach(result => {
             if (result.type === 'detected') {
                 detectedImages.push(result);
-                // Mark image element as clothing item
-                // 'true' = is clothing, 'false' = not clothing, undefined = not analyzed
-                result.element.dataset.clothingItemDetected = 'true';
-                result.element.dataset.detectionIndex = detectedImages.length - 1;
             } else {
                 rejectedImages.push(result);
-                result.element.dataset.clothingItemDetected = 'false';  // Not a clothing item
             }
+
+            // Mark every image of the product (alternates share the best image's verdict)
+            // 'true' = is clothing, 'false' = not clothing, undefined = not analyzed
+            result.images.forEach(img => {
+                img.dataset.clothingItemDetected = result.type === 'detected' ? 'true' : 'false';
+                if (result.type === 'detected') {
+                    img.dataset.detectionIndex = indexOffset + detectedImages.length - 1;
+                }
+            });
         });
 
         // Store detected products
-        this.detectedProducts = detectedImages;
+        this.detectedProducts = roots ? [...this.detectedProducts, ...detectedImages] : detectedImages;
 
+        const groupedImageCount = detectedImages.reduce((sum, item) => sum + item.images.length, 0);
         console.log(`✅ Detection complete:`);
-        console.log(`  🎯 Detected: ${detectedImages.length} clothing images`);
+        console.log(`  🎯 Detected: ${detectedImages.length} clothing products (${groupedImageCount} images)`);
         console.log(`  ❌ Rejected: ${rejectedImages.length} images`);
 
         return { detectedImages, rejectedImages };
     }
 
+    /**
+     * Attach images added to an already detected product's card to that product
+     * (hover swaps and carousels insert new <img> elements into existing cards)
+     * @param {Array<Object>} products - Product entities from ProductEntityGrouper
+     * @returns {Array<Object>} Entities that are new products
+     */
+    mergeIntoKnownProducts(products) {
+        return products.filter(product => {
+            const known = product.card && this.detectedProducts.find(item => item.card === product.card);
+            if (!known) {
+                return true;
+            }
+
+            product.images.forEach(img => {
+                if (!known.images.includes(img)) {
+                    known.images.push(img);
+                }
+                img.dataset.clothingItemDetected = 'true';
+                img.dataset.detectionIndex = this.detectedProducts.indexOf(known);
+            });
+            return false;
+        });
+    }
+
+    /**
+     * Forget the products that own the given images (they left the page)
+     * @param {HTMLElement[]} images - Removed images
+     */
+    removeProducts(images) {
+        const removed = new Set(images);
+        this.detectedProducts = this.detectedProducts.filter(item =>
+            !(item.images || [item.element]).some(img => removed.has(img))
+        );
+        images.forEach(img => this.processedImages.delete(DOMUtils.getImageKey(img)));
+    }
+
+    /**
+     * Run the visibility and quality checks on a candidate image
+     * @param {HTMLImageElement} img - Candidate image
+     * @returns {Object|null} Rejection result, or null if the image passed
+     */
+    checkImage(img) {
+        const visibilityCheck = this.visibilityChecker.isImageVisible(img);
+        if (!visibilityCheck.isVisible) {
+            return {
+                type: 'rejected',
+                element: img,
+                imageInfo: DOMUtils.getImageInfo(img),
+                reason: visibilityCheck.reason,
+                confidence: 0.9,
+                method: 'visibility_check'
+            };
+        }
+
+        const quality = this.visibilityChecker.checkImageQuality(img);
+        if (!quality.isValid) {
+            return {
+                type: 'rejected',
+                element: img,
+                imageInfo: DOMUtils.getImageInfo(img),
+                reason: quality.reason,
+                confidence: 0.9,
+                method: 'quality_check'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Decide whether an image shows clothing (AI callback, falling back to context analysis)
+     * @param {HTMLImageElement} img - Image that passed visibility and quality checks
+     * @returns {Promise<Object>} Detected or rejected result
+     */
+    async classifyImage(img) {
+        const imageInfo = DOMUtils.getImageInfo(img);
+
+        // AI clothing detection (if callback provided)
+        if (this.isClothingImageCallback) {
+            try {
+                const isClothing = await this.isClothingImageCallback(img);
+
+                return {
+                    type: isClothing.isClothing ? 'detected' : 'rejected',
+                    element: img,
+                    imageInfo: imageInfo,
+                    reason: isClothing.reasoning || (isClothing.isClothing ? 'AI detected as clothing' : 'AI rejected as non-clothing'),
+                    confidence: isClothing.confidence || 0.8,
+                    method: isClothing.method || 'ai_clothing_detection'  // More specific: indicates clothing detection
+                };
+            } catch (error) {
+                // Fall through to context analysis
+            }
+        }
+
+        // Fallback to context analysis when no AI callback (or it failed)
+        const contextResult = this.analyzeImageContext(img);
+        return {
+            type: contextResult.isClothing ? 'detected' : 'rejected',
+            element: img,
+            imageInfo: imageInfo,
+            reason: contextResult.reasoning,
+            confidence: 0.6,
+            method: 'context_analysis'
+        };
+    }
+
     // REMOVED: detectNewImages method - lazy loading detection disabled
 
     /**
@@ -314,6 +387,14 @@ export class ImageDetector {
         this.candidateFinder.updateSiteConfig(siteConfig);
     }
 
+    /**
+     * Set (or clear) the user-taught selector override
+     * @param {Object|null} override - Selector override from SelectorPicker
+     */
+    setSelectorOverride(override) {
+        this.candidateFinder.setSelectorOverride(override);
+    }
+
     /**
      * Get detection statistics
      * @returns {Object} Statistics about detection results
@@ -0,0 +1,293 @@
+import { DeepQuery } from '../utils/DeepQuery.js';
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+
+/**
+ * IncrementalDetector keeps detection in sync with the DOM after the first full pass.
+ *
+ * Infinite-scroll category pages keep appending product cards (and recycling old
+ * ones). Instead of rescanning the whole page, a MutationObserver collects the
+ * subtrees that were added or removed, and after the DOM settles:
+ * - added subtrees go through detection on their own (QuickExclusion, VisibilityChecker,
+ *   grouping, classification) via ContentScriptManager.detectInSubtrees()
+ * - removed subtrees release the products, badges and cached elements they held
+ *   via ContentScriptManager.releaseRemovedProducts()
+ *
+ * - image source changes (lazy loaders filling in src/srcset/data-* or a background
+ *   image, <img> load events) go to ContentScriptManager.handleImageSourceChanges(),
+ *   which re-resolves the URLs and schedules analysis of images that became ready
+ *
+ * Every root DeepQuery searches is observed: the document, open shadow roots and
+ * same-origin frame documents, including ones that appear later (added hosts and
+ * iframes, iframes loading a new document).
+ */
+export class IncrementalDetector {
+    // Wait for the DOM to settle: infinite scroll appends cards in bursts
+    static SETTLE_DELAY_MS = 400;
+
+    // Attributes lazy loaders set when an image scrolls in (never the extension's data-ai-style-*)
+    static SOURCE_ATTRIBUTES = [
+        'src', 'srcset', 'style',
+        ...ImageSourceResolver.LAZY_URL_ATTRIBUTES,
+        ...ImageSourceResolver.LAZY_SRCSET_ATTRIBUTES
+    ];
+
+    constructor(contentScriptManager) {
+        this.contentScript = contentScriptManager;
+        this.observer = null;
+        this.observedRoots = new Set();
+        this.addedNodes = new Set();
+        this.sourceChanges = new Set();
+        this.hasRemovals = false;
+        this.onLoad = (event) => this.handleLoad(event);
+        this.flushTimer = null;
+        this.isFlushing = false;
+    }
+
+    /**
+     * Start observing the page (no-op if already observing)
+     */
+    start() {
+        if (this.observer || !document.body) {
+            return;
+        }
+
+        this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
+        DeepQuery.getSearchRoots(document).forEach(root => this.observeRoot(root));
+        console.log(`👀 Incremental detection started (${this.observedRoots.size} root(s))`);
+    }
+
+    /**
+     * Observe a document or shadow root (no-op if already observed)
+     * @param {Document|ShadowRoot} root - Search root
+     * @private
+     */
+    observeRoot(root) {
+        if (this.observedRoots.has(root)) {
+            return;
+        }
+
+        // Documents are observed from the root element: frames may swap their body
+        const target = root.nodeType === Node.DOCUMENT_NODE ? root.documentElement : root;
+        if (!target) {
+            return;
+        }
+
+        this.observer.observe(target, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: IncrementalDetector.SOURCE_ATTRIBUTES
+        });
+        // load does not bubble, and outside a shadow root it names the host rather than the
+        // image (frames do not pass it on at all), so every root captures its own
+        root.addEventListener('load', this.onLoad, true);
+        this.observedRoots.add(root);
+    }
+
+    /**
+     * Stop observing and drop pending changes
+     */
+    stop() {
+        if (!this.observer) {
+            return;
+        }
+
+        this.observer.disconnect();
+        this.observer = null;
+        this.observedRoots.forEach(root => root.removeEventListener('load', this.onLoad, true));
+        this.observedRoots.clear();
+        this.addedNodes.clear();
+        this.sourceChanges.clear();
+        this.hasRemovals = false;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        console.log('⏹️ Incremental detection stopped');
+    }
+
+    /**
+     * Check if the observer is running
+     * @returns {boolean} True while observing
+     */
+    isRunning() {
+        return this.observer !== null;
+    }
+
+    /**
+     * Collect added/removed element subtrees and image source changes from a mutation batch
+     * @param {MutationRecord[]} mutations - Observed mutations
+     * @private
+     */
+    handleMutations(mutations) {
+        let changed = false;
+        let sourceChanged = false;
+
+        mutations.forEach(mutation => {
+            if (mutation.type === 'attributes') {
+                if (this.isSourceChange(mutation)) {
+                    this.sourceChanges.add(mutation.target);
+                    sourceChanged = true;
+                }
+                return;
+            }
+
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && !this.isExtensionNode(node)) {
+                    this.addedNodes.add(node);
+                    changed = true;
+                }
+            });
+
+            mutation.removedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && !this.isExtensionNode(node)) {
+                    this.hasRemovals = true;
+                    changed = true;
+                }
+            });
+        });
+
+        if (changed || sourceChanged) {
+            this.scheduleFlush(changed);
+        }
+    }
+
+    /**
+     * Handle a captured load event
+     * @param {Event} event - load event from an element under an observed root
+     * @private
+     */
+    handleLoad(event) {
+        const target = event.target;
+        if (target.nodeType !== Node.ELEMENT_NODE || this.isExtensionNode(target)) {
+            return;
+        }
+
+        if (DeepQuery.isFrame(target)) {
+            // A new frame document: observe it and detect its products like added content
+            const frameDocument = DeepQuery.getFrameDocument(target);
+            if (frameDocument?.documentElement) {
+                this.observeRoot(frameDocument);
+                this.addedNodes.add(frameDocument.documentElement);
+                this.scheduleFlush(true);
+            }
+            return;
+        }
+
+        if (target.tagName === 'IMG') {
+            this.sourceChanges.add(target);
+            this.scheduleFlush(false);
+        }
+    }
+
+    /**
+     * Check if an attribute mutation may change which image an element shows
+     * @param {MutationRecord} mutation - Attribute mutation
+     * @returns {boolean} True for image source changes
+     * @private
+     */
+    isSourceChange(mutation) {
+        const target = mutation.target;
+        if (this.isExtensionNode(target)) {
+            return false;
+        }
+        // Animations rewrite inline styles constantly; only background images matter
+        if (mutation.attributeName === 'style') {
+            return /url\(/.test(target.style?.backgroundImage || '');
+        }
+        return true;
+    }
+
+    /**
+     * Flush once the DOM settles
+     * @param {boolean} structural - Nodes were added or removed: restart the settle delay.
+     *   Source changes alone never postpone a pending flush, so a carousel cycling its
+     *   images cannot hold detection back.
+     * @private
+     */
+    scheduleFlush(structural) {
+        if (this.flushTimer && !structural) {
+            return;
+        }
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), IncrementalDetector.SETTLE_DELAY_MS);
+    }
+
+    /**
+     * Process the collected changes
+     * @private
+     */
+    async flush() {
+        this.flushTimer = null;
+
+        // A detection pass is still running - try again once the DOM settles next time
+        if (this.isFlushing) {
+            this.flushTimer = setTimeout(() => this.flush(), IncrementalDetector.SETTLE_DELAY_MS);
+            return;
+        }
+
+        const roots = this.getTopmostConnected(Array.from(this.addedNodes));
+        const sourceChanges = Array.from(this.sourceChanges).filter(node => node.isConnected);
+        const hasRemovals = this.hasRemovals;
+        this.addedNodes.clear();
+        this.sourceChanges.clear();
+        this.hasRemovals = false;
+
+        this.isFlushing = true;
+        try {
+            // Shadow roots and frame documents inside added content are observed from now on
+            roots.forEach(root => this.observeNestedRoots(root));
+
+            // Additions first: a card swapping its <img> (hover, carousel) keeps its product
+            if (roots.length > 0) {
+                await this.contentScript.detectInSubtrees(roots);
+            }
+            if (hasRemovals) {
+                this.contentScript.releaseRemovedProducts();
+            }
+            if (sourceChanges.length > 0) {
+                this.contentScript.handleImageSourceChanges(sourceChanges);
+            }
+        } catch (error) {
+            console.error('❌ Incremental detection failed:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Observe the shadow roots and frame documents under an added element
+     * @param {Element} root - Added element
+     * @private
+     */
+    observeNestedRoots(root) {
+        DeepQuery.getSearchRoots(root)
+            .filter(searchRoot => searchRoot.nodeType !== Node.ELEMENT_NODE)
+            .forEach(searchRoot => this.observeRoot(searchRoot));
+    }
+
+    /**
+     * Drop nodes that left the page again or sit inside another added node
+     * @param {Element[]} nodes - Added nodes
+     * @returns {Element[]} Outermost connected nodes
+     * @private
+     */
+    getTopmostConnected(nodes) {
+        const connected = nodes.filter(node => node.isConnected);
+        return connected.filter(node => !connected.some(other => other !== node && other.contains(node)));
+    }
+
+    /**
+     * Check if a node is one of the extension's own elements (badges, overlays, panels)
+     * @param {Element} node - Added or removed node
+     * @returns {boolean} True for extension UI
+     * @private
+     */
+    isExtensionNode(node) {
+        const className = typeof node.className === 'string' ? node.className : '';
+        return /(^|\s)(ai-style-|virtual-tryon-)/.test(className) || (node.id || '').startsWith('ai-style-');
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.IncrementalDetector = IncrementalDetector;
+}
@@ -0,0 +1,106 @@
+import { DeepQuery } from '../utils/DeepQuery.js';
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+
+/**
+ * ProductEntityGrouper groups candidate images into products.
+ *
+ * A product card usually holds more than one image: the primary shot, a hover
+ * alternate, colour-swatch thumbnails. Images are grouped by the card that contains
+ * them (site adapter card selectors) or, without a card, by the product page they
+ * link to. Each product is then detected, analyzed and badged once, on its best image.
+ *
+ * Entity shape:
+ * {
+ *   key,        // card element or normalized product URL
+ *   card,       // product card element (null when grouped by link)
+ *   link,       // product URL (null when unknown)
+ *   images,     // all images of the product, DOM order
+ *   element     // best image, used for classification, analysis and the badge
+ * }
+ */
+export class ProductEntityGrouper {
+    constructor(candidateFinder) {
+        this.candidateFinder = candidateFinder;
+    }
+
+    /**
+     * Group images into product entities
+     * Images with neither a card nor a product link (e.g. PDP gallery shots) stay on their own.
+     * @param {HTMLElement[]} images - Images that passed visibility and quality checks
+     * @returns {Array<Object>} Product entities, in order of their first image
+     */
+    group(images) {
+        const entities = new Map();
+
+        images.forEach(img => {
+            const card = this.candidateFinder.findCardForImage(img);
+            const link = this.getProductLink(card || img);
+            const key = card || link || img;
+
+            if (!entities.has(key)) {
+                entities.set(key, { key, card, link, images: [] });
+            }
+            entities.get(key).images.push(img);
+        });
+
+        return Array.from(entities.values()).map(entity => ({
+            ...entity,
+            element: ProductEntityGrouper.chooseBestImage(entity.images)
+        }));
+    }
+
+    /**
+     * Get the product page an element links to
+     * Links back to the current page (PDP gallery thumbnails, '#' anchors) do not identify a product.
+     * @param {HTMLElement} element - Card or image element
+     * @returns {string|null} Product URL without query string and hash, or null
+     */
+    getProductLink(element) {
+        const anchor = element.tagName === 'A' ? element : DeepQuery.closest(element, 'a[href]')
+            || element.querySelector?.('a[href]');
+        if (!anchor?.href || !/^https?:/.test(anchor.href)) {
+            return null;
+        }
+
+        try {
+            const url = new URL(anchor.href);
+            if (url.origin === window.location.origin && url.pathname === window.location.pathname) {
+                return null;
+            }
+            return url.origin + url.pathname;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Choose the image that best represents a product
+     * Largest rendered image wins; lazy placeholders count for less, so a loaded
+     * alternate beats a primary shot that has not loaded yet. Ties keep DOM order.
+     * @param {HTMLElement[]} images - Images of one product
+     * @returns {HTMLElement} Best image
+     */
+    static chooseBestImage(images) {
+        const score = (img) => {
+            const rect = img.getBoundingClientRect();
+            const showsPlaceholder = img.tagName === 'IMG' && ImageSourceResolver.isShowingPlaceholder(img);
+            return rect.width * rect.height * (showsPlaceholder ? 0.5 : 1);
+        };
+
+        let best = images[0];
+        let bestScore = score(best);
+        images.slice(1).forEach(img => {
+            const imgScore = score(img);
+            if (imgScore > bestScore) {
+                best = img;
+                bestScore = imgScore;
+            }
+        });
+        return best;
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.ProductEntityGrouper = ProductEntityGrouper;
+}
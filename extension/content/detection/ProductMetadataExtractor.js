@@ -0,0 +1,397 @@
+import { SelectorGenerator } from '../utils/SelectorGenerator.js';
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+
+/**
+ * ProductMetadataExtractor builds a normalized product record for a detected image
+ * from schema.org JSON-LD, microdata, OpenGraph tags and site adapter selectors.
+ *
+ * Record shape (missing fields are null, sizes is an array):
+ * { name, brand, price, currency, colour, material, sizes, availability, url, sources }
+ */
+export class ProductMetadataExtractor {
+    /**
+     * @param {CandidateFinder} candidateFinder - Used for adapter/taught card and title/price selectors
+     */
+    constructor(candidateFinder) {
+        this.candidateFinder = candidateFinder;
+
+        // Page-level data is parsed once per URL
+        this.pageCache = { url: null, jsonLdProducts: [], openGraph: null };
+    }
+
+    /**
+     * Extract a normalized product record for an image
+     * Sources are merged field by field; earlier sources win:
+     * matched JSON-LD product → card microdata → OpenGraph (product pages) → adapter selectors → nearby text
+     * @param {HTMLImageElement} img - Product image element
+     * @param {string} pageType - Current page type ('product', 'category', 'search', 'other')
+     * @returns {Object} Normalized product record
+     */
+    extractForImage(img, pageType) {
+        const page = this.getPageMetadata();
+        const card = this.candidateFinder.findCardForImage(img);
+        const cardDetails = card ? this.candidateFinder.extractCardDetails(card) : null;
+        const link = cardDetails?.link || img.closest('a[href]')?.href || null;
+
+        const layers = [];
+
+        const jsonLdProduct = this.matchJsonLdProduct(page.jsonLdProducts, img, link, pageType);
+        if (jsonLdProduct) {
+            layers.push(['json-ld', jsonLdProduct]);
+        }
+
+        const microdataScope = img.closest('[itemscope][itemtype*="schema.org/Product"]');
+        if (microdataScope) {
+            layers.push(['microdata', this.parseMicrodata(microdataScope)]);
+        }
+
+        if (pageType === 'product' && page.openGraph && !card) {
+            layers.push(['opengraph', page.openGraph]);
+        }
+
+        if (cardDetails) {
+            layers.push(['adapter', {
+                name: cardDetails.title,
+                ...this.parsePriceText(cardDetails.price),
+                url: cardDetails.link
+            }]);
+        } else {
+            layers.push(['nearby-text', this.extractNearbyText(img)]);
+        }
+
+        return this.mergeRecords(layers, link);
+    }
+
+    /**
+     * Parse page-level structured data (cached per URL)
+     * @returns {{jsonLdProducts: Object[], openGraph: Object|null}}
+     */
+    getPageMetadata() {
+        const url = window.location.href;
+        if (this.pageCache.url === url) {
+            return this.pageCache;
+        }
+
+        this.pageCache = {
+            url,
+            jsonLdProducts: this.parseJsonLd(),
+            openGraph: this.parseOpenGraph()
+        };
+
+        console.log(`🏷️ Structured data: ${this.pageCache.jsonLdProducts.length} JSON-LD product(s), OpenGraph ${this.pageCache.openGraph ? 'found' : 'not found'}`);
+        return this.pageCache;
+    }
+
+    /**
+     * Collect every schema.org Product in the page's JSON-LD blocks
+     * Handles @graph, arrays, ItemList entries and ProductGroup variants
+     * @returns {Object[]} Normalized records with an extra `images` array for matching
+     */
+    parseJsonLd() {
+        const products = [];
+
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+
+            const types = [].concat(node['@type'] || []);
+            if (types.includes('Product') || types.includes('ProductGroup')) {
+                products.push(this.normalizeJsonLdProduct(node));
+            }
+
+            visit(node['@graph']);
+            if (types.includes('ItemList')) {
+                [].concat(node.itemListElement || []).forEach(entry => visit(entry?.item || entry));
+            }
+        };
+
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                visit(JSON.parse(script.textContent));
+            } catch (e) {
+                // Sites regularly ship malformed JSON-LD; skip the block
+            }
+        });
+
+        return products;
+    }
+
+    /**
+     * Convert a JSON-LD Product/ProductGroup node into a normalized record
+     * @param {Object} node - JSON-LD node
+     * @returns {Object} Normalized record (plus `images` for matching)
+     */
+    normalizeJsonLdProduct(node) {
+        const variants = [].concat(node.hasVariant || []);
+        const offers = [].concat(node.offers || []).flatMap(offer =>
+            offer?.['@type'] === 'AggregateOffer' ? [offer, ...[].concat(offer.offers || [])] : [offer]
+        ).filter(Boolean);
+        const offer = offers.find(o => o.price !== undefined || o.lowPrice !== undefined) || offers[0] || {};
+        const priceSpec = [].concat(offer.priceSpecification || [])[0] || {};
+
+        const sizes = [node.size, ...variants.map(v => v.size)]
+            .flat()
+            .map(size => (typeof size === 'object' ? size?.name : size))
+            .filter(Boolean);
+
+        return {
+            name: this.text(node.name),
+            brand: this.text(node.brand?.name ?? node.brand),
+            price: this.toNumber(offer.price ?? offer.lowPrice ?? priceSpec.price),
+            currency: this.text(offer.priceCurrency ?? priceSpec.priceCurrency),
+            colour: this.text(node.color ?? variants[0]?.color),
+            material: this.text(node.material ?? variants[0]?.material),
+            sizes: [...new Set(sizes.map(String))],
+            availability: this.normalizeAvailability(offer.availability),
+            url: this.text(node.url ?? offer.url),
+            images: [node.image, ...variants.map(v => v.image)]
+                .flat()
+                .map(image => (typeof image === 'object' ? image?.url || image?.contentUrl : image))
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * Read OpenGraph and product:* meta tags
+     * @returns {Object|null} Normalized record or null when the page has none
+     */
+    parseOpenGraph() {
+        const meta = (...names) => {
+            for (const name of names) {
+                const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+                const content = el?.getAttribute('content')?.trim();
+                if (content) return content;
+            }
+            return null;
+        };
+
+        const record = {
+            name: meta('og:title'),
+            brand: meta('product:brand', 'og:brand'),
+            price: this.toNumber(meta('product:price:amount', 'og:price:amount')),
+            currency: meta('product:price:currency', 'og:price:currency'),
+            colour: meta('product:color'),
+            material: meta('product:material'),
+            sizes: [],
+            availability: this.normalizeAvailability(meta('product:availability', 'og:availability')),
+            url: meta('og:url') || document.querySelector('link[rel="canonical"]')?.href || null
+        };
+
+        return Object.values(record).some(value => value !== null && !(Array.isArray(value) && value.length === 0))
+            ? record
+            : null;
+    }
+
+    /**
+     * Read schema.org microdata from a Product itemscope
+     * @param {HTMLElement} scope - Element with itemscope itemtype=".../Product"
+     * @returns {Object} Normalized record
+     */
+    parseMicrodata(scope) {
+        const prop = (name) => {
+            const el = scope.querySelector(`[itemprop="${name}"]`);
+            if (!el) return null;
+            return this.text(el.getAttribute('content') ?? el.getAttribute('href') ?? el.textContent);
+        };
+
+        const brandEl = scope.querySelector('[itemprop="brand"]');
+        const brand = brandEl?.hasAttribute('itemscope')
+            ? this.text(brandEl.querySelector('[itemprop="name"]')?.textContent)
+            : prop('brand');
+
+        return {
+            name: prop('name'),
+            brand,
+            price: this.toNumber(prop('price')),
+            currency: prop('priceCurrency'),
+            colour: prop('color'),
+            material: prop('material'),
+            sizes: Array.from(scope.querySelectorAll('[itemprop="size"]')).map(el => this.text(el.getAttribute('content') ?? el.textContent)).filter(Boolean),
+            availability: this.normalizeAvailability(prop('availability')),
+            url: prop('url')
+        };
+    }
+
+    /**
+     * Pick the JSON-LD product that belongs to an image
+     * @param {Object[]} products - Products from parseJsonLd()
+     * @param {HTMLImageElement} img - Product image
+     * @param {string|null} link - Product link from the card, if known
+     * @param {string} pageType - Current page type
+     * @returns {Object|null} Matching record
+     */
+    matchJsonLdProduct(products, img, link, pageType) {
+        if (products.length === 0) return null;
+
+        const path = (url) => {
+            try {
+                return new URL(url, window.location.href).pathname;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        if (link) {
+            const linkPath = path(link);
+            const byLink = products.find(p => p.url && path(p.url) === linkPath);
+            if (byLink) return byLink;
+        }
+
+        // The resolved (largest) URL and the displayed one can be different renditions
+        const imgPaths = [ImageSourceResolver.getImageUrl(img), img.currentSrc || img.src].map(path).filter(Boolean);
+        if (imgPaths.length > 0) {
+            const byImage = products.find(p => p.images.some(image => imgPaths.includes(path(image))));
+            if (byImage) return byImage;
+        }
+
+        // On a product page the (first) Product describes the page itself,
+        // but images inside recommendation cards belong to other products
+        if (pageType === 'product' && !this.candidateFinder.findCardForImage(img)) {
+            return products[0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Fallback for pages without adapter selectors: look a few levels up for a title and price
+     * @param {HTMLImageElement} img - Product image
+     * @returns {Object} Partial record
+     */
+    extractNearbyText(img) {
+        let parent = img.parentElement;
+        for (let depth = 0; parent && depth < 5; depth++, parent = parent.parentElement) {
+            const titleEl = SelectorGenerator.findTitleElement(parent);
+            const priceEl = SelectorGenerator.findPriceElement(parent);
+            if (titleEl || priceEl) {
+                return {
+                    name: this.text(titleEl?.textContent),
+                    ...this.parsePriceText(priceEl?.textContent)
+                };
+            }
+        }
+        return {};
+    }
+
+    /**
+     * Parse a displayed price such as "€29,95" or "$1,299.00"
+     * Uses the site adapter's decimal separator and currency when available
+     * @param {string|null} text - Price text
+     * @returns {{price: number|null, currency: string|null}}
+     */
+    parsePriceText(text) {
+        if (!text) return { price: null, currency: null };
+
+        const locale = this.candidateFinder.getCurrentSite()?.locale || {};
+        const symbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+        const codeMatch = text.match(/\b(USD|EUR|GBP|SEK|DKK|NOK|PLN|CHF|JPY|INR)\b/i);
+        const symbolMatch = text.match(/[$€£¥₹]/);
+        const currency = codeMatch?.[1].toUpperCase() || (symbolMatch && symbols[symbolMatch[0]]) || locale.currency || null;
+
+        // First number in the text (sale prices usually come first)
+        const numberMatch = text.match(/\d[\d.,\s]*/);
+        if (!numberMatch) return { price: null, currency };
+
+        return { price: this.parseDecimal(numberMatch[0], locale.decimalSeparator), currency };
+    }
+
+    /**
+     * Parse a number written with either decimal separator, e.g. "29,95" or "1.299,00"
+     * @param {string} raw - Digits with separators (and possibly spaces)
+     * @param {string} [decimalSeparator] - ',' or '.'; when omitted, a comma before one or two
+     *   final digits is taken as the decimal separator ("1,299" stays one thousand two hundred)
+     * @returns {number|null} Parsed number
+     */
+    parseDecimal(raw, decimalSeparator) {
+        const digits = raw.replace(/\s/g, '').replace(/[.,]$/, '');
+        const separator = decimalSeparator
+            || (/,\d{1,2}$/.test(digits) && !/\.\d{1,2}$/.test(digits) ? ',' : '.');
+        const thousandsSeparator = separator === ',' ? '.' : ',';
+        const number = parseFloat(digits.split(thousandsSeparator).join('').replace(separator, '.'));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Merge partial records, earlier layers taking precedence per field
+     * @param {Array<[string, Object]>} layers - [sourceName, partialRecord] pairs
+     * @param {string|null} link - Card link used as URL fallback
+     * @returns {Object} Normalized record
+     */
+    mergeRecords(layers, link) {
+        const fields = ['name', 'brand', 'price', 'currency', 'colour', 'material', 'availability', 'url'];
+        const record = { sizes: [], sources: [] };
+
+        fields.forEach(field => { record[field] = null; });
+
+        for (const [source, data] of layers) {
+            let used = false;
+            for (const field of fields) {
+                if (record[field] === null && data[field] !== null && data[field] !== undefined) {
+                    record[field] = data[field];
+                    used = true;
+                }
+            }
+            if (record.sizes.length === 0 && data.sizes?.length > 0) {
+                record.sizes = data.sizes;
+                used = true;
+            }
+            if (used) {
+                record.sources.push(source);
+            }
+        }
+
+        record.url = record.url || link;
+        return record;
+    }
+
+    /**
+     * Map schema.org availability URLs/strings to a short token
+     * @param {string|null} value - e.g. "https://schema.org/InStock"
+     * @returns {string|null} 'in_stock' | 'out_of_stock' | 'preorder' | 'limited' | null
+     */
+    normalizeAvailability(value) {
+        if (!value || typeof value !== 'string') return null;
+        const token = value.split('/').pop().toLowerCase().replace(/[\s_-]/g, '');
+
+        if (['instock', 'instoreonly', 'onlineonly'].includes(token)) return 'in_stock';
+        if (['outofstock', 'soldout', 'discontinued'].includes(token)) return 'out_of_stock';
+        if (['preorder', 'presale', 'backorder'].includes(token)) return 'preorder';
+        if (token === 'limitedavailability') return 'limited';
+        return null;
+    }
+
+    /**
+     * Read a price from structured data
+     * Should be "29.95", but some shops write "29,95" or "1.299,00" there as well
+     * @param {number|string|null} value - Price value
+     * @returns {number|null} Parsed price
+     */
+    toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+        const numberMatch = String(value).match(/\d[\d.,\s]*/);
+        return numberMatch ? this.parseDecimal(numberMatch[0]) : null;
+    }
+
+    text(value) {
+        if (value === null || value === undefined || typeof value === 'object') return null;
+        const text = String(value).replace(/\s+/g, ' ').trim();
+        return text.length > 0 ? text : null;
+    }
+
+    /**
+     * Clear cached page-level data (e.g. after SPA navigation without URL change)
+     */
+    clearCache() {
+        this.pageCache = { url: null, jsonLdProducts: [], openGraph: null };
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.ProductMetadataExtractor = ProductMetadataExtractor;
+}
@@ -1,3 +1,5 @@
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+
 /**
  * QuickExclusion provides fast rejection rules to filter out obvious UI elements
  * and non-product images before expensive AI analysis
@@ -28,9 +30,9 @@ export class QuickExclusion {
             };
         }
 
-        const src = (img.src || '').toLowerCase();
+        const src = ImageSourceResolver.getImageUrl(img).toLowerCase();
         const alt = (img.alt || '').toLowerCase();
-        const className = (img.className || '').toLowerCase();
+        const className = (typeof img.className === 'string' ? img.className : '').toLowerCase();
 
         // Check for obvious UI elements, but be smarter about context
         // Only exclude if these patterns appear in non-clothing contexts
@@ -103,9 +105,9 @@ export class QuickExclusion {
      * @returns {Object} Result with various pattern checks
      */
     checkImagePatterns(img) {
-        const src = (img.src || '').toLowerCase();
+        const src = ImageSourceResolver.getImageUrl(img).toLowerCase();
         const alt = (img.alt || '').toLowerCase();
-        const className = (img.className || '').toLowerCase();
+        const className = (typeof img.className === 'string' ? img.className : '').toLowerCase();
         const id = (img.id || '').toLowerCase();
 
         const patterns = {
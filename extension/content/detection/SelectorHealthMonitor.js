@@ -0,0 +1,232 @@
+import { DeepQuery } from '../utils/DeepQuery.js';
+
+/**
+ * SelectorHealthMonitor records how well a site adapter's selectors match on each
+ * detection run and keeps a rolling per-site history in chrome.storage.local.
+ *
+ * Retailers change their markup without notice. When the configured selectors stop
+ * matching, detection silently falls back to generic page images, so each run is
+ * sampled and the history is evaluated into a status the popup and dashboard show.
+ *
+ * Stored under 'selectorHealth':
+ * {
+ *   [siteId]: {
+ *     siteId, name, hosts,
+ *     samples: [{ timestamp, path, pageType, groups, selectors, detected, adapterMatched }],
+ *     status: 'healthy' | 'warning' | 'degraded',
+ *     reasons: string[],
+ *     hitRates: { [group]: 0..1 },        // share of samples where the group matched anything
+ *     staleSelectors: [{ group, selector }],
+ *     lastChecked
+ *   }
+ * }
+ */
+export class SelectorHealthMonitor {
+    static STORAGE_KEY = 'selectorHealth';
+
+    static MAX_SAMPLES = 30;
+
+    // Samples evaluated for the current status
+    static RECENT_WINDOW = 5;
+
+    // Re-detection on the same page within this window replaces the previous sample
+    static SAME_PAGE_WINDOW_MS = 60000;
+
+    // Groups that locate products; price/title only describe them
+    static CORE_GROUPS = ['productCards', 'productImages'];
+
+    constructor(candidateFinder) {
+        this.candidateFinder = candidateFinder;
+    }
+
+    /**
+     * Measure the adapter's selectors against the current page
+     * @param {Array} detectedImages - Detected items from ImageDetector ({ element, ... })
+     * @param {string} pageType - Current page type
+     * @returns {Object|null} Sample, or null when there is no adapter to measure
+     */
+    measure(detectedImages, pageType) {
+        const site = this.candidateFinder.currentSite;
+        if (!site?.selectors) {
+            return null;
+        }
+
+        const { selectors: groups, perSelector } = this.candidateFinder.testSelectors();
+        const adapterMatched = detectedImages.filter(item => this.matchesAdapter(item.element, site.selectors)).length;
+
+        return {
+            timestamp: Date.now(),
+            path: window.location.pathname,
+            pageType,
+            groups,
+            selectors: perSelector,
+            detected: detectedImages.length,
+            adapterMatched
+        };
+    }
+
+    /**
+     * Check whether an image is reached by the adapter's image or card selectors
+     * @param {HTMLElement} img - Detected image
+     * @param {Object} selectors - Adapter selector groups
+     * @returns {boolean} True if the adapter accounts for the image
+     * @private
+     */
+    matchesAdapter(img, selectors) {
+        if (!img) return false;
+
+        const matches = (selector, test) => {
+            try {
+                return test(selector);
+            } catch (e) {
+                return false;
+            }
+        };
+
+        return (selectors.productImages || []).some(selector => matches(selector, s => img.matches(s)))
+            || (selectors.productCards || []).some(selector => matches(selector, s => DeepQuery.closest(img, s) !== null));
+    }
+
+    /**
+     * Measure the page and append the sample to the site's stored history
+     * @param {Array} detectedImages - Detected items from ImageDetector
+     * @param {string} pageType - Current page type
+     * @returns {Promise<Object|null>} Updated health entry for the site
+     */
+    async record(detectedImages, pageType) {
+        const site = this.candidateFinder.currentSite;
+        const sample = this.measure(detectedImages, pageType);
+        if (!sample) {
+            return null;
+        }
+
+        // Nothing was expected here (account pages, checkout...) - not evidence either way
+        if (sample.detected === 0 && !['product', 'category', 'search'].includes(pageType)) {
+            return null;
+        }
+
+        const siteId = site.id || site.name;
+
+        try {
+            const key = SelectorHealthMonitor.STORAGE_KEY;
+            const { [key]: health = {} } = await chrome.storage.local.get([key]);
+            const entry = health[siteId] || { siteId, samples: [] };
+
+            const previous = entry.samples[entry.samples.length - 1];
+            if (previous && previous.path === sample.path &&
+                sample.timestamp - previous.timestamp < SelectorHealthMonitor.SAME_PAGE_WINDOW_MS) {
+                entry.samples.pop();
+            }
+            entry.samples.push(sample);
+            entry.samples = entry.samples.slice(-SelectorHealthMonitor.MAX_SAMPLES);
+
+            Object.assign(entry, {
+                name: site.name,
+                hosts: site.hosts || [],
+                lastChecked: sample.timestamp,
+                ...SelectorHealthMonitor.evaluate(entry.samples)
+            });
+
+            health[siteId] = entry;
+            await chrome.storage.local.set({ [key]: health });
+
+            const icon = entry.status === 'healthy' ? '💚' : entry.status === 'warning' ? '💛' : '💔';
+            console.log(`${icon} Selector health for ${site.name}: ${entry.status}`, entry.reasons);
+            return entry;
+        } catch (error) {
+            console.error('❌ Failed to record selector health:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a sample shows the adapter failing on that page
+     * @param {Object} sample - Stored sample
+     * @returns {{missed: boolean, fellBack: boolean}} missed: no card/image selector matched;
+     *          fellBack: most detected images came from outside the adapter's selectors
+     */
+    static inspectSample(sample) {
+        const coreMatches = SelectorHealthMonitor.CORE_GROUPS.reduce((sum, group) => sum + (sample.groups[group] || 0), 0);
+        const missed = coreMatches === 0;
+        const fellBack = !missed && sample.detected >= 4 && sample.adapterMatched / sample.detected < 0.3;
+        return { missed, fellBack };
+    }
+
+    /**
+     * Evaluate a site's sample history
+     * @param {Array} samples - Samples, oldest first
+     * @returns {{status: string, reasons: string[], hitRates: Object, staleSelectors: Array}}
+     */
+    static evaluate(samples) {
+        const recent = samples.slice(-SelectorHealthMonitor.RECENT_WINDOW);
+        const inspected = recent.map(sample => SelectorHealthMonitor.inspectSample(sample));
+        const missedCount = inspected.filter(r => r.missed).length;
+        const fellBackCount = inspected.filter(r => r.fellBack).length;
+        const latest = inspected[inspected.length - 1];
+
+        const reasons = [];
+        if (missedCount > 0) {
+            reasons.push(`Product card/image selectors matched nothing on ${missedCount} of the last ${recent.length} pages`);
+        }
+        if (fellBackCount > 0) {
+            reasons.push(`Detection fell back to general page images on ${fellBackCount} of the last ${recent.length} pages`);
+        }
+
+        const hitRates = {};
+        samples.forEach(sample => {
+            Object.entries(sample.groups).forEach(([group, count]) => {
+                hitRates[group] = (hitRates[group] || 0) + (count > 0 ? 1 : 0);
+            });
+        });
+        Object.keys(hitRates).forEach(group => {
+            hitRates[group] = Math.round((hitRates[group] / samples.length) * 100) / 100;
+        });
+
+        const staleSelectors = SelectorHealthMonitor.findStaleSelectors(samples);
+        staleSelectors.forEach(({ group, selector }) => {
+            reasons.push(`${group} selector "${selector}" stopped matching`);
+        });
+
+        // One bad page can be a loading glitch; the latest page plus another recent one failing is a pattern
+        let status = 'healthy';
+        if (latest && (latest.missed || latest.fellBack) && missedCount + fellBackCount >= 2) {
+            status = 'degraded';
+        } else if (reasons.length > 0) {
+            status = 'warning';
+        }
+
+        return { status, reasons, hitRates, staleSelectors };
+    }
+
+    /**
+     * Find selectors that used to match regularly but matched nothing on the last three pages
+     * @param {Array} samples - Samples, oldest first
+     * @returns {Array<{group: string, selector: string}>} Stale selectors
+     */
+    static findStaleSelectors(samples) {
+        const latest = samples.slice(-3);
+        const earlier = samples.slice(0, -3);
+        if (latest.length < 3 || earlier.length < 3) {
+            return [];
+        }
+
+        const stale = [];
+        const lastSample = samples[samples.length - 1];
+        Object.entries(lastSample.selectors || {}).forEach(([group, counts]) => {
+            Object.keys(counts).forEach(selector => {
+                const earlierHits = earlier.filter(sample => sample.selectors?.[group]?.[selector] > 0).length;
+                const latestHits = latest.filter(sample => sample.selectors?.[group]?.[selector] > 0).length;
+                if (earlierHits / earlier.length >= 0.5 && latestHits === 0) {
+                    stale.push({ group, selector });
+                }
+            });
+        });
+
+        return stale;
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.SelectorHealthMonitor = SelectorHealthMonitor;
+}
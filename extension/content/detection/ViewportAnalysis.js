@@ -1,130 +1,242 @@
 /**
- * ViewportAnalysis - Scroll-based image detection for complex websites
- * 
- * This module provides scroll-triggered image detection for websites with:
- * - Infinite scroll implementations
- * - Complex lazy loading systems
- * - Virtual scrolling (like some e-commerce sites)
- * - Custom scroll containers
- * - Performance-critical scenarios where analyzing all images at once is too slow
- * 
- * CURRENTLY UNUSED - The extension uses one-time detection on page load instead.
- * This is kept for potential future use on problematic websites.
- * 
- * When to consider using this:
- * - Sites with 100+ images where initial detection is too slow
- * - Sites with complex lazy loading that breaks normal detection
- * - Sites with virtual scrolling or custom scroll containers
- * - Performance issues with full-page analysis
- * 
- * How it works:
- * 1. Uses IntersectionObserver to watch for images entering viewport
- * 2. Only analyzes images when they become visible (performance optimization)
- * 3. Tracks which images have been processed to avoid duplicates
- * 4. Can be enabled/disabled via message listeners
+ * ViewportAnalysis orders style analysis by what the user can see.
+ *
+ * Category pages list dozens of products, but only a few rows are on screen. Every
+ * tracked product is observed by two IntersectionObservers, which sort it into:
+ * - VISIBLE: on screen
+ * - NEAR: within one screen height above or below the viewport (next to scroll into view)
+ * - OFFSCREEN: anywhere else
+ *
+ * ContentScriptManager.runBackgroundAnalysis() asks takeNext() for the next product each
+ * time a worker is free, so scrolling re-prioritizes the queue while a batch runs.
+ * Offscreen products are analyzed ahead of the user only while the page's budget lasts;
+ * after that they wait until they are scrolled near the viewport, and the observers
+ * report them through the onPriorityChange callback.
  */
-
 export class ViewportAnalysis {
-    constructor(contentScriptManager) {
-        this.contentScript = contentScriptManager;
-        this.analysisObserver = null;
-        this.isEnabled = false;
+    static PRIORITY = { VISIBLE: 0, NEAR: 1, OFFSCREEN: 2 };
+
+    static PRIORITY_NAMES = ['visible', 'near', 'offscreen'];
+
+    // One screen height above and below the viewport counts as near
+    static NEAR_MARGIN = '100% 0px';
+
+    // Offscreen products analyzed per page before the user scrolls to them
+    static OFFSCREEN_BUDGET = 8;
+
+    /**
+     * @param {Function|null} [onPriorityChange] - (element, priority) => void, called when an
+     *   observed element moves between visible, near and offscreen
+     * @param {Object} [options]
+     * @param {number} [options.offscreenBudget] - Offscreen analyses per page
+     */
+    constructor(onPriorityChange = null, options = {}) {
+        this.onPriorityChange = onPriorityChange;
+        this.offscreenBudget = options.offscreenBudget ?? ViewportAnalysis.OFFSCREEN_BUDGET;
+        this.offscreenStarted = 0;
+        this.states = new Map(); // element -> { visible, near } (null until the observer reports)
+        this.visibleObserver = null;
+        this.nearObserver = null;
     }
 
     /**
-     * Enable viewport-based analysis
-     * Creates IntersectionObserver to watch for images entering viewport
+     * Start tracking an element's distance to the viewport
+     * @param {HTMLElement} element - Product image
      */
-    enable() {
-        if (this.isEnabled) {
-            console.log('⚠️ Viewport analysis already enabled');
+    observe(element) {
+        if (!element || this.states.has(element)) {
             return;
         }
 
-        const observerOptions = {
-            root: null, // Use viewport as root
-            rootMargin: '300px', // Start analyzing 300px before image enters viewport
-            threshold: 0.01 // Trigger when 1% of image is visible
-        };
-
-        this.analysisObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    console.log('👁️ Image entered viewport:', {
-                        alt: img.alt,
-                        src: img.src.substring(0, 50),
-                        clothingItemDetected: img.dataset.clothingItemDetected,
-                        detectionInProgress: img.dataset.clothingItemDetectionInProgress
-                    });
-
-                    // Only analyze if not already checked and not currently analyzing
-                    if (!img.dataset.clothingItemDetected && !img.dataset.clothingItemDetectionInProgress) {
-                        console.log('🔄 Triggering analysis for scrolled image');
-                        this.contentScript.analyzeNewImage(img);
-                    } else {
-                        console.log('⏭️ Skipping image (already processed)');
-                    }
-                }
-            });
-        }, observerOptions);
+        this.states.set(element, { visible: null, near: null });
+        if (this.createObservers()) {
+            this.visibleObserver.observe(element);
+            this.nearObserver.observe(element);
+        }
+    }
+
+    /**
+     * Stop tracking an element (released or moved product)
+     * @param {HTMLElement} element - Product image
+     */
+    unobserve(element) {
+        if (!this.states.delete(element)) {
+            return;
+        }
+
+        this.visibleObserver?.unobserve(element);
+        this.nearObserver?.unobserve(element);
+    }
+
+    /**
+     * Stop tracking everything and restore the budget (new page or route)
+     */
+    reset() {
+        this.visibleObserver?.disconnect();
+        this.nearObserver?.disconnect();
+        this.visibleObserver = null;
+        this.nearObserver = null;
+        this.states.clear();
+        this.offscreenStarted = 0;
+    }
 
-        // Start observing all images on the page
-        this.observeAllImages();
-        this.isEnabled = true;
-        console.log('✅ Viewport analysis enabled');
+    /**
+     * How close an element is to the viewport
+     * @param {HTMLElement} element - Product image
+     * @returns {number} ViewportAnalysis.PRIORITY value (lower is analyzed first)
+     */
+    getPriority(element) {
+        const priority = ViewportAnalysis.toPriority(this.states.get(element));
+        // Not reported by the observers yet (they report asynchronously): measure it once
+        return priority ?? ViewportAnalysis.measurePriority(element);
     }
 
     /**
-     * Disable viewport-based analysis
+     * Pick the product to analyze next: the closest to the viewport, in page order among equals
+     * An offscreen product counts against the page's budget; none is returned once it is used up.
+     * @param {Array<Object>} items - Products ready for analysis, in page order
+     * @returns {{item: Object, priority: number}|null} Next product, or null if nothing may run now
      */
-    disable() {
-        if (this.analysisObserver) {
-            this.analysisObserver.disconnect();
-            this.analysisObserver = null;
+    takeNext(items) {
+        let best = null;
+        let bestPriority = Infinity;
+
+        for (const item of items) {
+            const priority = this.getPriority(item.element);
+            if (priority < bestPriority) {
+                best = item;
+                bestPriority = priority;
+                if (priority === ViewportAnalysis.PRIORITY.VISIBLE) {
+                    break;
+                }
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        if (bestPriority === ViewportAnalysis.PRIORITY.OFFSCREEN) {
+            if (this.offscreenStarted >= this.offscreenBudget) {
+                return null;
+            }
+            this.offscreenStarted++;
         }
-        this.isEnabled = false;
-        console.log('✅ Viewport analysis disabled');
+
+        return { item: best, priority: bestPriority };
     }
 
     /**
-     * Start observing all images on the page
-     * @private
+     * Check if an element waits for the user to scroll near it (offscreen, budget used up)
+     * @param {HTMLElement} element - Product image
+     * @returns {boolean} True if it is not analyzed for now
+     */
+    isDeferred(element) {
+        return this.offscreenStarted >= this.offscreenBudget &&
+            this.getPriority(element) === ViewportAnalysis.PRIORITY.OFFSCREEN;
+    }
+
+    /**
+     * Products per priority and the budget used, for logs
+     * @returns {{visible: number, near: number, offscreen: number, offscreenStarted: number, offscreenBudget: number}}
      */
-    observeAllImages() {
-        const allImages = document.querySelectorAll('img');
-        console.log(`👁️ Starting to observe ${allImages.length} images for viewport analysis`);
-        
-        allImages.forEach(img => {
-            this.analysisObserver.observe(img);
+    getStats() {
+        const stats = { visible: 0, near: 0, offscreen: 0, offscreenStarted: this.offscreenStarted, offscreenBudget: this.offscreenBudget };
+        this.states.forEach((_, element) => {
+            stats[ViewportAnalysis.PRIORITY_NAMES[this.getPriority(element)]]++;
         });
+        return stats;
     }
 
     /**
-     * Add a new image to observation (for dynamically added images)
-     * @param {HTMLImageElement} img - Image element to observe
+     * Create the observers on first use
+     * @returns {boolean} False where IntersectionObserver is unavailable (priorities are measured instead)
+     * @private
      */
-    observeImage(img) {
-        if (this.analysisObserver && this.isEnabled) {
-            this.analysisObserver.observe(img);
+    createObservers() {
+        if (this.visibleObserver) {
+            return true;
+        }
+        if (typeof IntersectionObserver === 'undefined') {
+            return false;
         }
+
+        this.visibleObserver = new IntersectionObserver(
+            (entries) => this.handleEntries(entries, 'visible'),
+            { root: null, threshold: 0 }
+        );
+        this.nearObserver = new IntersectionObserver(
+            (entries) => this.handleEntries(entries, 'near'),
+            { root: null, rootMargin: ViewportAnalysis.NEAR_MARGIN, threshold: 0 }
+        );
+        return true;
+    }
+
+    /**
+     * Record observer entries and report elements whose priority changed
+     * @param {IntersectionObserverEntry[]} entries - Observer entries
+     * @param {string} key - 'visible' or 'near'
+     * @private
+     */
+    handleEntries(entries, key) {
+        entries.forEach(entry => {
+            const state = this.states.get(entry.target);
+            if (!state) {
+                return;
+            }
+
+            const before = ViewportAnalysis.toPriority(state);
+            state[key] = entry.isIntersecting;
+            const after = ViewportAnalysis.toPriority(state);
+
+            if (after !== null && after !== before && this.onPriorityChange) {
+                this.onPriorityChange(entry.target, after);
+            }
+        });
     }
 
     /**
-     * Remove an image from observation
-     * @param {HTMLImageElement} img - Image element to stop observing
+     * @param {Object|undefined} state - { visible, near }
+     * @returns {number|null} Priority, or null until both observers reported
+     * @private
      */
-    unobserveImage(img) {
-        if (this.analysisObserver) {
-            this.analysisObserver.unobserve(img);
+    static toPriority(state) {
+        if (!state || state.visible === null || state.near === null) {
+            return null;
+        }
+        if (state.visible) {
+            return ViewportAnalysis.PRIORITY.VISIBLE;
         }
+        return state.near ? ViewportAnalysis.PRIORITY.NEAR : ViewportAnalysis.PRIORITY.OFFSCREEN;
     }
 
     /**
-     * Check if viewport analysis is currently enabled
-     * @returns {boolean} True if enabled
+     * Priority from the element's current position
+     * @param {HTMLElement} element - Product image
+     * @returns {number} ViewportAnalysis.PRIORITY value
+     * @private
      */
-    isViewportAnalysisEnabled() {
-        return this.isEnabled;
+    static measurePriority(element) {
+        if (typeof element?.getBoundingClientRect !== 'function' || typeof window.innerHeight !== 'number') {
+            return ViewportAnalysis.PRIORITY.OFFSCREEN;
+        }
+
+        const rect = element.getBoundingClientRect();
+        const viewportHeight = window.innerHeight;
+        if (rect.width === 0 && rect.height === 0) {
+            return ViewportAnalysis.PRIORITY.OFFSCREEN;
+        }
+        if (rect.bottom > 0 && rect.top < viewportHeight) {
+            return ViewportAnalysis.PRIORITY.VISIBLE;
+        }
+        if (rect.bottom > -viewportHeight && rect.top < 2 * viewportHeight) {
+            return ViewportAnalysis.PRIORITY.NEAR;
+        }
+        return ViewportAnalysis.PRIORITY.OFFSCREEN;
     }
 }
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.ViewportAnalysis = ViewportAnalysis;
+}
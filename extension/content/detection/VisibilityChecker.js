@@ -1,3 +1,5 @@
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+
 /**
  * VisibilityChecker handles image visibility validation and quality checks
  * to filter out hidden, low-quality, or inappropriate images
@@ -39,9 +41,10 @@ export class VisibilityChecker {
         }
 
         // Check natural dimensions if available
-        // Skip natural size check for 1x1 images (lazy-loading placeholders)
-        // These will be re-checked when the actual image loads
-        if (naturalWidth > 1 && naturalHeight > 1) {
+        // Skip natural size check for lazy-loading placeholders (1x1 pixels, blurred previews):
+        // analysis waits for the real image (ImageSourceResolver.isReady)
+        const showsPlaceholder = img.tagName !== 'IMG' || ImageSourceResolver.isShowingPlaceholder(img);
+        if (!showsPlaceholder && naturalWidth > 1 && naturalHeight > 1) {
             if (naturalWidth < minNaturalSize || naturalHeight < minNaturalSize) {
                 return {
                     isValid: false,
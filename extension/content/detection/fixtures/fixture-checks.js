@@ -0,0 +1,70 @@
+import { SiteDetector } from '../../core/SiteDetector.js';
+import { PageTypeDetector } from '../../core/PageTypeDetector.js';
+import { CandidateFinder } from '../CandidateFinder.js';
+import { ImageDetector } from '../ImageDetector.js';
+
+/**
+ * Run the detection regression checks against the current document (a saved fixture page)
+ *
+ * Expectations come from the fixture's <script type="application/json" id="fixture-expectations">:
+ * {
+ *   "url": "https://www.asos.com/women/dresses/cat/?cid=8799",  // original page URL
+ *   "hostname": "www.asos.com",
+ *   "site": "ASOS",                  // expected adapter name
+ *   "pageType": "category",          // expected classification
+ *   "cards": 4,                      // images found inside productCards selectors
+ *   "detected": 4,                   // products ImageDetector keeps (no AI callback)
+ *   "productImages": 5,              // images grouped into those products (hover alternates etc.)
+ *   "rejectedSrc": ["logo"],         // substrings of image srcs that must be rejected or skipped
+ *   "selectorGroups": ["productCards", "price", "title"]  // groups that must match something
+ * }
+ *
+ * @param {Object} expected - Expectations for this fixture
+ * @returns {Promise<{passed: boolean, checks: Array<{label: string, passed: boolean, detail: string}>}>}
+ */
+export async function runFixtureChecks(expected) {
+    const checks = [];
+    const check = (label, passed, detail) => checks.push({ label, passed: Boolean(passed), detail });
+
+    const site = new SiteDetector(expected.hostname).detectCurrentSite();
+    check('site adapter', site?.name === expected.site, `expected ${expected.site}, got ${site?.name || 'none'}`);
+    if (!site) {
+        return { passed: false, checks };
+    }
+
+    const classification = new PageTypeDetector(expected.url, expected.hostname).classifyPage();
+    check(
+        'page type',
+        classification.type === expected.pageType,
+        `expected ${expected.pageType}, got ${classification.type} (${Math.round(classification.confidence * 100)}%: ${classification.signals.map(s => s.signal + '→' + s.type).join(', ')})`
+    );
+
+    const candidateFinder = new CandidateFinder(site);
+    const selectorStats = candidateFinder.testSelectors().selectors;
+    for (const group of expected.selectorGroups || []) {
+        check(`selectors.${group}`, selectorStats[group] > 0, `${selectorStats[group] || 0} match(es)`);
+    }
+
+    if (expected.cards !== undefined) {
+        const cardImages = candidateFinder.findProductCardImages();
+        check('card images', cardImages.length === expected.cards, `expected ${expected.cards}, got ${cardImages.length}`);
+    }
+
+    const imageDetector = new ImageDetector(site, null);
+    const { detectedImages } = await imageDetector.detectProductImages();
+    if (expected.detected !== undefined) {
+        check('detected products', detectedImages.length === expected.detected, `expected ${expected.detected}, got ${detectedImages.length}`);
+    }
+    if (expected.productImages !== undefined) {
+        const groupedImages = detectedImages.reduce((sum, item) => sum + item.images.length, 0);
+        check('product images', groupedImages === expected.productImages, `expected ${expected.productImages}, got ${groupedImages}`);
+    }
+
+    const detectedSrcs = detectedImages.flatMap(item => item.images).map(img => img.getAttribute('src') || '');
+    for (const pattern of expected.rejectedSrc || []) {
+        const leaked = detectedSrcs.filter(src => src.includes(pattern));
+        check(`rejects "${pattern}"`, leaked.length === 0, leaked.length ? `detected: ${leaked.join(', ')}` : 'not detected');
+    }
+
+    return { passed: checks.every(c => c.passed), checks };
+}
@@ -0,0 +1,26 @@
+// navigation-hook.js
+// Runs in the page's MAIN world (see manifest). Content scripts live in an isolated
+// world, so wrapping history.pushState there would never see the site's own calls.
+// This wraps pushState/replaceState in the page and announces each call with a DOM
+// event, which NavigationManager in the content script listens for.
+
+(function () {
+    if (window.__aiStyleFilterHistoryHooked) {
+        return;
+    }
+    window.__aiStyleFilterHistoryHooked = true;
+
+    const EVENT_NAME = 'ai-style-filter:navigation';
+
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new CustomEvent(EVENT_NAME, {
+                detail: { method, url: window.location.href }
+            }));
+            return result;
+        };
+    });
+})();
@@ -9,6 +9,7 @@ export class DebugInterface {
         this.debugMode = false;
         this.lastDetectionResults = null;
         this.debugIndicatorId = 'ai-style-filter-indicator';
+        this.onStartSelectorPicker = null; // Set by ContentScriptManager
     }
 
     /**
@@ -325,12 +326,22 @@ export class DebugInterface {
                 cursor: pointer;
             ">
                 🤖 AI Style Filter (Debug Mode)
+                <span data-action="teach-layout" style="
+                    margin-left: 8px;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    background: rgba(255,255,255,0.25);
+                ">🎯 Teach layout</span>
             </div>
         `;
 
-        // Add click handler to show debug info
+        // Add click handler to show debug info (or start the selector picker)
         const indicatorElement = indicator.querySelector('div');
-        indicatorElement.addEventListener('click', () => {
+        indicatorElement.addEventListener('click', (e) => {
+            if (e.target.dataset.action === 'teach-layout' && this.onStartSelectorPicker) {
+                this.onStartSelectorPicker();
+                return;
+            }
             this.showDebugConsole();
         });
 
@@ -387,15 +398,19 @@ export class DebugInterface {
     }
 
     /**
-     * Log selector testing results
-     * @param {Object} selectorStats - Statistics from selector testing
+     * Log selector testing results and the site's selector health
+     * @param {Object} healthEntry - Site entry from SelectorHealthMonitor.record()
      */
-    logSelectorStats(selectorStats) {
-        console.log('🎯 Selector Testing Results:');
-        console.log(`  📦 Product images found: ${selectorStats.siteSpecific || 0}`);
-        console.log(`  🏷️ Product cards found: ${selectorStats.productCards || 0}`);
-        console.log(`  🌐 General selectors found: ${selectorStats.general || 0}`);
-        console.log(`  ⚡ Universal fallback used: ${selectorStats.universal || 0}`);
+    logSelectorStats(healthEntry) {
+        const sample = healthEntry.samples[healthEntry.samples.length - 1];
+
+        console.log(`🎯 Selector Testing Results (${healthEntry.name}: ${healthEntry.status}):`);
+        Object.entries(sample.groups).forEach(([group, count]) => {
+            const hitRate = Math.round((healthEntry.hitRates[group] || 0) * 100);
+            console.log(`  ${count > 0 ? '✅' : '❌'} ${group}: ${count} found now, matched on ${hitRate}% of ${healthEntry.samples.length} pages`);
+        });
+        console.log(`  🧩 Adapter accounts for ${sample.adapterMatched}/${sample.detected} detected images`);
+        healthEntry.reasons.forEach(reason => console.log(`  ⚠️ ${reason}`));
     }
 
     /**
@@ -1,10 +1,37 @@
+import { ImageSourceResolver } from '../utils/ImageSourceResolver.js';
+
 /**
  * ScoreBadgeManager - Manages score badges and visual effects
  * Handles progressive rendering, show/hide based on toggle state
  */
 import { GeometryUtils } from '../utils/GeometryUtils.js';
+import { DeepQuery } from '../utils/DeepQuery.js';
 
 export class ScoreBadgeManager {
+    /**
+     * Sub-scores shown as bars in the badge tooltip, in display order
+     * (keys of the breakdown returned by PersonalStyleMatcher)
+     */
+    static BREAKDOWN_LABELS = {
+        color: 'Colour',
+        silhouette: 'Silhouette & fit',
+        pattern: 'Pattern',
+        aesthetic: 'Aesthetic'
+    };
+
+    /**
+     * Search mode badges by ProductSearchMatcher tier (1-3); effectScore picks the image
+     * effect of the matching style score band
+     */
+    static SEARCH_RANKS = {
+        3: { label: 'YES', background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)', effectScore: 10 },
+        2: { label: 'MAYBE', background: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)', effectScore: 7 },
+        1: { label: 'NO', background: 'linear-gradient(135deg, #6b7280 0%, #4b5563 100%)', effectScore: 1 }
+    };
+
+    // Badges of products matching a "never show me" rule (services/ExclusionRules.js), in any mode
+    static EXCLUDED_BACKGROUND = 'linear-gradient(135deg, #374151 0%, #111827 100%)';
+
     constructor() {
         // Track all active badges: Map<img element, badge element>
         this.activeBadges = new Map();
@@ -18,9 +45,20 @@ export class ScoreBadgeManager {
         // Optional external try-on generator: (img, eyeIcon) => Promise<{ overlay, cached?: boolean, error?: string }>
         this.tryOnHandler = null;
 
+        // Optional thumbs up/down receiver: (img, vote: 'like'|'dislike'|null) => Promise<boolean> (saved)
+        this.feedbackHandler = null;
+
         // Current visibility state (synced with toggle)
         this.isVisible = false;
 
+        // 'style' = style score badges (shown when the toggle is ON),
+        // 'search' = search rank badges, 'combined' = blended style + search scores
+        // (both always shown while the popup's mode is active)
+        this.mode = 'style';
+
+        // Iframe windows whose scrolling moves badged images (see watchFrameScroll)
+        this.watchedFrameWindows = new WeakSet();
+
         // Setup global event listeners for repositioning
         this.setupGlobalHandlers();
     }
@@ -31,12 +69,18 @@ export class ScoreBadgeManager {
      * @param {HTMLImageElement} img - Image element
      * @param {number} score - Compatibility score (1-10)
      * @param {string} reasoning - Analysis reasoning text
+     * @param {Object|null} [breakdown=null] - Sub-scores (1-10) by dimension
      */
-    storeScore(img, score, reasoning) {
+    storeScore(img, score, reasoning, breakdown = null) {
         img.dataset.aiStyleScore = score.toString();
         img.dataset.aiStyleReasoning = reasoning || '';
+        if (breakdown) {
+            img.dataset.aiStyleBreakdown = JSON.stringify(breakdown);
+        } else {
+            delete img.dataset.aiStyleBreakdown;
+        }
 
-        console.log(`💾 Score ${score} stored for image:`, img.alt || img.src.substring(0, 50));
+        console.log(`💾 Score ${score} stored for image:`, img.alt || ImageSourceResolver.getImageUrl(img).substring(0, 50));
     }
 
     /**
@@ -45,13 +89,13 @@ export class ScoreBadgeManager {
      * @param {HTMLImageElement} img - Image element
      */
     renderLoadingSpinner(img) {
-        // Skip if toggle is OFF
-        if (!this.isVisible) {
+        // Skip if toggle is OFF (search and combined badges do not depend on the toggle)
+        if (!this.isVisible && this.mode === 'style') {
             return;
         }
 
-        // If a badge already exists for this image, don't add a spinner
-        if (this.activeBadges.has(img)) {
+        // If a badge already exists for this image, or its card is hidden by a rule, don't add a spinner
+        if (this.activeBadges.has(img) || this.isHiddenByRule(img)) {
             return;
         }
 
@@ -76,14 +120,20 @@ export class ScoreBadgeManager {
      * @param {HTMLImageElement} img - Image element
      * @param {number} score - Compatibility score (1-10)
      * @param {string} reasoning - Analysis reasoning text
+     * @param {Object|null} [breakdown=null] - Sub-scores (1-10) by dimension
      */
-    renderBadge(img, score, reasoning) {
+    renderBadge(img, score, reasoning, breakdown = null) {
         // Skip if toggle is OFF
         if (!this.isVisible) {
             console.log(`⏭️ Toggle OFF - skipping badge render for score ${score}`);
             return;
         }
 
+        // Search or combined badges are on screen; the score stays stored for when that mode ends
+        if (this.mode !== 'style' || this.isHiddenByRule(img)) {
+            return;
+        }
+
         // If a spinner or badge already exists, replace it
         if (this.activeBadges.has(img)) {
             const existingBadge = this.activeBadges.get(img);
@@ -92,7 +142,8 @@ export class ScoreBadgeManager {
         }
 
         // Create badge element
-        const badge = this.createBadgeElement(score, reasoning);
+        const badge = this.createBadgeElement(score, reasoning, breakdown);
+        const excluded = this.markExcluded(badge, img);
 
         // Position at top-right of image
         this.positionBadge(badge, img);
@@ -103,12 +154,282 @@ export class ScoreBadgeManager {
         // Track badge
         this.activeBadges.set(img, badge);
 
+        // Thumbs up/down on style scores (a rule's verdict is not the model's to learn from)
+        if (!excluded) {
+            this.attachFeedbackControls(badge, img);
+        }
+
         // Apply visual effects to image based on score
-        this.applyVisualEffects(img, score);
+        this.applyVisualEffects(img, excluded ? 1 : score);
 
         console.log(`✅ Badge rendered for score ${score}/10`);
     }
 
+    /**
+     * Store a search rank in the DOM, like storeScore() does for style scores
+     * @param {HTMLElement} img - Image element
+     * @param {number} rank - ProductSearchMatcher tier (1 = NO, 2 = MAYBE, 3 = YES)
+     * @param {string} reasoning - Why the product does or does not match the search
+     */
+    storeSearchRank(img, rank, reasoning) {
+        img.dataset.aiSearchRank = rank.toString();
+        img.dataset.aiSearchReasoning = reasoning || '';
+    }
+
+    /**
+     * Render the search rank badge of one image (search mode only)
+     * @param {HTMLElement} img - Image element
+     * @param {number} rank - ProductSearchMatcher tier (1-3)
+     * @param {string} reasoning - Shown in the tooltip
+     */
+    renderSearchBadge(img, rank, reasoning) {
+        if (this.mode !== 'search' || this.isHiddenByRule(img)) {
+            return;
+        }
+
+        const existingBadge = this.activeBadges.get(img);
+        if (existingBadge) {
+            existingBadge.remove();
+            this.activeBadges.delete(img);
+        }
+
+        const badge = this.createSearchBadgeElement(rank, reasoning);
+        const excluded = this.markExcluded(badge, img);
+        this.positionBadge(badge, img);
+        document.body.appendChild(badge);
+        this.activeBadges.set(img, badge);
+
+        this.applyVisualEffects(img, excluded ? 1 : ScoreBadgeManager.SEARCH_RANKS[rank].effectScore);
+
+        console.log(`✅ Search badge rendered: ${ScoreBadgeManager.SEARCH_RANKS[rank].label}`);
+    }
+
+    /**
+     * Render the combined badge of one image (combined mode only)
+     * @param {HTMLElement} img - Image element
+     * @param {Object} blended - BlendedRanker.blend() result
+     */
+    renderCombinedBadge(img, blended) {
+        if (this.mode !== 'combined' || this.isHiddenByRule(img)) {
+            return;
+        }
+
+        const existingBadge = this.activeBadges.get(img);
+        if (existingBadge) {
+            existingBadge.remove();
+            this.activeBadges.delete(img);
+        }
+
+        const badge = this.createCombinedBadgeElement(blended);
+        this.markExcluded(badge, img);
+        this.positionBadge(badge, img);
+        document.body.appendChild(badge);
+        this.activeBadges.set(img, badge);
+
+        this.applyVisualEffects(img, blended.score);
+
+        console.log(`✅ Combined badge rendered for score ${blended.score}/10`);
+    }
+
+    /**
+     * Switch between style score badges, search rank badges and combined badges
+     * The badges of the previous mode are removed; the stored scores and ranks stay.
+     * Combined badges are rendered by the caller, which holds both analyses.
+     * @param {'style'|'search'|'combined'} mode
+     * @param {Array} [detectedProducts=null] - For the spinners showAllBadges() adds
+     */
+    setMode(mode, detectedProducts = null) {
+        if (mode === this.mode) {
+            return;
+        }
+
+        const wasVisible = this.isVisible;
+        this.hideAllBadges();
+        this.isVisible = wasVisible;
+        this.mode = mode;
+
+        if (mode === 'search') {
+            DeepQuery.querySelectorAll('[data-ai-search-rank]').forEach(img => {
+                this.renderSearchBadge(img, parseInt(img.dataset.aiSearchRank), img.dataset.aiSearchReasoning || '');
+            });
+        } else if (mode === 'style' && this.isVisible) {
+            this.showAllBadges(detectedProducts);
+        }
+
+        console.log(`🔀 Badge mode: ${mode}`);
+    }
+
+    /**
+     * Remove stored search ranks (a new search, or search mode ended) and their badges
+     */
+    clearSearchRanks() {
+        DeepQuery.querySelectorAll('[data-ai-search-rank]').forEach(img => {
+            delete img.dataset.aiSearchRank;
+            delete img.dataset.aiSearchReasoning;
+            if (this.mode !== 'style') {
+                this.removeBadge(img);
+            }
+        });
+    }
+
+    /**
+     * @param {Function|null} handler - (img, vote) => Promise<boolean>, called when a thumb is clicked
+     */
+    setFeedbackHandler(handler) {
+        this.feedbackHandler = typeof handler === 'function' ? handler : null;
+    }
+
+    /**
+     * Add thumbs up/down buttons to a style score badge (shown on hover, or while a vote is set)
+     * @param {HTMLElement} badge - Badge element
+     * @param {HTMLElement} img - Image element the badge belongs to
+     */
+    attachFeedbackControls(badge, img) {
+        if (!this.feedbackHandler) {
+            return;
+        }
+
+        const vote = img.dataset.aiStyleFeedback || '';
+        badge.dataset.feedback = vote;
+
+        const controls = document.createElement('span');
+        controls.className = 'ai-style-feedback';
+
+        [['like', '👍', 'Good call - I like this'], ['dislike', '👎', 'Wrong score - not for me']].forEach(([value, icon, title]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'ai-style-feedback-button';
+            button.dataset.vote = value;
+            button.textContent = icon;
+            button.title = title;
+            button.setAttribute('aria-pressed', String(vote === value));
+            button.addEventListener('click', (event) => {
+                // Badges sit on top of product links
+                event.preventDefault();
+                event.stopPropagation();
+                this.submitFeedback(img, badge, value);
+            });
+            controls.appendChild(button);
+        });
+
+        badge.appendChild(controls);
+    }
+
+    /**
+     * Send a vote to the feedback handler; clicking the current vote again withdraws it
+     * The buttons update at once and roll back when the vote was not saved.
+     * @param {HTMLElement} img - Image element
+     * @param {HTMLElement} badge - Badge element
+     * @param {'like'|'dislike'} vote
+     */
+    async submitFeedback(img, badge, vote) {
+        const previous = img.dataset.aiStyleFeedback || null;
+        const next = previous === vote ? null : vote;
+        this.storeFeedback(img, badge, next);
+
+        let saved = false;
+        try {
+            saved = await this.feedbackHandler(img, next);
+        } catch (error) {
+            console.error('❌ Failed to save style feedback:', error);
+        }
+
+        if (!saved) {
+            this.storeFeedback(img, badge, previous);
+        }
+    }
+
+    /**
+     * Store a vote on the image and reflect it on the badge's buttons
+     * @param {HTMLElement} img - Image element
+     * @param {HTMLElement} badge - Badge element
+     * @param {'like'|'dislike'|null} vote
+     */
+    storeFeedback(img, badge, vote) {
+        if (vote) {
+            img.dataset.aiStyleFeedback = vote;
+        } else {
+            delete img.dataset.aiStyleFeedback;
+        }
+
+        badge.dataset.feedback = vote || '';
+        badge.querySelectorAll('.ai-style-feedback-button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.vote === vote));
+        });
+    }
+
+    /**
+     * Tooltip line about the badge's vote, for badges with thumbs
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {HTMLElement} badge - Badge element
+     */
+    fillFeedbackState(tooltip, badge) {
+        if (!badge.querySelector('.ai-style-feedback')) {
+            return;
+        }
+
+        const line = document.createElement('div');
+        line.style.cssText = `
+            margin-top: 8px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.2);
+            font-size: 11px;
+            opacity: 0.85;
+        `;
+        line.textContent = {
+            like: '👍 You liked this. Future scores learn from your votes.',
+            dislike: '👎 You disliked this. Future scores learn from your votes.'
+        }[badge.dataset.feedback] || 'Score wrong? Vote with 👍 / 👎 on the badge.';
+        tooltip.appendChild(line);
+    }
+
+    /**
+     * Store the "never show me" rule a product matches, or clear it
+     * Every badge of the image then shows the rule instead of its score or rank.
+     * @param {HTMLElement} img - Image element
+     * @param {string|null} label - ExclusionRules.describe() of the matching rule, null when none matches
+     */
+    storeExclusion(img, label) {
+        if (label) {
+            img.dataset.aiExcludedBy = label;
+        } else {
+            delete img.dataset.aiExcludedBy;
+        }
+    }
+
+    /**
+     * Show the stored rule on a badge: rule as the text, rule first in the tooltip
+     * @param {HTMLElement} badge - Badge element (not yet in the DOM)
+     * @param {HTMLElement} img - Image element the badge belongs to
+     * @returns {boolean} true when the image matches a rule
+     */
+    markExcluded(badge, img) {
+        const label = img.dataset.aiExcludedBy;
+        if (!label) {
+            return false;
+        }
+
+        badge.classList.add('ai-style-excluded-badge');
+        badge.textContent = `🚫 ${label}`;
+        badge.style.background = ScoreBadgeManager.EXCLUDED_BACKGROUND;
+
+        const reasoning = badge.dataset.reasoning;
+        badge.dataset.reasoning = `Never show me: ${label}.${reasoning ? ` ${reasoning}` : ''}`;
+        if (!badge.hasAttribute('data-tooltip-setup')) {
+            badge.setAttribute('data-tooltip-setup', 'true');
+            this.setupTooltip(badge);
+        }
+        return true;
+    }
+
+    /**
+     * @param {HTMLElement} img - Image element
+     * @returns {boolean} true when the image's card is hidden by a "never show me" rule
+     */
+    isHiddenByRule(img) {
+        return Boolean(img.closest?.('[data-ai-excluded="hidden"]'));
+    }
+
     /**
      * Show all badges for images that have scores stored
      * Called when toggle is switched ON
@@ -119,17 +440,18 @@ export class ScoreBadgeManager {
 
         this.isVisible = true;
 
-        // Find all images with scores stored in DOM
-        const imagesWithScores = document.querySelectorAll('img[data-ai-style-score]');
+        // Find all images with scores stored in DOM (<img> or background-image elements, incl. shadow roots and iframes)
+        const imagesWithScores = DeepQuery.querySelectorAll('[data-ai-style-score]');
 
         console.log(`   Found ${imagesWithScores.length} images with scores`);
 
         imagesWithScores.forEach(img => {
             const score = parseInt(img.dataset.aiStyleScore);
             const reasoning = img.dataset.aiStyleReasoning || '';
+            const breakdown = this.readStoredBreakdown(img);
 
             if (!this.activeBadges.has(img)) {
-                this.renderBadge(img, score, reasoning);
+                this.renderBadge(img, score, reasoning, breakdown);
             }
         });
 
@@ -175,6 +497,19 @@ export class ScoreBadgeManager {
         console.log('✅ All badges hidden and effects cleared');
     }
 
+    /**
+     * Remove the badge (or spinner) of a single image and its visual effects
+     * @param {HTMLElement} img - Image element
+     */
+    removeBadge(img) {
+        const badge = this.activeBadges.get(img);
+        if (badge) {
+            badge.remove();
+            this.activeBadges.delete(img);
+        }
+        this.clearVisualEffects(img);
+    }
+
     /**
      * Apply visual effects to image based on score
      * @param {HTMLImageElement} img - Image element
@@ -291,9 +626,10 @@ export class ScoreBadgeManager {
      * Create badge element with styling
      * @param {number} score - Compatibility score (1-10)
      * @param {string} reasoning - Analysis reasoning text
+     * @param {Object|null} [breakdown=null] - Sub-scores (1-10) by dimension
      * @returns {HTMLElement} Badge element
      */
-    createBadgeElement(score, reasoning) {
+    createBadgeElement(score, reasoning, breakdown = null) {
         const badge = document.createElement('div');
         badge.className = 'ai-style-score-badge';
         badge.textContent = `${score}/10`;
@@ -332,7 +668,10 @@ export class ScoreBadgeManager {
             cursor: help;
         `;
 
-        // Store reasoning in data attribute for easy updates
+        // Store reasoning and breakdown in data attributes for easy updates
+        if (breakdown) {
+            badge.dataset.breakdown = JSON.stringify(breakdown);
+        }
         if (reasoning && reasoning.trim()) {
             badge.dataset.reasoning = reasoning;
             badge.setAttribute('data-tooltip-setup', 'true');
@@ -345,6 +684,36 @@ export class ScoreBadgeManager {
         return badge;
     }
 
+    /**
+     * Create a search rank badge (YES / MAYBE / NO) with the reasoning tooltip of score badges
+     * @param {number} rank - ProductSearchMatcher tier (1-3)
+     * @param {string} reasoning - Analysis reasoning text
+     * @returns {HTMLElement} Badge element
+     */
+    createSearchBadgeElement(rank, reasoning) {
+        const { label, background } = ScoreBadgeManager.SEARCH_RANKS[rank];
+        const badge = this.createBadgeElement(rank, reasoning);
+        badge.classList.add('ai-style-search-badge');
+        badge.textContent = label;
+        badge.style.background = background;
+        return badge;
+    }
+
+    /**
+     * Create a combined badge: the blended score, with both component scores and reasons
+     * in the tooltip
+     * @param {Object} blended - BlendedRanker.blend() result
+     * @returns {HTMLElement} Badge element
+     */
+    createCombinedBadgeElement(blended) {
+        // Plain text for the tooltip fallback; fillTooltip() lays the components out
+        const reasoning = [blended.style?.reason, blended.search?.reason].filter(Boolean).join(' ');
+        const badge = this.createBadgeElement(blended.score, reasoning, blended.style?.breakdown || null);
+        badge.classList.add('ai-style-combined-badge');
+        badge.dataset.components = JSON.stringify(blended);
+        return badge;
+    }
+
     /**
      * Setup tooltip for badge that shows reasoning on hover
      * @param {HTMLElement} badge - Badge element
@@ -367,6 +736,9 @@ export class ScoreBadgeManager {
                     if (badgeElement === badge && img.dataset.aiStyleReasoning) {
                         reasoning = img.dataset.aiStyleReasoning;
                         badge.dataset.reasoning = reasoning; // Store it on badge for next time
+                        if (img.dataset.aiStyleBreakdown && !badge.dataset.breakdown) {
+                            badge.dataset.breakdown = img.dataset.aiStyleBreakdown;
+                        }
                         break;
                     }
                 }
@@ -387,7 +759,8 @@ export class ScoreBadgeManager {
 
             // If tooltip already exists, update content and position
             if (tooltip && tooltip.isConnected) {
-                tooltip.textContent = reasoning;
+                this.fillTooltip(tooltip, reasoning, this.parseBreakdown(badge.dataset.breakdown), this.parseBreakdown(badge.dataset.components));
+                this.fillFeedbackState(tooltip, badge);
                 tooltip.style.opacity = '1';
                 tooltip.style.visibility = 'visible';
                 tooltip.style.display = 'block';
@@ -398,7 +771,8 @@ export class ScoreBadgeManager {
             // Create tooltip element
             tooltip = document.createElement('div');
             tooltip.className = 'ai-style-score-tooltip';
-            tooltip.textContent = reasoning;
+            this.fillTooltip(tooltip, reasoning, this.parseBreakdown(badge.dataset.breakdown), this.parseBreakdown(badge.dataset.components));
+            this.fillFeedbackState(tooltip, badge);
             tooltip.style.display = 'block';
             tooltip.style.opacity = '0';
             tooltip.style.visibility = 'visible'; // Make visible for measurement but transparent
@@ -467,6 +841,158 @@ export class ScoreBadgeManager {
         observer.observe(document.body, { childList: true, subtree: true });
     }
 
+    /**
+     * Fill the tooltip with the reasoning and, when known, one bar per sub-score
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} reasoning - Analysis reasoning text
+     * @param {Object|null} breakdown - Sub-scores (1-10) by dimension
+     * @param {Object|null} [components=null] - Combined badges: BlendedRanker.blend() result,
+     *   shown instead of the plain reasoning
+     */
+    fillTooltip(tooltip, reasoning, breakdown, components = null) {
+        tooltip.textContent = '';
+
+        if (components) {
+            this.fillCombinedComponents(tooltip, components);
+        } else {
+            const reasoningEl = document.createElement('div');
+            reasoningEl.textContent = reasoning;
+            tooltip.appendChild(reasoningEl);
+        }
+
+        if (!breakdown) {
+            return;
+        }
+
+        const bars = document.createElement('div');
+        bars.style.cssText = `
+            margin-top: 8px;
+            padding-top: 8px;
+            border-top: 1px solid rgba(255, 255, 255, 0.2);
+        `;
+
+        Object.entries(ScoreBadgeManager.BREAKDOWN_LABELS).forEach(([key, label]) => {
+            const value = breakdown[key];
+            if (typeof value !== 'number') {
+                return;
+            }
+
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-top: 4px;
+                font-size: 11px;
+            `;
+
+            const labelEl = document.createElement('span');
+            labelEl.textContent = label;
+            labelEl.style.cssText = 'flex: 0 0 96px; opacity: 0.85;';
+
+            const track = document.createElement('div');
+            track.style.cssText = `
+                flex: 1;
+                height: 6px;
+                background: rgba(255, 255, 255, 0.15);
+                border-radius: 3px;
+                overflow: hidden;
+            `;
+
+            const fill = document.createElement('div');
+            fill.style.cssText = `
+                width: ${Math.max(0, Math.min(10, value)) * 10}%;
+                height: 100%;
+                background: ${this.getScoreColor(value)};
+                border-radius: 3px;
+            `;
+            track.appendChild(fill);
+
+            const valueEl = document.createElement('span');
+            valueEl.textContent = `${value}`;
+            valueEl.style.cssText = 'flex: 0 0 16px; text-align: right; font-weight: 600;';
+
+            row.append(labelEl, track, valueEl);
+            bars.appendChild(row);
+        });
+
+        tooltip.appendChild(bars);
+    }
+
+    /**
+     * Combined badge tooltip: the blend, then each component's score and reason
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {Object} components - BlendedRanker.blend() result, with excludedBy when a rule forced the score
+     */
+    fillCombinedComponents(tooltip, components) {
+        const { score, searchWeight, style, search, excludedBy } = components;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'font-weight: 700; margin-bottom: 6px;';
+        header.textContent = `Combined ${score}/10 · ${Math.round((1 - searchWeight) * 100)}% style, ${Math.round(searchWeight * 100)}% search`;
+        tooltip.appendChild(header);
+
+        // Forced to the minimum score whatever the blend says
+        if (excludedBy) {
+            const rule = document.createElement('div');
+            rule.style.cssText = 'margin-bottom: 6px;';
+            rule.textContent = `🚫 Never show me: ${excludedBy}`;
+            tooltip.appendChild(rule);
+        }
+
+        const rows = [
+            ['✨ Style', style ? `${style.score}/10` : 'not scored', style?.reason],
+            ['🔍 Search', search ? ScoreBadgeManager.SEARCH_RANKS[search.rank].label : 'not ranked', search?.reason]
+        ];
+
+        rows.forEach(([label, value, reason]) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'margin-top: 4px;';
+
+            const title = document.createElement('strong');
+            title.textContent = `${label}: ${value}`;
+            row.appendChild(title);
+
+            if (reason) {
+                row.appendChild(document.createTextNode(` - ${reason}`));
+            }
+            tooltip.appendChild(row);
+        });
+    }
+
+    /**
+     * Bar colour for a sub-score, using the badge's thresholds
+     * @param {number} value - Sub-score (1-10)
+     * @returns {string} CSS colour
+     */
+    getScoreColor(value) {
+        if (value >= 9) return '#fbbf24';
+        if (value >= 7) return '#10b981';
+        return '#ef4444';
+    }
+
+    /**
+     * Read the breakdown stored on an image by storeScore()
+     * @param {HTMLElement} img - Image element
+     * @returns {Object|null} Sub-scores, or null when none were stored
+     */
+    readStoredBreakdown(img) {
+        return this.parseBreakdown(img.dataset.aiStyleBreakdown);
+    }
+
+    /**
+     * Parse a JSON data attribute (breakdown, or the components of a combined badge)
+     * @private
+     */
+    parseBreakdown(json) {
+        if (!json) return null;
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Position tooltip near the badge, ensuring it stays on screen
      * @param {HTMLElement} tooltip - Tooltip element
@@ -566,6 +1092,33 @@ export class ScoreBadgeManager {
                 .ai-style-score-badge:hover {
                     transform: translateX(-100%) scale(1.05) !important;
                 }
+
+                .ai-style-score-badge .ai-style-feedback {
+                    display: none;
+                    gap: 2px;
+                    margin-left: 6px;
+                }
+
+                .ai-style-score-badge:hover .ai-style-feedback,
+                .ai-style-score-badge[data-feedback="like"] .ai-style-feedback,
+                .ai-style-score-badge[data-feedback="dislike"] .ai-style-feedback {
+                    display: inline-flex;
+                }
+
+                .ai-style-feedback-button {
+                    background: none !important;
+                    border: none !important;
+                    padding: 0 2px !important;
+                    font-size: 12px !important;
+                    line-height: 1 !important;
+                    cursor: pointer !important;
+                    opacity: 0.55;
+                }
+
+                .ai-style-feedback-button:hover,
+                .ai-style-feedback-button[aria-pressed="true"] {
+                    opacity: 1;
+                }
             `;
             document.head.appendChild(style);
         }
@@ -577,7 +1130,9 @@ export class ScoreBadgeManager {
      * @param {HTMLImageElement} img - Image element
      */
     positionBadge(badge, img) {
-        const rect = img.getBoundingClientRect();
+        // Badges live in the top document; images may sit in shadow roots or same-origin iframes
+        const rect = DeepQuery.getTopViewportRect(img);
+        this.watchFrameScroll(img);
 
         // Top-right corner positioning
         badge.style.top = `${rect.top + window.scrollY + 8}px`;
@@ -590,12 +1145,22 @@ export class ScoreBadgeManager {
      * @param {HTMLImageElement} img - Image element
      * @param {number} score - New score
      * @param {string} reasoning - New reasoning
+     * @param {Object|null} [breakdown=null] - New sub-scores
      */
-    updateBadge(img, score, reasoning) {
+    updateBadge(img, score, reasoning, breakdown = null) {
         const badge = this.activeBadges.get(img);
         if (!badge) return;
 
         badge.textContent = `${score}/10`;
+        if (!badge.classList.contains('ai-style-excluded-badge')) {
+            this.attachFeedbackControls(badge, img);
+        }
+
+        if (breakdown) {
+            badge.dataset.breakdown = JSON.stringify(breakdown);
+        } else {
+            delete badge.dataset.breakdown;
+        }
         
         // Update reasoning in data attribute for tooltip
         if (reasoning && reasoning.trim()) {
@@ -645,6 +1210,52 @@ export class ScoreBadgeManager {
         console.log('✅ Global position update handlers setup');
     }
 
+    /**
+     * Reposition badges when an iframe containing the image scrolls
+     * (window scroll handlers only see the top document scrolling)
+     * @param {HTMLElement} img - Image element
+     * @private
+     */
+    watchFrameScroll(img) {
+        DeepQuery.getContainingFrames(img).forEach(frame => {
+            const frameWindow = frame.contentWindow;
+            if (!frameWindow || this.watchedFrameWindows.has(frameWindow)) return;
+
+            this.watchedFrameWindows.add(frameWindow);
+            frameWindow.addEventListener('scroll', () => this.updateAllPositions(), { passive: true });
+        });
+    }
+
+    /**
+     * Remove try-on result and loading overlays (they belong to the current page's products)
+     */
+    removeTryonOverlays() {
+        document.querySelectorAll('.ai-style-tryon-overlay, .ai-style-tryon-loading-overlay')
+            .forEach(overlay => overlay.remove());
+    }
+
+    /**
+     * Remove scores, votes and "never show me" marks stored on image and card elements
+     * Single-page apps can keep image elements across routes; stale scores would
+     * otherwise come back as badges when the toggle is switched on.
+     */
+    clearStoredScores() {
+        DeepQuery.querySelectorAll('[data-ai-style-score]').forEach(img => this.clearStoredScore(img));
+        DeepQuery.querySelectorAll('[data-ai-excluded-by]').forEach(img => this.storeExclusion(img, null));
+        DeepQuery.querySelectorAll('[data-ai-excluded]').forEach(card => delete card.dataset.aiExcluded);
+        DeepQuery.querySelectorAll('[data-ai-style-feedback]').forEach(img => delete img.dataset.aiStyleFeedback);
+    }
+
+    /**
+     * Remove the stored score of one image (its product will be analyzed again)
+     * @param {HTMLElement} img - Image element
+     */
+    clearStoredScore(img) {
+        delete img.dataset.aiStyleScore;
+        delete img.dataset.aiStyleReasoning;
+        delete img.dataset.aiStyleBreakdown;
+    }
+
     /**
      * Clean up all badges and handlers
      */
@@ -664,7 +1275,7 @@ export class ScoreBadgeManager {
         overlay.className = 'ai-style-tryon-loading-overlay';
 
         // Get the size of the original product image (same size, not scaled)
-        const rect = img.getBoundingClientRect();
+        const rect = DeepQuery.getTopViewportRect(img);
         const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
         const scrollY = window.pageYOffset || document.documentElement.scrollTop;
 
@@ -725,7 +1336,7 @@ export class ScoreBadgeManager {
         overlay.className = 'ai-style-tryon-overlay';
 
         // Get the size of the original product image (same size, not scaled)
-        const rect = img.getBoundingClientRect();
+        const rect = DeepQuery.getTopViewportRect(img);
         const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
         const scrollY = window.pageYOffset || document.documentElement.scrollTop;
 
@@ -0,0 +1,377 @@
+import { SelectorGenerator } from '../utils/SelectorGenerator.js';
+
+/**
+ * SelectorPicker - In-page "teach the layout" mode
+ * The user clicks a product card, we derive card/image/title/price selectors,
+ * highlight every match live, and save the set as a per-site override
+ * that CandidateFinder uses ahead of the built-in selectors.
+ */
+export class SelectorPicker {
+    constructor(hostname, onSave = null) {
+        this.hostname = hostname;
+        this.onSave = onSave; // (override) => void, called after the override is stored
+
+        this.isActive = false;
+        this.isLocked = false; // true after a click: selectors are shown for review
+        this.panel = null;
+        this.selectorSet = null;
+        this.highlighted = [];
+        this.pendingFrame = null;
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Load the saved override for a host
+     * @param {string} hostname - Page hostname
+     * @returns {Promise<Object|null>} Override { productCards, productImages, title, price, savedAt } or null
+     */
+    static async loadOverride(hostname) {
+        try {
+            const { selectorOverrides = {} } = await chrome.storage.local.get(['selectorOverrides']);
+            return selectorOverrides[hostname] || null;
+        } catch (error) {
+            console.error('❌ Failed to load selector override:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Enter picker mode
+     */
+    start() {
+        if (this.isActive) {
+            console.log('⚠️ Selector picker already active');
+            return;
+        }
+
+        console.log('🎯 Selector picker started - click a product card (Esc to cancel)');
+        this.isActive = true;
+        this.isLocked = false;
+        this.ensureStyles();
+        this.createPanel();
+
+        document.addEventListener('mousemove', this.handleMouseMove, true);
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Leave picker mode and remove all highlights
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        document.removeEventListener('mousemove', this.handleMouseMove, true);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+
+        if (this.pendingFrame) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+        }
+
+        this.clearHighlights();
+        this.panel?.remove();
+        this.panel = null;
+        this.selectorSet = null;
+        this.isActive = false;
+        console.log('🎯 Selector picker stopped');
+    }
+
+    /**
+     * Preview the card under the cursor (throttled to one update per frame)
+     */
+    handleMouseMove(e) {
+        if (this.isLocked || this.isPanelEvent(e)) return;
+
+        if (this.pendingFrame) return;
+        this.pendingFrame = requestAnimationFrame(() => {
+            this.pendingFrame = null;
+            const card = SelectorGenerator.findCard(e.target);
+            if (card) {
+                this.preview(SelectorGenerator.deriveSelectorSet(card.card, card.selector));
+            } else {
+                this.clearHighlights();
+                this.updatePanel(null);
+            }
+        });
+    }
+
+    /**
+     * Lock in the selectors for the clicked card
+     */
+    handleClick(e) {
+        if (this.isPanelEvent(e)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (this.isLocked) return;
+
+        const card = SelectorGenerator.findCard(e.target);
+        if (!card) {
+            this.setStatus('No repeated product card found here - try clicking the product image');
+            return;
+        }
+
+        this.isLocked = true;
+        this.preview(SelectorGenerator.deriveSelectorSet(card.card, card.selector));
+        this.setStatus('Review the selectors, edit if needed, then save');
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.stop();
+        }
+    }
+
+    isPanelEvent(e) {
+        return this.panel && this.panel.contains(e.target);
+    }
+
+    /**
+     * Highlight all matches for a selector set and show it in the panel
+     * @param {Object} selectorSet - { productCards, productImages, title, price }
+     */
+    preview(selectorSet) {
+        this.selectorSet = selectorSet;
+        this.clearHighlights();
+
+        const mark = (selectorList, className) => {
+            SelectorGenerator.safeQueryAll(selectorList[0]).forEach(el => {
+                el.classList.add(className);
+                this.highlighted.push([el, className]);
+            });
+        };
+
+        mark(selectorSet.productCards, 'ai-style-picker-card');
+        mark(selectorSet.title, 'ai-style-picker-title');
+        mark(selectorSet.price, 'ai-style-picker-price');
+
+        this.updatePanel(selectorSet);
+    }
+
+    clearHighlights() {
+        this.highlighted.forEach(([el, className]) => el.classList.remove(className));
+        this.highlighted = [];
+    }
+
+    /**
+     * Store the current selector set as this host's override
+     */
+    async save() {
+        if (!this.selectorSet || !this.selectorSet.productCards[0]) {
+            this.setStatus('Click a product card first');
+            return;
+        }
+
+        const override = { ...this.selectorSet, savedAt: Date.now() };
+
+        try {
+            const { selectorOverrides = {} } = await chrome.storage.local.get(['selectorOverrides']);
+            selectorOverrides[this.hostname] = override;
+            await chrome.storage.local.set({ selectorOverrides });
+            console.log(`💾 Selector override saved for ${this.hostname}:`, override);
+
+            this.stop();
+            if (this.onSave) {
+                this.onSave(override);
+            }
+        } catch (error) {
+            console.error('❌ Failed to save selector override:', error);
+            this.setStatus('Failed to save - see console');
+        }
+    }
+
+    /**
+     * Remove the saved override for this host
+     */
+    async reset() {
+        const { selectorOverrides = {} } = await chrome.storage.local.get(['selectorOverrides']);
+        delete selectorOverrides[this.hostname];
+        await chrome.storage.local.set({ selectorOverrides });
+        console.log(`🧹 Selector override removed for ${this.hostname}`);
+
+        this.stop();
+        if (this.onSave) {
+            this.onSave(null);
+        }
+    }
+
+    /**
+     * Create the floating review panel
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'ai-style-picker-panel';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 20px;
+            width: 380px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-radius: 12px;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+            z-index: 1000000;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            color: white;
+            padding: 16px;
+            font-size: 13px;
+        `;
+
+        const title = document.createElement('div');
+        title.textContent = '🎯 Teach product layout';
+        title.style.cssText = 'font-weight: 700; font-size: 15px; margin-bottom: 6px;';
+
+        const status = document.createElement('div');
+        status.className = 'ai-style-picker-status';
+        status.textContent = 'Hover and click a product card (Esc to cancel)';
+        status.style.cssText = 'opacity: 0.9; margin-bottom: 10px;';
+
+        const fields = document.createElement('div');
+        fields.className = 'ai-style-picker-fields';
+
+        for (const [key, label] of [['productCards', 'Card'], ['productImages', 'Image'], ['title', 'Title'], ['price', 'Price']]) {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: block; margin-bottom: 8px;';
+
+            const caption = document.createElement('span');
+            caption.dataset.captionFor = key;
+            caption.textContent = label;
+            caption.style.cssText = 'display: block; font-size: 11px; opacity: 0.85; margin-bottom: 2px;';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.selectorKey = key;
+            input.style.cssText = `
+                width: 100%;
+                box-sizing: border-box;
+                padding: 6px 8px;
+                border-radius: 6px;
+                border: none;
+                font-family: Menlo, Consolas, monospace;
+                font-size: 12px;
+                color: #111827;
+            `;
+            // Manual edits re-run the live preview
+            input.addEventListener('input', () => {
+                if (!this.selectorSet) return;
+                this.isLocked = true;
+                this.selectorSet[key] = input.value.trim() ? [input.value.trim()] : [];
+                this.preview(this.selectorSet);
+            });
+
+            row.appendChild(caption);
+            row.appendChild(input);
+            fields.appendChild(row);
+        }
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 8px; margin-top: 4px;';
+
+        const makeButton = (text, onClick, primary = false) => {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.style.cssText = `
+                flex: 1;
+                padding: 8px;
+                border-radius: 6px;
+                border: 1px solid rgba(255, 255, 255, 0.4);
+                background: ${primary ? 'white' : 'transparent'};
+                color: ${primary ? '#5b21b6' : 'white'};
+                font-weight: 600;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                onClick();
+            });
+            return btn;
+        };
+
+        actions.appendChild(makeButton('Save', () => this.save(), true));
+        actions.appendChild(makeButton('Re-pick', () => {
+            this.isLocked = false;
+            this.setStatus('Hover and click a product card (Esc to cancel)');
+        }));
+        actions.appendChild(makeButton('Reset site', () => this.reset()));
+        actions.appendChild(makeButton('Cancel', () => this.stop()));
+
+        panel.appendChild(title);
+        panel.appendChild(status);
+        panel.appendChild(fields);
+        panel.appendChild(actions);
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    /**
+     * Reflect the selector set and its match counts in the panel
+     * @param {Object|null} selectorSet - Selector set or null to clear
+     */
+    updatePanel(selectorSet) {
+        if (!this.panel) return;
+
+        const coverage = selectorSet ? SelectorGenerator.measureCoverage(selectorSet) : null;
+        const labels = { productCards: 'Card', productImages: 'Image', title: 'Title', price: 'Price' };
+        const counts = coverage
+            ? { productCards: coverage.cards, productImages: coverage.images, title: coverage.title, price: coverage.price }
+            : {};
+
+        this.panel.querySelectorAll('input[data-selector-key]').forEach(input => {
+            const key = input.dataset.selectorKey;
+            // Don't overwrite what the user is typing
+            if (document.activeElement !== input) {
+                input.value = selectorSet?.[key]?.[0] || '';
+            }
+            const caption = this.panel.querySelector(`[data-caption-for="${key}"]`);
+            caption.textContent = coverage
+                ? (key === 'productCards'
+                    ? `${labels[key]} - ${counts[key]} matches`
+                    : `${labels[key]} - found in ${counts[key]}/${coverage.cards} cards`)
+                : labels[key];
+        });
+    }
+
+    setStatus(message) {
+        const status = this.panel?.querySelector('.ai-style-picker-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Inject highlight styles once
+     */
+    ensureStyles() {
+        const styleId = 'ai-style-picker-styles';
+        if (document.getElementById(styleId)) return;
+
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent = `
+            .ai-style-picker-card {
+                outline: 2px dashed #667eea !important;
+                outline-offset: -2px !important;
+                background-color: rgba(102, 126, 234, 0.08) !important;
+            }
+            .ai-style-picker-title {
+                outline: 2px solid #10b981 !important;
+            }
+            .ai-style-picker-price {
+                outline: 2px solid #f59e0b !important;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.SelectorPicker = SelectorPicker;
+}
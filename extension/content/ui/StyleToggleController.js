@@ -1,3 +1,6 @@
+import { ScoreBadgeManager } from './ScoreBadgeManager.js';
+import { setCombinedSearchWeight } from '../../utils/PromptStorageUtils.js';
+
 /**
  * StyleToggleController - Simple toggle switch for Style Mode
  * Manages single boolean state and UI toggle control
@@ -17,6 +20,10 @@ export class StyleToggleController {
         // Simple toggle state: true = My Style ON, false = My Style OFF
         this.isMyStyleModeOn = false;
 
+        // Combined ranking shown in the panel: { prompt, searchWeight, results } or null outside combined mode
+        this.combinedState = null;
+        this.combinedSection = null;
+
         // Load state from storage
         this.loadToggleState();
     }
@@ -99,6 +106,9 @@ export class StyleToggleController {
         this.controlPanel = panel;
         this.isVisible = true;
 
+        // Combined results may have arrived before the panel existed
+        this.renderCombinedSection();
+
         console.log('✅ Control panel created');
     }
 
@@ -162,13 +172,17 @@ export class StyleToggleController {
         content.style.cssText = `
             padding: 20px;
             transition: max-height 0.3s ease-in-out, opacity 0.3s ease-in-out;
-            max-height: 400px;
+            max-height: 640px;
         `;
 
         // Toggle section
         const toggleSection = this.createToggleSwitch();
         content.appendChild(toggleSection);
 
+        // Combined mode section (weight slider + best matches)
+        this.combinedSection = this.createCombinedSection();
+        content.appendChild(this.combinedSection);
+
         return content;
     }
 
@@ -255,6 +269,155 @@ export class StyleToggleController {
         return section;
     }
 
+    /**
+     * Create the combined mode section: style/search weight slider and the best matches
+     * Hidden until the popup switches to combined mode
+     */
+    createCombinedSection() {
+        const section = document.createElement('div');
+        section.className = 'ai-style-combined-section';
+        section.style.cssText = `
+            display: none;
+            padding-top: 12px;
+            border-top: 1px solid rgba(255, 255, 255, 0.2);
+            font-size: 13px;
+        `;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'ai-style-combined-prompt';
+        prompt.style.cssText = 'margin-bottom: 10px; font-weight: 500;';
+
+        const labelRow = document.createElement('div');
+        labelRow.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 6px;';
+        const label = document.createElement('span');
+        label.textContent = 'Weight';
+        const value = document.createElement('span');
+        value.className = 'ai-style-combined-weight';
+        value.style.cssText = 'font-weight: 600;';
+        labelRow.append(label, value);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.step = '5';
+        slider.className = 'ai-style-combined-slider';
+        slider.style.cssText = 'width: 100%; cursor: pointer; accent-color: #10b981;';
+        slider.oninput = () => {
+            value.textContent = this.formatWeight(slider.value / 100);
+        };
+        slider.onchange = async () => {
+            // ContentScriptManager re-ranks from the storage change (the popup's slider does the same)
+            try {
+                await setCombinedSearchWeight(slider.value / 100);
+            } catch (error) {
+                console.error('❌ Failed to save combined ranking weight:', error);
+            }
+        };
+
+        const results = document.createElement('div');
+        results.className = 'ai-style-combined-results';
+        results.style.cssText = 'margin-top: 12px;';
+
+        section.append(prompt, labelRow, slider, results);
+        return section;
+    }
+
+    /**
+     * Show the combined ranking in the panel (called by ContentScriptManager as results arrive)
+     * @param {Object|null} state - { prompt, searchWeight, results: [{ name, blended }] } best first,
+     *   or null to hide the section (style or search mode)
+     */
+    showCombinedResults(state) {
+        this.combinedState = state;
+        this.renderCombinedSection();
+    }
+
+    /**
+     * Render combinedState into the combined section
+     * @private
+     */
+    renderCombinedSection() {
+        if (!this.combinedSection) {
+            return;
+        }
+
+        const state = this.combinedState;
+        this.combinedSection.style.display = state ? 'block' : 'none';
+        if (!state) {
+            return;
+        }
+
+        this.combinedSection.querySelector('.ai-style-combined-prompt').textContent = `🔍 "${state.prompt}" + ✨ your style`;
+        this.combinedSection.querySelector('.ai-style-combined-weight').textContent = this.formatWeight(state.searchWeight);
+
+        const slider = this.combinedSection.querySelector('.ai-style-combined-slider');
+        if (document.activeElement !== slider) {
+            slider.value = String(Math.round(state.searchWeight * 100));
+        }
+
+        const list = this.combinedSection.querySelector('.ai-style-combined-results');
+        list.textContent = '';
+
+        if (state.results.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'Ranking products...';
+            empty.style.cssText = 'opacity: 0.8; font-size: 12px;';
+            list.appendChild(empty);
+            return;
+        }
+
+        const heading = document.createElement('div');
+        heading.textContent = 'Best matches';
+        heading.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; opacity: 0.8; margin-bottom: 4px;';
+        list.appendChild(heading);
+
+        state.results.forEach(({ name, blended }, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                padding: 6px 8px;
+                margin-top: 4px;
+                background: rgba(0, 0, 0, 0.2);
+                border-radius: 6px;
+            `;
+
+            const top = document.createElement('div');
+            top.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; font-weight: 600;';
+            const title = document.createElement('span');
+            title.textContent = `${index + 1}. ${name}`;
+            title.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const score = document.createElement('span');
+            score.textContent = `${blended.score}/10`;
+            top.append(title, score);
+
+            const components = document.createElement('div');
+            components.style.cssText = 'font-size: 11px; opacity: 0.9; margin-top: 2px;';
+            const styleText = blended.style ? `${blended.style.score}/10` : '-';
+            const searchText = blended.search ? ScoreBadgeManager.SEARCH_RANKS[blended.search.rank].label : '-';
+            components.textContent = `✨ Style ${styleText} · 🔍 Search ${searchText}`;
+
+            // Both reasons, in full on hover
+            const reasons = [blended.style?.reason, blended.search?.reason].filter(Boolean);
+            row.title = reasons.join('\n');
+            const reasonEl = document.createElement('div');
+            reasonEl.style.cssText = 'font-size: 11px; opacity: 0.75; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            reasonEl.textContent = reasons.join(' · ');
+
+            row.append(top, components, reasonEl);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * @param {number} searchWeight - 0-1
+     * @returns {string} e.g. "60% style · 40% search"
+     * @private
+     */
+    formatWeight(searchWeight) {
+        const search = Math.round(searchWeight * 100);
+        return `${100 - search}% style · ${search}% search`;
+    }
+
     /**
      * Create button element
      */
@@ -336,7 +499,7 @@ export class StyleToggleController {
             content.style.padding = '0 20px';
             collapseBtn.textContent = '+';
         } else {
-            content.style.maxHeight = '400px';
+            content.style.maxHeight = '640px';
             content.style.opacity = '1';
             content.style.padding = '20px';
             collapseBtn.textContent = '−';
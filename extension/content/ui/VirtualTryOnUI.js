@@ -230,7 +230,7 @@ export class VirtualTryOnUI {
      * @private
      */
     positionOverlay(triggerImage, overlay) {
-        const triggerRect = triggerImage.getBoundingClientRect();
+        const triggerRect = this.positionCalculator.getElementRect(triggerImage);
         const imageContainer = overlay._imageContainer;
 
         // Calculate optimal position
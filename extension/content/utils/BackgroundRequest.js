@@ -0,0 +1,64 @@
+/**
+ * BackgroundRequest sends messages to the background that an AbortSignal can cancel.
+ *
+ * The message gets a requestId; when the signal aborts, the background is told to
+ * abort the work behind it ('cancelRequests': model prompt, image fetch, try-on) and the
+ * returned promise rejects at once with the signal's reason (an AbortError), without
+ * waiting for the background to answer.
+ */
+export class BackgroundRequest {
+    static sequence = 0;
+
+    /**
+     * @param {Object} message - Message with an action
+     * @param {AbortSignal|null} [signal=null] - Cancels the request
+     * @returns {Promise<*>} The background's response
+     */
+    static async send(message, signal = null) {
+        if (!signal) {
+            return chrome.runtime.sendMessage(message);
+        }
+
+        signal.throwIfAborted();
+
+        const requestId = BackgroundRequest.createId();
+        let onAbort = null;
+        const aborted = new Promise((_, reject) => {
+            onAbort = () => {
+                chrome.runtime.sendMessage({ action: 'cancelRequests', requestIds: [requestId], reason: signal.reason?.message })
+                    .catch(() => {}); // The background may be restarting; nothing left to cancel then
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+
+        try {
+            return await Promise.race([chrome.runtime.sendMessage({ ...message, requestId }), aborted]);
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Unique per page (tabs send requests to the same background)
+     * @returns {string}
+     * @private
+     */
+    static createId() {
+        return `${Date.now().toString(36)}-${(BackgroundRequest.sequence++).toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Check if an error is the cancellation of a request, not a failure
+     * @param {*} error
+     * @returns {boolean}
+     */
+    static isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.BackgroundRequest = BackgroundRequest;
+}
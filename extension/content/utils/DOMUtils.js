@@ -1,3 +1,5 @@
+import { ImageSourceResolver } from './ImageSourceResolver.js';
+
 /**
  * DOMUtils provides utility functions for DOM manipulation and element analysis
  */
@@ -8,7 +10,7 @@ export class DOMUtils {
      * @returns {string} Unique key string
      */
     static getImageKey(img) {
-        return `${img.src || ''}|${img.alt || ''}|${img.className || ''}`;
+        return `${ImageSourceResolver.getImageUrl(img)}|${img.alt || ''}|${img.className || ''}`;
     }
 
     /**
@@ -68,12 +70,12 @@ export class DOMUtils {
 
     /**
      * Get comprehensive information about an image element
-     * @param {HTMLImageElement} img - The image element
+     * @param {HTMLElement} img - The image element (or an element with a background image)
      * @returns {Object} Object containing image dimensions, attributes, and shortened src
      */
     static getImageInfo(img) {
         const rect = img.getBoundingClientRect();
-        const src = img.dataset.src || img.src || '';
+        const src = ImageSourceResolver.getImageUrl(img);
 
         // Create a short version of the src for logging
         let srcShort = src;
@@ -86,7 +88,7 @@ export class DOMUtils {
         }
 
         return {
-            alt: img.alt || '(no alt text)',
+            alt: img.alt || img.getAttribute('aria-label') || '(no alt text)',
             title: img.title || '(no title)',
             src: src,
             srcShort: srcShort,
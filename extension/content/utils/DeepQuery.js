@@ -0,0 +1,188 @@
+/**
+ * DeepQuery runs selectors across the whole rendered page: the main document, open
+ * shadow roots (web-component product grids) and same-origin iframes (quick-view
+ * modals, embedded storefronts). The content script only runs in the top frame,
+ * so everything nested is reached from here.
+ *
+ * Closed shadow roots and cross-origin frames are not accessible and are skipped.
+ */
+export class DeepQuery {
+    // Iframes nested deeper than this are ignored
+    static MAX_FRAME_DEPTH = 3;
+
+    // Root collection walks the whole DOM, so reuse the result for back-to-back queries
+    static ROOTS_CACHE_MS = 500;
+
+    static rootsCache = null;
+
+    /**
+     * Collect the document plus every open shadow root and accessible iframe document under it
+     * @param {Document|ShadowRoot|Element} [root] - Where to start
+     * @returns {Array<Document|ShadowRoot|Element>} Search roots, outermost first
+     */
+    static getSearchRoots(root = document) {
+        const now = Date.now();
+        if (root === document && DeepQuery.rootsCache && now - DeepQuery.rootsCache.time < DeepQuery.ROOTS_CACHE_MS) {
+            return DeepQuery.rootsCache.roots;
+        }
+
+        const roots = [];
+        DeepQuery.collectRoots(root, 0, roots);
+
+        if (root === document) {
+            DeepQuery.rootsCache = { time: now, roots };
+        }
+        return roots;
+    }
+
+    /**
+     * @private
+     */
+    static collectRoots(root, frameDepth, roots) {
+        roots.push(root);
+
+        // The walker below only visits descendants, so check an element root's own
+        // shadow root and frame here (an added <iframe> is itself the root)
+        if (root.nodeType === Node.ELEMENT_NODE) {
+            DeepQuery.collectNestedRoots(root, frameDepth, roots);
+        }
+
+        const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+        for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+            DeepQuery.collectNestedRoots(el, frameDepth, roots);
+        }
+    }
+
+    /**
+     * Collect the shadow root and frame document an element hosts
+     * @private
+     */
+    static collectNestedRoots(el, frameDepth, roots) {
+        if (el.shadowRoot) {
+            DeepQuery.collectRoots(el.shadowRoot, frameDepth, roots);
+        }
+
+        if (DeepQuery.isFrame(el) && frameDepth < DeepQuery.MAX_FRAME_DEPTH) {
+            const frameDocument = DeepQuery.getFrameDocument(el);
+            if (frameDocument?.documentElement) {
+                DeepQuery.collectRoots(frameDocument, frameDepth + 1, roots);
+            }
+        }
+    }
+
+    /**
+     * Check if an element is an iframe or frame
+     * @param {Element} el - Element
+     * @returns {boolean} True for <iframe> and <frame>
+     */
+    static isFrame(el) {
+        return el.tagName === 'IFRAME' || el.tagName === 'FRAME';
+    }
+
+    /**
+     * Get an iframe's document if it is same-origin
+     * @param {HTMLIFrameElement} frame - Frame element
+     * @returns {Document|null} Frame document or null when cross-origin/not loaded
+     */
+    static getFrameDocument(frame) {
+        try {
+            return frame.contentDocument || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * querySelectorAll across the document, open shadow roots and same-origin iframes
+     * @param {string} selector - CSS selector (throws on invalid syntax, like querySelectorAll)
+     * @param {Document|ShadowRoot|Element} [root] - Where to start; an element root is included when it matches
+     * @returns {Element[]} Matching elements
+     */
+    static querySelectorAll(selector, root = document) {
+        const results = [];
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+            results.push(root);
+        }
+        for (const searchRoot of DeepQuery.getSearchRoots(root)) {
+            results.push(...searchRoot.querySelectorAll(selector));
+        }
+        return results;
+    }
+
+    /**
+     * Element.closest() that continues past shadow root boundaries to the host's ancestors
+     * (it stops at a frame boundary: a card never spans documents)
+     * @param {Element} element - Start element
+     * @param {string} selector - CSS selector
+     * @returns {Element|null} Closest matching ancestor (or the element itself)
+     */
+    static closest(element, selector) {
+        let current = element;
+        while (current) {
+            const match = current.closest(selector);
+            if (match) return match;
+
+            const root = current.getRootNode();
+            // nodeType check rather than instanceof: shadow roots inside iframes belong to another realm
+            current = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root.host : null;
+        }
+        return null;
+    }
+
+    /**
+     * Get the iframe elements (innermost first) that contain an element
+     * @param {Element} element - Element in the top document or a nested frame
+     * @returns {HTMLIFrameElement[]} Containing frames, empty for top-document elements
+     */
+    static getContainingFrames(element) {
+        const frames = [];
+        let view = element.ownerDocument?.defaultView;
+
+        while (view && view !== window) {
+            let frame = null;
+            try {
+                frame = view.frameElement;
+            } catch (e) {
+                break;
+            }
+            if (!frame) break;
+
+            frames.push(frame);
+            view = frame.ownerDocument.defaultView;
+        }
+
+        return frames;
+    }
+
+    /**
+     * getBoundingClientRect() in the top window's viewport coordinates.
+     * Shadow DOM needs no correction; each containing iframe adds its own offset and border.
+     * @param {Element} element - Element anywhere in the page
+     * @returns {{top: number, left: number, right: number, bottom: number, width: number, height: number}} Rect
+     */
+    static getTopViewportRect(element) {
+        const rect = element.getBoundingClientRect();
+        let top = rect.top;
+        let left = rect.left;
+
+        for (const frame of DeepQuery.getContainingFrames(element)) {
+            const frameRect = frame.getBoundingClientRect();
+            top += frameRect.top + frame.clientTop;
+            left += frameRect.left + frame.clientLeft;
+        }
+
+        return {
+            top,
+            left,
+            right: left + rect.width,
+            bottom: top + rect.height,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.DeepQuery = DeepQuery;
+}
@@ -29,6 +29,8 @@ export class EventListeners {
                         host: this.contentScript.currentHost,
                         site: this.contentScript.currentSite,
                         pageType: this.contentScript.pageType,
+                        pageClassification: this.contentScript.pageClassification,
+                        pipeline: this.contentScript.pipeline,
                         url: this.contentScript.currentUrl
                     });
                     break;
@@ -54,6 +56,11 @@ export class EventListeners {
                     sendResponse({status: 'debug_enabled'});
                     break;
 
+                case 'startSelectorPicker':
+                    this.contentScript.startSelectorPicker();
+                    sendResponse({status: 'selector_picker_started'});
+                    break;
+
                 case 'clearDetection':
                     this.contentScript.clearProductDetection();
                     sendResponse({status: 'detection_cleared'});
@@ -87,7 +94,8 @@ export class EventListeners {
                     sendResponse({
                         status: 'success',
                         stats: this.contentScript.analysisStats,
-                        cacheSize: this.contentScript.analysisCache?.size || 0,
+                        cacheSize: this.contentScript.personalStyleMatcher?.getCacheStats().size || 0,
+                        scheduler: this.contentScript.sessionManager?.getStats() || null,
                         profileLoaded: !!this.contentScript.userStyleProfile
                     });
                     break;
@@ -175,16 +183,20 @@ export class EventListeners {
                     break;
 
                 case 'applyPrompt':
-                    // Prompt mode is currently disabled
-                    sendResponse({
-                        status: 'feature_disabled',
-                        message: 'Prompt mode is currently disabled'
+                    // Rank every detected product against the popup's search prompt (search or combined mode)
+                    console.log('📩 Applying search prompt from popup:', request.prompt);
+                    this.contentScript.applySearchPrompt(request.prompt, request.mode === 'combined' ? 'combined' : 'prompt').then(summary => {
+                        sendResponse({status: 'prompt_applied', ...summary});
+                    }).catch(error => {
+                        console.error('Error applying search prompt:', error);
+                        sendResponse({status: 'error', message: error.message});
                     });
-                    break;
+                    return true; // Keep message channel open for async response
 
                 case 'switchToStyleMode':
                     // Handle showing style suggestions
                     console.log('📩 Showing style suggestions from popup');
+                    this.contentScript.setRankingMode('style');
                     this.contentScript.showStyleSuggestions(true).then(() => {
                         sendResponse({status: 'style_suggestions_shown'});
                     }).catch(error => {
@@ -196,6 +208,7 @@ export class EventListeners {
                 case 'disableExtension':
                     // Handle hiding style suggestions
                     console.log('📩 Hiding style suggestions from popup');
+                    this.contentScript.setRankingMode('off');
                     this.contentScript.showStyleSuggestions(false).then(() => {
                         sendResponse({status: 'style_suggestions_hidden'});
                     }).catch(error => {
@@ -212,140 +225,20 @@ export class EventListeners {
 
     /**
      * Set up navigation detection for SPA (Single Page Applications)
+     * Delegates to NavigationManager, which hooks pushState/replaceState/popstate and
+     * calls ContentScriptManager.handleNavigationChange() once per route change
      */
     setupNavigationListener() {
-        // Handle SPA navigation for dynamic content loading
-        let lastUrl = this.contentScript.currentUrl;
-
-        // Use MutationObserver to detect URL changes
-        const observer = new MutationObserver(() => {
-            if (window.location.href !== lastUrl) {
-                lastUrl = window.location.href;
-                this.contentScript.currentUrl = lastUrl;
-
-                console.log('🔄 Navigation detected, reinitializing...', lastUrl);
-
-                // Update page type detection
-                this.contentScript.pageType = this.contentScript.pageTypeDetector.detectPageType();
-
-                // Clear and reinitialize for new page
-                this.contentScript.clearProductDetection();
-                this.contentScript.initializeForPageType();
-
-                // Re-run product detection after navigation
-                setTimeout(async () => {
-                    await this.contentScript.detectProductImages();
-                }, 2000);
-
-                // Notify background script
-                this.contentScript.notifyBackgroundScript();
-            }
-        });
-
-        // Start observing
-        observer.observe(document, {
-            childList: true,
-            subtree: true
-        });
-
-        // Also listen for popstate events (back/forward navigation)
-        window.addEventListener('popstate', () => {
-            setTimeout(() => {
-                if (window.location.href !== lastUrl) {
-                    lastUrl = window.location.href;
-                    this.contentScript.currentUrl = lastUrl;
-
-                    console.log('🔄 Popstate navigation detected, reinitializing...', lastUrl);
-
-                    this.contentScript.pageType = this.contentScript.pageTypeDetector.detectPageType();
-                    this.contentScript.clearProductDetection();
-                    this.contentScript.initializeForPageType();
-
-                    // Re-run product detection after popstate navigation
-                    setTimeout(async () => {
-                        await this.contentScript.detectProductImages();
-                    }, 2000);
-
-                    this.contentScript.notifyBackgroundScript();
-                }
-            }, 100);
-        });
+        this.contentScript.navigationManager.start();
     }
 
     /**
      * Set up detection for lazy-loaded images and dynamic content
+     * Delegates to IncrementalDetector, which only processes the subtrees that were
+     * added or removed instead of re-running detection over the whole page
      */
     setupLazyLoadingDetection() {
-        // Observe for new images being added to the DOM (lazy loading)
-        const imageObserver = new MutationObserver((mutations) => {
-            let hasNewImages = false;
-
-            mutations.forEach((mutation) => {
-                // Check for new img elements
-                mutation.addedNodes.forEach((node) => {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        if (node.tagName === 'IMG') {
-                            hasNewImages = true;
-                        } else if (node.querySelectorAll) {
-                            const images = node.querySelectorAll('img');
-                            if (images.length > 0) {
-                                hasNewImages = true;
-                            }
-                        }
-                    }
-                });
-
-                // Check for src attribute changes (lazy loading)
-                if (mutation.type === 'attributes' &&
-                    mutation.attributeName === 'src' &&
-                    mutation.target.tagName === 'IMG') {
-                    hasNewImages = true;
-                }
-            });
-
-            // REMOVED: Lazy loading detection disabled
-            // if (hasNewImages) {
-            //     console.log('🖼️ New images detected, checking for new products...');
-            //     setTimeout(async () => {
-            //         await this.contentScript.detectNewImages();
-            //     }, 500);
-            // }
-        });
-
-        // Start observing
-        imageObserver.observe(document, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['src', 'data-src']
-        });
-
-        // Also set up intersection observer for scroll-triggered detection
-        if ('IntersectionObserver' in window) {
-            const scrollObserver = new IntersectionObserver((entries) => {
-                const hasNewVisibleImages = entries.some(entry =>
-                    entry.isIntersecting &&
-                    entry.target.tagName === 'IMG' &&
-                    !entry.target.dataset.clothingItemDetected  // undefined = not yet analyzed
-                );
-
-                // REMOVED: Lazy loading detection disabled
-                // if (hasNewVisibleImages) {
-                //     console.log('👁️ New images scrolled into view, checking for products...');
-                //     setTimeout(async () => {
-                //         await this.contentScript.detectNewImages();
-                //     }, 1000);
-                // }
-            });
-
-            // Observe all images
-            setTimeout(() => {
-                const allImages = document.querySelectorAll('img');
-                allImages.forEach(img => {
-                    scrollObserver.observe(img);
-                });
-            }, 2000);
-        }
+        this.contentScript.incrementalDetector.start();
     }
 
     /**
@@ -1,3 +1,5 @@
+import { DeepQuery } from './DeepQuery.js';
+
 /**
  * GeometryUtils provides utility functions for positioning and layout calculations
  */
@@ -9,7 +11,7 @@ export class GeometryUtils {
      */
     static positionOverlay(overlay, img) {
         // Get the image's position and dimensions
-        const rect = img.getBoundingClientRect();
+        const rect = DeepQuery.getTopViewportRect(img); // corrects for iframes
         const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
         const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
 
@@ -38,7 +40,7 @@ export class GeometryUtils {
      */
     static positionScoreBadge(badge, img) {
         // Get the image's position and dimensions
-        const rect = img.getBoundingClientRect();
+        const rect = DeepQuery.getTopViewportRect(img); // corrects for iframes
         const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
         const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
 
@@ -80,7 +82,7 @@ export class GeometryUtils {
      * @returns {Object} Object containing top, left, width, height in absolute coordinates
      */
     static getAbsolutePosition(element) {
-        const rect = element.getBoundingClientRect();
+        const rect = DeepQuery.getTopViewportRect(element);
         const scroll = GeometryUtils.getScrollPosition();
 
         return {
@@ -102,7 +104,7 @@ export class GeometryUtils {
      * @param {string} transform - Optional CSS transform to apply (e.g., 'translateX(-100%)')
      */
     static positionElementRelativeToImage(element, img, position = 'top-right', offset = { x: 8, y: 8 }, transform = null) {
-        const rect = img.getBoundingClientRect();
+        const rect = DeepQuery.getTopViewportRect(img); // corrects for iframes
         const scrollY = window.pageYOffset || document.documentElement.scrollTop;
         const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
 
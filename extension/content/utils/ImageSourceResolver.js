@@ -0,0 +1,397 @@
+import { DeepQuery } from './DeepQuery.js';
+
+/**
+ * ImageSourceResolver finds the real, highest-resolution image URL behind a product
+ * element. Retailers rarely put it in img.src: it sits in srcset, in <picture> sources,
+ * in lazy-loading data attributes, or in a CSS background-image, while src holds a
+ * 1px placeholder or a blurred low-quality preview (LQIP) until the image scrolls in.
+ *
+ * The resolved URL is cached on the element as data-ai-style-src so detection, metadata
+ * matching and analysis all agree on which image a product is.
+ */
+export class ImageSourceResolver {
+    /**
+     * Lazy-loading attributes holding a URL, in priority order
+     */
+    static LAZY_URL_ATTRIBUTES = [
+        'data-zoom-image', 'data-zoom-src', 'data-large-src', 'data-full-src',
+        'data-src', 'data-original', 'data-lazy-src', 'data-lazy', 'data-url',
+        'data-bg', 'data-background-image', 'data-bg-src'
+    ];
+
+    /**
+     * Lazy-loading attributes holding a srcset
+     */
+    static LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset', 'data-original-set'];
+
+    static PLACEHOLDER_URL_PATTERN = /placeholder|blank\.(gif|png|jpg|svg)|spacer|transparent\.(gif|png)|lqip|pixel\.gif|1x1\.|loading\.(gif|svg)/i;
+
+    // Size parameters asking the CDN for a tiny preview, e.g. ?w=20 or /w_24/
+    static TINY_SIZE_PATTERN = /[?&](w|width|imwidth|wid)=([1-9]\d?)(&|$)|[/,]w_([1-9]\d?)[/,]/i;
+
+    // Query parameters that select a rendition of the same image rather than another image
+    static RENDITION_PARAMS = new Set([
+        'w', 'h', 'width', 'height', 'imwidth', 'imheight', 'wid', 'hei', 'dpr', 'q', 'qlt',
+        'quality', 'fmt', 'format', 'auto', 'fit', 'crop', 'resize', 'sw', 'sh', 'sm', 'scl'
+    ]);
+
+    // Preload state per URL: 'loading' | 'loaded' | 'failed'
+    static preloadState = new Map();
+
+    // Called with the URL whenever a preload finds a real image
+    static readyListeners = new Set();
+
+    /**
+     * Parse a srcset attribute
+     * Tokenized as the HTML spec does: the URL runs up to whitespace (so it may contain
+     * commas, as CDN transforms do), its descriptors up to the next comma. Minified markup
+     * without a space after the comma ("a.jpg 320w,b.jpg 1280w") parses the same.
+     * @param {string} srcset - e.g. "a.jpg 320w, b.jpg 640w" or "a.jpg 1x, b.jpg 2x"
+     * @param {string} [baseUrl] - Base for relative URLs
+     * @returns {Array<{url: string, width: number, density: number}>} Candidates
+     */
+    static parseSrcset(srcset, baseUrl = document.baseURI) {
+        if (!srcset) return [];
+
+        const candidates = [];
+        const length = srcset.length;
+        let position = 0;
+
+        while (position < length) {
+            // Skip whitespace and separating commas before the URL
+            while (position < length && /[\s,]/.test(srcset[position])) position++;
+            if (position >= length) break;
+
+            const urlStart = position;
+            while (position < length && !/\s/.test(srcset[position])) position++;
+            let rawUrl = srcset.slice(urlStart, position);
+
+            // "a.jpg," - trailing commas end the candidate, it has no descriptors
+            let descriptors = '';
+            if (rawUrl.endsWith(',')) {
+                rawUrl = rawUrl.replace(/,+$/, '');
+            } else {
+                // Descriptors run to the next comma outside parentheses
+                const descriptorStart = position;
+                let depth = 0;
+                while (position < length) {
+                    const char = srcset[position];
+                    if (char === '(') depth++;
+                    else if (char === ')' && depth > 0) depth--;
+                    else if (char === ',' && depth === 0) break;
+                    position++;
+                }
+                descriptors = srcset.slice(descriptorStart, position);
+                position++; // Past the comma
+            }
+
+            const tokens = descriptors.trim().split(/\s+/).filter(Boolean);
+            const widthToken = tokens.find(token => /^\d+w$/.test(token));
+            const densityToken = tokens.find(token => /^[\d.]+x$/.test(token));
+            const width = widthToken ? parseInt(widthToken, 10) : 0;
+            const density = densityToken ? parseFloat(densityToken) : (width ? 0 : 1);
+
+            const url = ImageSourceResolver.absoluteUrl(rawUrl, baseUrl);
+            if (url) {
+                candidates.push({ url, width, density });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Pick the largest candidate from a parsed srcset
+     * @param {Array} candidates - Output of parseSrcset()
+     * @returns {Object|null} Largest candidate
+     */
+    static pickLargest(candidates) {
+        const usable = candidates.filter(c => !ImageSourceResolver.isPlaceholderUrl(c.url));
+        if (usable.length === 0) return null;
+
+        return usable.reduce((best, c) => {
+            const size = c.width || c.density * 1000;
+            const bestSize = best.width || best.density * 1000;
+            return size > bestSize ? c : best;
+        });
+    }
+
+    /**
+     * Get the URL of an element's CSS background image
+     * @param {HTMLElement} element - Element to inspect
+     * @returns {string} First url(...) in background-image, or ''
+     */
+    static getBackgroundImageUrl(element) {
+        // Elements in same-origin iframes need their own window's computed style and base URL
+        const view = element.ownerDocument?.defaultView || window;
+        const value = view.getComputedStyle(element).backgroundImage || '';
+        const match = value.match(/url\(\s*(['"]?)(.*?)\1\s*\)/);
+        return match ? ImageSourceResolver.absoluteUrl(match[2], element.ownerDocument?.baseURI) : '';
+    }
+
+    /**
+     * Resolve the best real image URL for an element
+     * @param {HTMLElement} element - <img> or an element with a background image
+     * @returns {{url: string, source: string, width: number}} url is '' when only placeholders were found
+     */
+    static resolve(element) {
+        const baseUrl = element.ownerDocument?.baseURI || document.baseURI;
+        const candidates = [];
+        const add = (url, source, width = 0) => {
+            if (url && !ImageSourceResolver.isPlaceholderUrl(url)) {
+                candidates.push({ url, source, width });
+            }
+        };
+
+        if (element.tagName === 'IMG') {
+            // <picture><source srcset> entries, then the image's own srcset
+            const picture = element.parentElement?.tagName === 'PICTURE' ? element.parentElement : null;
+            picture?.querySelectorAll('source').forEach(source => {
+                const best = ImageSourceResolver.pickLargest(ImageSourceResolver.parseSrcset(
+                    source.getAttribute('srcset') || source.getAttribute('data-srcset'),
+                    baseUrl
+                ));
+                if (best) add(best.url, 'picture', best.width);
+            });
+
+            const srcsetValues = [element.getAttribute('srcset'), ...ImageSourceResolver.LAZY_SRCSET_ATTRIBUTES.map(a => element.getAttribute(a))];
+            srcsetValues.forEach(value => {
+                const best = ImageSourceResolver.pickLargest(ImageSourceResolver.parseSrcset(value, baseUrl));
+                if (best) add(best.url, 'srcset', best.width);
+            });
+        }
+
+        ImageSourceResolver.LAZY_URL_ATTRIBUTES.forEach(attribute => {
+            const value = element.getAttribute(attribute);
+            if (value && !/\s\d+[wx](,|$)/.test(value)) {
+                add(ImageSourceResolver.absoluteUrl(value, baseUrl), 'data-attribute');
+            }
+        });
+
+        if (element.tagName === 'IMG') {
+            // A loaded 1px pixel or blurred preview in src is never the answer
+            const showsPreview = element.complete && element.naturalWidth > 0 && ImageSourceResolver.isShowingPlaceholder(element);
+            if (!showsPreview) {
+                add(element.currentSrc || element.src, 'src', element.complete ? element.naturalWidth : 0);
+            }
+        } else {
+            add(ImageSourceResolver.getBackgroundImageUrl(element), 'background');
+        }
+
+        if (candidates.length === 0) {
+            return { url: '', source: 'none', width: 0 };
+        }
+
+        // Prefer the widest known candidate; without widths keep priority order
+        return candidates.reduce((best, c) => (c.width > best.width ? c : best), candidates[0]);
+    }
+
+    /**
+     * Resolve and cache the URL on the element
+     * @param {HTMLElement} element - Candidate element
+     * @returns {string} Resolved URL ('' if none yet)
+     */
+    static annotate(element) {
+        const { url, source } = ImageSourceResolver.resolve(element);
+        if (url) {
+            element.dataset.aiStyleSrc = url;
+            element.dataset.aiStyleSrcSource = source;
+        }
+        return url;
+    }
+
+    /**
+     * Get the URL to use for an element: cached resolution, fresh resolution, then src
+     * @param {HTMLElement} element - Candidate element
+     * @returns {string} Image URL
+     */
+    static getImageUrl(element) {
+        if (!element) return '';
+        return element.dataset?.aiStyleSrc
+            || ImageSourceResolver.annotate(element)
+            || element.currentSrc
+            || element.src
+            || '';
+    }
+
+    /**
+     * Strip the parts of an image URL that only pick a rendition (size, quality, format),
+     * so the same product shot requested at another breakpoint gets the same identity
+     * @param {string} url - Image URL
+     * @returns {string} Normalized URL
+     */
+    static normalizeImageUrl(url) {
+        if (!url || url.startsWith('data:')) return url || '';
+
+        try {
+            const parsed = new URL(url, document.baseURI);
+            Array.from(parsed.searchParams.keys()).forEach(name => {
+                if (ImageSourceResolver.RENDITION_PARAMS.has(name.toLowerCase())) {
+                    parsed.searchParams.delete(name);
+                }
+            });
+            parsed.hash = '';
+            return parsed.toString();
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Check if a URL is a placeholder rather than a product image
+     * @param {string} url - Image URL
+     * @returns {boolean} True for empty, inline-pixel, placeholder or tiny-preview URLs
+     */
+    static isPlaceholderUrl(url) {
+        if (!url) return true;
+        // Inline data: URIs on shop pages are pixels, SVG shapes or blurred previews
+        if (url.startsWith('data:')) return true;
+        return ImageSourceResolver.PLACEHOLDER_URL_PATTERN.test(url) || ImageSourceResolver.TINY_SIZE_PATTERN.test(url);
+    }
+
+    /**
+     * Check if an <img> currently shows a placeholder (not loaded, 1px, or blurred LQIP)
+     * @param {HTMLImageElement} img - Image element
+     * @returns {boolean} True if what is displayed is not the real image yet
+     */
+    static isShowingPlaceholder(img) {
+        if (!img.complete || img.naturalWidth <= 1) return true;
+        if (ImageSourceResolver.isPlaceholderUrl(img.currentSrc || img.src)) return true;
+
+        // Blurred preview: a tiny bitmap stretched over a large box
+        const rect = img.getBoundingClientRect();
+        return img.naturalWidth < 64 && rect.width > img.naturalWidth * 3;
+    }
+
+    /**
+     * Check whether the element's real image is available for analysis.
+     * Starts a preload the first time a URL is seen; onReady() listeners hear when it
+     * loads, so callers check again then instead of polling.
+     * @param {HTMLElement} element - Candidate element
+     * @returns {boolean} True when a non-placeholder image has loaded
+     */
+    static isReady(element) {
+        if (!element || !element.isConnected) return false;
+
+        const url = ImageSourceResolver.getImageUrl(element);
+        if (ImageSourceResolver.isPlaceholderUrl(url)) {
+            // Lazy loaders may fill in the real URL later - resolve again next time
+            delete element.dataset.aiStyleSrc;
+            return false;
+        }
+
+        // The element already displays the resolved image
+        if (element.tagName === 'IMG' && (element.currentSrc || element.src) === url) {
+            return !ImageSourceResolver.isShowingPlaceholder(element);
+        }
+
+        const state = ImageSourceResolver.preloadState.get(url);
+        if (!state) {
+            ImageSourceResolver.preload(url);
+            return false;
+        }
+        return state === 'loaded';
+    }
+
+    /**
+     * Load a URL off-DOM to learn whether it is a real image
+     * @param {string} url - Image URL
+     * @returns {Promise<boolean>} True if it loaded with real dimensions
+     */
+    static preload(url) {
+        ImageSourceResolver.preloadState.set(url, 'loading');
+
+        return new Promise(resolve => {
+            const probe = new Image();
+            probe.onload = () => {
+                const loaded = probe.naturalWidth > 1 && probe.naturalHeight > 1;
+                ImageSourceResolver.preloadState.set(url, loaded ? 'loaded' : 'failed');
+                if (loaded) {
+                    ImageSourceResolver.notifyReady(url);
+                }
+                resolve(loaded);
+            };
+            probe.onerror = () => {
+                ImageSourceResolver.preloadState.set(url, 'failed');
+                resolve(false);
+            };
+            probe.src = url;
+        });
+    }
+
+    /**
+     * Listen for preloaded images becoming ready
+     * @param {Function} listener - Called with the image URL
+     * @returns {Function} Removes the listener
+     */
+    static onReady(listener) {
+        ImageSourceResolver.readyListeners.add(listener);
+        return () => ImageSourceResolver.readyListeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    static notifyReady(url) {
+        ImageSourceResolver.readyListeners.forEach(listener => {
+            try {
+                listener(url);
+            } catch (error) {
+                console.error('❌ Image ready listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Find elements that show a product image only through CSS background-image.
+     * Product cards are searched fully (computed styles); the rest of the page only
+     * through inline styles and lazy background attributes, which is cheap.
+     * @param {HTMLElement[]} cards - Product card elements
+     * @param {Document|Element} [root] - Limit the page-wide search to this subtree
+     * @returns {HTMLElement[]} Elements with a real background image and no <img> inside
+     */
+    static findBackgroundImageElements(cards, root = document) {
+        const found = new Set();
+        const elements = new Set(DeepQuery.querySelectorAll('[style*="background"], [data-bg], [data-background-image], [data-bg-src]', root));
+        cards.forEach(card => {
+            elements.add(card);
+            card.querySelectorAll('div, span, a, figure').forEach(el => elements.add(el));
+        });
+
+        elements.forEach(el => {
+            if (el.querySelector('img')) return;
+
+            const rect = el.getBoundingClientRect();
+            if (rect.width < 50 || rect.height < 50) return;
+
+            const url = ImageSourceResolver.getBackgroundImageUrl(el)
+                || el.getAttribute('data-bg') || el.getAttribute('data-background-image') || el.getAttribute('data-bg-src');
+            if (url && !ImageSourceResolver.isPlaceholderUrl(url)) {
+                found.add(el);
+            }
+        });
+
+        return Array.from(found);
+    }
+
+    /**
+     * Make a URL absolute
+     * @param {string} url - Possibly relative URL
+     * @param {string} [baseUrl] - Base URL
+     * @returns {string} Absolute URL, or '' if invalid
+     */
+    static absoluteUrl(url, baseUrl = document.baseURI) {
+        if (!url) return '';
+        if (url.startsWith('data:')) return url;
+        try {
+            return new URL(url.trim(), baseUrl).href;
+        } catch (e) {
+            return '';
+        }
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.ImageSourceResolver = ImageSourceResolver;
+}
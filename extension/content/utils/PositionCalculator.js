@@ -37,6 +37,8 @@
  * // Use true for fixed positioning (relative to viewport)
  */
 
+import { DeepQuery } from './DeepQuery.js';
+
 class PositionCalculator {
     constructor() {
         // Default dimensions for generated images
@@ -103,6 +105,16 @@ class PositionCalculator {
         };
     }
 
+    /**
+     * Get an element's rect in top-viewport coordinates, the input calculateOptimalPosition() expects.
+     * Images inside same-origin iframes are offset by their frames; shadow DOM needs no correction.
+     * @param {HTMLElement} element - Trigger image element
+     * @returns {Object} Rect with top, left, right, bottom, width, height
+     */
+    getElementRect(element) {
+        return DeepQuery.getTopViewportRect(element);
+    }
+
     /**
      * Calculate vertical alignment for side-positioned images
      * Tries to align with trigger image top, but respects viewport bounds
@@ -0,0 +1,192 @@
+/**
+ * SelectorGenerator derives robust CSS selectors for repeated product cards
+ * and the elements inside them (image, title, price). Used by SelectorPicker
+ * to turn a single clicked card into a selector set that matches every card.
+ */
+export class SelectorGenerator {
+    /**
+     * Attributes that are usually stable across deploys and identify component types
+     */
+    static STABLE_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-qa-id', 'data-auto-id', 'data-component', 'itemtype'];
+
+    /**
+     * Price text: currency symbol next to a number, or a number with two decimals
+     */
+    static PRICE_PATTERN = /([$€£¥₹]|\b(?:USD|EUR|GBP|SEK|DKK|PLN|CHF)\b)\s?\d|\d[.,]\d{2}\s?([$€£¥₹]|\b(?:USD|EUR|GBP|SEK|DKK|PLN|CHF)\b)?/i;
+
+    /**
+     * Check if a class name looks stable (not generated by CSS-in-JS or a state modifier)
+     * @param {string} className - Single class name
+     * @returns {boolean} True if the class is safe to use in a selector
+     */
+    static isStableClass(className) {
+        if (!className || className.length > 40) return false;
+        if (/^ai-style-/.test(className)) return false; // Our own classes
+        if (/^(css|sc|jsx|emotion|styled)-/i.test(className)) return false; // CSS-in-JS
+        if (/[a-z]+-[a-zA-Z0-9]{5,}$/.test(className) && /\d/.test(className)) return false; // Hashed suffix
+        if (/(^|[-_])(is|has)[-_]|active|selected|hover|focus|visible|hidden|loading|loaded/i.test(className)) return false; // State
+        return /^[a-zA-Z_][\w-]*$/.test(className);
+    }
+
+    /**
+     * Build a selector for a single element from its tag, stable attributes and classes
+     * @param {HTMLElement} el - Element to describe
+     * @returns {string} Selector (tag only when nothing better is available)
+     */
+    static describeElement(el) {
+        const tag = el.tagName.toLowerCase();
+
+        for (const attr of this.STABLE_ATTRIBUTES) {
+            const value = el.getAttribute(attr);
+            if (value && value.length < 60 && !/\d{3,}/.test(value)) {
+                return `${tag}[${attr}="${CSS.escape(value)}"]`;
+            }
+        }
+
+        const classes = Array.from(el.classList).filter(c => this.isStableClass(c)).slice(0, 2);
+        if (classes.length > 0) {
+            return `${tag}${classes.map(c => `.${CSS.escape(c)}`).join('')}`;
+        }
+
+        return tag;
+    }
+
+    /**
+     * Find the product card around a clicked element: the largest ancestor whose
+     * selector matches several non-nested elements that each contain an image
+     * @param {HTMLElement} target - Clicked element
+     * @param {number} [maxDepth=12] - Maximum ancestors to inspect
+     * @returns {{card: HTMLElement, selector: string, count: number}|null} Card info
+     */
+    static findCard(target, maxDepth = 12) {
+        let best = null;
+        let el = target;
+
+        for (let depth = 0; el && el !== document.body && depth < maxDepth; depth++, el = el.parentElement) {
+            if (!el.querySelector('img, picture') && el.tagName !== 'IMG') {
+                continue;
+            }
+
+            const selector = this.describeElement(el);
+            if (selector === el.tagName.toLowerCase() && !['article', 'li'].includes(selector)) {
+                continue; // Bare tags like div/a are too broad to be a card selector
+            }
+
+            const matches = this.safeQueryAll(selector);
+            const nested = matches.some(match => match !== el && (match.contains(el) || el.contains(match)));
+            const withImages = matches.filter(match => match.querySelector('img, picture')).length;
+
+            if (matches.length >= 2 && !nested && withImages >= matches.length * 0.8) {
+                best = { card: el, selector, count: matches.length };
+            } else if (best) {
+                break; // Went past the card into the grid container
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Derive the full selector set for a card
+     * @param {HTMLElement} card - Card element
+     * @param {string} cardSelector - Selector that matches all cards
+     * @returns {Object} { productCards, productImages, title, price } (each an array)
+     */
+    static deriveSelectorSet(card, cardSelector) {
+        const titleEl = this.findTitleElement(card);
+        const priceEl = this.findPriceElement(card);
+
+        return {
+            productCards: [cardSelector],
+            productImages: [`${cardSelector} img`],
+            title: titleEl ? [this.relativeSelector(cardSelector, card, titleEl)] : [],
+            price: priceEl ? [this.relativeSelector(cardSelector, card, priceEl)] : []
+        };
+    }
+
+    /**
+     * Find the most likely product title inside a card
+     * @param {HTMLElement} card - Card element
+     * @returns {HTMLElement|null} Title element
+     */
+    static findTitleElement(card) {
+        const candidates = Array.from(card.querySelectorAll('h1, h2, h3, h4, [class*="title"], [class*="name"], [class*="Title"], [class*="Name"]'));
+        return candidates.find(el => {
+            const text = el.textContent.trim();
+            return text.length > 2 && text.length < 120 && !this.PRICE_PATTERN.test(text);
+        }) || null;
+    }
+
+    /**
+     * Find the innermost element whose text looks like a price
+     * @param {HTMLElement} card - Card element
+     * @returns {HTMLElement|null} Price element
+     */
+    static findPriceElement(card) {
+        const candidates = Array.from(card.querySelectorAll('*')).filter(el => {
+            const text = el.textContent.trim();
+            return text.length > 0 && text.length < 30 && this.PRICE_PATTERN.test(text);
+        });
+        // Innermost match: no other candidate inside it
+        return candidates.find(el => !candidates.some(other => other !== el && el.contains(other))) || null;
+    }
+
+    /**
+     * Build a selector for a child relative to the card selector
+     * @param {string} cardSelector - Selector for the card
+     * @param {HTMLElement} card - Card element
+     * @param {HTMLElement} child - Element inside the card
+     * @returns {string} Descendant selector
+     */
+    static relativeSelector(cardSelector, card, child) {
+        const childSelector = this.describeElement(child);
+        const candidate = `${cardSelector} ${childSelector}`;
+
+        // If the short form picks up the wrong element first, include the parent's description
+        if (card.querySelector(childSelector) !== child && child.parentElement && child.parentElement !== card) {
+            return `${cardSelector} ${this.describeElement(child.parentElement)} > ${childSelector}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Count how many cards contain a match for each child selector
+     * @param {Object} selectorSet - Selector set from deriveSelectorSet()
+     * @returns {Object} { cards, images, title, price } match counts
+     */
+    static measureCoverage(selectorSet) {
+        const cards = this.safeQueryAll(selectorSet.productCards[0] || '');
+        const coverage = (selectorList) => {
+            const selector = selectorList[0];
+            if (!selector) return 0;
+            const matches = new Set(this.safeQueryAll(selector));
+            return cards.filter(card => Array.from(matches).some(match => card.contains(match))).length;
+        };
+
+        return {
+            cards: cards.length,
+            images: coverage(selectorSet.productImages),
+            title: coverage(selectorSet.title),
+            price: coverage(selectorSet.price)
+        };
+    }
+
+    /**
+     * querySelectorAll that returns [] for invalid selectors
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement[]} Matching elements
+     */
+    static safeQueryAll(selector) {
+        if (!selector) return [];
+        try {
+            return Array.from(document.querySelectorAll(selector));
+        } catch (e) {
+            return [];
+        }
+    }
+}
+
+// Also expose on window for backward compatibility
+if (typeof window !== 'undefined') {
+    window.SelectorGenerator = SelectorGenerator;
+}
@@ -242,10 +242,11 @@ class GeminiAPIManager {
      * @private
      * @param {Object} requestBody - The request body
      * @param {string} apiKey - The API key
+     * @param {AbortSignal|null} [signal=null] - Aborts the request
      * @returns {Promise<Object>} The API response data
      * @throws {Error} If API request fails
      */
-    async _makeAPIRequest(requestBody, apiKey) {
+    async _makeAPIRequest(requestBody, apiKey, signal = null) {
         const url = `${GEMINI_IMAGE_GENERATION_ENDPOINT}:generateContent`;
 
         console.log('📤 Sending request to Gemini API...');
@@ -268,7 +269,8 @@ class GeminiAPIManager {
                 'Content-Type': 'application/json',
                 'x-goog-api-key': apiKey
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal
         });
 
         console.log('📥 Response status:', response.status, response.statusText);
@@ -446,8 +448,9 @@ class GeminiAPIManager {
      *
      * @param {string} userPhoto - User photo data URL or base64
      * @param {string} clothingImage - Clothing image data URL or base64
-     * @param {Object} options - Generation options (e.g., outfitDescription)
+     * @param {Object} options - Generation options (e.g., outfitDescription; signal cancels the request)
      * @returns {Promise<Object>} Result object with success status and generated image
+     *   (aborted: true when the signal cancelled it)
      */
     async generateTryOn(userPhoto, clothingImage, options = {}) {
         try {
@@ -475,7 +478,7 @@ class GeminiAPIManager {
             );
 
             // Step 4: Make API call
-            const data = await this._makeAPIRequest(requestBody, apiKey);
+            const data = await this._makeAPIRequest(requestBody, apiKey, options.signal);
 
             // Step 5: Validate response structure
             this._validateAPIResponse(data);
@@ -493,6 +496,16 @@ class GeminiAPIManager {
             return this._buildSuccessResult(generatedImageBase64, responseText, parts);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('⏹️ Virtual try-on generation cancelled');
+                return {
+                    success: false,
+                    aborted: true,
+                    error: error.message,
+                    message: 'Try-on cancelled'
+                };
+            }
+
             console.error('❌ Virtual try-on generation failed:', error);
             return {
                 success: false,
@@ -2,17 +2,25 @@ document.addEventListener('DOMContentLoaded', function() {
     const openDashboardBtn = document.getElementById('openDashboard');
     const statusText = document.getElementById('statusText');
     
-    // Style toggle elements
-    const styleToggle = document.getElementById('styleToggle');
+    // Filter mode elements
+    const modeRadios = document.querySelectorAll('input[name="rankingMode"]');
     const modeStatus = document.getElementById('modeStatus');
     const modeStatusText = document.getElementById('modeStatusText');
     
-    // Prompt section elements (disabled, kept for potential future use)
-    // const promptSection = document.getElementById('promptSection');
-    // const promptInput = document.getElementById('promptInput');
-    // const applyPromptBtn = document.getElementById('applyPromptBtn');
-    // const recentPromptsSection = document.getElementById('recentPrompts');
-    // const recentPromptsList = document.getElementById('recentPromptsList');
+    // Prompt section elements (search mode)
+    const promptSection = document.getElementById('promptSection');
+    const promptInput = document.getElementById('promptInput');
+    const applyPromptBtn = document.getElementById('applyPromptBtn');
+    const recentPromptsSection = document.getElementById('recentPrompts');
+    const recentPromptsList = document.getElementById('recentPromptsList');
+
+    // Combined mode weight (share of the search rank)
+    const combinedWeightControl = document.getElementById('combinedWeightControl');
+    const combinedWeightSlider = document.getElementById('combinedWeightSlider');
+    const combinedWeightValue = document.getElementById('combinedWeightValue');
+
+    // Loaded as a module script before this one (utils/PromptStorageUtils.js)
+    const PromptStorage = window.PromptStorageUtils;
     
     // Sensitivity slider elements
 
@@ -24,97 +32,133 @@ document.addEventListener('DOMContentLoaded', function() {
         window.close();
     });
 
+    // Start point-and-click selector teaching on the current page
+    document.getElementById('teachLayoutBtn').addEventListener('click', async function() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+
+        try {
+            await chrome.tabs.sendMessage(tab.id, { action: 'startSelectorPicker' });
+            window.close();
+        } catch (error) {
+            console.error('[Popup] Could not start selector picker:', error);
+            statusText.textContent = 'Open a supported shopping page first';
+        }
+    });
+
     // Load current state from storage
     loadCurrentState();
 
-    // Listen for storage changes to sync with website controls
+    // Listen for storage changes to sync with other popups and the page's result counts
     chrome.storage.onChanged.addListener((changes, namespace) => {
         if (namespace === 'local') {
-            if (changes.filterState) {
-                console.log('[Popup] Filter state changed, syncing UI');
-                const newFilterState = changes.filterState.newValue;
-                if (newFilterState && newFilterState.mode) {
-                    // Update popup UI based on filter state change
-                    if (newFilterState.mode === 'myStyle') {
-                        styleToggle.checked = true;
-                        updateModeStatus('style');
-                    } else {
-                        styleToggle.checked = false;
-                        updateModeStatus('off');
-                    }
-                }
+            if (changes.rankingMode || changes.userPrompt) {
+                console.log('[Popup] Ranking mode changed, syncing UI');
+                loadCurrentState();
+            } else if (changes.promptHistory) {
+                // The page stores how many products matched the latest prompt
+                refreshRecentPrompts();
+            }
+            if (changes.combinedSearchWeight) {
+                // Also set from the page's control panel
+                displayCombinedWeight(changes.combinedSearchWeight.newValue);
             }
         }
     });
 
-    // Style toggle change handler
-    styleToggle.addEventListener('change', function() {
-        if (styleToggle.checked) {
-            handleModeChange('style');
-        } else {
-            handleModeChange('off');
-        }
+    // Mode selector change handler
+    modeRadios.forEach(radio => {
+        radio.addEventListener('change', function() {
+            if (radio.checked) {
+                handleModeChange(radio.value);
+            }
+        });
     });
 
-    // Search/prompt mode disabled
-    /*
-    modePrompt.addEventListener('change', function() {
-        if (modePrompt.checked) {
-            handleModeChange('prompt');
+    // Prompt input handlers
+    promptInput.addEventListener('input', function() {
+        const hasInput = promptInput.value.trim().length > 0;
+        applyPromptBtn.disabled = !hasInput;
+    });
+
+    promptInput.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter' && !applyPromptBtn.disabled) {
+            applyPromptBtn.click();
         }
     });
-    */
 
+    // Apply prompt button handler (search alone, or blended with the style score)
+    applyPromptBtn.addEventListener('click', function() {
+        const selected = document.querySelector('input[name="rankingMode"]:checked');
+        applyPrompt(promptInput.value, selected?.value === 'combined' ? 'combined' : 'prompt');
+    });
 
-    // Prompt input handlers - DISABLED (search mode disabled)
-    /*
-    promptInput.addEventListener('input', function() {
-        const hasInput = promptInput.value.trim().length > 0;
-        applyPromptBtn.disabled = !hasInput;
+    // Combined weight slider
+    combinedWeightSlider.addEventListener('input', function() {
+        displayCombinedWeight(combinedWeightSlider.value / 100);
     });
 
-    // Apply prompt button handler
-    applyPromptBtn.addEventListener('click', async function() {
-        const prompt = promptInput.value.trim();
+    combinedWeightSlider.addEventListener('change', async function() {
+        try {
+            // The page re-blends its scores from the storage change
+            await PromptStorage.setCombinedSearchWeight(combinedWeightSlider.value / 100);
+        } catch (error) {
+            console.error('[Popup] Error saving combined weight:', error);
+        }
+    });
+
+    /**
+     * Save the prompt (recent prompts + history) and rank the page's products with it
+     * @param {string} value - Prompt text
+     * @param {string} [mode='prompt'] - 'prompt' or 'combined'
+     */
+    async function applyPrompt(value, mode = 'prompt') {
+        const prompt = value.trim();
         if (!prompt) return;
 
-        console.log('[Popup] Applying prompt:', prompt);
+        console.log(`[Popup] Applying prompt (${mode}):`, prompt);
 
         try {
-            // Save to storage
-            await chrome.storage.local.set({
-                userPrompt: prompt,
-                rankingMode: 'prompt',
-                extensionEnabled: true
-            });
+            // Save to storage (switches rankingMode to the mode)
+            await PromptStorage.saveUserPrompt(prompt, mode);
+            await chrome.storage.local.set({ extensionEnabled: true });
 
-            // Update recent prompts
-            await updateRecentPrompts(prompt);
-
-            // Send message to content script to re-analyze
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (tab) {
-                chrome.tabs.sendMessage(tab.id, {
-                    action: 'applyPrompt',
-                    prompt: prompt
-                });
-            }
+            // Send message to content script to rank the products
+            await sendPromptToContentScript(prompt, mode);
 
             // Update UI
-            updateModeStatus('prompt', prompt);
+            setModeRadio(mode);
+            updateModeStatus(mode, prompt);
+            await refreshRecentPrompts();
 
             console.log('[Popup] Prompt applied successfully');
-            statusText.textContent = 'Products are being re-ranked...';
+            statusText.textContent = 'Products are being ranked...';
             setTimeout(() => {
                 statusText.textContent = 'Ready to filter your style!';
             }, 3000);
 
         } catch (error) {
             console.error('[Popup] Error applying prompt:', error);
-            statusText.textContent = 'Error applying prompt';
+            statusText.textContent = error.message.startsWith('Prompt') ? error.message : 'Error applying prompt';
         }
-    });
-    */
+    }
+
+    /**
+     * Ask the active tab to rank its products against the prompt
+     * The ranking finishes after the popup may have closed, so the response is not awaited
+     */
+    async function sendPromptToContentScript(prompt, mode) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab) {
+            chrome.tabs.sendMessage(tab.id, {
+                action: 'applyPrompt',
+                prompt: prompt,
+                mode: mode
+            }).catch(error => {
+                console.log('[Popup] Active tab has no content script:', error.message);
+            });
+        }
+    }
 
     /**
      * Handle mode change
@@ -175,29 +219,23 @@ document.addEventListener('DOMContentLoaded', function() {
                     statusText.textContent = 'Ready to filter your style!';
                 }, 2000);
 
-            // Prompt mode disabled
-            /*
-            } else if (mode === 'prompt') {
+            } else if (mode === 'prompt' || mode === 'combined') {
                 // Show prompt section
-                updateModeStatus('prompt');
+                updateModeStatus(mode);
+                await refreshRecentPrompts();
 
-                // If there's already a prompt, keep it
-                const result = await chrome.storage.local.get(['userPrompt']);
-                if (result.userPrompt) {
-                    promptInput.value = result.userPrompt;
+                // If there's already a prompt, rank with it again
+                const prompt = promptInput.value.trim() || await PromptStorage.getUserPrompt();
+                if (prompt) {
+                    promptInput.value = prompt;
                     applyPromptBtn.disabled = false;
-                    updateModeStatus('prompt', result.userPrompt);
-
-                    await chrome.storage.local.set({
-                        extensionEnabled: true
-                    });
+                    await applyPrompt(prompt, mode);
                 } else {
                     // No prompt yet, just show the section
+                    promptInput.focus();
                     statusText.textContent = 'Enter a search query and click Apply';
                 }
             }
-            */
-            }
 
         } catch (error) {
             console.error('[Popup] Error changing mode:', error);
@@ -215,7 +253,8 @@ document.addEventListener('DOMContentLoaded', function() {
                 'rankingMode',
                 'userPrompt',
                 'recentPrompts',
-                'filterState'
+                'filterState',
+                'combinedSearchWeight'
             ]);
 
             console.log('[Popup] Loaded state:', result);
@@ -225,21 +264,21 @@ document.addEventListener('DOMContentLoaded', function() {
             const userPrompt = result.userPrompt || '';
             const filterState = result.filterState || { mode: 'all', scoreThreshold: 7 };
 
-            // Set style toggle based on state
+            // Select the mode radio based on state
             if (!extensionEnabled || rankingMode === 'off') {
-                styleToggle.checked = false;
-                updateModeStatus('off');
-            } else if (rankingMode === 'prompt' && userPrompt) {
-                // Prompt mode is disabled, default to off instead
-                console.log('[Popup] Prompt mode is disabled, defaulting to off');
-                styleToggle.checked = false;
+                setModeRadio('off');
                 updateModeStatus('off');
+            } else if ((rankingMode === 'prompt' || rankingMode === 'combined') && userPrompt) {
+                setModeRadio(rankingMode);
+                promptInput.value = userPrompt;
+                applyPromptBtn.disabled = false;
+                updateModeStatus(rankingMode, userPrompt);
             } else if (rankingMode === 'style') {
-                styleToggle.checked = true;
+                setModeRadio('style');
                 updateModeStatus('style');
             } else {
                 // Default to off
-                styleToggle.checked = false;
+                setModeRadio('off');
                 updateModeStatus('off');
             }
 
@@ -249,32 +288,38 @@ document.addEventListener('DOMContentLoaded', function() {
                 console.log('Filter state loaded:', result.filterState);
             }
 
-            // Recent prompts disabled
-            // if (result.recentPrompts && result.recentPrompts.length > 0) {
-            //     displayRecentPrompts(result.recentPrompts);
-            // }
+            displayCombinedWeight(result.combinedSearchWeight ?? 0.5);
+            await refreshRecentPrompts();
 
         } catch (error) {
             console.error('[Popup] Error loading state:', error);
         }
     }
 
+    /**
+     * Check the radio of a mode without triggering its change handler
+     */
+    function setModeRadio(mode) {
+        modeRadios.forEach(radio => {
+            radio.checked = radio.value === mode;
+        });
+    }
+
     /**
      * Update mode status display
      */
     function updateModeStatus(mode, prompt = '') {
         // Show/hide sections based on mode
+        combinedWeightControl.style.display = mode === 'combined' ? 'block' : 'none';
+
         if (mode === 'off') {
-            // promptSection.style.display = 'none'; // disabled
+            promptSection.style.display = 'none';
             modeStatus.classList.remove('active');
             modeStatusText.textContent = '⏸️ Extension is off';
         } else if (mode === 'style') {
-            // promptSection.style.display = 'none'; // disabled
+            promptSection.style.display = 'none';
             modeStatus.classList.add('active');
             modeStatusText.textContent = '✨ Filtering by your style profile';
-        }
-        // Prompt mode disabled
-        /*
         } else if (mode === 'prompt') {
             promptSection.style.display = 'block';
             modeStatus.classList.add('active');
@@ -284,39 +329,47 @@ document.addEventListener('DOMContentLoaded', function() {
             } else {
                 modeStatusText.textContent = '🔍 Enter a search query below';
             }
+        } else if (mode === 'combined') {
+            promptSection.style.display = 'block';
+            modeStatus.classList.add('active');
+            if (prompt) {
+                const truncated = prompt.length > 24 ? prompt.substring(0, 24) + '...' : prompt;
+                modeStatusText.textContent = `⚖️ Your style + "${truncated}"`;
+            } else {
+                modeStatusText.textContent = '⚖️ Enter a search to blend with your style';
+            }
         }
-        */
     }
 
-    // Recent prompts functionality - DISABLED (search mode disabled)
-    /*
     /**
-     * Update recent prompts in storage
-     * /
-    async function updateRecentPrompts(prompt) {
-        try {
-            const { recentPrompts = [] } = await chrome.storage.local.get(['recentPrompts']);
-
-            // Remove if already exists to avoid duplicates
-            const filteredPrompts = recentPrompts.filter(p => p !== prompt);
-
-            // Add to front and limit to 5
-            const updatedRecent = [prompt, ...filteredPrompts].slice(0, 5);
-
-            await chrome.storage.local.set({ recentPrompts: updatedRecent });
-
-            // Update UI
-            displayRecentPrompts(updatedRecent);
+     * Show the combined weight on the slider
+     * @param {number} searchWeight - 0 (style only) to 1 (search only)
+     */
+    function displayCombinedWeight(searchWeight) {
+        const search = Math.round(searchWeight * 100);
+        combinedWeightSlider.value = String(search);
+        combinedWeightValue.textContent = `${100 - search}% style · ${search}% search`;
+    }
 
+    /**
+     * Show the recent prompts, with how many products matched each on its last run
+     */
+    async function refreshRecentPrompts() {
+        try {
+            const [recentPrompts, promptHistory] = await Promise.all([
+                PromptStorage.getRecentPrompts(),
+                PromptStorage.getPromptHistory()
+            ]);
+            displayRecentPrompts(recentPrompts, promptHistory);
         } catch (error) {
-            console.error('[Popup] Error updating recent prompts:', error);
+            console.error('[Popup] Error loading recent prompts:', error);
         }
     }
 
     /**
      * Display recent prompts as clickable chips
-     * /
-    function displayRecentPrompts(prompts) {
+     */
+    function displayRecentPrompts(prompts, history = []) {
         if (!prompts || prompts.length === 0) {
             recentPromptsSection.style.display = 'none';
             return;
@@ -325,10 +378,22 @@ document.addEventListener('DOMContentLoaded', function() {
         recentPromptsList.innerHTML = '';
 
         prompts.forEach(prompt => {
+            // History is newest first, so this is the prompt's latest run
+            const lastRun = history.find(entry => entry.prompt === prompt);
+
             const chip = document.createElement('div');
             chip.className = 'recent-prompt-chip';
             chip.textContent = prompt.length > 20 ? prompt.substring(0, 20) + '...' : prompt;
             chip.title = prompt; // Show full prompt on hover
+
+            if (lastRun) {
+                const count = document.createElement('span');
+                count.className = 'recent-prompt-count';
+                count.textContent = `(${lastRun.resultsCount})`;
+                chip.title = `${prompt} - ${lastRun.resultsCount} matches on ${new Date(lastRun.timestamp).toLocaleDateString()}`;
+                chip.appendChild(count);
+            }
+
             chip.addEventListener('click', () => {
                 promptInput.value = prompt;
                 applyPromptBtn.disabled = false;
@@ -339,7 +404,6 @@ document.addEventListener('DOMContentLoaded', function() {
 
         recentPromptsSection.style.display = 'block';
     }
-    */
 
     /**
      * Save filter state
@@ -371,6 +435,32 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    /**
+     * Warn when the active tab's site adapter has stopped matching the page
+     */
+    checkSiteHealth();
+
+    async function checkSiteHealth() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab?.url) return;
+
+            const hostname = new URL(tab.url).hostname;
+            const { selectorHealth = {} } = await chrome.storage.local.get(['selectorHealth']);
+            const entry = Object.values(selectorHealth).find(site =>
+                (site.hosts || []).some(host => hostname === host || hostname.endsWith('.' + host))
+            );
+
+            if (entry?.status !== 'degraded') return;
+
+            document.getElementById('siteHealthText').textContent =
+                `${entry.reasons[0] || 'Selectors stopped matching'}. Use "Teach Product Layout" to fix ${entry.name} on this device.`;
+            document.getElementById('siteHealthWarning').style.display = 'block';
+        } catch (error) {
+            console.error('[Popup] Site health check failed:', error);
+        }
+    }
+
     /**
      * Check extension status
      */
@@ -0,0 +1,519 @@
+// AIProviders.js
+// Pluggable AI backends. Every model call in the extension names a task; the provider
+// selected for that task in the dashboard (AI Providers section) runs it:
+//
+//   chrome            Chrome's built-in Prompt API (Gemini Nano), on-device
+//   gemini            Gemini REST API (generativelanguage.googleapis.com), needs the Gemini API key
+//   openaiCompatible  Any OpenAI-compatible /v1/chat/completions endpoint, e.g. Ollama or
+//                     llama.cpp's server running locally
+//
+// Loaded by the background (importScripts), which owns API keys and makes all remote
+// requests; content scripts only read the task settings and send remote prompts to the
+// background ('aiProviderPrompt' message).
+//
+// Settings format (chrome.storage.local 'aiProviderSettings'):
+// {
+//   "tasks": { "styleScoring": "chrome", "styleProfile": "chrome", "wardrobe": "chrome", "tryOn": "gemini" },
+//   "gemini": { "model": "gemini-2.5-flash" },
+//   "openaiCompatible": { "baseUrl": "http://localhost:11434/v1", "model": "llava", "apiKey": "" }
+// }
+//
+// Prompt request format (all providers):
+// { text, images: [Blob | data URL], responseConstraint: <JSON Schema>, temperature, topK }
+
+const AI_PROVIDER_SETTINGS_KEY = 'aiProviderSettings';
+const GEMINI_REST_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Capability each task needs from its provider
+const AI_PROVIDER_TASKS = {
+  styleScoring: { label: 'Product scoring & search', capability: 'multimodal' },
+  styleProfile: { label: 'Style profile from photos', capability: 'multimodal' },
+  wardrobe: { label: 'Wardrobe analysis & outfits', capability: 'multimodal' },
+  tryOn: { label: 'Virtual try-on', capability: 'imageGeneration' }
+};
+
+const DEFAULT_AI_PROVIDER_SETTINGS = {
+  tasks: {
+    styleScoring: 'chrome',
+    styleProfile: 'chrome',
+    wardrobe: 'chrome',
+    tryOn: 'gemini'
+  },
+  gemini: {
+    model: 'gemini-2.5-flash'
+  },
+  openaiCompatible: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llava',
+    apiKey: ''
+  }
+};
+
+/**
+ * Base class of all providers
+ */
+class AIProvider {
+  /**
+   * @param {string} id - Provider id used in settings
+   * @param {string} name - Display name
+   * @param {{text: boolean, multimodal: boolean, imageGeneration: boolean}} capabilities
+   */
+  constructor(id, name, capabilities) {
+    this.id = id;
+    this.name = name;
+    this.capabilities = capabilities;
+  }
+
+  /**
+   * @param {Object} [options] - { multimodal } true when the request includes images
+   * @returns {Promise<{available: boolean, message: string}>}
+   */
+  async checkAvailability(options = {}) {
+    return { available: false, message: 'Not implemented' };
+  }
+
+  /**
+   * Run a text or multimodal prompt
+   * @param {Object} request - { text, images, responseConstraint, temperature, topK, signal }
+   *   (an aborted signal rejects with an AbortError and stops the request)
+   * @returns {Promise<string>} Model response text
+   */
+  async prompt(request) {
+    throw new Error(`${this.name} does not support prompts`);
+  }
+
+  /**
+   * Generate a virtual try-on image
+   * @param {string} userPhoto - Data URL
+   * @param {string} clothingImage - Data URL
+   * @param {Object} [options] - { outfitDescription, signal }
+   * @returns {Promise<Object>} Result in GeminiAPIManager.generateTryOn() format
+   */
+  async generateTryOn(userPhoto, clothingImage, options = {}) {
+    return { success: false, error: `${this.name} cannot generate images` };
+  }
+
+  /**
+   * Convert a Blob or data URL to { mimeType, data } with base64 data
+   * @param {Blob|string} image
+   * @returns {Promise<{mimeType: string, data: string}>}
+   */
+  static async toInlineImage(image) {
+    if (typeof image === 'string') {
+      const match = image.match(/^data:([^;,]+)?(?:;base64)?,(.*)$/);
+      if (!match) {
+        throw new Error('Images must be Blobs or base64 data URLs');
+      }
+      return { mimeType: match[1] || 'image/jpeg', data: match[2] };
+    }
+
+    const bytes = new Uint8Array(await image.arrayBuffer());
+    let binary = '';
+    // Chunked: String.fromCharCode(...bytes) overflows the stack on large images
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { mimeType: image.type || 'image/jpeg', data: btoa(binary) };
+  }
+
+  /**
+   * Convert a Blob or data URL to a Blob
+   * @param {Blob|string} image
+   * @returns {Promise<Blob>}
+   */
+  static async toBlob(image) {
+    if (typeof image !== 'string') {
+      return image;
+    }
+    const response = await fetch(image);
+    return response.blob();
+  }
+
+  /**
+   * Throw the API's error message for a failed HTTP response
+   * @private
+   */
+  static async throwHttpError(response, providerName) {
+    let message = `HTTP ${response.status}`;
+    try {
+      const body = await response.json();
+      message = body.error?.message || body.error || message;
+    } catch (_) {}
+    throw new Error(`${providerName}: ${message}`);
+  }
+}
+
+/**
+ * Chrome's built-in Prompt API
+ */
+class ChromePromptProvider extends AIProvider {
+  constructor() {
+    super('chrome', 'Chrome built-in AI (Gemini Nano)', { text: true, multimodal: true, imageGeneration: false });
+  }
+
+  async checkAvailability({ multimodal = false } = {}) {
+    if (typeof LanguageModel === 'undefined') {
+      return { available: false, message: 'Prompt API not found - enable chrome://flags/#prompt-api-for-gemini-nano' };
+    }
+
+    // Image input has its own availability: ask for the same inputs the session will use
+    const availability = await LanguageModel.availability(multimodal ? { expectedInputs: [{ type: 'image' }] } : {});
+    if (availability === 'available') {
+      return { available: true, message: 'Ready' };
+    }
+    return {
+      available: false,
+      message: availability === 'after-download' || availability === 'downloading'
+        ? 'Model is downloading, try again in a few minutes'
+        : `Model unavailable (${availability})`
+    };
+  }
+
+  async prompt({ text, images = [], responseConstraint = null, temperature = 0, topK = 40, signal = null }) {
+    const { available, message } = await this.checkAvailability({ multimodal: images.length > 0 });
+    if (!available) {
+      throw new Error(`Chrome AI not ready: ${message}`);
+    }
+
+    const sessionOptions = { temperature, topK, outputLanguage: 'en' };
+    if (images.length > 0) {
+      sessionOptions.expectedInputs = [{ type: 'image' }];
+    }
+    if (signal) {
+      sessionOptions.signal = signal;
+    }
+
+    const session = await LanguageModel.create(sessionOptions);
+    const promptOptions = {};
+    if (responseConstraint) {
+      promptOptions.responseConstraint = responseConstraint;
+    }
+    if (signal) {
+      promptOptions.signal = signal;
+    }
+
+    try {
+      if (images.length === 0) {
+        return await session.prompt(text, promptOptions);
+      }
+
+      const blobs = await Promise.all(images.map(image => AIProvider.toBlob(image)));
+      await session.append([{
+        role: 'user',
+        content: [
+          { type: 'text', value: text },
+          ...blobs.map(value => ({ type: 'image', value }))
+        ]
+      }], signal ? { signal } : undefined);
+
+      return await session.prompt(images.length > 1
+        ? 'Analyze all the images provided based on the instructions given.'
+        : 'Analyze this image based on the instructions provided.', promptOptions);
+    } finally {
+      session.destroy();
+    }
+  }
+}
+
+/**
+ * Gemini REST API (generateContent)
+ */
+class GeminiRestProvider extends AIProvider {
+  /**
+   * @param {Object} settings - { model }
+   * @param {GeminiAPIManager|null} tryOnManager - Handles try-on image generation (background only)
+   */
+  constructor(settings = {}, tryOnManager = null) {
+    super('gemini', 'Gemini API', { text: true, multimodal: true, imageGeneration: !!tryOnManager });
+    this.model = settings.model || DEFAULT_AI_PROVIDER_SETTINGS.gemini.model;
+    this.tryOnManager = tryOnManager;
+  }
+
+  async getApiKey() {
+    const { geminiAPIKey } = await chrome.storage.local.get(['geminiAPIKey']);
+    return geminiAPIKey || null;
+  }
+
+  async checkAvailability() {
+    const apiKey = await this.getApiKey();
+    return apiKey
+      ? { available: true, message: `Ready (${this.model})` }
+      : { available: false, message: 'Gemini API key not configured (Virtual Try-On section)' };
+  }
+
+  async prompt({ text, images = [], responseConstraint = null, temperature = 0, topK = 40, signal = null }) {
+    const apiKey = await this.getApiKey();
+    if (!apiKey) {
+      throw new Error('Gemini API key not configured');
+    }
+
+    const inlineImages = await Promise.all(images.map(image => AIProvider.toInlineImage(image)));
+    const generationConfig = { temperature, topK };
+    if (responseConstraint) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseJsonSchema = responseConstraint;
+    }
+
+    const response = await fetch(`${GEMINI_REST_BASE_URL}/models/${this.model}:generateContent`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: JSON.stringify({
+        contents: [{
+          role: 'user',
+          parts: [
+            ...inlineImages.map(image => ({ inline_data: { mime_type: image.mimeType, data: image.data } })),
+            { text }
+          ]
+        }],
+        generationConfig
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      await AIProvider.throwHttpError(response, this.name);
+    }
+
+    const data = await response.json();
+    const candidate = data.candidates?.[0];
+    if (!candidate) {
+      throw new Error(`${this.name}: no response${data.promptFeedback?.blockReason ? ` (blocked: ${data.promptFeedback.blockReason})` : ''}`);
+    }
+
+    return (candidate.content?.parts || []).map(part => part.text || '').join('');
+  }
+
+  async generateTryOn(userPhoto, clothingImage, options = {}) {
+    if (!this.tryOnManager) {
+      return super.generateTryOn(userPhoto, clothingImage, options);
+    }
+    return this.tryOnManager.generateTryOn(userPhoto, clothingImage, options);
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint (Ollama, llama.cpp server, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends AIProvider {
+  /**
+   * @param {Object} settings - { baseUrl, model, apiKey }
+   */
+  constructor(settings = {}) {
+    super('openaiCompatible', 'OpenAI-compatible endpoint', { text: true, multimodal: true, imageGeneration: false });
+    const defaults = DEFAULT_AI_PROVIDER_SETTINGS.openaiCompatible;
+    this.baseUrl = (settings.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+    this.model = settings.model || defaults.model;
+    this.apiKey = settings.apiKey || '';
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async checkAvailability() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+      if (!response.ok) {
+        return { available: false, message: `${this.baseUrl} answered HTTP ${response.status}` };
+      }
+      return { available: true, message: `Ready (${this.model} at ${this.baseUrl})` };
+    } catch (error) {
+      return { available: false, message: `Cannot reach ${this.baseUrl} (${error.message})` };
+    }
+  }
+
+  async prompt({ text, images = [], responseConstraint = null, temperature = 0, signal = null }) {
+    const inlineImages = await Promise.all(images.map(image => AIProvider.toInlineImage(image)));
+    const content = inlineImages.length === 0
+      ? text
+      : [
+        { type: 'text', text },
+        ...inlineImages.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+      ];
+
+    const body = {
+      model: this.model,
+      temperature,
+      messages: [{ role: 'user', content }]
+    };
+    if (responseConstraint) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: responseConstraint }
+      };
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      await AIProvider.throwHttpError(response, this.name);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message?.content;
+    if (typeof message !== 'string') {
+      throw new Error(`${this.name}: response has no message content`);
+    }
+    return message;
+  }
+}
+
+/**
+ * Reads the per-task settings and creates the matching provider
+ */
+class AIProviderRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {GeminiAPIManager|null} [options.tryOnManager=null] - Gives the Gemini provider image generation
+   */
+  constructor(options = {}) {
+    this.tryOnManager = options.tryOnManager || null;
+    this.factories = {
+      chrome: () => new ChromePromptProvider(),
+      gemini: (settings) => new GeminiRestProvider(settings.gemini, this.tryOnManager),
+      openaiCompatible: (settings) => new OpenAICompatibleProvider(settings.openaiCompatible)
+    };
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {string} id - Provider id used in settings
+   * @param {Function} factory - (settings) => AIProvider
+   */
+  registerProvider(id, factory) {
+    this.factories[id] = factory;
+  }
+
+  /**
+   * Name and capabilities of every provider, for the settings form
+   * @returns {Object} Provider id -> { name, capabilities }
+   */
+  listProviders() {
+    const settings = AIProviderRegistry.mergeSettings();
+    return Object.fromEntries(Object.entries(this.factories).map(([id, factory]) => {
+      const provider = factory(settings);
+      return [id, { name: provider.name, capabilities: provider.capabilities }];
+    }));
+  }
+
+  /**
+   * Stored settings merged over the defaults
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get([AI_PROVIDER_SETTINGS_KEY]);
+    return AIProviderRegistry.mergeSettings(result[AI_PROVIDER_SETTINGS_KEY]);
+  }
+
+  /**
+   * Validate and store settings
+   * @param {Object} settings - Full or partial settings
+   * @returns {Promise<{success: boolean, settings?: Object, errors?: string[]}>}
+   */
+  async saveSettings(settings) {
+    const merged = AIProviderRegistry.mergeSettings(settings);
+    const errors = [];
+
+    Object.entries(merged.tasks).forEach(([task, providerId]) => {
+      if (!AI_PROVIDER_TASKS[task]) {
+        errors.push(`tasks.${task}: unknown task`);
+        return;
+      }
+      if (!this.factories[providerId]) {
+        errors.push(`tasks.${task}: unknown provider "${providerId}"`);
+        return;
+      }
+      const provider = this.factories[providerId](merged);
+      if (!provider.capabilities[AI_PROVIDER_TASKS[task].capability]) {
+        errors.push(`tasks.${task}: ${provider.name} does not support ${AI_PROVIDER_TASKS[task].label.toLowerCase()}`);
+      }
+    });
+
+    if (!/^https?:\/\/[^/]+/.test(merged.openaiCompatible.baseUrl)) {
+      errors.push('openaiCompatible.baseUrl: must be an http(s) URL');
+    }
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    await chrome.storage.local.set({ [AI_PROVIDER_SETTINGS_KEY]: merged });
+    console.log('[AIProviders] Settings saved:', merged.tasks);
+    return { success: true, settings: merged };
+  }
+
+  /**
+   * Provider selected for a task (Chrome's Prompt API when no task is given)
+   * @param {string} [task] - Key of AI_PROVIDER_TASKS
+   * @returns {Promise<AIProvider>}
+   */
+  async getProvider(task) {
+    const settings = await this.getSettings();
+    const providerId = (task && settings.tasks[task]) || 'chrome';
+    const factory = this.factories[providerId];
+
+    if (!factory) {
+      throw new Error(`Unknown AI provider "${providerId}" for ${task}`);
+    }
+    return factory(settings);
+  }
+
+  /**
+   * Availability of every provider, for the dashboard
+   * @returns {Promise<Object>} Provider id -> { name, capabilities, available, message }
+   */
+  async getStatus() {
+    const settings = await this.getSettings();
+    const status = {};
+
+    for (const [id, factory] of Object.entries(this.factories)) {
+      const provider = factory(settings);
+      let availability;
+      try {
+        availability = await provider.checkAvailability();
+      } catch (error) {
+        availability = { available: false, message: error.message };
+      }
+      status[id] = { name: provider.name, capabilities: provider.capabilities, ...availability };
+    }
+
+    return status;
+  }
+
+  /**
+   * @param {Object|undefined} stored - Stored (possibly partial or outdated) settings
+   * @returns {Object} Complete settings
+   */
+  static mergeSettings(stored = {}) {
+    const defaults = DEFAULT_AI_PROVIDER_SETTINGS;
+    return {
+      tasks: { ...defaults.tasks, ...stored?.tasks },
+      gemini: { ...defaults.gemini, ...stored?.gemini },
+      openaiCompatible: { ...defaults.openaiCompatible, ...stored?.openaiCompatible }
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AIProvider,
+    ChromePromptProvider,
+    GeminiRestProvider,
+    OpenAICompatibleProvider,
+    AIProviderRegistry,
+    AI_PROVIDER_TASKS,
+    DEFAULT_AI_PROVIDER_SETTINGS
+  };
+}
@@ -0,0 +1,322 @@
+// AnalysisCacheStore.js
+// Persistent cache of product analysis results, owned by the background service worker.
+// Content scripts reach it through the 'analysisCache*' messages, so every tab and every
+// browsing session shares one IndexedDB database (the extension origin's).
+//
+// Keys are built by the content script's matchers and already contain everything that
+// changes an analysis: normalized product ID / image hash, style-profile version and
+// prompt version. A new profile or prompt therefore never reads stale entries; the old
+// ones simply stop being accessed and age out through the TTL and LRU eviction.
+//
+// Entry format:
+// {
+//   "key": "style:<product>:<image>:p<profile>:v<prompt>",
+//   "result": { "score": 8, "reasoning": "...", "description": "...", "method": "ai_analysis", "imageTransform": {...} },
+//   "size": 312,                 // approximate bytes of the serialized result
+//   "createdAt": 1700000000000,
+//   "lastAccessed": 1700000000000,
+//   "hits": 3
+// }
+
+const ANALYSIS_CACHE_DB_NAME = 'aiStyleFilterAnalysisCache';
+const ANALYSIS_CACHE_DB_VERSION = 1;
+const ANALYSIS_CACHE_STORE = 'analyses';
+const ANALYSIS_CACHE_META_STORE = 'meta';
+
+class AnalysisCacheStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 7 * 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 5000;
+    // Eviction trims below the limit so it does not run again on the very next write
+    this.evictToRatio = 0.9;
+    // Results are a score plus a few sentences; anything bigger is not worth keeping
+    this.maxEntryBytes = 16 * 1024;
+
+    this.dbPromise = null;
+    this.hasPrunedExpired = false;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ANALYSIS_CACHE_DB_NAME, ANALYSIS_CACHE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ANALYSIS_CACHE_STORE)) {
+          const store = db.createObjectStore(ANALYSIS_CACHE_STORE, { keyPath: 'key' });
+          store.createIndex('lastAccessed', 'lastAccessed');
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(ANALYSIS_CACHE_META_STORE)) {
+          db.createObjectStore(ANALYSIS_CACHE_META_STORE, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a retry on the next call (e.g. storage was temporarily unavailable)
+      this.dbPromise = null;
+      throw error;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Look up a cached result. Expired entries count as a miss and are removed.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached result or null
+   */
+  async get(key) {
+    await this.pruneExpiredOnce();
+
+    const db = await this.open();
+    const now = Date.now();
+
+    return this.runTransaction(db, [ANALYSIS_CACHE_STORE, ANALYSIS_CACHE_META_STORE], 'readwrite', (stores) => {
+      const store = stores[ANALYSIS_CACHE_STORE];
+      let found = null;
+
+      store.get(key).onsuccess = (event) => {
+        const entry = event.target.result;
+
+        if (entry && now - entry.createdAt > this.ttlMs) {
+          store.delete(key);
+        } else if (entry) {
+          store.put({ ...entry, lastAccessed: now, hits: (entry.hits || 0) + 1 });
+          found = entry.result;
+        }
+
+        this.incrementCounters(stores[ANALYSIS_CACHE_META_STORE], found ? { hits: 1 } : { misses: 1 });
+      };
+
+      return () => found;
+    });
+  }
+
+  /**
+   * Store a result, evicting the least recently used entries when over the limit
+   * @param {string} key - Cache key
+   * @param {Object} result - Analysis result to cache
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async set(key, result) {
+    if (typeof key !== 'string' || !key || !result || typeof result !== 'object') {
+      return { success: false, error: 'A key and a result object are required' };
+    }
+
+    const size = JSON.stringify(result).length;
+    if (size > this.maxEntryBytes) {
+      return { success: false, error: `Result too large to cache (${size} bytes)` };
+    }
+
+    const db = await this.open();
+    const now = Date.now();
+
+    const count = await this.runTransaction(db, [ANALYSIS_CACHE_STORE], 'readwrite', (stores) => {
+      const store = stores[ANALYSIS_CACHE_STORE];
+      let total = 0;
+
+      store.put({ key, result, size, createdAt: now, lastAccessed: now, hits: 0 });
+      store.count().onsuccess = (event) => {
+        total = event.target.result;
+      };
+
+      return () => total;
+    });
+
+    if (count > this.maxEntries) {
+      await this.evict(count - Math.floor(this.maxEntries * this.evictToRatio));
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Delete the least recently used entries
+   * @param {number} howMany - Number of entries to delete
+   * @returns {Promise<number>} Number deleted
+   */
+  async evict(howMany) {
+    if (howMany <= 0) return 0;
+
+    const db = await this.open();
+    const deleted = await this.runTransaction(db, [ANALYSIS_CACHE_STORE, ANALYSIS_CACHE_META_STORE], 'readwrite', (stores) => {
+      let removed = 0;
+
+      stores[ANALYSIS_CACHE_STORE].index('lastAccessed').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && removed < howMany) {
+          cursor.delete();
+          removed++;
+          cursor.continue();
+        } else {
+          this.incrementCounters(stores[ANALYSIS_CACHE_META_STORE], { evictions: removed });
+        }
+      };
+
+      return () => removed;
+    });
+
+    console.log(`[AnalysisCache] Evicted ${deleted} least recently used entries`);
+    return deleted;
+  }
+
+  /**
+   * Delete every entry older than the TTL
+   * @returns {Promise<number>} Number deleted
+   */
+  async pruneExpired() {
+    const db = await this.open();
+    const cutoff = Date.now() - this.ttlMs;
+
+    const deleted = await this.runTransaction(db, [ANALYSIS_CACHE_STORE, ANALYSIS_CACHE_META_STORE], 'readwrite', (stores) => {
+      let removed = 0;
+      const range = IDBKeyRange.upperBound(cutoff);
+
+      stores[ANALYSIS_CACHE_STORE].index('createdAt').openCursor(range).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          removed++;
+          cursor.continue();
+        } else if (removed > 0) {
+          this.incrementCounters(stores[ANALYSIS_CACHE_META_STORE], { expired: removed });
+        }
+      };
+
+      return () => removed;
+    });
+
+    if (deleted > 0) {
+      console.log(`[AnalysisCache] Removed ${deleted} expired entries`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Prune expired entries once per service worker lifetime
+   * @private
+   */
+  async pruneExpiredOnce() {
+    if (this.hasPrunedExpired) return;
+    this.hasPrunedExpired = true;
+
+    await this.pruneExpired().catch(error => {
+      console.warn('[AnalysisCache] Failed to prune expired entries:', error);
+    });
+  }
+
+  /**
+   * Delete all entries and reset the counters
+   * @returns {Promise<{success: boolean}>}
+   */
+  async clear() {
+    const db = await this.open();
+    await this.runTransaction(db, [ANALYSIS_CACHE_STORE, ANALYSIS_CACHE_META_STORE], 'readwrite', (stores) => {
+      stores[ANALYSIS_CACHE_STORE].clear();
+      stores[ANALYSIS_CACHE_META_STORE].clear();
+    });
+
+    console.log('[AnalysisCache] Cleared');
+    return { success: true };
+  }
+
+  /**
+   * Get cache statistics for the dashboard
+   * @returns {Promise<Object>} Entry count, approximate size, hit/miss/eviction counters and limits
+   */
+  async getStats() {
+    const db = await this.open();
+
+    return this.runTransaction(db, [ANALYSIS_CACHE_STORE, ANALYSIS_CACHE_META_STORE], 'readonly', (stores) => {
+      const stats = {
+        entries: 0,
+        bytes: 0,
+        oldest: null,
+        newest: null,
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+        expired: 0,
+        maxEntries: this.maxEntries,
+        ttlMs: this.ttlMs
+      };
+
+      stores[ANALYSIS_CACHE_STORE].openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const entry = cursor.value;
+        stats.entries++;
+        stats.bytes += entry.size || 0;
+        stats.oldest = stats.oldest === null ? entry.createdAt : Math.min(stats.oldest, entry.createdAt);
+        stats.newest = stats.newest === null ? entry.createdAt : Math.max(stats.newest, entry.createdAt);
+        cursor.continue();
+      };
+
+      stores[ANALYSIS_CACHE_META_STORE].get('counters').onsuccess = (event) => {
+        const counters = event.target.result || {};
+        stats.hits = counters.hits || 0;
+        stats.misses = counters.misses || 0;
+        stats.evictions = counters.evictions || 0;
+        stats.expired = counters.expired || 0;
+      };
+
+      return () => {
+        const lookups = stats.hits + stats.misses;
+        return { ...stats, hitRate: lookups > 0 ? stats.hits / lookups : null };
+      };
+    });
+  }
+
+  /**
+   * Add to the persistent hit/miss/eviction counters (inside an open transaction)
+   * @private
+   */
+  incrementCounters(metaStore, increments) {
+    metaStore.get('counters').onsuccess = (event) => {
+      const counters = event.target.result || { key: 'counters' };
+      Object.entries(increments).forEach(([name, value]) => {
+        counters[name] = (counters[name] || 0) + value;
+      });
+      metaStore.put(counters);
+    };
+  }
+
+  /**
+   * Run requests in one transaction and resolve once it commits
+   * @param {IDBDatabase} db - Open database
+   * @param {string[]} storeNames - Object stores to include
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the stores by name; may return a getter for the resolved value
+   * @returns {Promise<*>} Value of the getter after commit
+   * @private
+   */
+  runTransaction(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach(name => {
+        stores[name] = tx.objectStore(name);
+      });
+
+      const getResult = work(stores);
+
+      tx.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisCacheStore;
+}
@@ -0,0 +1,188 @@
+// ExclusionRules.js
+// User-defined "never show me" rules (dashboard → Never Show Me), stored as
+// `exclusionRules` in chrome.storage.local. Shared by the dashboard (<script>) and the
+// content script (bundled by esbuild).
+//
+// Rules are checked against the product metadata found on the page
+// (ProductMetadataExtractor) and, once the product was analyzed, the model's description
+// of the photo. A product that matches any rule is hidden or forced to the minimum score,
+// whatever PersonalStyleMatcher made of it.
+//
+// Stored shape:
+//   { action: 'hide' | 'minScore', rules: [{ type, value, currency? }] }
+// Text rules match whole words, case-insensitively ("red" matches "Red Wrap Dress", not
+// "Shredded"); maxPrice matches products priced above the value.
+
+class ExclusionRules {
+  static STORAGE_KEY = 'exclusionRules';
+
+  static ACTIONS = ['hide', 'minScore'];
+
+  /**
+   * Rule types in dashboard order; `fields` are the product fields a text rule is checked
+   * against ('description' is the model's description of the photo)
+   */
+  static TYPES = {
+    garmentType: { label: 'Garment type', fields: ['name', 'description'], placeholder: 'crop top' },
+    colour: { label: 'Colour', fields: ['colour', 'name', 'description'], placeholder: 'neon orange' },
+    material: { label: 'Material', fields: ['material', 'name', 'description'], placeholder: 'polyester' },
+    neckline: { label: 'Neckline', fields: ['name', 'description'], placeholder: 'halter' },
+    maxPrice: { label: 'Price above', placeholder: '150' },
+    brand: { label: 'Brand', fields: ['brand', 'name'], placeholder: 'Brand name' }
+  };
+
+  static MAX_RULES = 50;
+
+  /**
+   * Settings used when nothing is stored yet
+   * @returns {{action: string, rules: Array}}
+   */
+  static getDefaults() {
+    return { action: 'minScore', rules: [] };
+  }
+
+  /**
+   * Validate and normalize a single rule
+   * @param {Object} rule - { type, value, currency? }
+   * @returns {{valid: boolean, errors: string[], rule: Object|null}}
+   */
+  static validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || !ExclusionRules.TYPES[rule.type]) {
+      return { valid: false, errors: [`type: must be one of ${Object.keys(ExclusionRules.TYPES).join(', ')}`], rule: null };
+    }
+
+    if (rule.type === 'maxPrice') {
+      const value = Number(rule.value);
+      if (!Number.isFinite(value) || value <= 0) {
+        return { valid: false, errors: ['value: the price ceiling must be a number above 0'], rule: null };
+      }
+      const currency = typeof rule.currency === 'string' && rule.currency.trim()
+        ? rule.currency.trim().toUpperCase()
+        : null;
+      return { valid: true, errors: [], rule: { type: 'maxPrice', value, currency } };
+    }
+
+    const value = typeof rule.value === 'string' ? rule.value.trim() : '';
+    if (!ExclusionRules.normalizeText(value)) {
+      return { valid: false, errors: [`value: enter a ${ExclusionRules.TYPES[rule.type].label.toLowerCase()}`], rule: null };
+    }
+    return { valid: true, errors: [], rule: { type: rule.type, value } };
+  }
+
+  /**
+   * Validate stored or edited settings; invalid rules are dropped and reported
+   * @param {Object|undefined} settings - Stored exclusionRules
+   * @returns {{valid: boolean, errors: string[], settings: {action: string, rules: Array}}}
+   */
+  static validate(settings) {
+    const defaults = ExclusionRules.getDefaults();
+    if (!settings || typeof settings !== 'object') {
+      return { valid: true, errors: [], settings: defaults };
+    }
+
+    const errors = [];
+    const action = ExclusionRules.ACTIONS.includes(settings.action) ? settings.action : defaults.action;
+    if (settings.action !== undefined && action !== settings.action) {
+      errors.push(`action: must be one of ${ExclusionRules.ACTIONS.join(', ')}`);
+    }
+
+    const rules = [];
+    (Array.isArray(settings.rules) ? settings.rules : []).forEach((raw, i) => {
+      const result = ExclusionRules.validateRule(raw);
+      if (!result.valid) {
+        errors.push(...result.errors.map(error => `rules[${i}].${error}`));
+        return;
+      }
+      const duplicate = rules.some(existing =>
+        existing.type === result.rule.type &&
+        ExclusionRules.normalizeText(String(existing.value)) === ExclusionRules.normalizeText(String(result.rule.value)));
+      if (!duplicate) {
+        rules.push(result.rule);
+      }
+    });
+
+    if (rules.length > ExclusionRules.MAX_RULES) {
+      errors.push(`rules: at most ${ExclusionRules.MAX_RULES} rules`);
+      rules.length = ExclusionRules.MAX_RULES;
+    }
+
+    return { valid: errors.length === 0, errors, settings: { action, rules } };
+  }
+
+  /**
+   * Find the first rule a product matches
+   * @param {Object|null} settings - Validated settings
+   * @param {Object|null} productData - { name, brand, price, currency, colour, material, ... }
+   * @param {string|null} [description=null] - Model description of the product photo
+   * @returns {Object|null} The matching rule, or null
+   */
+  static match(settings, productData, description = null) {
+    if (!settings?.rules?.length) {
+      return null;
+    }
+
+    const product = productData || {};
+    const texts = {
+      name: product.name,
+      brand: product.brand,
+      colour: product.colour,
+      material: product.material,
+      description
+    };
+
+    return settings.rules.find(rule => {
+      if (rule.type === 'maxPrice') {
+        if (typeof product.price !== 'number') return false;
+        // A ceiling in another currency says nothing about this price
+        if (rule.currency && product.currency && rule.currency !== product.currency.toUpperCase()) return false;
+        return product.price > rule.value;
+      }
+
+      const phrase = ExclusionRules.normalizeText(rule.value);
+      return ExclusionRules.TYPES[rule.type].fields.some(field =>
+        ExclusionRules.containsPhrase(texts[field], phrase));
+    }) || null;
+  }
+
+  /**
+   * Short label of a rule, shown on badges ("Colour: neon orange", "Price above 150 EUR")
+   * @param {Object} rule
+   * @returns {string}
+   */
+  static describe(rule) {
+    if (rule.type === 'maxPrice') {
+      return `Price above ${rule.value}${rule.currency ? ` ${rule.currency}` : ''}`;
+    }
+    return `${ExclusionRules.TYPES[rule.type].label}: ${rule.value}`;
+  }
+
+  /**
+   * Lower-case words separated by single spaces ("V-Neck" → "v neck")
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Whole-word phrase match; a plural of the last word counts ("crop top" matches "crop tops")
+   * @param {string|null} text
+   * @param {string} phrase - Already normalized
+   * @returns {boolean}
+   */
+  static containsPhrase(text, phrase) {
+    if (!text || !phrase) return false;
+    const haystack = ` ${ExclusionRules.normalizeText(text)} `;
+    return [phrase, `${phrase}s`, `${phrase}es`].some(variant => haystack.includes(` ${variant} `));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExclusionRules;
+}
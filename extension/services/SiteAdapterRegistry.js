@@ -0,0 +1,347 @@
+// SiteAdapterRegistry.js
+// Validates, stores and registers declarative site adapters so new retailers
+// can be supported without code changes.
+//
+// Adapter format (schemaVersion 1):
+// {
+//   "schemaVersion": 1,
+//   "id": "asos",                          // lowercase letters, digits and dashes
+//   "name": "ASOS",
+//   "hosts": ["asos.com"],                 // matched against location.hostname
+//   "isClothingSite": true,                // optional, defaults to true
+//   "pageTypes": {                         // optional
+//     "product":  { "urlPatterns": ["/prd/"], "urlRegex": [] },
+//     "category": { "urlPatterns": ["/cat/"], "urlRegex": [] },
+//     "search":   { "urlPatterns": ["search"], "urlRegex": [] }
+//   },
+//   "selectors": {                         // productImages or productCards required
+//     "productCards": [], "productImages": [], "productLinks": [], "price": [], "title": []
+//   },
+//   "locale": { "languages": ["en"], "currency": "GBP", "decimalSeparator": "." }  // optional
+// }
+//
+// locale.currency and locale.decimalSeparator may be null when they vary per page (country in
+// the path): prices then fall back to the currency shown and a guessed separator.
+
+const SITE_ADAPTER_SCHEMA_VERSION = 1;
+
+// Hosts already covered by the manifest's static content_scripts entry
+const BUILT_IN_ADAPTER_HOSTS = [
+  'zara.com', 'hm.com', 'nike.com', 'asos.com', 'uniqlo.com', 'mango.com', 'cos.com',
+  'zalando.co.uk', 'zalando.de', 'zalando.fr', 'zalando.it', 'zalando.es', 'zalando.nl',
+  'zalando.be', 'zalando.at', 'zalando.ch', 'zalando.se', 'zalando.dk', 'zalando.pl'
+];
+
+const SITE_ADAPTER_PAGE_TYPES = ['product', 'category', 'search'];
+const SITE_ADAPTER_SELECTOR_GROUPS = ['productCards', 'productImages', 'productLinks', 'price', 'title'];
+
+class SiteAdapterRegistry {
+  constructor() {
+    this.storageKey = 'siteAdapters';
+    this.scriptIdPrefix = 'site-adapter-';
+    this.navigationHookSuffix = '-navigation-hook';
+    // Syncs run one after another: interleaved get/unregister/register calls (an import
+    // while a permission is granted) would register the same script id twice
+    this.syncQueue = Promise.resolve();
+  }
+
+  /**
+   * Validate an adapter and return a normalized copy with defaults filled in
+   * @param {Object} adapter - Raw adapter (parsed JSON)
+   * @returns {{valid: boolean, errors: string[], adapter: Object|null}}
+   */
+  static validateAdapter(adapter) {
+    const errors = [];
+
+    if (!adapter || typeof adapter !== 'object' || Array.isArray(adapter)) {
+      return { valid: false, errors: ['adapter must be a JSON object'], adapter: null };
+    }
+
+    if (adapter.schemaVersion !== SITE_ADAPTER_SCHEMA_VERSION) {
+      errors.push(`schemaVersion: expected ${SITE_ADAPTER_SCHEMA_VERSION}, got ${JSON.stringify(adapter.schemaVersion)}`);
+    }
+
+    if (typeof adapter.id !== 'string' || !/^[a-z0-9-]+$/.test(adapter.id)) {
+      errors.push('id: must be lowercase letters, digits and dashes');
+    }
+
+    if (typeof adapter.name !== 'string' || adapter.name.trim().length === 0) {
+      errors.push('name: must be a non-empty string');
+    }
+
+    const hosts = Array.isArray(adapter.hosts) ? adapter.hosts.map(h => String(h).toLowerCase().trim()) : [];
+    if (hosts.length === 0) {
+      errors.push('hosts: must be a non-empty array of hostnames');
+    }
+    hosts.forEach((host, i) => {
+      if (!/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(host)) {
+        errors.push(`hosts[${i}]: "${host}" is not a valid hostname`);
+      }
+    });
+
+    const pageTypes = {};
+    if (adapter.pageTypes !== undefined && (typeof adapter.pageTypes !== 'object' || adapter.pageTypes === null)) {
+      errors.push('pageTypes: must be an object');
+    }
+    for (const pageType of SITE_ADAPTER_PAGE_TYPES) {
+      const rule = adapter.pageTypes?.[pageType] || {};
+      const urlPatterns = SiteAdapterRegistry.validateStringList(rule.urlPatterns, `pageTypes.${pageType}.urlPatterns`, errors);
+      const urlRegex = SiteAdapterRegistry.validateStringList(rule.urlRegex, `pageTypes.${pageType}.urlRegex`, errors);
+      urlRegex.forEach((source, i) => {
+        try {
+          new RegExp(source, 'i');
+        } catch (e) {
+          errors.push(`pageTypes.${pageType}.urlRegex[${i}]: invalid regular expression`);
+        }
+      });
+      pageTypes[pageType] = { urlPatterns, urlRegex };
+    }
+
+    const selectors = {};
+    if (!adapter.selectors || typeof adapter.selectors !== 'object') {
+      errors.push('selectors: must be an object');
+    }
+    for (const group of SITE_ADAPTER_SELECTOR_GROUPS) {
+      const list = SiteAdapterRegistry.validateStringList(adapter.selectors?.[group], `selectors.${group}`, errors);
+      list.forEach((selector, i) => {
+        if (!SiteAdapterRegistry.isValidSelector(selector)) {
+          errors.push(`selectors.${group}[${i}]: invalid CSS selector "${selector}"`);
+        }
+      });
+      selectors[group] = list;
+    }
+    if (selectors.productImages.length === 0 && selectors.productCards.length === 0) {
+      errors.push('selectors: at least one productImages or productCards selector is required');
+    }
+
+    let locale = null;
+    if (adapter.locale !== undefined) {
+      const languages = SiteAdapterRegistry.validateStringList(adapter.locale?.languages, 'locale.languages', errors);
+      const currency = adapter.locale?.currency;
+      if (currency != null && !/^[A-Z]{3}$/.test(currency)) {
+        errors.push('locale.currency: must be a 3-letter ISO 4217 code');
+      }
+      const decimalSeparator = adapter.locale?.decimalSeparator;
+      if (decimalSeparator != null && decimalSeparator !== '.' && decimalSeparator !== ',') {
+        errors.push('locale.decimalSeparator: must be "." or ","');
+      }
+      locale = {
+        languages,
+        currency: currency ?? null,
+        decimalSeparator: decimalSeparator === undefined ? '.' : decimalSeparator
+      };
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, adapter: null };
+    }
+
+    return {
+      valid: true,
+      errors: [],
+      adapter: {
+        schemaVersion: SITE_ADAPTER_SCHEMA_VERSION,
+        id: adapter.id,
+        name: adapter.name.trim(),
+        hosts,
+        isClothingSite: adapter.isClothingSite !== false,
+        pageTypes,
+        selectors,
+        locale
+      }
+    };
+  }
+
+  /**
+   * Validate an optional list of strings, recording errors
+   * @returns {string[]} The list, or [] when missing/invalid
+   */
+  static validateStringList(value, path, errors) {
+    if (value === undefined) {
+      return [];
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim().length === 0)) {
+      errors.push(`${path}: must be an array of non-empty strings`);
+      return [];
+    }
+    return value.map(item => item.trim());
+  }
+
+  /**
+   * Check CSS selector syntax where a DOM is available (dashboard).
+   * The service worker has no document, so selectors are accepted there.
+   */
+  static isValidSelector(selector) {
+    if (typeof document === 'undefined') {
+      return true;
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Convert adapter hosts into extension match patterns
+   * @param {Object} adapter - Validated adapter
+   * @returns {string[]} Match patterns, e.g. "*://*.asos.com/*"
+   */
+  static getMatchPatterns(adapter) {
+    return adapter.hosts.map(host => `*://*.${host}/*`);
+  }
+
+  /**
+   * Get all stored adapters
+   * @returns {Promise<Object>} Map of adapter id -> { adapter, importedAt }
+   */
+  async getAdapters() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  /**
+   * Get every host the extension runs on (built-in and imported)
+   * @returns {Promise<string[]>} Hostnames
+   */
+  async getSupportedHosts() {
+    const adapters = await this.getAdapters();
+    const importedHosts = Object.values(adapters).flatMap(entry => entry.adapter.hosts);
+    return [...new Set([...BUILT_IN_ADAPTER_HOSTS, ...importedHosts])];
+  }
+
+  /**
+   * Validate and store adapters, then register content scripts for hosts
+   * the user has granted permission for
+   * @param {Object[]} rawAdapters - Parsed adapter JSON objects
+   * @returns {Promise<Object>} { success, imported: string[], errors: {id, errors}[] }
+   */
+  async importAdapters(rawAdapters) {
+    const list = Array.isArray(rawAdapters) ? rawAdapters : [rawAdapters];
+    const stored = await this.getAdapters();
+    const imported = [];
+    const rejected = [];
+
+    list.forEach((raw, index) => {
+      const { valid, errors, adapter } = SiteAdapterRegistry.validateAdapter(raw);
+      if (!valid) {
+        rejected.push({ id: raw?.id || `#${index + 1}`, errors });
+        return;
+      }
+      stored[adapter.id] = { adapter, importedAt: Date.now() };
+      imported.push(adapter.id);
+    });
+
+    if (imported.length > 0) {
+      await chrome.storage.local.set({ [this.storageKey]: stored });
+      await this.syncContentScripts();
+    }
+
+    console.log(`[SiteAdapters] Imported ${imported.length} adapter(s), rejected ${rejected.length}`);
+    return { success: rejected.length === 0, imported, errors: rejected };
+  }
+
+  /**
+   * Remove a stored adapter and its content script registration
+   * @param {string} adapterId - Adapter id
+   * @returns {Promise<Object>} { success }
+   */
+  async removeAdapter(adapterId) {
+    const stored = await this.getAdapters();
+    if (!stored[adapterId]) {
+      return { success: false, error: `Unknown adapter: ${adapterId}` };
+    }
+
+    delete stored[adapterId];
+    await chrome.storage.local.set({ [this.storageKey]: stored });
+    await this.syncContentScripts();
+
+    return { success: true };
+  }
+
+  /**
+   * Make registered content scripts match the stored adapters and granted permissions.
+   * Safe to call repeatedly and concurrently (on startup, after import/remove, on
+   * permission changes): each call runs after the previous one finished.
+   * @returns {Promise<string[]>} Ids of adapters with an active registration
+   */
+  syncContentScripts() {
+    const sync = this.syncQueue.then(() => this.replaceContentScripts());
+    this.syncQueue = sync.catch(() => {});
+    return sync;
+  }
+
+  /**
+   * Unregister this registry's content scripts and register them again from storage
+   * @returns {Promise<string[]>} Ids of adapters with an active registration
+   * @private
+   */
+  async replaceContentScripts() {
+    if (!chrome.scripting?.registerContentScripts) {
+      console.warn('[SiteAdapters] chrome.scripting not available - dynamic registration skipped');
+      return [];
+    }
+
+    const adapters = await this.getAdapters();
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const ownIds = registered
+      .map(script => script.id)
+      .filter(id => id.startsWith(this.scriptIdPrefix));
+
+    if (ownIds.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: ownIds });
+    }
+
+    const scripts = [];
+    for (const { adapter } of Object.values(adapters)) {
+      // Built-in hosts are already injected by the manifest; registering them again would double-inject
+      const hosts = adapter.hosts.filter(host => !BUILT_IN_ADAPTER_HOSTS.includes(host));
+      if (hosts.length === 0) {
+        continue;
+      }
+
+      const origins = SiteAdapterRegistry.getMatchPatterns({ hosts });
+      const granted = await chrome.permissions.contains({ origins });
+      if (!granted) {
+        console.log(`[SiteAdapters] Host permission not granted for ${adapter.id}, skipping registration`);
+        continue;
+      }
+
+      scripts.push({
+        id: `${this.scriptIdPrefix}${adapter.id}`,
+        matches: origins,
+        js: ['content/content.generated.js'],
+        css: ['content/styles/FilterStyles.css'],
+        runAt: 'document_end',
+        persistAcrossSessions: true
+      });
+
+      // SPA route changes are only visible from the page's own world
+      scripts.push({
+        id: `${this.scriptIdPrefix}${adapter.id}${this.navigationHookSuffix}`,
+        matches: origins,
+        js: ['content/navigation-hook.js'],
+        runAt: 'document_start',
+        world: 'MAIN',
+        persistAcrossSessions: true
+      });
+    }
+
+    if (scripts.length > 0) {
+      await chrome.scripting.registerContentScripts(scripts);
+    }
+
+    const adapterIds = scripts
+      .filter(script => !script.id.endsWith(this.navigationHookSuffix))
+      .map(script => script.id.slice(this.scriptIdPrefix.length));
+
+    console.log(`[SiteAdapters] ${adapterIds.length} dynamic content script(s) registered`);
+    return adapterIds;
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteAdapterRegistry;
+}
@@ -0,0 +1,299 @@
+// StructuredOutput.js
+// Validation and repair of JSON produced by Prompt API calls that pass a JSON Schema
+// as `responseConstraint`. Shared by the background (importScripts) and the content
+// script (bundled by esbuild).
+//
+// The constraint makes the model emit JSON, but not always JSON that honours every
+// keyword (ranges, enums, required fields), and fallback paths without constraint
+// support (text-only retries) can still wrap it in prose or markdown fences.
+// parse() therefore:
+//   1. extracts the JSON value from the response text
+//   2. validates it against the schema
+//   3. repairs what can be repaired without guessing (numeric strings, enum casing,
+//      a single value where an array is expected, unknown properties)
+//   4. reports every field it could not accept, instead of substituting defaults
+//
+// Supported schema keywords: type (string or array of types), properties, required,
+// additionalProperties: false, items, enum, minimum, maximum, minItems, maxItems,
+// minLength, maxLength.
+
+class StructuredOutput {
+  /**
+   * Parse and validate a model response
+   * @param {string} text - Raw response text
+   * @param {Object} schema - JSON Schema the response was constrained with
+   * @returns {{valid: boolean, value: *, errors: Array<{path: string, message: string}>,
+   *   repairs: Array<{path: string, message: string}>, invalidFields: string[]}}
+   *   Paths look like "score", "colors.primary" or "shortlist[2]"; "$" is the whole response.
+   */
+  static parse(text, schema) {
+    let value;
+    try {
+      value = JSON.parse(StructuredOutput.extractJson(text));
+    } catch (error) {
+      const errors = [{ path: '$', message: `response is not valid JSON (${error.message})` }];
+      return { valid: false, value: null, errors, repairs: [], invalidFields: ['$'] };
+    }
+
+    return StructuredOutput.validate(value, schema);
+  }
+
+  /**
+   * Validate (and repair) an already-parsed value
+   * @param {*} value - Parsed JSON value
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} Same shape as parse()
+   */
+  static validate(value, schema) {
+    const context = { errors: [], repairs: [] };
+    const repaired = StructuredOutput.validateNode(value, schema, '$', context);
+
+    return {
+      valid: context.errors.length === 0,
+      value: repaired,
+      errors: context.errors,
+      repairs: context.repairs,
+      invalidFields: [...new Set(context.errors.map(error => error.path))]
+    };
+  }
+
+  /**
+   * Get the JSON text out of a response that may be wrapped in fences or prose
+   * @param {string} text - Raw response
+   * @returns {string} JSON text (unchanged when no object or array is found)
+   */
+  static extractJson(text) {
+    const cleaned = String(text ?? '')
+      .replace(/```(?:json)?\s*/gi, '')
+      .trim();
+
+    if (cleaned.startsWith('{') || cleaned.startsWith('[')) {
+      return cleaned;
+    }
+
+    const start = cleaned.search(/[{[]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    return start !== -1 && end > start ? cleaned.substring(start, end + 1) : cleaned;
+  }
+
+  /**
+   * Format errors for logs and user-facing messages
+   * @param {Array<{path: string, message: string}>} errors - Validation errors
+   * @returns {string} e.g. "score: must be at most 10; reason: is required"
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `${error.path === '$' ? 'response' : error.path}: ${error.message}`).join('; ');
+  }
+
+  /**
+   * @private
+   */
+  static childPath(path, name) {
+    return path === '$' ? name : `${path}.${name}`;
+  }
+
+  /**
+   * @private
+   */
+  static validateNode(value, schema, path, context) {
+    if (!schema || typeof schema !== 'object') {
+      return value;
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length === 0) {
+      return StructuredOutput.checkEnum(value, schema, path, context);
+    }
+
+    // Exact type match first, then the first type the value can be repaired into
+    let type = types.find(candidate => StructuredOutput.isType(value, candidate));
+    let current = value;
+
+    if (!type) {
+      for (const candidate of types) {
+        const coerced = StructuredOutput.coerce(value, candidate, schema);
+        if (coerced.ok) {
+          type = candidate;
+          current = coerced.value;
+          context.repairs.push({ path, message: `converted ${StructuredOutput.describe(value)} to ${candidate}` });
+          break;
+        }
+      }
+    }
+
+    if (!type) {
+      context.errors.push({ path, message: `expected ${types.join(' or ')}, got ${StructuredOutput.describe(value)}` });
+      return value;
+    }
+
+    switch (type) {
+      case 'object':
+        return StructuredOutput.validateObject(current, schema, path, context);
+      case 'array':
+        return StructuredOutput.validateArray(current, schema, path, context);
+      case 'string':
+        return StructuredOutput.validateString(current, schema, path, context);
+      case 'number':
+      case 'integer':
+        return StructuredOutput.validateNumber(current, schema, type, path, context);
+      default:
+        return StructuredOutput.checkEnum(current, schema, path, context);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static validateObject(value, schema, path, context) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        context.errors.push({ path: StructuredOutput.childPath(path, name), message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (properties[name]) {
+        result[name] = StructuredOutput.validateNode(propertyValue, properties[name], StructuredOutput.childPath(path, name), context);
+      } else if (schema.additionalProperties === false) {
+        context.repairs.push({ path: StructuredOutput.childPath(path, name), message: 'removed unknown property' });
+      } else {
+        result[name] = propertyValue;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  static validateArray(value, schema, path, context) {
+    let items = value;
+
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+      context.repairs.push({ path, message: `dropped ${items.length - schema.maxItems} item(s) over maxItems ${schema.maxItems}` });
+      items = items.slice(0, schema.maxItems);
+    }
+    if (schema.minItems !== undefined && items.length < schema.minItems) {
+      context.errors.push({ path, message: `must have at least ${schema.minItems} item(s), got ${items.length}` });
+    }
+
+    return items.map((item, index) => StructuredOutput.validateNode(item, schema.items, `${path === '$' ? '' : path}[${index}]`, context));
+  }
+
+  /**
+   * @private
+   */
+  static validateString(value, schema, path, context) {
+    let text = value.trim();
+
+    if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+      context.repairs.push({ path, message: `truncated to maxLength ${schema.maxLength}` });
+      text = text.substring(0, schema.maxLength);
+    }
+    if (schema.minLength !== undefined && text.length < schema.minLength) {
+      context.errors.push({ path, message: `must be at least ${schema.minLength} character(s)` });
+    }
+
+    return StructuredOutput.checkEnum(text, schema, path, context);
+  }
+
+  /**
+   * @private
+   */
+  static validateNumber(value, schema, type, path, context) {
+    let number = value;
+
+    if (type === 'integer' && !Number.isInteger(number)) {
+      context.repairs.push({ path, message: `rounded ${number} to an integer` });
+      number = Math.round(number);
+    }
+
+    // Out of range is reported, not clamped: a 12 on a 1-10 scale is not a 10
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      context.errors.push({ path, message: `must be at least ${schema.minimum}, got ${number}` });
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      context.errors.push({ path, message: `must be at most ${schema.maximum}, got ${number}` });
+    }
+
+    return StructuredOutput.checkEnum(number, schema, path, context);
+  }
+
+  /**
+   * @private
+   */
+  static checkEnum(value, schema, path, context) {
+    if (!Array.isArray(schema.enum) || schema.enum.includes(value)) {
+      return value;
+    }
+
+    // "Casual" for "casual"
+    if (typeof value === 'string') {
+      const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+      if (match !== undefined) {
+        context.repairs.push({ path, message: `normalized "${value}" to "${match}"` });
+        return match;
+      }
+    }
+
+    context.errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}` });
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  static isType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'null': return value === null;
+      default: return false;
+    }
+  }
+
+  /**
+   * Convert a value to a type when the intent is unambiguous
+   * @private
+   */
+  static coerce(value, type, schema) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+      return { ok: true, value: Number(value) };
+    }
+    if (type === 'boolean' && typeof value === 'string' && /^\s*(true|false)\s*$/i.test(value)) {
+      return { ok: true, value: value.trim().toLowerCase() === 'true' };
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return { ok: true, value: String(value) };
+    }
+    if (type === 'array' && value !== null && value !== undefined && !Array.isArray(value)) {
+      const itemTypes = [].concat(schema.items?.type || []);
+      if (itemTypes.some(itemType => StructuredOutput.isType(value, itemType))) {
+        return { ok: true, value: [value] };
+      }
+    }
+    return { ok: false };
+  }
+
+  /**
+   * @private
+   */
+  static describe(value) {
+    if (value === null) return 'null';
+    if (value === undefined) return 'nothing';
+    if (Array.isArray(value)) return 'array';
+    return typeof value === 'string' ? `string "${value.substring(0, 40)}"` : typeof value;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredOutput;
+}
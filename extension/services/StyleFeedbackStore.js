@@ -0,0 +1,198 @@
+// StyleFeedbackStore.js
+// Thumbs up/down feedback on style scores and the preferences learned from it, owned by the
+// background service worker. Content scripts and the dashboard reach it through the
+// '*StyleFeedback' / 'removeLearnedPreference' messages.
+//
+// chrome.storage.local:
+//   styleFeedback: [{
+//     id, productId, vote: 'like' | 'dislike',
+//     score, reason, description,          // what PersonalStyleMatcher said about the product
+//     attributes: { name, brand, colour, material, price, currency },
+//     site, createdAt, summarized          // summarized = already folded into learnedPreferences
+//   }]
+//   learnedPreferences: { likes: [{ id, text }], dislikes: [{ id, text }], updatedAt, feedbackCount }
+//
+// The background summarizes new votes into learnedPreferences every `summaryThreshold` votes;
+// content scripts add them to the style profile the products are scored against.
+
+const STYLE_FEEDBACK_KEY = 'styleFeedback';
+const LEARNED_PREFERENCES_KEY = 'learnedPreferences';
+
+class StyleFeedbackStore {
+  constructor(options = {}) {
+    // Oldest votes are dropped beyond this
+    this.maxEntries = options.maxEntries || 200;
+    // Number of new votes summarized together
+    this.summaryThreshold = options.summaryThreshold || 5;
+    // Per list (likes, dislikes), so the prompt stays short
+    this.maxPreferences = options.maxPreferences || 8;
+    // Writes run one after another: each reads the stored lists and writes them back, so a
+    // vote recorded while a summary is saved would otherwise be lost
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a read-modify-write of the stored lists after the ones already queued
+   * @param {Function} write - Async function doing the read and the write
+   * @returns {Promise<*>} Its result
+   * @private
+   */
+  enqueueWrite(write) {
+    const run = this.writeQueue.then(write);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @returns {Promise<Array>} All stored votes, newest first
+   */
+  async getFeedback() {
+    const result = await chrome.storage.local.get([STYLE_FEEDBACK_KEY]);
+    return Array.isArray(result[STYLE_FEEDBACK_KEY]) ? result[STYLE_FEEDBACK_KEY] : [];
+  }
+
+  /**
+   * @returns {Promise<Array>} Votes not summarized yet
+   */
+  async getPending() {
+    return (await this.getFeedback()).filter(entry => !entry.summarized);
+  }
+
+  /**
+   * Record a vote; a new vote on the same product replaces the previous one, a null vote
+   * withdraws it
+   * @param {Object} feedback - { productId, vote, score, reason, description, attributes, site }
+   * @returns {Promise<{entry: Object|null, pending: number, due: boolean}>} due = enough new
+   *   votes for a summary
+   */
+  async record(feedback) {
+    if (!feedback?.productId) {
+      throw new Error('feedback.productId is required');
+    }
+    if (feedback.vote !== null && feedback.vote !== 'like' && feedback.vote !== 'dislike') {
+      throw new Error(`feedback.vote must be 'like', 'dislike' or null, got ${JSON.stringify(feedback.vote)}`);
+    }
+
+    return this.enqueueWrite(async () => {
+      const feedbackList = (await this.getFeedback()).filter(entry => entry.productId !== feedback.productId);
+
+      let entry = null;
+      if (feedback.vote) {
+        entry = {
+          id: StyleFeedbackStore.createId(),
+          productId: feedback.productId,
+          vote: feedback.vote,
+          score: typeof feedback.score === 'number' ? feedback.score : null,
+          reason: feedback.reason || '',
+          description: feedback.description || '',
+          attributes: StyleFeedbackStore.pickAttributes(feedback.attributes),
+          site: feedback.site || '',
+          createdAt: Date.now(),
+          summarized: false
+        };
+        feedbackList.unshift(entry);
+      }
+
+      feedbackList.length = Math.min(feedbackList.length, this.maxEntries);
+      await chrome.storage.local.set({ [STYLE_FEEDBACK_KEY]: feedbackList });
+
+      const pending = feedbackList.filter(item => !item.summarized).length;
+      return { entry, pending, due: pending >= this.summaryThreshold };
+    });
+  }
+
+  /**
+   * @returns {Promise<Object>} Learned preferences (empty lists before the first summary)
+   */
+  async getLearnedPreferences() {
+    const result = await chrome.storage.local.get([LEARNED_PREFERENCES_KEY]);
+    return result[LEARNED_PREFERENCES_KEY] || StyleFeedbackStore.emptyPreferences();
+  }
+
+  /**
+   * Replace the learned preferences with a new summary and mark the votes it covered
+   * Statements kept from the previous summary keep their ids.
+   * @param {{likes: string[], dislikes: string[]}} summary - Model output
+   * @param {string[]} feedbackIds - Votes the summary was made from
+   * @returns {Promise<Object>} Stored learned preferences
+   */
+  saveSummary(summary, feedbackIds) {
+    return this.enqueueWrite(async () => {
+      const previous = await this.getLearnedPreferences();
+      const toEntries = (texts, existing) => {
+        const seen = new Set();
+        return texts
+          .map(text => String(text).trim())
+          .filter(text => {
+            const key = text.toLowerCase();
+            if (!text || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          })
+          .slice(0, this.maxPreferences)
+          .map(text => existing.find(entry => entry.text.toLowerCase() === text.toLowerCase()) || { id: StyleFeedbackStore.createId(), text });
+      };
+
+      const summarizedIds = new Set(feedbackIds);
+      const feedbackList = (await this.getFeedback()).map(entry =>
+        summarizedIds.has(entry.id) ? { ...entry, summarized: true } : entry);
+
+      const learned = {
+        likes: toEntries(summary.likes || [], previous.likes),
+        dislikes: toEntries(summary.dislikes || [], previous.dislikes),
+        updatedAt: Date.now(),
+        feedbackCount: feedbackList.filter(entry => entry.summarized).length
+      };
+
+      await chrome.storage.local.set({ [LEARNED_PREFERENCES_KEY]: learned, [STYLE_FEEDBACK_KEY]: feedbackList });
+      return learned;
+    });
+  }
+
+  /**
+   * Remove one learned statement (dashboard)
+   * @param {string} id
+   * @returns {Promise<Object>} Remaining learned preferences
+   */
+  removeLearnedPreference(id) {
+    return this.enqueueWrite(async () => {
+      const learned = await this.getLearnedPreferences();
+      const next = {
+        ...learned,
+        likes: learned.likes.filter(entry => entry.id !== id),
+        dislikes: learned.dislikes.filter(entry => entry.id !== id)
+      };
+      await chrome.storage.local.set({ [LEARNED_PREFERENCES_KEY]: next });
+      return next;
+    });
+  }
+
+  /**
+   * Forget all votes and everything learned from them
+   */
+  clear() {
+    return this.enqueueWrite(() => chrome.storage.local.remove([STYLE_FEEDBACK_KEY, LEARNED_PREFERENCES_KEY]));
+  }
+
+  static emptyPreferences() {
+    return { likes: [], dislikes: [], updatedAt: null, feedbackCount: 0 };
+  }
+
+  static pickAttributes(attributes = {}) {
+    const picked = {};
+    ['name', 'brand', 'colour', 'material', 'price', 'currency'].forEach(key => {
+      if (attributes?.[key] !== null && attributes?.[key] !== undefined && attributes[key] !== '') {
+        picked[key] = attributes[key];
+      }
+    });
+    return picked;
+  }
+
+  static createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StyleFeedbackStore;
+}
@@ -0,0 +1,168 @@
+// tab-adapters.js
+// Handles importing and removing declarative site adapters from the dashboard
+
+console.log('🛍️ Site adapter module loaded');
+
+document.getElementById('adapterFileBtn')?.addEventListener('click', () => {
+  document.getElementById('adapterFileInput').click();
+});
+
+document.getElementById('adapterFileInput')?.addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  document.getElementById('adapterJsonInput').value = await file.text();
+  event.target.value = '';
+});
+
+// Import handler
+document.getElementById('importAdapterBtn')?.addEventListener('click', async () => {
+  const text = document.getElementById('adapterJsonInput').value.trim();
+  if (!text) {
+    showAdapterResult('error', 'Paste or load an adapter JSON first.');
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    showAdapterResult('error', `Invalid JSON: ${error.message}`);
+    return;
+  }
+
+  // Validate here as well so selector syntax is checked against a real DOM
+  const rawAdapters = Array.isArray(parsed) ? parsed : [parsed];
+  const validated = rawAdapters.map(raw => SiteAdapterRegistry.validateAdapter(raw));
+  const invalid = validated
+    .map((result, i) => ({ id: rawAdapters[i]?.id || `#${i + 1}`, errors: result.errors }))
+    .filter(entry => entry.errors.length > 0);
+
+  if (invalid.length > 0) {
+    showAdapterResult('error', 'Adapter validation failed:', invalid);
+    return;
+  }
+
+  // Ask for host access while we still have the click's user gesture
+  const adapters = validated.map(result => result.adapter);
+  const origins = adapters.flatMap(adapter => SiteAdapterRegistry.getMatchPatterns(adapter));
+
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ origins });
+  } catch (error) {
+    console.error('Permission request failed:', error);
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'importSiteAdapters', adapters });
+
+    if (!response.success) {
+      showAdapterResult('error', response.error || 'Some adapters were rejected:', response.errors);
+      return;
+    }
+
+    const names = adapters.map(adapter => adapter.name).join(', ');
+    showAdapterResult(
+      'success',
+      granted
+        ? `Imported ${names}. Reload open tabs on these sites to start filtering.`
+        : `Imported ${names}, but site access was not granted. Import again to allow access.`
+    );
+    document.getElementById('adapterJsonInput').value = '';
+    loadSiteAdapters();
+  } catch (error) {
+    console.error('Adapter import failed:', error);
+    showAdapterResult('error', `Import failed: ${error.message}`);
+  }
+});
+
+async function loadSiteAdapters() {
+  const list = document.getElementById('adapterList');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  BUILT_IN_ADAPTER_HOSTS.forEach(host => {
+    list.appendChild(createAdapterRow(host, [host], null));
+  });
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSiteAdapters' });
+    if (!response.success) return;
+
+    const granted = await Promise.all(
+      Object.values(response.adapters).map(({ adapter }) =>
+        chrome.permissions.contains({ origins: SiteAdapterRegistry.getMatchPatterns(adapter) })
+      )
+    );
+
+    Object.values(response.adapters).forEach(({ adapter }, i) => {
+      list.appendChild(createAdapterRow(adapter.name, adapter.hosts, adapter.id, granted[i]));
+    });
+  } catch (error) {
+    console.error('Failed to load site adapters:', error);
+  }
+}
+
+function createAdapterRow(name, hosts, adapterId, hasAccess = true) {
+  const row = document.createElement('div');
+  row.className = 'adapter-row';
+
+  const label = document.createElement('div');
+  const title = document.createElement('strong');
+  title.textContent = name;
+  const hostText = document.createElement('span');
+  hostText.className = 'adapter-hosts';
+  hostText.textContent = hosts.join(', ') + (hasAccess ? '' : ' (access not granted)');
+  label.append(title, hostText);
+  row.appendChild(label);
+
+  if (!adapterId) {
+    const badge = document.createElement('span');
+    badge.className = 'adapter-badge';
+    badge.textContent = 'Built-in';
+    row.appendChild(badge);
+    return row;
+  }
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'clear-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', async () => {
+    if (!confirm(`Remove the ${name} adapter?`)) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'removeSiteAdapter', adapterId });
+    if (response.success) {
+      showNotification(`${name} adapter removed`, 'success');
+      loadSiteAdapters();
+    } else {
+      showNotification(response.error || 'Failed to remove adapter', 'error');
+    }
+  });
+  row.appendChild(removeBtn);
+
+  return row;
+}
+
+function showAdapterResult(type, message, errorList = []) {
+  const result = document.getElementById('adapterImportResult');
+  result.className = `adapter-import-result ${type}`;
+  result.textContent = message;
+
+  if (errorList && errorList.length > 0) {
+    const ul = document.createElement('ul');
+    errorList.forEach(({ id, errors }) => {
+      errors.forEach(error => {
+        const li = document.createElement('li');
+        li.textContent = `${id}: ${error}`;
+        ul.appendChild(li);
+      });
+    });
+    result.appendChild(ul);
+  }
+
+  result.style.display = 'block';
+}
+
+loadSiteAdapters();
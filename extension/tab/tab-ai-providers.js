@@ -0,0 +1,160 @@
+// tab-ai-providers.js
+// Picks the AI provider for each task and configures the remote backends (services/AIProviders.js)
+
+console.log('🔌 AI provider module loaded');
+
+let aiProviderCatalog = null;
+
+async function loadAIProviderSettings() {
+  if (!document.getElementById('aiProvidersSection')) return;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'getAIProviderSettings' });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+
+  if (!response?.success) {
+    console.warn('Failed to load AI provider settings:', response?.error);
+    return;
+  }
+
+  aiProviderCatalog = { tasks: response.tasks, providers: response.providers };
+  renderAIProviderTasks(response.settings);
+
+  document.getElementById('geminiProviderModel').value = response.settings.gemini.model;
+  document.getElementById('openaiProviderBaseUrl').value = response.settings.openaiCompatible.baseUrl;
+  document.getElementById('openaiProviderModel').value = response.settings.openaiCompatible.model;
+  document.getElementById('openaiProviderApiKey').value = response.settings.openaiCompatible.apiKey;
+}
+
+// One select per task, listing only the providers that have the capability it needs
+function renderAIProviderTasks(settings) {
+  const container = document.getElementById('aiProviderTasks');
+  container.innerHTML = '';
+
+  Object.entries(aiProviderCatalog.tasks).forEach(([task, { label, capability }]) => {
+    const row = document.createElement('label');
+    row.className = 'adapter-row';
+    row.textContent = label;
+
+    const select = document.createElement('select');
+    select.dataset.task = task;
+
+    Object.entries(aiProviderCatalog.providers)
+      .filter(([, provider]) => provider.capabilities[capability])
+      .forEach(([id, provider]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = provider.name;
+        option.selected = settings.tasks[task] === id;
+        select.appendChild(option);
+      });
+
+    row.appendChild(select);
+    container.appendChild(row);
+  });
+}
+
+function readAIProviderForm() {
+  const tasks = {};
+  document.querySelectorAll('#aiProviderTasks select').forEach(select => {
+    tasks[select.dataset.task] = select.value;
+  });
+
+  return {
+    tasks,
+    gemini: {
+      model: document.getElementById('geminiProviderModel').value.trim()
+    },
+    openaiCompatible: {
+      baseUrl: document.getElementById('openaiProviderBaseUrl').value.trim().replace(/\/+$/, ''),
+      model: document.getElementById('openaiProviderModel').value.trim(),
+      apiKey: document.getElementById('openaiProviderApiKey').value.trim()
+    }
+  };
+}
+
+document.getElementById('saveAIProvidersBtn')?.addEventListener('click', async () => {
+  if (!aiProviderCatalog) return;
+
+  const settings = readAIProviderForm();
+  const usesLocalServer = Object.values(settings.tasks).includes('openaiCompatible');
+
+  // The background calls the server directly; ask for host access while we still have the click's user gesture
+  let granted = true;
+  if (usesLocalServer) {
+    try {
+      const origin = new URL(settings.openaiCompatible.baseUrl).origin;
+      granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+      console.error('Permission request failed:', error);
+      granted = false;
+    }
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveAIProviderSettings', settings });
+
+    if (!response?.success) {
+      showAIProviderResult('error', 'Settings were not saved:', response?.errors || []);
+      return;
+    }
+
+    showAIProviderResult(
+      'success',
+      granted
+        ? 'AI providers saved. Open shopping tabs switch on the next analysis.'
+        : 'AI providers saved, but access to the OpenAI-compatible server was not granted. Save again to allow access.'
+    );
+  } catch (error) {
+    console.error('Saving AI providers failed:', error);
+    showAIProviderResult('error', `Save failed: ${error.message}`);
+  }
+});
+
+document.getElementById('checkAIProvidersBtn')?.addEventListener('click', async () => {
+  const button = document.getElementById('checkAIProvidersBtn');
+  const list = document.getElementById('aiProviderStatus');
+  button.disabled = true;
+  list.innerHTML = '';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getAIProviderStatus' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    Object.values(response.status).forEach(({ name, available, message }) => {
+      const item = document.createElement('li');
+      item.className = 'adapter-row';
+      item.textContent = `${available ? '✅' : '⚠️'} ${name}${message ? ` — ${message}` : ''}`;
+      list.appendChild(item);
+    });
+  } catch (error) {
+    showNotification(`Failed to check AI providers: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+function showAIProviderResult(type, message, errors = []) {
+  const result = document.getElementById('aiProviderResult');
+  result.className = `adapter-import-result ${type}`;
+  result.textContent = message;
+
+  if (errors.length > 0) {
+    const ul = document.createElement('ul');
+    errors.forEach(error => {
+      const li = document.createElement('li');
+      li.textContent = error;
+      ul.appendChild(li);
+    });
+    result.appendChild(ul);
+  }
+
+  result.style.display = 'block';
+}
+
+loadAIProviderSettings();
@@ -0,0 +1,68 @@
+// tab-analysis-cache.js
+// Shows the background's persistent analysis cache (services/AnalysisCacheStore.js) and clears it
+
+console.log('💾 Analysis cache module loaded');
+
+async function loadAnalysisCacheStats() {
+  if (!document.getElementById('analysisCacheSection')) return;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'analysisCacheStats' });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+
+  if (!response?.success) {
+    console.warn('Failed to load analysis cache stats:', response?.error);
+    return;
+  }
+
+  const stats = response.stats;
+  setAnalysisCacheField('analysisCacheEntries', stats.entries.toLocaleString());
+  setAnalysisCacheField('analysisCacheSize', formatCacheBytes(stats.bytes));
+  setAnalysisCacheField('analysisCacheHitRate', stats.hitRate === null
+    ? '–'
+    : `${Math.round(stats.hitRate * 100)}% (${stats.hits}/${stats.hits + stats.misses})`);
+  setAnalysisCacheField('analysisCacheRemoved', `${stats.evictions} / ${stats.expired}`);
+  setAnalysisCacheField('analysisCacheOldest', stats.oldest ? new Date(stats.oldest).toLocaleString() : '–');
+  setAnalysisCacheField('analysisCacheTtl', `${Math.round(stats.ttlMs / (24 * 60 * 60 * 1000))} days`);
+  setAnalysisCacheField('analysisCacheLimit', stats.maxEntries.toLocaleString());
+
+  document.getElementById('clearAnalysisCacheBtn').disabled = stats.entries === 0;
+}
+
+function setAnalysisCacheField(id, text) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = text;
+}
+
+function formatCacheBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+document.getElementById('clearAnalysisCacheBtn')?.addEventListener('click', async () => {
+  if (!confirm('Clear all cached product scores? Products will be analyzed again the next time you see them.')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'analysisCacheClear' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    showNotification('Analysis cache cleared', 'success');
+  } catch (error) {
+    showNotification(`Failed to clear analysis cache: ${error.message}`, 'error');
+  }
+  loadAnalysisCacheStats();
+});
+
+// Stats change while the user browses in other tabs; refresh when the dashboard is shown again
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') {
+    loadAnalysisCacheStats();
+  }
+});
+
+loadAnalysisCacheStats();
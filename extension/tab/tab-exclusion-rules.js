@@ -0,0 +1,154 @@
+// tab-exclusion-rules.js
+// Edits the "never show me" rules (services/ExclusionRules.js); open shopping tabs pick up
+// every change through chrome.storage.onChanged
+
+console.log('🚫 Exclusion rules module loaded');
+
+let exclusionSettings = ExclusionRules.getDefaults();
+
+async function loadExclusionRules() {
+  if (!document.getElementById('exclusionRulesSection')) return;
+
+  try {
+    const result = await chrome.storage.local.get([ExclusionRules.STORAGE_KEY]);
+    exclusionSettings = ExclusionRules.validate(result[ExclusionRules.STORAGE_KEY]).settings;
+  } catch (error) {
+    console.error('Failed to load exclusion rules:', error);
+  }
+
+  document.getElementById('exclusionActionSelect').value = exclusionSettings.action;
+  renderExclusionRules();
+}
+
+function renderExclusionRules() {
+  const list = document.getElementById('exclusionRuleList');
+  list.innerHTML = '';
+
+  exclusionSettings.rules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'adapter-row';
+
+    const label = document.createElement('span');
+    label.textContent = ExclusionRules.describe(rule);
+    row.appendChild(label);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'clear-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      const rules = exclusionSettings.rules.filter((_, i) => i !== index);
+      saveExclusionRules({ ...exclusionSettings, rules }, `Rule removed: ${ExclusionRules.describe(rule)}`);
+    });
+    row.appendChild(removeBtn);
+
+    list.appendChild(row);
+  });
+
+  document.getElementById('exclusionRulesEmpty').style.display = exclusionSettings.rules.length === 0 ? 'block' : 'none';
+}
+
+function populateExclusionRuleTypes() {
+  const select = document.getElementById('exclusionRuleType');
+  if (!select) return;
+
+  Object.entries(ExclusionRules.TYPES).forEach(([type, { label }]) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  updateExclusionRuleInputs();
+}
+
+// Price ceilings take a number and an optional currency; the other rules take words
+function updateExclusionRuleInputs() {
+  const type = document.getElementById('exclusionRuleType').value;
+  const valueInput = document.getElementById('exclusionRuleValue');
+  const isPrice = type === 'maxPrice';
+
+  valueInput.type = isPrice ? 'number' : 'text';
+  valueInput.min = isPrice ? '0' : '';
+  valueInput.placeholder = ExclusionRules.TYPES[type].placeholder;
+  document.getElementById('exclusionRuleCurrency').style.display = isPrice ? '' : 'none';
+}
+
+async function saveExclusionRules(settings, message) {
+  const { valid, errors, settings: validated } = ExclusionRules.validate(settings);
+  if (!valid) {
+    showExclusionRuleResult('error', 'Rules were not saved:', errors);
+    return false;
+  }
+
+  try {
+    await chrome.storage.local.set({ [ExclusionRules.STORAGE_KEY]: validated });
+    exclusionSettings = validated;
+    renderExclusionRules();
+    document.getElementById('exclusionRuleResult').style.display = 'none';
+    showNotification(message, 'success');
+    return true;
+  } catch (error) {
+    console.error('Saving exclusion rules failed:', error);
+    showExclusionRuleResult('error', `Save failed: ${error.message}`);
+    return false;
+  }
+}
+
+function showExclusionRuleResult(type, message, errors = []) {
+  const result = document.getElementById('exclusionRuleResult');
+  result.className = `adapter-import-result ${type}`;
+  result.textContent = message;
+
+  if (errors.length > 0) {
+    const ul = document.createElement('ul');
+    errors.forEach(error => {
+      const li = document.createElement('li');
+      li.textContent = error;
+      ul.appendChild(li);
+    });
+    result.appendChild(ul);
+  }
+
+  result.style.display = 'block';
+}
+
+document.getElementById('exclusionRuleType')?.addEventListener('change', updateExclusionRuleInputs);
+
+document.getElementById('addExclusionRuleBtn')?.addEventListener('click', async () => {
+  const valueInput = document.getElementById('exclusionRuleValue');
+  const currencyInput = document.getElementById('exclusionRuleCurrency');
+  const rule = {
+    type: document.getElementById('exclusionRuleType').value,
+    value: valueInput.value
+  };
+  if (rule.type === 'maxPrice') {
+    rule.currency = currencyInput.value;
+  }
+
+  const result = ExclusionRules.validateRule(rule);
+  if (!result.valid) {
+    showExclusionRuleResult('error', 'Rule not added:', result.errors);
+    return;
+  }
+
+  const rules = [...exclusionSettings.rules, result.rule];
+  if (await saveExclusionRules({ ...exclusionSettings, rules }, `Rule added: ${ExclusionRules.describe(result.rule)}`)) {
+    valueInput.value = '';
+    currencyInput.value = '';
+  }
+});
+
+document.getElementById('exclusionRuleValue')?.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    document.getElementById('addExclusionRuleBtn').click();
+  }
+});
+
+document.getElementById('exclusionActionSelect')?.addEventListener('change', (event) => {
+  const message = event.target.value === 'hide'
+    ? 'Matching products will be hidden'
+    : 'Matching products will get the lowest score';
+  saveExclusionRules({ ...exclusionSettings, action: event.target.value }, message);
+});
+
+populateExclusionRuleTypes();
+loadExclusionRules();
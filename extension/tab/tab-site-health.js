@@ -0,0 +1,82 @@
+// tab-site-health.js
+// Renders the per-site selector health recorded by the content script's SelectorHealthMonitor
+
+console.log('🩺 Site health module loaded');
+
+const SITE_HEALTH_GROUPS = ['productCards', 'productImages', 'price', 'title'];
+
+async function loadSiteHealth() {
+  const rows = document.getElementById('siteHealthRows');
+  if (!rows) return;
+
+  const { selectorHealth = {} } = await chrome.storage.local.get(['selectorHealth']);
+  const entries = Object.values(selectorHealth).sort((a, b) => (b.lastChecked || 0) - (a.lastChecked || 0));
+
+  rows.innerHTML = '';
+  entries.forEach(entry => rows.appendChild(createSiteHealthRow(entry)));
+
+  document.getElementById('siteHealthEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+  document.getElementById('resetSiteHealthBtn').style.display = entries.length === 0 ? 'none' : 'inline-block';
+}
+
+function createSiteHealthRow(entry) {
+  const row = document.createElement('tr');
+
+  const siteCell = document.createElement('td');
+  const name = document.createElement('strong');
+  name.textContent = entry.name || entry.siteId;
+  siteCell.appendChild(name);
+  row.appendChild(siteCell);
+
+  const statusCell = document.createElement('td');
+  const status = document.createElement('span');
+  status.className = `site-health-status ${entry.status}`;
+  status.textContent = entry.status;
+  statusCell.appendChild(status);
+
+  if (entry.reasons?.length > 0) {
+    const reasons = document.createElement('ul');
+    reasons.className = 'site-health-reasons';
+    entry.reasons.forEach(reason => {
+      const li = document.createElement('li');
+      li.textContent = reason;
+      reasons.appendChild(li);
+    });
+    statusCell.appendChild(reasons);
+  }
+  row.appendChild(statusCell);
+
+  SITE_HEALTH_GROUPS.forEach(group => {
+    const cell = document.createElement('td');
+    const rate = entry.hitRates?.[group];
+    cell.textContent = rate === undefined ? '–' : `${Math.round(rate * 100)}%`;
+    row.appendChild(cell);
+  });
+
+  const pagesCell = document.createElement('td');
+  pagesCell.textContent = entry.samples?.length || 0;
+  row.appendChild(pagesCell);
+
+  const checkedCell = document.createElement('td');
+  checkedCell.textContent = entry.lastChecked ? new Date(entry.lastChecked).toLocaleString() : '–';
+  row.appendChild(checkedCell);
+
+  return row;
+}
+
+document.getElementById('resetSiteHealthBtn')?.addEventListener('click', async () => {
+  if (!confirm('Reset recorded site health? History starts again on your next visit.')) return;
+
+  await chrome.storage.local.remove('selectorHealth');
+  showNotification('Site health data reset', 'success');
+  loadSiteHealth();
+});
+
+// Refresh while the dashboard is open and the user browses in another tab
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.selectorHealth) {
+    loadSiteHealth();
+  }
+});
+
+loadSiteHealth();
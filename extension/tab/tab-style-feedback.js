@@ -0,0 +1,117 @@
+// tab-style-feedback.js
+// Shows the preferences learned from thumbs up/down on score badges (services/StyleFeedbackStore.js)
+// and lets the user remove them
+
+console.log('🧠 Style feedback module loaded');
+
+async function loadStyleFeedback() {
+  if (!document.getElementById('styleFeedbackSection')) return;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'getStyleFeedback' });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+
+  if (!response?.success) {
+    console.warn('Failed to load style feedback:', response?.error);
+    return;
+  }
+
+  const { feedback, learned, pending, summaryThreshold } = response;
+  renderLearnedPreferences('learnedLikesList', learned.likes);
+  renderLearnedPreferences('learnedDislikesList', learned.dislikes);
+
+  document.getElementById('styleFeedbackThreshold').textContent = summaryThreshold;
+
+  const likes = feedback.filter(entry => entry.vote === 'like').length;
+  const status = document.getElementById('styleFeedbackStatus');
+  if (feedback.length === 0) {
+    status.textContent = 'No votes yet.';
+  } else {
+    const updated = learned.updatedAt ? ` Last updated ${new Date(learned.updatedAt).toLocaleString()}.` : '';
+    status.textContent = `${feedback.length} vote(s): ${likes} 👍, ${feedback.length - likes} 👎. ${pending} not learned from yet.${updated}`;
+  }
+
+  document.getElementById('summarizeStyleFeedbackBtn').disabled = pending === 0;
+  document.getElementById('clearStyleFeedbackBtn').disabled = feedback.length === 0 && learned.likes.length === 0 && learned.dislikes.length === 0;
+}
+
+function renderLearnedPreferences(listId, entries) {
+  const list = document.getElementById(listId);
+  list.innerHTML = '';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'site-health-empty';
+    empty.textContent = 'Nothing learned yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  entries.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'adapter-row';
+
+    const text = document.createElement('span');
+    text.textContent = entry.text;
+    row.appendChild(text);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'clear-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ action: 'removeLearnedPreference', id: entry.id });
+      if (response?.success) {
+        showNotification('Preference removed', 'success');
+        loadStyleFeedback();
+      } else {
+        showNotification(response?.error || 'Failed to remove preference', 'error');
+      }
+    });
+    row.appendChild(removeBtn);
+
+    list.appendChild(row);
+  });
+}
+
+document.getElementById('summarizeStyleFeedbackBtn')?.addEventListener('click', async () => {
+  const button = document.getElementById('summarizeStyleFeedbackBtn');
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'summarizeStyleFeedback' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    showNotification(`Learned from ${response.summarized} vote(s)`, 'success');
+  } catch (error) {
+    showNotification(`Failed to learn from votes: ${error.message}`, 'error');
+  }
+  loadStyleFeedback();
+});
+
+document.getElementById('clearStyleFeedbackBtn')?.addEventListener('click', async () => {
+  if (!confirm('Forget all your votes and everything learned from them?')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearStyleFeedback' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    showNotification('Votes and learned preferences cleared', 'success');
+  } catch (error) {
+    showNotification(`Failed to clear votes: ${error.message}`, 'error');
+  }
+  loadStyleFeedback();
+});
+
+// Votes arrive from shopping tabs; refresh when the dashboard is shown again
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') {
+    loadStyleFeedback();
+  }
+});
+
+loadStyleFeedback();
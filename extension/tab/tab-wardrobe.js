@@ -839,8 +839,12 @@ async function performMultiPhotoStyleAnalysis(photos) {
     });
 
     if (response.success) {
-      // Parse the AI response into structured data
-      const profileData = parseStyleAnalysisResponse(response.response);
+      // The background validated the response against the style profile schema
+      const profileData = {
+        ...response.profile,
+        generated_at: Date.now(),
+        version: '1.0'
+      };
 
       return {
         success: true,
@@ -1120,99 +1124,6 @@ async function clearWardrobeStyleProfile() {
   console.log('🗑️ Wardrobe style profile cleared!');
 }
 
-// Helper function to parse AI response (reuse from tab.js)
-function parseStyleAnalysisResponse(response) {
-  try {
-    // Clean the response - remove any markdown formatting or extra text
-    let cleanResponse = response.trim();
-    
-    // Remove markdown code blocks if present
-    cleanResponse = cleanResponse.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-    
-    // Find JSON object (look for opening and closing braces)
-    const jsonStart = cleanResponse.indexOf('{');
-    const jsonEnd = cleanResponse.lastIndexOf('}');
-    
-    if (jsonStart === -1 || jsonEnd === -1) {
-      throw new Error('No valid JSON found in AI response');
-    }
-    
-    const jsonString = cleanResponse.substring(jsonStart, jsonEnd + 1);
-    const profileData = JSON.parse(jsonString);
-    
-    // Validate required fields
-    if (!profileData.analysis_summary || !profileData.color_palette || !profileData.style_categories) {
-      throw new Error('Invalid style profile structure');
-    }
-    
-    // Add metadata
-    profileData.generated_at = Date.now();
-    profileData.version = '1.0';
-    
-    console.log('Successfully parsed wardrobe style profile:', profileData);
-    return profileData;
-    
-  } catch (error) {
-    console.error('Failed to parse wardrobe style analysis response:', error);
-    console.log('Raw response:', response);
-    
-    // Return fallback profile
-    return createFallbackProfile(response);
-  }
-}
-
-function createFallbackProfile(rawResponse) {
-  return {
-    analysis_summary: "Style analysis completed, but response formatting needs improvement.",
-    color_palette: {
-      best_colors: ["Classic Navy", "Crisp White", "Soft Gray"],
-      color_reasoning: "These versatile colors work well for most people",
-      avoid_colors: ["Neon colors"]
-    },
-    style_categories: [
-      {
-        name: "Classic",
-        confidence: "medium",
-        description: "Timeless and versatile pieces"
-      },
-      {
-        name: "Casual",
-        confidence: "medium", 
-        description: "Comfortable everyday wear"
-      },
-      {
-        name: "Modern",
-        confidence: "medium",
-        description: "Contemporary styling"
-      }
-    ],
-    body_type_analysis: {
-      silhouettes: ["Tailored", "Relaxed", "Structured"],
-      fits: ["Well-fitted", "Comfortable", "Flattering"],
-      recommendations: "Focus on pieces that make you feel confident"
-    },
-    pattern_preferences: {
-      recommended_patterns: ["Solid colors", "Subtle textures", "Classic stripes"],
-      pattern_reasoning: "Simple patterns are versatile and timeless",
-      avoid_patterns: ["Overly busy prints"]
-    },
-    overall_aesthetic: {
-      keywords: ["Versatile", "Classic", "Confident"],
-      description: "A classic and versatile style that can adapt to different occasions",
-      style_personality: "Confident and adaptable"
-    },
-    shopping_recommendations: {
-      key_pieces: ["Well-fitted jeans", "Classic blazer", "Quality basics"],
-      brands_to_consider: ["Universal brands with good fit"],
-      style_tips: ["Focus on fit", "Invest in quality basics", "Choose versatile pieces"]
-    },
-    generated_at: Date.now(),
-    version: '1.0',
-    fallback: true,
-    raw_response: rawResponse
-  };
-}
-
 // Refresh AI Analysis Button Handler
 document.getElementById('refreshAnalysisBtn')?.addEventListener('click', async () => {
   const btn = document.getElementById('refreshAnalysisBtn');
@@ -392,8 +392,12 @@ async function performMultiPhotoStyleAnalysis(photos) {
         });
 
         if (response.success) {
-            // Parse the AI response into structured data
-            const profileData = parseStyleAnalysisResponse(response.response);
+            // The background validated the response against the style profile schema
+            const profileData = {
+                ...response.profile,
+                generated_at: Date.now(),
+                version: '1.0'
+            };
 
             return {
                 success: true,
@@ -481,99 +485,6 @@ ${photoDescriptions}
 Remember: Respond with ONLY the JSON object, no additional text or formatting.`;
 }
 
-function parseStyleAnalysisResponse(response) {
-    try {
-        // Clean the response - remove any markdown formatting or extra text
-        let cleanResponse = response.trim();
-        
-        // Remove markdown code blocks if present
-        cleanResponse = cleanResponse.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-        
-        // Find JSON object (look for opening and closing braces)
-        const jsonStart = cleanResponse.indexOf('{');
-        const jsonEnd = cleanResponse.lastIndexOf('}');
-        
-        if (jsonStart === -1 || jsonEnd === -1) {
-            throw new Error('No valid JSON found in AI response');
-        }
-        
-        const jsonString = cleanResponse.substring(jsonStart, jsonEnd + 1);
-        const profileData = JSON.parse(jsonString);
-        
-        // Validate required fields
-        if (!profileData.analysis_summary || !profileData.color_palette || !profileData.style_categories) {
-            throw new Error('Invalid style profile structure');
-        }
-        
-        // Add metadata
-        profileData.generated_at = Date.now();
-        profileData.version = '1.0';
-        
-        console.log('Successfully parsed style profile:', profileData);
-        return profileData;
-        
-    } catch (error) {
-        console.error('Failed to parse style analysis response:', error);
-        console.log('Raw response:', response);
-        
-        // Return fallback profile
-        return createFallbackProfile(response);
-    }
-}
-
-function createFallbackProfile(rawResponse) {
-    return {
-        analysis_summary: "Style analysis completed, but response formatting needs improvement.",
-        color_palette: {
-            best_colors: ["Classic Navy", "Crisp White", "Soft Gray"],
-            color_reasoning: "These versatile colors work well for most people and are universally flattering",
-            avoid_colors: ["Neon colors"]
-        },
-        style_categories: [
-            {
-                name: "Classic",
-                confidence: "medium",
-                description: "Timeless and versatile pieces that work with many body types"
-            },
-            {
-                name: "Casual",
-                confidence: "medium",
-                description: "Comfortable everyday wear that suits most lifestyles"
-            },
-            {
-                name: "Modern",
-                confidence: "medium",
-                description: "Contemporary styling with universal appeal"
-            }
-        ],
-        body_type_analysis: {
-            observed_features: ["Unable to analyze - using defaults"],
-            silhouettes: ["Tailored", "Relaxed", "Structured"],
-            fits: ["Well-fitted", "Comfortable", "Flattering"],
-            recommendations: "Focus on pieces that make you feel confident and comfortable. Try different silhouettes to find what works best for your body type."
-        },
-        pattern_preferences: {
-            recommended_patterns: ["Solid colors", "Subtle textures", "Classic stripes"],
-            pattern_reasoning: "Simple patterns are versatile and tend to be universally flattering",
-            avoid_patterns: ["Overly busy prints"]
-        },
-        overall_aesthetic: {
-            keywords: ["Versatile", "Classic", "Confident"],
-            description: "A classic and versatile style that can adapt to different occasions and body types",
-            style_personality: "Confident and adaptable"
-        },
-        shopping_recommendations: {
-            key_pieces: ["Well-fitted jeans", "Classic blazer", "Quality basics"],
-            brands_to_consider: ["Universal brands with good fit"],
-            style_tips: ["Focus on fit and comfort", "Invest in quality basics", "Choose versatile pieces that can be mixed and matched"]
-        },
-        generated_at: Date.now(),
-        version: '1.0',
-        fallback: true,
-        raw_response: rawResponse
-    };
-}
-
 function displayStyleProfile(profile) {
     const analysisContent = document.getElementById('analysisContent');
     
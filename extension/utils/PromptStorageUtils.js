@@ -4,11 +4,12 @@
  */
 
 /**
- * Save user prompt and switch to prompt mode
+ * Save user prompt and switch to prompt (or combined) mode
  * @param {string} prompt - User's search prompt
+ * @param {string} [mode='prompt'] - 'prompt' or 'combined' (prompt rank blended with the style score)
  * @returns {Promise<void>}
  */
-export async function saveUserPrompt(prompt) {
+export async function saveUserPrompt(prompt, mode = 'prompt') {
     if (!prompt || typeof prompt !== 'string') {
         throw new Error('Invalid prompt: must be a non-empty string');
     }
@@ -25,10 +26,14 @@ export async function saveUserPrompt(prompt) {
 
     console.log('[PromptStorage] Saving user prompt:', trimmedPrompt);
 
+    if (mode !== 'prompt' && mode !== 'combined') {
+        throw new Error('Invalid ranking mode: must be "prompt" or "combined"');
+    }
+
     // Save prompt and switch to prompt mode
     await chrome.storage.local.set({
         userPrompt: trimmedPrompt,
-        rankingMode: 'prompt'
+        rankingMode: mode
     });
 
     // Update recent prompts list (keep last 5 unique prompts)
@@ -97,7 +102,7 @@ export async function getUserPrompt() {
 
 /**
  * Get current ranking mode
- * @returns {Promise<string>} 'style' or 'prompt'
+ * @returns {Promise<string>} 'style', 'prompt', 'combined' or 'off'
  */
 export async function getRankingMode() {
     const { rankingMode = 'style' } = await chrome.storage.local.get(['rankingMode']);
@@ -125,6 +130,31 @@ export async function setRankingMode(mode) {
     }
 }
 
+/**
+ * Get the share of the search rank in combined mode
+ * @returns {Promise<number>} 0 (style only) to 1 (search only), 0.5 by default
+ */
+export async function getCombinedSearchWeight() {
+    const { combinedSearchWeight = 0.5 } = await chrome.storage.local.get(['combinedSearchWeight']);
+    return combinedSearchWeight;
+}
+
+/**
+ * Set the share of the search rank in combined mode
+ * @param {number} weight - 0 (style only) to 1 (search only)
+ * @returns {Promise<void>}
+ */
+export async function setCombinedSearchWeight(weight) {
+    const value = Number(weight);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error('Invalid combined search weight: must be between 0 and 1');
+    }
+
+    console.log('[PromptStorage] Setting combined search weight to:', value);
+
+    await chrome.storage.local.set({ combinedSearchWeight: value });
+}
+
 /**
  * Get recent prompts
  * @returns {Promise<string[]>} Array of recent prompts (max 5)
@@ -197,6 +227,8 @@ if (typeof window !== 'undefined') {
         getUserPrompt,
         getRankingMode,
         setRankingMode,
+        getCombinedSearchWeight,
+        setCombinedSearchWeight,
         getRecentPrompts,
         getPromptHistory,
         clearUserPrompt,
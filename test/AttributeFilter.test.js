@@ -0,0 +1,69 @@
+// AttributeFilter.test.js
+// Outfit matching stage 1 end to end: AttributeFilter -> background 'filterWardrobeItems'
+// -> wardrobe provider (Prompt API fake by default).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, loadFixture } = require('./harness/ExtensionHarness');
+
+const wardrobe = loadFixture('wardrobe.json');
+const FILTER_PROMPT = 'initial outfit compatibility screening';
+
+function setup(filterResponse) {
+  const extension = createTestExtension({
+    fixtures: [{ name: 'wardrobe filter', match: FILTER_PROMPT, response: filterResponse }]
+  });
+  extension.loadBackground();
+  const AttributeFilter = extension.requireService('services/AttributeFilter.js');
+  return { extension, filter: new AttributeFilter() };
+}
+
+test('maps the shortlisted indices back to wardrobe items', async () => {
+  const { extension, filter } = setup(wardrobe.responses.filter);
+
+  const shortlist = await filter.filterByAttributes(wardrobe.product, wardrobe.items);
+
+  assert.deepEqual(shortlist.map(item => item.id), ['light-jeans', 'white-sneakers', 'camel-trench']);
+
+  const [call] = extension.models.chrome.calls;
+  assert.match(call.text, /Category: top/);
+  assert.match(call.text, /\[4\] N\/A:[\s\S]*Is Clothing: NO - not a clothing item/);
+  assert.equal(call.responseConstraint.properties.shortlist.items.maximum, wardrobe.items.length - 1);
+});
+
+test('serves a repeated request from its cache', async () => {
+  const { extension, filter } = setup(wardrobe.responses.filter);
+
+  await filter.filterByAttributes(wardrobe.product, wardrobe.items);
+  const again = await filter.filterByAttributes(wardrobe.product, wardrobe.items);
+
+  assert.equal(again.length, 3);
+  assert.equal(extension.models.chrome.calls.length, 1);
+
+  filter.clearCache();
+  await filter.filterByAttributes(wardrobe.product, wardrobe.items);
+  assert.equal(extension.models.chrome.calls.length, 2);
+});
+
+test('falls back to category rules when the model invents an item', async () => {
+  const { extension, filter } = setup({ ...wardrobe.responses.filter, shortlist: [1, 2, 9] });
+
+  const shortlist = await filter.filterByAttributes(wardrobe.product, wardrobe.items);
+
+  // Fallback for a top: bottoms, shoes and outerwear; never the other top or the cat photo
+  assert.deepEqual(shortlist.map(item => item.id), ['light-jeans', 'white-sneakers', 'camel-trench']);
+  assert.ok(extension.backgroundConsole.entries.some(entry =>
+    entry.level === 'error' && entry.message.includes('shortlist[2]: must be at most 4, got 9')));
+});
+
+test('returns an empty shortlist when the model is unavailable', async () => {
+  const extension = createTestExtension({ languageModel: { availability: 'unavailable' } });
+  extension.loadBackground();
+  const AttributeFilter = extension.requireService('services/AttributeFilter.js');
+
+  const shortlist = await new AttributeFilter().filterByAttributes(wardrobe.product, wardrobe.items);
+
+  assert.deepEqual(shortlist, []);
+  assert.equal(extension.models.chrome.calls.length, 0);
+});
@@ -0,0 +1,61 @@
+// BlendedRanker.test.js
+// Combined ranking mode: the style score (1-10) and the search rank (1-3) blended into
+// one 1-10 score with the user's weight.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const style = { score: 8, reason: 'Camel suits the warm palette.', breakdown: { color: 9, silhouette: 8, pattern: 7, aesthetic: 8 } };
+const maybe = { rank: 2, reason: 'Trousers, but cotton rather than linen.' };
+
+async function loadBlendedRanker() {
+  const extension = createTestExtension();
+  const { BlendedRanker } = await extension.importContent('content/ai/BlendedRanker.js');
+  return BlendedRanker;
+}
+
+test('blends both scores with the search weight and keeps both reasons', async () => {
+  const BlendedRanker = await loadBlendedRanker();
+  const ranker = new BlendedRanker();
+
+  const blended = ranker.blend(style, maybe);
+
+  // 0.5 * 8 + 0.5 * 5 (MAYBE) = 6.5
+  assert.equal(blended.score, 7);
+  assert.deepEqual(blended.style, style);
+  assert.deepEqual(blended.search, { rank: 2, score: 5, reason: maybe.reason });
+
+  ranker.setSearchWeight(0.8);
+  // 0.2 * 8 + 0.8 * 5 = 5.6
+  assert.equal(ranker.blend(style, maybe).score, 6);
+  // 0.2 * 8 + 0.8 * 10 (YES) = 9.6
+  assert.equal(ranker.blend(style, { rank: 3, reason: 'Linen trousers.' }).score, 10);
+});
+
+test('a missing component leaves the other one as the score', async () => {
+  const BlendedRanker = await loadBlendedRanker();
+  const ranker = new BlendedRanker(0.3);
+
+  assert.equal(ranker.blend(null, { rank: 1, reason: 'A dress.' }).score, 1);
+  assert.equal(ranker.blend(style, null).score, 8);
+  assert.equal(ranker.blend(null, null), null);
+
+  // A failed analysis carries no score and must not be blended as one
+  const failed = { score: null, reason: 'Analysis error - The model crashed' };
+  assert.equal(ranker.blend(failed, { rank: 3, reason: 'Linen trousers.' }).score, 10);
+  assert.equal(ranker.blend(failed, null), null);
+});
+
+test('weights are clamped to 0-1, invalid weights fall back to the default', async () => {
+  const BlendedRanker = await loadBlendedRanker();
+  const ranker = new BlendedRanker();
+
+  ranker.setSearchWeight(1.5);
+  assert.equal(ranker.searchWeight, 1);
+  assert.equal(ranker.blend(style, maybe).score, 5);
+
+  ranker.setSearchWeight('heavy');
+  assert.equal(ranker.searchWeight, BlendedRanker.DEFAULT_SEARCH_WEIGHT);
+});
@@ -0,0 +1,90 @@
+// Cancellation.test.js
+// Aborting analyses: queued and running prompts stop at once, their model sessions are
+// released and nothing is cached; the background cancels the provider call behind a
+// request when the page sends 'cancelRequests'.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, createProductImage, loadFixture } = require('./harness/ExtensionHarness');
+
+const styleProfile = loadFixture('style-profile.json');
+const productScores = loadFixture('product-scores.json');
+
+// Long enough that only the abort can end the prompts
+const LATENCY_MS = 5000;
+
+function product(name, variant = '') {
+  const slug = name.toLowerCase().replace(/\s+/g, '-') + variant;
+  return {
+    image: createProductImage(`https://cdn.shop.example/products/${slug}.jpg?w=640`, { alt: name }),
+    data: { name, url: `https://shop.example/p/${slug}`, price: 89, currency: 'EUR' }
+  };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('aborting cancels running and queued analyses and releases their sessions', async () => {
+  const extension = createTestExtension({ fixtures: productScores, languageModel: { latencyMs: LATENCY_MS } });
+  extension.loadBackground();
+  const { PersonalStyleMatcher } = await extension.importContent('content/ai/PersonalStyleMatcher.js');
+  const matcher = new PersonalStyleMatcher();
+  await matcher.initialize();
+
+  // One more product than the session manager runs at once, so one waits in the queue
+  const products = ['Navy Wool Blazer', 'Neon Orange Crop Top', 'Navy Wool Blazer']
+    .map((name, index) => product(name, `-${index}`));
+  const controller = new AbortController();
+
+  const startedAt = Date.now();
+  const pending = products.map(item =>
+    matcher.analyzeProduct(item.image, styleProfile, { productData: item.data, productId: item.data.url, signal: controller.signal })
+  );
+  await delay(50);
+  assert.equal(extension.models.chrome.active, matcher.sessionManager.maxConcurrency);
+
+  controller.abort(new DOMException('Style mode turned off', 'AbortError'));
+  const results = await Promise.all(pending);
+
+  assert.ok(Date.now() - startedAt < LATENCY_MS, 'the prompts did not run to completion');
+  assert.deepEqual(results.map(result => result.method), ['cancelled', 'cancelled', 'cancelled']);
+  assert.equal(results[0].score, null);
+  assert.equal(matcher.sessionManager.getStats().cancelled, 3);
+  assert.equal(extension.models.chrome.calls.length, matcher.sessionManager.maxConcurrency, 'the queued product never reached the model');
+  assert.equal(extension.languageModel.getOpenSessions().length, 1, 'only the primed base session stays open');
+  assert.equal(matcher.getCacheStats().size, 0, 'cancelled results are not cached');
+
+  // Already aborted: nothing is started at all
+  const skipped = await matcher.analyzeProduct(products[0].image, styleProfile, { productData: products[0].data, productId: products[0].data.url, signal: controller.signal });
+  assert.equal(skipped.method, 'cancelled');
+  assert.equal(extension.models.chrome.calls.length, matcher.sessionManager.maxConcurrency);
+});
+
+test('the background cancels a provider prompt by its requestId', async () => {
+  const extension = createTestExtension({
+    fixtures: [{ name: 'slow answer', match: 'Describe this outfit', response: { ok: true }, latencyMs: LATENCY_MS }]
+  });
+  extension.loadBackground();
+  const send = (message) => extension.chrome.runtime.sendMessage(message);
+
+  const pending = send({
+    action: 'aiProviderPrompt',
+    task: 'styleScoring',
+    requestId: 'request-1',
+    request: { text: 'Describe this outfit', images: [] }
+  });
+  await delay(50);
+
+  const cancel = await send({ action: 'cancelRequests', requestIds: ['request-1', 'unknown'], reason: 'Navigated to another page' });
+  assert.deepEqual(cancel, { success: true, cancelled: 1 });
+
+  const result = await pending;
+  assert.equal(result.success, false);
+  assert.equal(result.aborted, true);
+  assert.equal(result.error, 'Navigated to another page');
+  assert.equal(result.attempts, 1, 'a cancelled prompt is not retried');
+  assert.equal(extension.models.chrome.calls.length, 1);
+
+  // Settled requests are forgotten
+  assert.deepEqual(await send({ action: 'cancelRequests', requestIds: ['request-1'] }), { success: true, cancelled: 0 });
+});
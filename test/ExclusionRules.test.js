@@ -0,0 +1,78 @@
+// ExclusionRules.test.js
+// "Never show me" rules from the dashboard, checked against the product metadata and the
+// model's description of the photo.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const cropTop = {
+  name: 'Neon Orange Cropped Graphic Tee',
+  brand: 'Fastfash',
+  price: 19.99,
+  currency: 'EUR',
+  colour: 'Orange',
+  material: '100% Polyester'
+};
+
+function loadExclusionRules() {
+  const extension = createTestExtension();
+  return extension.requireService('services/ExclusionRules.js');
+}
+
+test('matches metadata by whole words, and the description once it is known', () => {
+  const ExclusionRules = loadExclusionRules();
+  const { settings } = ExclusionRules.validate({
+    action: 'hide',
+    rules: [
+      { type: 'colour', value: 'red' },
+      { type: 'neckline', value: 'Halter' },
+      { type: 'material', value: 'polyester' }
+    ]
+  });
+
+  const rule = ExclusionRules.match(settings, cropTop);
+  assert.deepEqual(rule, { type: 'material', value: 'polyester' });
+  assert.equal(ExclusionRules.describe(rule), 'Material: polyester');
+
+  // "red" is not a word of "Shredded"
+  const jeans = { name: 'Shredded Straight Jeans', colour: 'Blue' };
+  assert.equal(ExclusionRules.match(settings, jeans), null);
+
+  // Necklines are rarely in the metadata; the description can match later
+  const dress = { name: 'Linen Midi Dress' };
+  assert.equal(ExclusionRules.match(settings, dress), null);
+  assert.equal(ExclusionRules.match(settings, dress, 'A sand linen midi dress with a halter-neck and tie back.').type, 'neckline');
+});
+
+test('price ceilings match higher prices in the same currency', () => {
+  const ExclusionRules = loadExclusionRules();
+  const { settings } = ExclusionRules.validate({ rules: [{ type: 'maxPrice', value: '15', currency: 'eur' }] });
+
+  assert.equal(settings.action, 'minScore');
+  assert.equal(ExclusionRules.describe(settings.rules[0]), 'Price above 15 EUR');
+  assert.equal(ExclusionRules.match(settings, cropTop).type, 'maxPrice');
+  assert.equal(ExclusionRules.match(settings, { ...cropTop, price: 12 }), null);
+  assert.equal(ExclusionRules.match(settings, { ...cropTop, currency: 'USD' }), null);
+  assert.equal(ExclusionRules.match(settings, { ...cropTop, price: null }), null);
+});
+
+test('invalid rules are reported and dropped, duplicates merged', () => {
+  const ExclusionRules = loadExclusionRules();
+  const result = ExclusionRules.validate({
+    action: 'delete',
+    rules: [
+      { type: 'brand', value: 'Fastfash' },
+      { type: 'brand', value: ' fastfash ' },
+      { type: 'maxPrice', value: 'cheap' },
+      { type: 'sleeve', value: 'short' },
+      { type: 'colour', value: '  ' }
+    ]
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.settings.action, 'minScore');
+  assert.deepEqual(result.settings.rules, [{ type: 'brand', value: 'Fastfash' }]);
+  assert.deepEqual(result.errors.map(error => error.split(':')[0]), ['action', 'rules[2].value', 'rules[3].type', 'rules[4].value']);
+});
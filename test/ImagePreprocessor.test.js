@@ -0,0 +1,93 @@
+// ImagePreprocessor.test.js
+// Product photos before prompting: plain borders are trimmed, the garment is cropped out
+// of a plain background (text overlays left out), lifestyle photos are only downscaled.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const STUDIO_GREY = [235, 235, 235];
+const NAVY = [40, 60, 120];
+const BLACK = [20, 20, 20];
+
+// RGBA thumbnail of a background with filled rectangles, as readThumbnail() returns it
+function thumbnail(width, height, background, shapes = []) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const shape = shapes.find(s => x >= s.x && x < s.x + s.width && y >= s.y && y < s.y + s.height);
+      const color = typeof background === 'function' ? background(x, y) : background;
+      data.set([...(shape ? shape.color : color), 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+async function loadImagePreprocessor() {
+  const extension = createTestExtension();
+  const { ImagePreprocessor } = await extension.importContent('content/ai/ImagePreprocessor.js');
+  return ImagePreprocessor;
+}
+
+test('trims plain borders and downscales to the model input size', async () => {
+  const ImagePreprocessor = await loadImagePreprocessor();
+  // A navy jacket filling the middle of a white 2000x2000 photo
+  const pixels = thumbnail(96, 96, [255, 255, 255], [{ x: 24, y: 12, width: 48, height: 72, color: NAVY }]);
+
+  assert.deepEqual(ImagePreprocessor.findContentBounds(pixels), { x: 24, y: 12, width: 48, height: 72 });
+
+  const transform = new ImagePreprocessor().plan(pixels, 2000, 2000);
+  assert.equal(transform.applied, true);
+  assert.equal(transform.trimmed, true);
+  assert.equal(transform.cropped, false, 'the trim already fits the garment');
+  assert.deepEqual(transform.region, { x: 500, y: 250, width: 1000, height: 1500 });
+  assert.equal(transform.outputHeight, 768);
+  assert.equal(transform.outputWidth, 512);
+  assert.match(ImagePreprocessor.describe(transform), /^2000x2000 → trim 1000x1500 at 500,250 → 512x768$/);
+});
+
+test('crops to the garment and leaves a text overlay out', async () => {
+  const ImagePreprocessor = await loadImagePreprocessor();
+  const pixels = thumbnail(96, 96, STUDIO_GREY, [
+    { x: 36, y: 20, width: 24, height: 50, color: NAVY },   // garment
+    { x: 10, y: 88, width: 30, height: 4, color: BLACK }    // "NEW IN" caption
+  ]);
+
+  // The caption stops the trim at the bottom and on the left
+  assert.deepEqual(ImagePreprocessor.findContentBounds(pixels), { x: 10, y: 20, width: 50, height: 72 });
+
+  const crop = ImagePreprocessor.findGarmentBounds(pixels, ImagePreprocessor.findContentBounds(pixels));
+  assert.ok(crop.y + crop.height < 88, 'the caption is outside the crop');
+  assert.ok(crop.x <= 36 && crop.x + crop.width >= 60, 'the whole garment is inside');
+  assert.ok(crop.y <= 20 && crop.y + crop.height >= 70);
+
+  const transform = new ImagePreprocessor().plan(pixels, 960, 960);
+  assert.equal(transform.cropped, true);
+  assert.equal(transform.scale, 1, 'small enough already');
+
+  const uncropped = new ImagePreprocessor({ cropToGarment: false }).plan(pixels, 960, 960);
+  assert.equal(uncropped.cropped, false);
+  assert.deepEqual(uncropped.region, { x: 100, y: 200, width: 500, height: 720 });
+});
+
+test('keeps lifestyle photos whole and only downscales them', async () => {
+  const ImagePreprocessor = await loadImagePreprocessor();
+  // Busy street scene: no plain border, no plain background
+  const noise = (x, y) => {
+    const value = (x * 73 + y * 151 + x * y * 7) % 256;
+    return [value, (value * 3) % 256, (value * 5) % 256];
+  };
+  const pixels = thumbnail(64, 96, noise, [{ x: 20, y: 30, width: 24, height: 40, color: NAVY }]);
+
+  const transform = new ImagePreprocessor().plan(pixels, 1200, 1800);
+  assert.equal(transform.trimmed, false);
+  assert.equal(transform.cropped, false);
+  assert.deepEqual(transform.region, { x: 0, y: 0, width: 1200, height: 1800 });
+  assert.equal(transform.outputWidth, 512);
+  assert.equal(transform.outputHeight, 768);
+
+  // Photos already within the input size need nothing at all
+  const small = new ImagePreprocessor().plan(thumbnail(64, 96, noise), 400, 600);
+  assert.equal(small.applied, false);
+});
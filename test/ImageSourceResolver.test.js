@@ -0,0 +1,53 @@
+// ImageSourceResolver.test.js
+// srcset parsing: candidates are split as the HTML spec does, so minified markup and URLs
+// with commas keep every candidate and its descriptor.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const BASE = 'https://shop.example/women/jackets';
+
+async function loadImageSourceResolver() {
+  const extension = createTestExtension({ pageUrl: BASE });
+  const { ImageSourceResolver } = await extension.importContent('content/utils/ImageSourceResolver.js');
+  return ImageSourceResolver;
+}
+
+test('parses srcset candidates with and without a space after the comma', async () => {
+  const ImageSourceResolver = await loadImageSourceResolver();
+
+  const minified = ImageSourceResolver.parseSrcset('a.jpg 320w,b.jpg 1280w', BASE);
+  assert.deepEqual(minified, [
+    { url: 'https://shop.example/women/a.jpg', width: 320, density: 0 },
+    { url: 'https://shop.example/women/b.jpg', width: 1280, density: 0 }
+  ]);
+  assert.equal(ImageSourceResolver.pickLargest(minified).url, 'https://shop.example/women/b.jpg');
+
+  const spaced = ImageSourceResolver.parseSrcset(' /a.jpg 1x ,\n /b.jpg 2x ', BASE);
+  assert.deepEqual(spaced.map(c => [c.url, c.density]), [
+    ['https://shop.example/a.jpg', 1],
+    ['https://shop.example/b.jpg', 2]
+  ]);
+});
+
+test('keeps commas inside URLs and accepts candidates without descriptors', async () => {
+  const ImageSourceResolver = await loadImageSourceResolver();
+
+  const candidates = ImageSourceResolver.parseSrcset(
+    'https://cdn.example/w_400,h_600/coat.jpg 400w,https://cdn.example/w_800,h_1200/coat.jpg 800w',
+    BASE
+  );
+  assert.deepEqual(candidates.map(c => [c.url, c.width]), [
+    ['https://cdn.example/w_400,h_600/coat.jpg', 400],
+    ['https://cdn.example/w_800,h_1200/coat.jpg', 800]
+  ]);
+
+  // "coat.jpg," ends at its trailing comma (without the space it would be one URL, as in the spec)
+  const bare = ImageSourceResolver.parseSrcset('coat.jpg, coat@2x.jpg 2x', BASE);
+  assert.deepEqual(bare.map(c => [c.url, c.density]), [
+    ['https://shop.example/women/coat.jpg', 1],
+    ['https://shop.example/women/coat@2x.jpg', 2]
+  ]);
+});
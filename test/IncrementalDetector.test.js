@@ -0,0 +1,231 @@
+// IncrementalDetector.test.js
+// Keeping detection in sync with the page: every search root is observed (document, open
+// shadow roots, same-origin frames, including ones added or loaded later), and lazy image
+// source changes are handed on for analysis.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Minimal DOM: elements, shadow roots and documents with capture load listeners and a tree walker
+class FakeNode {
+  constructor(nodeType, tagName, children = []) {
+    this.nodeType = nodeType;
+    this.tagName = tagName;
+    this.parent = null;
+    this.children = [];
+    this.listeners = [];
+    this.shadowRoot = null;
+    this.contentDocument = null;
+    this.className = '';
+    this.style = {};
+    this.isConnected = true;
+    children.forEach(child => this.append(child));
+  }
+
+  get ownerDocument() {
+    return this.nodeType === 9 ? null : walkerHost;
+  }
+
+  append(child) {
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parent) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  addEventListener(type, listener) { this.listeners.push({ type, listener }); }
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(entry => entry.type !== type || entry.listener !== listener);
+  }
+
+  dispatchLoad(target) {
+    this.listeners.filter(entry => entry.type === 'load').forEach(entry => entry.listener({ target }));
+  }
+
+  createTreeWalker(root) {
+    return walkerHost.createTreeWalker(root);
+  }
+}
+
+const walkerHost = {
+  createTreeWalker(root) {
+    const descendants = [];
+    const visit = (node) => node.children.forEach(child => { descendants.push(child); visit(child); });
+    visit(root);
+    let index = 0;
+    return { nextNode: () => descendants[index++] || null };
+  }
+};
+
+const element = (tagName, children) => new FakeNode(1, tagName, children);
+const shadowRoot = (children) => new FakeNode(11, undefined, children);
+
+function fakeDocument(body) {
+  const doc = new FakeNode(9);
+  doc.documentElement = doc.append(element('HTML', [body]));
+  doc.body = body;
+  return doc;
+}
+
+function withShadow(host, root) {
+  host.shadowRoot = root;
+  root.host = host;
+  return host;
+}
+
+class FakeMutationObserver {
+  static instances = [];
+
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = [];
+    FakeMutationObserver.instances.push(this);
+  }
+
+  observe(target, options) { this.targets.push({ target, options }); }
+  disconnect() { this.targets = []; }
+
+  report(mutations) { this.callback(mutations); }
+}
+
+async function setup() {
+  const extension = createTestExtension();
+  const { IncrementalDetector } = await extension.importContent('content/detection/IncrementalDetector.js');
+  const { DeepQuery } = await extension.importContent('content/utils/DeepQuery.js');
+  IncrementalDetector.SETTLE_DELAY_MS = 10;
+  DeepQuery.rootsCache = null; // Each test builds a new page
+
+  const gridImage = element('IMG');
+  const grid = withShadow(element('PRODUCT-GRID'), shadowRoot([gridImage]));
+  const frame = element('IFRAME');
+  frame.contentDocument = fakeDocument(element('BODY', [element('IMG')]));
+  const page = fakeDocument(element('BODY', [grid, frame]));
+
+  Object.assign(globalThis, {
+    document: page,
+    Node: { ELEMENT_NODE: 1, DOCUMENT_NODE: 9, DOCUMENT_FRAGMENT_NODE: 11 },
+    NodeFilter: { SHOW_ELEMENT: 1 },
+    MutationObserver: FakeMutationObserver
+  });
+
+  const calls = { detected: [], sourceChanges: [], released: 0 };
+  const contentScript = {
+    detectInSubtrees: async (roots) => { calls.detected.push(roots); },
+    releaseRemovedProducts: () => { calls.released++; },
+    handleImageSourceChanges: (elements) => { calls.sourceChanges.push(elements); }
+  };
+
+  const detector = new IncrementalDetector(contentScript);
+  detector.start();
+  const observer = FakeMutationObserver.instances.at(-1);
+  return { detector, observer, calls, page, grid, gridImage, frame };
+}
+
+test('observes the document, open shadow roots and frame documents', async () => {
+  const { detector, observer, page, grid, frame } = await setup();
+
+  assert.deepEqual(observer.targets.map(entry => entry.target), [
+    page.documentElement,
+    grid.shadowRoot,
+    frame.contentDocument.documentElement
+  ]);
+  assert.ok(observer.targets.every(entry => entry.options.subtree && entry.options.childList));
+  assert.ok(!observer.targets[0].options.attributeFilter.some(name => name.startsWith('data-ai-style')),
+    'the extension\'s own annotations are not observed');
+
+  detector.stop();
+  assert.equal(page.listeners.length, 0, 'load listeners are removed');
+  assert.equal(detector.observedRoots.size, 0);
+});
+
+test('picks up shadow roots and frames that appear later', async () => {
+  const { observer, calls, page, frame } = await setup();
+
+  // A web component rendered after the first pass
+  const lateImage = element('IMG');
+  const lateGrid = withShadow(element('PRODUCT-GRID'), shadowRoot([lateImage]));
+  page.body.append(lateGrid);
+  observer.report([{ type: 'childList', addedNodes: [lateGrid], removedNodes: [] }]);
+  await delay(30);
+
+  assert.deepEqual(calls.detected, [[lateGrid]]);
+  assert.ok(observer.targets.some(entry => entry.target === lateGrid.shadowRoot));
+
+  // The quick-view iframe navigates: its new document is observed and scanned
+  const quickView = fakeDocument(element('BODY', [element('IMG')]));
+  frame.contentDocument = quickView;
+  page.dispatchLoad(frame);
+  await delay(30);
+
+  assert.deepEqual(calls.detected[1], [quickView.documentElement]);
+  assert.ok(observer.targets.some(entry => entry.target === quickView.documentElement));
+  assert.ok(quickView.listeners.some(entry => entry.type === 'load'));
+});
+
+test('reports lazy image sources and image loads, ignoring style animations', async () => {
+  const { observer, calls, page, grid, gridImage } = await setup();
+
+  observer.report([
+    { type: 'attributes', target: gridImage, attributeName: 'data-src' },
+    { type: 'attributes', target: grid, attributeName: 'style' }
+  ]);
+  await delay(30);
+  assert.deepEqual(calls.sourceChanges, [[gridImage]]);
+  assert.equal(calls.detected.length, 0, 'source changes alone run no detection');
+
+  // The page's listener would only see the shadow host; the shadow root's own listener sees the image
+  grid.shadowRoot.dispatchLoad(gridImage);
+  await delay(30);
+  assert.deepEqual(calls.sourceChanges[1], [gridImage]);
+
+  // Background images set by a lazy loader count; other inline style changes do not
+  grid.style.backgroundImage = 'url("https://cdn.shop.example/grid.jpg")';
+  observer.report([{ type: 'attributes', target: grid, attributeName: 'style' }]);
+  await delay(30);
+  assert.deepEqual(calls.sourceChanges[2], [grid]);
+  assert.equal(page.listeners.length, 1);
+});
+
+test('tells listeners when a preloaded image turns out to be real', async () => {
+  const extension = createTestExtension();
+  const { ImageSourceResolver } = await extension.importContent('content/utils/ImageSourceResolver.js');
+
+  const ready = [];
+  const remove = ImageSourceResolver.onReady(url => ready.push(url));
+
+  // The harness Image loads everything as 1x1, which is a placeholder: no notification
+  assert.equal(await ImageSourceResolver.preload('https://cdn.shop.example/pixel.jpg'), false);
+  assert.deepEqual(ready, []);
+
+  const RealImage = globalThis.Image;
+  globalThis.Image = class extends RealImage {
+    set src(value) {
+      setTimeout(() => {
+        this.naturalWidth = 640;
+        this.naturalHeight = 960;
+        this.onload?.();
+      }, 0);
+    }
+  };
+  try {
+    assert.equal(await ImageSourceResolver.preload('https://cdn.shop.example/coat.jpg'), true);
+    assert.deepEqual(ready, ['https://cdn.shop.example/coat.jpg']);
+    assert.equal(ImageSourceResolver.preloadState.get('https://cdn.shop.example/coat.jpg'), 'loaded');
+
+    remove();
+    await ImageSourceResolver.preload('https://cdn.shop.example/dress.jpg');
+    assert.equal(ready.length, 1, 'removed listeners are not called');
+  } finally {
+    globalThis.Image = RealImage;
+  }
+});
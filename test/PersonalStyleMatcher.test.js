@@ -0,0 +1,152 @@
+// PersonalStyleMatcher.test.js
+// Product scoring end to end: matcher -> session manager -> Prompt API (fake), and with a
+// remote provider matcher -> background -> Gemini API (fake). Product images are
+// cross-origin, so they are fetched through the background as in the browser.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, createProductImage, loadFixture } = require('./harness/ExtensionHarness');
+
+const styleProfile = loadFixture('style-profile.json');
+const productScores = loadFixture('product-scores.json');
+
+function product(name, variant = '') {
+  const slug = name.toLowerCase().replace(/\s+/g, '-') + variant;
+  return {
+    image: createProductImage(`https://cdn.shop.example/products/${slug}.jpg?w=640`, { alt: name }),
+    data: { name, url: `https://shop.example/p/${slug}`, price: 89, currency: 'EUR' }
+  };
+}
+
+async function setup(options = {}) {
+  const extension = createTestExtension({ fixtures: productScores, ...options });
+  extension.loadBackground();
+  const { PersonalStyleMatcher } = await extension.importContent('content/ai/PersonalStyleMatcher.js');
+  return { extension, matcher: new PersonalStyleMatcher() };
+}
+
+test('scores a product from the weighted sub-scores of the model', async () => {
+  const { extension, matcher } = await setup();
+  const blazer = product('Navy Wool Blazer');
+
+  const result = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+
+  assert.equal(result.success, true);
+  assert.equal(result.method, 'ai_analysis');
+  assert.deepEqual(result.breakdown, { color: 9, silhouette: 8, pattern: 7, aesthetic: 9 });
+  // 0.3 * 9 + 0.3 * 8 + 0.15 * 7 + 0.25 * 9 = 8.4
+  assert.equal(result.score, 8);
+  assert.match(result.description, /navy wool blazer/i);
+
+  const [call] = extension.models.chrome.calls;
+  assert.equal(call.fixture, 'navy wool blazer');
+  assert.equal(call.images, 1, 'the product image is sent with the prompt');
+  assert.match(call.text, /Best colors that flatter the user: navy, olive green, camel, cream, rust/);
+  assert.deepEqual(call.responseConstraint.required, ['breakdown', 'reason', 'description']);
+
+  // The shared instructions come from the primed base session, once, ahead of the product prompt
+  const [baseSession] = extension.languageModel.sessions;
+  assert.equal(baseSession.options.initialPrompts[0].role, 'system');
+  assert.match(call.text, /^You are a fashion assistant/);
+  assert.equal(call.text.split('Answer with one JSON object').length, 2);
+
+  assert.equal(extension.fetch.getRequests('image').length, 1, 'image fetched by the background');
+  assert.equal(extension.languageModel.getOpenSessions().length, 1, 'only the primed base session stays open');
+});
+
+test('re-weighting rescores cached results without another model call', async () => {
+  const { extension, matcher } = await setup();
+  const blazer = product('Navy Wool Blazer');
+
+  const first = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+  matcher.setScoreWeights({ color: 0, silhouette: 0, pattern: 1, aesthetic: 0 });
+  const cached = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+
+  assert.equal(cached.fromCache, true);
+  assert.equal(cached.score, 7);
+  assert.equal(extension.models.chrome.calls.length, 1);
+  assert.ok(first.imageTransform);
+  assert.deepEqual(cached.imageTransform, first.imageTransform, 'the cache keeps what the model was shown');
+});
+
+test('reports sub-scores outside 1-10 as invalid and does not cache them', async () => {
+  const { extension, matcher } = await setup();
+  const shirt = product('Striped Linen Shirt');
+
+  const first = await matcher.analyzeProduct(shirt.image, styleProfile, { productData: shirt.data, productId: shirt.data.url });
+  assert.equal(first.success, false);
+  assert.equal(first.method, 'invalid_response');
+  assert.deepEqual(first.invalidFields, ['breakdown.color']);
+
+  await matcher.analyzeProduct(shirt.image, styleProfile, { productData: shirt.data, productId: shirt.data.url });
+  assert.equal(extension.models.chrome.calls.length, 2, 'the invalid result was retried, not served from cache');
+});
+
+test('a failed model call is reported without a made-up score and the next call recovers', async () => {
+  const { extension, matcher } = await setup();
+  const blazer = product('Navy Wool Blazer');
+  extension.models.chrome.failNext(1, 'The model crashed');
+
+  const failed = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+  assert.equal(failed.success, false);
+  assert.equal(failed.method, 'error');
+  assert.equal(failed.score, null, 'no neutral score is substituted');
+  assert.equal(failed.error, 'The model crashed');
+
+  const recovered = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+  assert.equal(recovered.success, true);
+  assert.equal(recovered.score, 8);
+});
+
+test('an unavailable model gives no score instead of a neutral one', async () => {
+  const { extension, matcher } = await setup({ languageModel: { availability: 'unavailable' } });
+  const blazer = product('Navy Wool Blazer');
+
+  const result = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+
+  assert.equal(result.success, false);
+  assert.equal(result.method, 'unavailable');
+  assert.equal(result.score, null);
+  assert.ok(result.error);
+  assert.equal(extension.models.chrome.calls.length, 0);
+});
+
+test('runs at most maxConcurrency prompts at once', async () => {
+  const { extension, matcher } = await setup({ languageModel: { latencyMs: 20 } });
+  const names = ['Navy Wool Blazer', 'Neon Orange Crop Top', 'Navy Wool Blazer', 'Neon Orange Crop Top'];
+  const products = names.map((name, index) => product(name, `-${index}`));
+
+  const results = await Promise.all(products.map(item =>
+    matcher.analyzeProduct(item.image, styleProfile, { productData: item.data, productId: item.data.url })
+  ));
+
+  assert.deepEqual(results.map(result => result.score), [8, 3, 8, 3]);
+  assert.equal(extension.models.chrome.maxActive, matcher.sessionManager.maxConcurrency);
+  assert.equal(matcher.sessionManager.getStats().completed, 4);
+});
+
+test('uses the Gemini API through the background when it is the scoring provider', async () => {
+  const { extension, matcher } = await setup({ storage: { geminiAPIKey: 'test-key' } });
+  const blazer = product('Navy Wool Blazer');
+
+  await extension.chrome.runtime.sendMessage({
+    action: 'saveAIProviderSettings',
+    settings: { tasks: { styleScoring: 'gemini' } }
+  });
+  matcher.setProvider('gemini');
+
+  const result = await matcher.analyzeProduct(blazer.image, styleProfile, { productData: blazer.data, productId: blazer.data.url });
+
+  assert.equal(result.success, true);
+  assert.equal(result.score, 8);
+  assert.equal(extension.models.chrome.calls.length, 0, 'the on-device model is not used');
+
+  const [request] = extension.fetch.getRequests('gemini');
+  assert.match(request.url, /models\/gemini-2\.5-flash:generateContent$/);
+  assert.equal(request.body.contents[0].parts.filter(part => part.inline_data).length, 1);
+  assert.equal(request.body.generationConfig.responseMimeType, 'application/json');
+  assert.match(extension.models.gemini.calls[0].text, /^You are a fashion assistant[^]*Rate how good the outfit/,
+    'the instructions the on-device session is primed with come first');
+  assert.match(matcher.getCacheKey(blazer.image, { styleProfile, productId: blazer.data.url }), /:gemini$/);
+});
@@ -0,0 +1,40 @@
+// ProductMetadataExtractor.test.js
+// Prices from structured data and from displayed text: either decimal separator, with
+// thousands separators, and the site adapter's separator when it has one.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+async function createExtractor(site = null) {
+  const extension = createTestExtension();
+  const { ProductMetadataExtractor } = await extension.importContent('content/detection/ProductMetadataExtractor.js');
+  return new ProductMetadataExtractor({ getCurrentSite: () => site });
+}
+
+test('reads structured data prices with a decimal comma', async () => {
+  const extractor = await createExtractor();
+
+  assert.equal(extractor.toNumber('29,95'), 29.95);
+  assert.equal(extractor.toNumber('12,5'), 12.5);
+  assert.equal(extractor.toNumber('1.299,00'), 1299);
+  assert.equal(extractor.toNumber('29.95'), 29.95);
+  assert.equal(extractor.toNumber('1,299'), 1299);
+  assert.equal(extractor.toNumber('1,299.50'), 1299.5);
+  assert.equal(extractor.toNumber('EUR 49,90'), 49.9);
+  assert.equal(extractor.toNumber(89), 89);
+  assert.equal(extractor.toNumber('sold out'), null);
+  assert.equal(extractor.toNumber(''), null);
+});
+
+test('parses displayed prices with the site\'s decimal separator', async () => {
+  const extractor = await createExtractor();
+  assert.deepEqual(extractor.parsePriceText('€29,95'), { price: 29.95, currency: 'EUR' });
+  assert.deepEqual(extractor.parsePriceText('$1,299.00 $999.00'), { price: 1299, currency: 'USD' });
+
+  // "1.299" is ambiguous without the adapter's locale
+  const danish = await createExtractor({ locale: { decimalSeparator: ',', currency: 'DKK' } });
+  assert.deepEqual(danish.parsePriceText('1.299 kr.'), { price: 1299, currency: 'DKK' });
+  assert.deepEqual(danish.parsePriceText('349,95'), { price: 349.95, currency: 'DKK' });
+});
@@ -0,0 +1,86 @@
+// ProductSearchMatcher.test.js
+// Search mode ranking: every detected product is rated YES (3) / MAYBE (2) / NO (1) against
+// the popup's prompt by the Prompt API (fake), in the order the products were detected.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, createProductImage } = require('./harness/ExtensionHarness');
+
+const PROMPT = 'black A-line midi dress';
+
+const rankings = [
+  { name: 'black dress', match: 'Name: Black A-Line Midi Dress', response: { score: 3, reason: 'Black A-line dress at midi length.' } },
+  { name: 'red dress', match: 'Name: Red Wrap Dress', response: { score: 2, reason: 'A dress, but red and wrap cut.' } },
+  { name: 'sneakers', match: 'Name: White Sneakers', response: { score: 1, reason: 'Shoes, not a dress.' } },
+  { name: 'skirt (rank out of range)', match: 'Name: Black Pleated Skirt', response: { score: 4, reason: 'Close.' } }
+];
+
+function detectedProduct(name) {
+  const slug = name.toLowerCase().replace(/\s+/g, '-');
+  const productLink = `https://shop.example/p/${slug}`;
+  return {
+    element: createProductImage(`https://cdn.shop.example/products/${slug}.jpg`, { alt: name }),
+    productLink,
+    productData: { name, url: productLink }
+  };
+}
+
+async function setup() {
+  const extension = createTestExtension({ fixtures: rankings });
+  extension.loadBackground();
+  const { ProductSearchMatcher } = await extension.importContent('content/ai/ProductSearchMatcher.js');
+  return { extension, matcher: new ProductSearchMatcher() };
+}
+
+test('ranks every detected product against the prompt, index-aligned', async () => {
+  const { extension, matcher } = await setup();
+  const products = ['Black A-Line Midi Dress', 'Red Wrap Dress', 'White Sneakers'].map(detectedProduct);
+
+  const results = await matcher.analyzeDetectedProducts(products, PROMPT);
+
+  assert.deepEqual(results.map(result => result.score), [3, 2, 1]);
+  assert.equal(results[0].reasoning, 'Black A-line dress at midi length.');
+
+  const call = extension.models.chrome.calls.find(entry => entry.fixture === 'black dress');
+  assert.match(call.text, /USER IS LOOKING FOR: "black A-line midi dress"/);
+  assert.deepEqual(call.responseConstraint.required, ['score', 'reason']);
+
+  // Same prompt again: served from the cache, keyed by the product pages
+  const again = await matcher.analyzeDetectedProducts(products, PROMPT);
+  assert.deepEqual(again.map(result => result.fromCache), [true, true, true]);
+  assert.equal(extension.models.chrome.calls.length, 3);
+});
+
+test('reports a rank outside 1-3 as a failed analysis, not a rank', async () => {
+  const { matcher } = await setup();
+
+  const [result] = await matcher.analyzeDetectedProducts([detectedProduct('Black Pleated Skirt')], PROMPT);
+
+  assert.equal(result.success, false);
+  assert.equal(result.score, null);
+  assert.deepEqual(result.invalidFields, ['score']);
+});
+
+test('ranks a single product with an options object', async () => {
+  const { extension, matcher } = await setup();
+  const dress = detectedProduct('Red Wrap Dress');
+  const options = { productData: dress.productData, productId: dress.productLink };
+
+  const result = await matcher.analyzeProductWithPrompt(dress.element, PROMPT, options);
+  assert.equal(result.score, 2);
+
+  const cached = await matcher.analyzeProductWithPrompt(dress.element, PROMPT, options);
+  assert.equal(cached.fromCache, true);
+
+  const controller = new AbortController();
+  controller.abort();
+  const sneakers = detectedProduct('White Sneakers');
+  const cancelled = await matcher.analyzeProductWithPrompt(sneakers.element, PROMPT, {
+    productData: sneakers.productData,
+    productId: sneakers.productLink,
+    signal: controller.signal
+  });
+  assert.equal(cancelled.method, 'cancelled');
+  assert.equal(extension.models.chrome.calls.length, 1);
+});
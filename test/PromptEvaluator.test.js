@@ -0,0 +1,128 @@
+// PromptEvaluator.test.js
+// The prompt evaluation (eval/) on the sample datasets, with the fake Gemini API standing in
+// for the real one: scoring against bands, parse failures, and comparing two runs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { FakeFetch } = require('./harness/FakeFetch');
+const { loadDataset, evaluate, compareRuns, formatReport } = require('../eval/PromptEvaluator');
+
+const DATASETS_DIR = path.join(__dirname, '../eval/datasets');
+const PROVIDER = { id: 'gemini', apiKey: 'test-key' };
+
+function sampleDataset(name, caseIds) {
+  const dataset = loadDataset(path.join(DATASETS_DIR, name));
+  dataset.cases = caseIds.map(id => dataset.cases.find(testCase => testCase.id === id));
+  return dataset;
+}
+
+function breakdown(color, silhouette, pattern, aesthetic) {
+  return { breakdown: { color, silhouette, pattern, aesthetic }, reason: 'Scripted', description: 'Scripted product' };
+}
+
+async function run(dataset, fixtures) {
+  const fakeFetch = new FakeFetch({ gemini: { fixtures } });
+  const result = await evaluate({
+    dataset,
+    provider: PROVIDER,
+    fetch: fakeFetch.fetch,
+    extensionOptions: { backgroundTimeScale: 0.01 }
+  });
+  return { result, fakeFetch };
+}
+
+// Warm profile first, cool profile second in every style prompt's colour line
+const WARM = 'navy, olive green, camel';
+const COOL = 'black, hot pink, icy lavender';
+
+const STYLE_CASES = ['navy-wool-blazer@warm-smart-casual', 'navy-wool-blazer@cool-bold', 'neon-orange-graphic-crop-top@warm-smart-casual'];
+
+test('sample datasets load', () => {
+  const style = loadDataset(path.join(DATASETS_DIR, 'style-scoring'));
+  assert.equal(style.task, 'styleScoring');
+  assert.deepEqual(style.cases.find(testCase => testCase.id === 'navy-wool-blazer@cool-bold').ranges, [[1, 4], [5, 7]]);
+  style.cases.forEach(testCase => assert.ok(fs.existsSync(path.join(style.dir, testCase.image)), testCase.image));
+
+  const wardrobe = loadDataset(path.join(DATASETS_DIR, 'wardrobe-pairs'));
+  assert.equal(wardrobe.task, 'wardrobe');
+});
+
+test('scores style cases against their bands and counts parse failures', async () => {
+  const dataset = sampleDataset('style-scoring', STYLE_CASES);
+  const { result, fakeFetch } = await run(dataset, [
+    { name: 'blazer, warm', match: (request) => request.text.includes('Navy Tailored Wool Blazer') && request.text.includes(WARM), response: breakdown(9, 9, 8, 9) },
+    { name: 'blazer, cool', match: (request) => request.text.includes('Navy Tailored Wool Blazer') && request.text.includes(COOL), response: breakdown(14, 3, 6, 3) },
+    { name: 'crop top, warm', match: 'Neon Orange Cropped Graphic Tee', response: breakdown(8, 8, 8, 8) }
+  ]);
+
+  assert.deepEqual(result.cases.map(testCase => [testCase.outcome, testCase.score]), [
+    ['agree', 9],
+    ['parse_failure', null],
+    ['disagree', 8]
+  ]);
+  assert.equal(result.cases[2].distance, 4);
+  assert.match(result.cases[1].detail, /breakdown\.color/);
+
+  assert.equal(result.summary.agreement, 1 / 3);
+  assert.equal(result.summary.parseFailureRate, 1 / 3);
+  assert.equal(result.summary.errorRate, 0);
+  assert.equal(result.summary.distribution[9], 1);
+  assert.equal(result.summary.distribution[8], 1);
+  assert.equal(result.promptVersion > 0, true);
+
+  // The dataset's own image file is what reaches the model
+  const [request] = fakeFetch.getRequests('gemini');
+  const image = request.body.contents[0].parts.find(part => part.inline_data);
+  assert.equal(image.inline_data.data, fs.readFileSync(path.join(dataset.dir, 'images/navy.png')).toString('base64'));
+});
+
+test('wardrobe cases are scored per pair, a rejected answer is a parse failure', async () => {
+  const dataset = sampleDataset('wardrobe-pairs', ['olive-linen-shirt', 'red-floral-midi-dress']);
+  const { result } = await run(dataset, [
+    { match: { pattern: 'PRODUCT BEING CONSIDERED:\\n- Category: top' }, response: { shortlist: [1, 2, 3, 4], eliminated: { 0: 'Same category', 5: 'Not clothing' }, reasoning: 'Scripted' } },
+    { match: { pattern: 'PRODUCT BEING CONSIDERED:\\n- Category: dress' }, response: { shortlist: [0, 9], eliminated: {}, reasoning: 'Scripted' } }
+  ]);
+
+  const [shirt, dress] = result.cases;
+  assert.equal(shirt.outcome, 'disagree');
+  assert.deepEqual(shirt.pairs.filter(pair => !pair.agree).map(pair => pair.id), ['neon-running-shorts']);
+  assert.equal(dress.outcome, 'parse_failure');
+
+  // 5 of 6 shirt pairs agree; the 5 dress pairs count as misses
+  assert.equal(result.summary.pairs, 11);
+  assert.equal(result.summary.agreement, 5 / 11);
+  assert.equal(result.summary.precision, 3 / 4);
+  assert.equal(result.summary.recall, 1);
+  assert.deepEqual(result.summary.distribution, { kept: 4, eliminated: 2 });
+});
+
+test('compares two runs side by side and flags what got worse', async () => {
+  const dataset = sampleDataset('style-scoring', STYLE_CASES);
+  const fixtures = (cropTop) => [
+    { match: (request) => request.text.includes('Navy Tailored Wool Blazer') && request.text.includes(WARM), response: breakdown(9, 9, 8, 9) },
+    { match: (request) => request.text.includes('Navy Tailored Wool Blazer') && request.text.includes(COOL), response: breakdown(4, 3, 6, 3) },
+    { match: 'Neon Orange Cropped Graphic Tee', response: cropTop }
+  ];
+
+  const { result: baseline } = await run(dataset, fixtures(breakdown(2, 2, 2, 2)));
+  const { result: candidate } = await run(dataset, fixtures('The top is nice.'));
+  baseline.label = 'v3';
+  candidate.label = 'v4';
+
+  const comparison = compareRuns(baseline, candidate);
+  assert.equal(comparison.regression, true);
+  assert.deepEqual(comparison.regressed.map(change => change.id), ['neon-orange-graphic-crop-top@warm-smart-casual']);
+  assert.deepEqual(comparison.improved, []);
+
+  const agreement = comparison.metrics.find(metric => metric.key === 'agreement');
+  assert.equal(agreement.baseline, 1);
+  assert.equal(agreement.candidate, 2 / 3);
+  assert.equal(agreement.worse, true);
+
+  const report = formatReport(candidate, baseline);
+  assert.match(report, /Agreement \(score in band\)\s+100\.0%\s+66\.7%\s+-33\.3 pts ⚠️/);
+  assert.match(report, /❌ Regressed \(1\):\n {2}neon-orange-graphic-crop-top@warm-smart-casual: score 2 \(expected 1-4\) -> parse failure/);
+});
@@ -0,0 +1,85 @@
+// SiteAdapterRegistry.test.js
+// Dynamic content scripts for imported site adapters: registrations follow the stored
+// adapters, and syncs that overlap (an import while a permission is granted) never
+// register a script id twice. The built-in adapters pass the same validation.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const adapter = (id, host) => ({
+  schemaVersion: 1,
+  id,
+  name: id,
+  hosts: [host],
+  selectors: { productImages: ['.product img'] }
+});
+
+// The background's registry: the service worker has no DOM, as in Chrome
+function setup() {
+  const extension = createTestExtension();
+  extension.loadBackground();
+  const send = (message) => extension.chrome.runtime.sendMessage(message);
+  const grantPermission = (origins) =>
+    extension.chrome.permissions.onAdded.listeners.forEach(listener => listener({ origins }));
+  return { extension, send, grantPermission };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('overlapping syncs register every adapter script once', async () => {
+  const { extension, send, grantPermission } = setup();
+  assert.equal((await send({ action: 'importSiteAdapters', adapters: [adapter('arket', 'arket.com')] })).success, true);
+
+  // The user grants a host while another adapter is imported: both sync at once
+  const pending = send({ action: 'importSiteAdapters', adapters: [adapter('weekday', 'weekday.com')] });
+  grantPermission(['*://*.weekday.com/*']);
+  grantPermission(['*://*.arket.com/*']);
+  const result = await pending;
+  await delay(20);
+
+  assert.equal(result.success, true, result.error);
+  const scripts = await extension.chrome.scripting.getRegisteredContentScripts();
+  assert.deepEqual(scripts.map(script => script.id), [
+    'site-adapter-arket', 'site-adapter-arket-navigation-hook',
+    'site-adapter-weekday', 'site-adapter-weekday-navigation-hook'
+  ]);
+  assert.deepEqual(scripts[0].matches, ['*://*.arket.com/*']);
+  assert.deepEqual(scripts[0].css, ['content/styles/FilterStyles.css'], 'the filter styles come with the script');
+});
+
+test('a failed sync does not hold up the next one', async () => {
+  const { extension, send } = setup();
+  const { scripting } = extension.chrome;
+
+  const register = scripting.registerContentScripts;
+  scripting.registerContentScripts = async () => { throw new Error('Registration failed'); };
+  const failed = await send({ action: 'importSiteAdapters', adapters: [adapter('arket', 'arket.com')] });
+  assert.equal(failed.success, false);
+  assert.equal(failed.error, 'Registration failed');
+  scripting.registerContentScripts = register;
+
+  const removed = await send({ action: 'removeSiteAdapter', adapterId: 'arket' });
+  assert.equal(removed.success, true);
+  const imported = await send({ action: 'importSiteAdapters', adapters: [adapter('weekday', 'weekday.com')] });
+  assert.equal(imported.success, true);
+  assert.deepEqual((await scripting.getRegisteredContentScripts()).map(script => script.id),
+    ['site-adapter-weekday', 'site-adapter-weekday-navigation-hook']);
+});
+
+test('every built-in adapter passes validation unchanged', async () => {
+  const { extension } = setup();
+  const SiteAdapterRegistry = extension.background.evaluate('SiteAdapterRegistry');
+  const { SUPPORTED_SITES } = await extension.importContent('content/config/SiteConfigurations.js');
+
+  for (const [host, config] of Object.entries(SUPPORTED_SITES)) {
+    // Cloned out of the service worker's realm so deepEqual compares plain values
+    const result = structuredClone(SiteAdapterRegistry.validateAdapter(config));
+    assert.deepEqual(result.errors, [], host);
+    assert.deepEqual(result.adapter.locale, config.locale, `${host}: locale is kept as configured`);
+
+    // An exported adapter can be imported again
+    assert.equal(SiteAdapterRegistry.validateAdapter(result.adapter).valid, true, host);
+  }
+});
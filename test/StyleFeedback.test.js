@@ -0,0 +1,129 @@
+// StyleFeedback.test.js
+// Thumbs up/down on score badges: votes are stored by the background, summarized into learned
+// preferences every few votes, and the learned preferences reach the product scoring prompt.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, createProductImage, loadFixture } = require('./harness/ExtensionHarness');
+
+const styleProfile = loadFixture('style-profile.json');
+const productScores = loadFixture('product-scores.json');
+
+const summaryFixture = {
+  name: 'feedback summary',
+  match: "refining a user's fashion style profile",
+  response: {
+    likes: ['Likes high-rise wide-leg trousers', 'Likes high-rise wide-leg trousers'],
+    dislikes: ['Dislikes satin and other shiny fabrics']
+  }
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function vote(index, overrides = {}) {
+  return {
+    productId: `https://shop.example/p/product-${index}`,
+    vote: index % 2 === 0 ? 'like' : 'dislike',
+    score: 6,
+    reason: 'Colours fit the palette.',
+    description: `Product ${index} description.`,
+    attributes: { name: `Product ${index}`, brand: 'Brand', price: 49, currency: 'EUR', size: 'M' },
+    site: 'shop.example',
+    ...overrides
+  };
+}
+
+test('every fifth vote is summarized into learned preferences', async () => {
+  const extension = createTestExtension({ fixtures: [summaryFixture] });
+  extension.loadBackground();
+  const send = (message) => extension.chrome.runtime.sendMessage(message);
+
+  for (let i = 0; i < 4; i++) {
+    const result = await send({ action: 'recordStyleFeedback', feedback: vote(i) });
+    assert.deepEqual(result, { success: true, pending: i + 1 });
+  }
+  // Changing a vote replaces it rather than counting twice
+  await send({ action: 'recordStyleFeedback', feedback: vote(0, { vote: 'dislike' }) });
+  assert.equal(extension.models.chrome.calls.length, 0);
+
+  // The vote is answered once stored; the summary follows in the background
+  const fifth = await send({ action: 'recordStyleFeedback', feedback: vote(4, { score: 9, vote: 'dislike' }) });
+  assert.deepEqual(fifth, { success: true, pending: 5 });
+  await delay(20);
+
+  const [call] = extension.models.chrome.calls;
+  assert.equal(call.fixture, 'feedback summary');
+  assert.match(call.text, /DISLIKED \(profile predicted 9\/10\): Product 4; brand Brand; price 49 EUR/);
+  assert.doesNotMatch(call.text, /size/, 'only the known attributes are stored');
+
+  const status = await send({ action: 'getStyleFeedback' });
+  assert.equal(status.feedback.length, 5);
+  assert.equal(status.pending, 0);
+  assert.equal(status.learned.feedbackCount, 5);
+  assert.deepEqual(status.learned.likes.map(entry => entry.text), ['Likes high-rise wide-leg trousers']);
+});
+
+test('a vote recorded while a summary is saved is kept', async () => {
+  const extension = createTestExtension();
+  const StyleFeedbackStore = extension.requireService('services/StyleFeedbackStore.js');
+  const store = new StyleFeedbackStore();
+
+  const { entry } = await store.record(vote(0));
+  const [learned, second] = await Promise.all([
+    store.saveSummary({ likes: ['Likes linen'], dislikes: [] }, [entry.id]),
+    store.record(vote(1))
+  ]);
+
+  assert.equal(learned.feedbackCount, 1);
+  assert.equal(second.pending, 1);
+  const feedback = await store.getFeedback();
+  assert.deepEqual(feedback.map(item => [item.productId, item.summarized]), [
+    ['https://shop.example/p/product-1', false],
+    ['https://shop.example/p/product-0', true]
+  ]);
+});
+
+test('learned preferences can be removed one by one and cleared', async () => {
+  const extension = createTestExtension({ fixtures: [summaryFixture] });
+  extension.loadBackground();
+  const send = (message) => extension.chrome.runtime.sendMessage(message);
+
+  await send({ action: 'recordStyleFeedback', feedback: vote(1) });
+  const summary = await send({ action: 'summarizeStyleFeedback' });
+  assert.equal(summary.summarized, 1);
+
+  const [dislike] = summary.learned.dislikes;
+  const removed = await send({ action: 'removeLearnedPreference', id: dislike.id });
+  assert.deepEqual(removed.learned.dislikes, []);
+  assert.equal(removed.learned.likes.length, 1);
+
+  // Nothing new to learn from: no model call
+  assert.equal((await send({ action: 'summarizeStyleFeedback' })).summarized, 0);
+  assert.equal(extension.models.chrome.calls.length, 1);
+
+  await send({ action: 'clearStyleFeedback' });
+  const status = await send({ action: 'getStyleFeedback' });
+  assert.deepEqual(status.feedback, []);
+  assert.deepEqual(status.learned.likes, []);
+});
+
+test('learned preferences are added to the product scoring prompt', async () => {
+  const extension = createTestExtension({ fixtures: productScores });
+  extension.loadBackground();
+  const { PersonalStyleMatcher } = await extension.importContent('content/ai/PersonalStyleMatcher.js');
+  const matcher = new PersonalStyleMatcher();
+
+  const image = createProductImage('https://cdn.shop.example/products/navy-wool-blazer.jpg', { alt: 'Navy Wool Blazer' });
+  const data = { name: 'Navy Wool Blazer', url: 'https://shop.example/p/navy-wool-blazer' };
+  const profile = {
+    ...styleProfile,
+    learned_preferences: { likes: ['Likes structured tailoring'], dislikes: ['Dislikes satin'] }
+  };
+
+  const result = await matcher.analyzeProduct(image, profile, { productData: data, productId: data.url });
+
+  assert.equal(result.success, true);
+  const [call] = extension.models.chrome.calls;
+  assert.match(call.text, /LEARNED FROM THE USER'S FEEDBACK ON EARLIER SCORES[^\n]*\nLikes:\n- Likes structured tailoring\nDislikes:\n- Dislikes satin\n/);
+});
@@ -0,0 +1,120 @@
+// ViewportAnalysis.test.js
+// Analysis order by distance to the viewport: visible products first, then the ones near it,
+// and offscreen products only while the page's budget lasts.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension } = require('./harness/ExtensionHarness');
+
+const VIEWPORT_HEIGHT = 800;
+
+// A product image `top` pixels below the top of the viewport
+function product(name, top) {
+  return {
+    name,
+    element: {
+      getBoundingClientRect: () => ({ top, bottom: top + 300, width: 200, height: 300 })
+    }
+  };
+}
+
+// Collects observers so a test can report intersections as the browser would on scroll
+class FakeIntersectionObserver {
+  static instances = [];
+
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    FakeIntersectionObserver.instances.push(this);
+  }
+
+  observe(target) { this.targets.add(target); }
+  unobserve(target) { this.targets.delete(target); }
+  disconnect() { this.targets.clear(); }
+
+  static report(target, { visible, near }) {
+    FakeIntersectionObserver.instances.forEach(observer => {
+      if (!observer.targets.has(target)) return;
+      const isIntersecting = observer.options.rootMargin ? near : visible;
+      observer.callback([{ target, isIntersecting }]);
+    });
+  }
+}
+
+async function loadViewportAnalysis() {
+  const extension = createTestExtension();
+  const { ViewportAnalysis } = await extension.importContent('content/detection/ViewportAnalysis.js');
+  globalThis.innerHeight = VIEWPORT_HEIGHT;
+  return ViewportAnalysis;
+}
+
+function drain(viewport, items) {
+  const order = [];
+  let remaining = [...items];
+  for (let next = viewport.takeNext(remaining); next; next = viewport.takeNext(remaining)) {
+    order.push(`${next.item.name}:${next.priority}`);
+    remaining = remaining.filter(item => item !== next.item);
+  }
+  return { order, remaining };
+}
+
+test('analyzes visible products first, then near ones, then offscreen ones within the budget', async () => {
+  const ViewportAnalysis = await loadViewportAnalysis();
+  const viewport = new ViewportAnalysis(null, { offscreenBudget: 1 });
+
+  // Page order: the user has scrolled down to row 3
+  const items = [
+    product('row1', -2400),
+    product('row2', -1000),
+    product('row3', 100),
+    product('row4', 1000),
+    product('row5', 4000)
+  ];
+
+  const { order, remaining } = drain(viewport, items);
+
+  assert.deepEqual(order, ['row3:0', 'row2:1', 'row4:1', 'row1:2']);
+  assert.deepEqual(remaining.map(item => item.name), ['row5']);
+  assert.equal(viewport.isDeferred(remaining[0].element), true);
+  assert.equal(viewport.isDeferred(items[2].element), false);
+
+  viewport.reset();
+  assert.equal(viewport.takeNext(remaining).item.name, 'row5', 'a new page gets a fresh budget');
+});
+
+test('observer reports re-prioritize products and announce the ones scrolled near', async () => {
+  const ViewportAnalysis = await loadViewportAnalysis();
+  globalThis.IntersectionObserver = FakeIntersectionObserver;
+  FakeIntersectionObserver.instances = [];
+
+  try {
+    const changes = [];
+    const viewport = new ViewportAnalysis((element, priority) => changes.push([element, priority]), { offscreenBudget: 0 });
+    const top = product('top', 0);
+    const bottom = product('bottom', 5000);
+    viewport.observe(top.element);
+    viewport.observe(bottom.element);
+
+    FakeIntersectionObserver.report(top.element, { visible: true, near: true });
+    FakeIntersectionObserver.report(bottom.element, { visible: false, near: false });
+    const named = () => changes.map(([element, priority]) => [element === top.element ? 'top' : 'bottom', priority]);
+    assert.deepEqual(named(), [['top', 0], ['bottom', 2]]);
+    assert.equal(viewport.takeNext([top, bottom]).item, top);
+    assert.equal(viewport.takeNext([bottom]), null, 'no budget for offscreen products');
+
+    // The user scrolls down: the bottom row comes near, the top row leaves
+    changes.length = 0;
+    FakeIntersectionObserver.report(bottom.element, { visible: false, near: true });
+    FakeIntersectionObserver.report(top.element, { visible: false, near: false });
+    assert.deepEqual(named(), [['bottom', 1], ['top', 1], ['top', 2]]);
+    assert.equal(viewport.takeNext([top, bottom]).item, bottom);
+    assert.deepEqual(viewport.getStats(), { visible: 0, near: 1, offscreen: 1, offscreenStarted: 0, offscreenBudget: 0 });
+
+    viewport.unobserve(bottom.element);
+    assert.equal(FakeIntersectionObserver.instances.every(observer => !observer.targets.has(bottom.element)), true);
+  } finally {
+    delete globalThis.IntersectionObserver;
+  }
+});
@@ -0,0 +1,90 @@
+// VisualOutfitAnalyzer.test.js
+// Outfit matching stage 2 end to end: VisualOutfitAnalyzer -> background
+// 'composeOutfitVisual' -> wardrobe provider, on the Prompt API fake and on a local
+// OpenAI-compatible server.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, loadFixture } = require('./harness/ExtensionHarness');
+
+const wardrobe = loadFixture('wardrobe.json');
+const COMPOSITION_PROMPT = 'analyzing outfit visual compatibility';
+const shortlisted = wardrobe.items.filter(item => ['light-jeans', 'white-sneakers', 'camel-trench'].includes(item.id));
+
+function setup(compositionResponse, options = {}) {
+  const extension = createTestExtension({
+    fixtures: [{ name: 'outfit composition', match: COMPOSITION_PROMPT, response: compositionResponse }],
+    ...options
+  });
+  extension.loadBackground();
+  const VisualOutfitAnalyzer = extension.requireService('services/VisualOutfitAnalyzer.js');
+  return { extension, analyzer: new VisualOutfitAnalyzer() };
+}
+
+test('composes a complete outfit from the shortlisted items', async () => {
+  const { extension, analyzer } = setup(wardrobe.responses.composition);
+
+  const result = await analyzer.analyzeVisualCompatibility(wardrobe.product.imageUrl, wardrobe.product.aiAnalysis, shortlisted);
+
+  assert.equal(result.has_complete_outfit, true);
+  assert.equal(result.best_outfit.overall_confidence, 90);
+
+  const outfit = result.best_outfit.items.map(item => ({ category: item.category, id: shortlisted[item.index].id }));
+  assert.deepEqual(outfit, [{ category: 'bottom', id: 'light-jeans' }, { category: 'shoes', id: 'white-sneakers' }]);
+  assert.deepEqual(analyzer.validateOutfitCompleteness(outfit, 'top'), {
+    complete: true,
+    missing: [],
+    hasAlternative: false,
+    categories: ['bottom', 'shoes']
+  });
+
+  const [call] = extension.models.chrome.calls;
+  assert.match(call.text, /\[2\] OUTERWEAR:[\s\S]*Camel double-breasted trench coat/);
+
+  await analyzer.analyzeVisualCompatibility(wardrobe.product.imageUrl, wardrobe.product.aiAnalysis, shortlisted);
+  assert.equal(extension.models.chrome.calls.length, 1, 'second request served from cache');
+});
+
+test('rejects an outfit with out-of-range scores, naming the field', async () => {
+  const invalid = structuredClone(wardrobe.responses.composition);
+  invalid.best_outfit.items[1].visual_score = 140;
+  const { analyzer } = setup(invalid);
+
+  await assert.rejects(
+    analyzer.analyzeVisualCompatibility(wardrobe.product.imageUrl, wardrobe.product.aiAnalysis, shortlisted),
+    /best_outfit\.items\[1\]\.visual_score: must be at most 100, got 140/
+  );
+});
+
+test('retries a failing model before giving up', async () => {
+  const { extension, analyzer } = setup(wardrobe.responses.composition);
+  extension.models.chrome.failNext(2, 'Model busy');
+
+  const result = await analyzer.analyzeVisualCompatibility(wardrobe.product.imageUrl, wardrobe.product.aiAnalysis, shortlisted);
+
+  assert.equal(result.has_complete_outfit, true);
+  assert.deepEqual(extension.models.chrome.calls.map(call => call.error), ['Model busy', 'Model busy', null]);
+});
+
+test('runs on an OpenAI-compatible server when it is the wardrobe provider', async () => {
+  const { extension, analyzer } = setup(wardrobe.responses.composition, {
+    storage: {
+      aiProviderSettings: {
+        tasks: { wardrobe: 'openaiCompatible' },
+        openaiCompatible: { baseUrl: 'http://localhost:11434/v1', model: 'llava:13b', apiKey: 'local-key' }
+      }
+    }
+  });
+
+  const result = await analyzer.analyzeVisualCompatibility(wardrobe.product.imageUrl, wardrobe.product.aiAnalysis, shortlisted);
+
+  assert.equal(result.best_outfit.overall_confidence, 90);
+  assert.equal(extension.models.chrome.calls.length, 0);
+
+  const [request] = extension.fetch.getRequests('openaiCompatible');
+  assert.equal(request.url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(request.headers.Authorization, 'Bearer local-key');
+  assert.equal(request.body.model, 'llava:13b');
+  assert.equal(request.body.response_format.type, 'json_schema');
+});
@@ -0,0 +1,144 @@
+// background.test.js
+// Message handlers of the background service worker, driven through chrome.runtime.sendMessage
+// as the content script, popup and dashboard do.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTestExtension, loadFixture } = require('./harness/ExtensionHarness');
+const { TINY_PNG_BASE64 } = require('./harness/FakeFetch');
+
+const styleProfile = loadFixture('style-profile.json');
+const PHOTO = `data:image/png;base64,${TINY_PNG_BASE64}`;
+
+function setup(options = {}) {
+  const extension = createTestExtension(options);
+  extension.loadBackground();
+  return { extension, send: (message) => extension.chrome.runtime.sendMessage(message) };
+}
+
+test('checkAIAvailability reports the on-device model state', async () => {
+  const ready = await setup().send({ action: 'checkAIAvailability' });
+  assert.equal(ready.available, true);
+  assert.equal(ready.status, 'readily');
+
+  const downloading = await setup({ languageModel: { availability: 'after-download' } }).send({ action: 'checkAIAvailability' });
+  assert.equal(downloading.available, false);
+  assert.equal(downloading.status, 'after-download');
+});
+
+test('aiStyleProfileWithImages analyzes all photos together', async () => {
+  const { extension, send } = setup({
+    fixtures: [{ name: 'style profile', match: { text: 'analyze the PERSON in these images', images: 2 }, response: styleProfile }]
+  });
+
+  const result = await send({ action: 'aiStyleProfileWithImages', photoDataUrls: [PHOTO, PHOTO], photoCount: 2 });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.profile, styleProfile);
+  assert.match(result.apiUsed, /with 2 image\(s\)$/);
+  assert.equal(extension.models.chrome.calls[0].images, 2);
+  assert.equal(extension.languageModel.getOpenSessions().length, 0, 'sessions are destroyed after use');
+});
+
+test('aiStyleProfileWithImages reports the fields a response got wrong', async () => {
+  const invalid = structuredClone(styleProfile);
+  invalid.style_categories[0].confidence = 'very high';
+  delete invalid.overall_aesthetic;
+  const { send } = setup({ fixtures: [{ match: 'analyze the PERSON', response: invalid }] });
+
+  const result = await send({ action: 'aiStyleProfileWithImages', photoDataUrls: [PHOTO], photoCount: 1 });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.invalidFields.sort(), ['overall_aesthetic', 'style_categories[0].confidence']);
+});
+
+test('AI provider settings are validated, stored and applied per task', async () => {
+  const { extension, send } = setup();
+
+  const current = await send({ action: 'getAIProviderSettings' });
+  assert.equal(current.settings.tasks.styleScoring, 'chrome');
+  assert.equal(current.providers.openaiCompatible.capabilities.multimodal, true);
+
+  const rejected = await send({ action: 'saveAIProviderSettings', settings: { tasks: { tryOn: 'chrome' } } });
+  assert.equal(rejected.success, false);
+  assert.match(rejected.errors[0], /^tasks\.tryOn: Chrome built-in AI \(Gemini Nano\) does not support virtual try-on$/);
+
+  const saved = await send({ action: 'saveAIProviderSettings', settings: { tasks: { styleProfile: 'openaiCompatible' } } });
+  assert.equal(saved.success, true);
+  assert.equal(extension.chrome._test.getStorage().aiProviderSettings.tasks.styleProfile, 'openaiCompatible');
+
+  extension.fetch.setUnreachable('http://localhost:11434');
+  const { status } = await send({ action: 'getAIProviderStatus' });
+  assert.equal(status.chrome.available, true);
+  assert.equal(status.gemini.available, false);
+  assert.match(status.openaiCompatible.message, /^Cannot reach http:\/\/localhost:11434\/v1/);
+});
+
+test('aiProviderPrompt surfaces remote API errors without retrying text-only', async () => {
+  const { extension, send } = setup({
+    storage: { geminiAPIKey: 'test-key', aiProviderSettings: { tasks: { styleScoring: 'gemini' } } },
+    gemini: { fixtures: [{ match: 'Rate this', error: 'Resource has been exhausted (e.g. check quota).', status: 429 }] }
+  });
+
+  const result = await send({
+    action: 'aiProviderPrompt',
+    task: 'styleScoring',
+    request: { text: 'Rate this product', images: [PHOTO], responseConstraint: null }
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Gemini API: Resource has been exhausted (e.g. check quota).');
+  assert.deepEqual(extension.models.gemini.calls.map(call => call.images), [1]);
+});
+
+test('aiProviderPrompt checks the on-device model for image input', async () => {
+  const { extension, send } = setup({ fixtures: [{ match: 'Rate this', response: { score: 7 } }] });
+
+  const result = await send({
+    action: 'aiProviderPrompt',
+    task: 'styleScoring',
+    request: { text: 'Rate this product', images: [PHOTO], responseConstraint: null }
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(structuredClone(extension.languageModel.availabilityRequests.at(-1)), { expectedInputs: [{ type: 'image' }] });
+  assert.equal(extension.models.chrome.calls[0].images, 1);
+});
+
+test('generateTryOn returns the image generated by the try-on provider', async () => {
+  const { extension, send } = setup({
+    storage: { geminiAPIKey: 'test-key' },
+    gemini: {
+      fixtures: [{
+        name: 'try-on',
+        match: { model: 'gemini-2.5-flash-image' },
+        parts: [{ inline_data: { mime_type: 'image/png', data: 'R0VORVJBVEVE' } }]
+      }]
+    }
+  });
+
+  const result = await send({
+    action: 'generateTryOn',
+    userPhoto: PHOTO,
+    clothingImage: 'data:image/jpeg;base64,Q0xPVEhJTkc=',
+    options: { outfitDescription: 'Navy wool blazer' }
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.imageUrl, 'data:image/png;base64,R0VORVJBVEVE');
+  assert.equal(extension.models.gemini.calls[0].images, 2);
+  assert.match(extension.models.gemini.calls[0].text, /The clothing item is: Navy wool blazer/);
+});
+
+test('fetchImageAsBase64 reports images that cannot be fetched', async () => {
+  const { extension, send } = setup();
+  extension.fetch.addImage('https://cdn.shop.example/missing.jpg', { status: 404 });
+
+  const found = await send({ action: 'fetchImageAsBase64', imageUrl: 'https://cdn.shop.example/found.jpg' });
+  assert.equal(found.dataUrl, PHOTO);
+
+  const missing = await send({ action: 'fetchImageAsBase64', imageUrl: 'https://cdn.shop.example/missing.jpg' });
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /404/);
+});
@@ -0,0 +1,249 @@
+// ChromeMock.js
+// In-memory chrome.* APIs for running the extension under Node: storage.local,
+// runtime messaging, tabs, permissions, scripting and action - the parts the extension uses.
+//
+// One mock stands for one extension: runtime.sendMessage() from anywhere (content
+// modules, the dashboard, a test) reaches the onMessage listeners registered by the
+// background. Messages and responses are JSON-serialized on the way, as in Chrome, so a
+// Blob sent in a message arrives as {} here too.
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_DIR = path.resolve(__dirname, '../../extension');
+const EXTENSION_ID = 'testextensionid';
+
+/**
+ * chrome.events.Event
+ * @returns {Object} { addListener, removeListener, hasListener, hasListeners, dispatch, listeners }
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => { listeners.push(listener); },
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    hasListeners: () => listeners.length > 0,
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+// Messages are serialized as JSON; undefined stays undefined
+function jsonClone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.storage={}] - Initial chrome.storage.local contents
+ * @param {number} [options.responseTimeoutMs=5000] - How long an async onMessage listener may take to respond
+ * @param {boolean} [options.grantPermissions=true] - Answer of chrome.permissions.request()
+ * @param {Object} [options.sender] - Sender passed to onMessage listeners
+ * @param {string} [options.extensionDir] - Extension whose manifest getManifest() returns
+ * @returns {Object} chrome mock; test helpers live under chrome._test
+ */
+function createChromeMock(options = {}) {
+  const responseTimeoutMs = options.responseTimeoutMs || 5000;
+  const sender = options.sender || { id: EXTENSION_ID, url: `chrome-extension://${EXTENSION_ID}/tab/tab.html` };
+
+  const state = {
+    storage: jsonClone(options.storage || {}),
+    grantPermissions: options.grantPermissions !== false,
+    grantedOrigins: new Set(),
+    registeredScripts: [],
+    tabs: [],
+    tabMessages: [],
+    badge: { text: '', color: null },
+    messages: []
+  };
+
+  let nextTabId = 1;
+  let manifest = null;
+
+  const storageOnChanged = createEvent();
+  const onMessage = createEvent();
+
+  const storageLocal = {
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return jsonClone(state.storage);
+      }
+
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : null;
+      const names = defaults ? Object.keys(defaults) : [].concat(keys);
+      const result = {};
+      names.forEach(name => {
+        if (state.storage[name] !== undefined) {
+          result[name] = jsonClone(state.storage[name]);
+        } else if (defaults && defaults[name] !== undefined) {
+          result[name] = jsonClone(defaults[name]);
+        }
+      });
+      return result;
+    },
+
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([name, value]) => {
+        changes[name] = { oldValue: state.storage[name], newValue: jsonClone(value) };
+        state.storage[name] = jsonClone(value);
+      });
+      notifyStorageChange(changes);
+    },
+
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).forEach(name => {
+        if (state.storage[name] !== undefined) {
+          changes[name] = { oldValue: state.storage[name] };
+          delete state.storage[name];
+        }
+      });
+      notifyStorageChange(changes);
+    },
+
+    async clear() {
+      const changes = {};
+      Object.keys(state.storage).forEach(name => {
+        changes[name] = { oldValue: state.storage[name] };
+      });
+      state.storage = {};
+      notifyStorageChange(changes);
+    }
+  };
+
+  // Chrome notifies listeners asynchronously, after the write resolved
+  function notifyStorageChange(changes) {
+    if (Object.keys(changes).length === 0) return;
+    setTimeout(() => storageOnChanged.dispatch(jsonClone(changes), 'local'), 0);
+  }
+
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      if (!onMessage.hasListeners()) {
+        reject(new Error('Could not establish connection. Receiving end does not exist.'));
+        return;
+      }
+
+      const request = jsonClone(message);
+      state.messages.push(request);
+
+      let settled = false;
+      let timer = null;
+      const sendResponse = (response) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(jsonClone(response));
+      };
+
+      const keepsChannelOpen = onMessage.dispatch(request, sender, sendResponse).some(result => result === true);
+
+      if (!settled && !keepsChannelOpen) {
+        settled = true;
+        resolve(undefined);
+      } else if (!settled) {
+        timer = setTimeout(() => {
+          if (settled) return;
+          settled = true;
+          reject(new Error(`The message port closed before a response was received. (action: ${request?.action}, no response within ${responseTimeoutMs}ms)`));
+        }, responseTimeoutMs);
+      }
+    });
+  }
+
+  const chrome = {
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      onMessage,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      sendMessage,
+      getURL: (resource) => `chrome-extension://${EXTENSION_ID}/${String(resource).replace(/^\//, '')}`,
+      getManifest: () => {
+        manifest = manifest || JSON.parse(fs.readFileSync(path.join(options.extensionDir || EXTENSION_DIR, 'manifest.json'), 'utf8'));
+        return jsonClone(manifest);
+      }
+    },
+
+    storage: {
+      local: storageLocal,
+      onChanged: storageOnChanged
+    },
+
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      async create(properties) {
+        const tab = { id: nextTabId++, active: true, ...properties };
+        state.tabs.push(tab);
+        return tab;
+      },
+      async query() {
+        return jsonClone(state.tabs);
+      },
+      async sendMessage(tabId, message) {
+        state.tabMessages.push({ tabId, message: jsonClone(message) });
+        return undefined;
+      }
+    },
+
+    permissions: {
+      onAdded: createEvent(),
+      onRemoved: createEvent(),
+      async contains({ origins = [] } = {}) {
+        return state.grantPermissions || origins.every(origin => state.grantedOrigins.has(origin));
+      },
+      async request({ origins = [] } = {}) {
+        if (state.grantPermissions) {
+          origins.forEach(origin => state.grantedOrigins.add(origin));
+        }
+        return state.grantPermissions;
+      }
+    },
+
+    scripting: {
+      async getRegisteredContentScripts() {
+        return jsonClone(state.registeredScripts);
+      },
+      async registerContentScripts(scripts) {
+        // Chrome rejects the whole call when an id is already registered
+        const duplicate = scripts.find(script => state.registeredScripts.some(existing => existing.id === script.id));
+        if (duplicate) {
+          throw new Error(`Duplicate script ID '${duplicate.id}'`);
+        }
+        state.registeredScripts.push(...jsonClone(scripts));
+      },
+      async unregisterContentScripts({ ids } = {}) {
+        state.registeredScripts = ids
+          ? state.registeredScripts.filter(script => !ids.includes(script.id))
+          : [];
+      }
+    },
+
+    action: {
+      async setBadgeText({ text }) {
+        state.badge.text = text;
+      },
+      async setBadgeBackgroundColor({ color }) {
+        state.badge.color = color;
+      }
+    },
+
+    // Test helpers (not a Chrome API)
+    _test: {
+      state,
+      getStorage: () => jsonClone(state.storage),
+      getMessages: (action) => state.messages.filter(message => !action || message?.action === action)
+    }
+  };
+
+  return chrome;
+}
+
+module.exports = { createChromeMock, createEvent, EXTENSION_DIR, EXTENSION_ID };
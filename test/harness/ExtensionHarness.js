@@ -0,0 +1,320 @@
+// ExtensionHarness.js
+// Runs the extension offline: the background service worker in a vm context (its
+// importScripts() calls load the real files from extension/), and content modules in the
+// test process itself, all sharing one chrome mock, one fake Prompt API and one fake
+// fetch. Each test file runs in its own process (node --test), so content globals are
+// installed once per file.
+//
+//   const extension = createTestExtension({ fixtures: [...] });
+//   extension.loadBackground();
+//   const response = await extension.chrome.runtime.sendMessage({ action: 'checkAIAvailability' });
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+const { ScriptedModel } = require('./ScriptedModel');
+const { FakeLanguageModel } = require('./FakeLanguageModel');
+const { FakeFetch } = require('./FakeFetch');
+const { createChromeMock, EXTENSION_DIR } = require('./ChromeMock');
+
+const VERBOSE = process.env.TEST_VERBOSE === '1';
+
+/**
+ * Console that records instead of printing (the extension logs a lot); TEST_VERBOSE=1 prints too
+ * @returns {Object} Console with an `entries` array of { level, message }
+ */
+function createQuietConsole() {
+  const entries = [];
+  const quiet = { entries };
+
+  ['log', 'info', 'warn', 'error', 'debug', 'trace', 'table', 'dir', 'group', 'groupCollapsed'].forEach(level => {
+    quiet[level] = (...args) => {
+      entries.push({
+        level,
+        message: args.map(arg => (typeof arg === 'string' ? arg : safeStringify(arg))).join(' ')
+      });
+      if (VERBOSE) console[level](...args);
+    };
+  });
+  ['groupEnd', 'time', 'timeEnd', 'timeLog', 'count', 'assert'].forEach(level => {
+    quiet[level] = () => {};
+  });
+
+  return quiet;
+}
+
+function safeStringify(value) {
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  try {
+    return JSON.stringify(value);
+  } catch (_) {
+    return String(value);
+  }
+}
+
+/**
+ * FileReader (not in Node): readAsDataURL and readAsText
+ */
+class FakeFileReader {
+  constructor() {
+    this.result = null;
+    this.error = null;
+    this.onload = null;
+    this.onloadend = null;
+    this.onerror = null;
+  }
+
+  readAsDataURL(blob) {
+    this.read(blob, async () => {
+      const base64 = Buffer.from(await blob.arrayBuffer()).toString('base64');
+      return `data:${blob.type || 'application/octet-stream'};base64,${base64}`;
+    });
+  }
+
+  readAsText(blob) {
+    this.read(blob, () => blob.text());
+  }
+
+  /**
+   * @private
+   */
+  read(blob, convert) {
+    Promise.resolve()
+      .then(convert)
+      .then(result => {
+        this.result = result;
+        this.onload?.({ target: this });
+      }, error => {
+        this.error = error;
+        this.onerror?.({ target: this });
+      })
+      .finally(() => this.onloadend?.({ target: this }));
+  }
+}
+
+/**
+ * Image (not in Node): loads any blob:, data: or http(s) URL as a 1x1 image
+ */
+class FakeImage {
+  constructor() {
+    this.onload = null;
+    this.onerror = null;
+    this.width = 0;
+    this.height = 0;
+    this.complete = false;
+    this._src = '';
+  }
+
+  get src() {
+    return this._src;
+  }
+
+  set src(value) {
+    this._src = value;
+    setTimeout(() => {
+      if (/^(blob|data|https?):/.test(value)) {
+        this.width = this.naturalWidth = 1;
+        this.height = this.naturalHeight = 1;
+        this.complete = true;
+        this.onload?.();
+      } else {
+        this.onerror?.(new Error(`Cannot load ${value}`));
+      }
+    }, 0);
+  }
+}
+
+/**
+ * A product <img> as the detection pipeline hands it to the matchers
+ * @param {string} url - Image URL (cross-origin to the page unless it starts with the page origin)
+ * @param {Object} [options]
+ * @param {string} [options.alt='']
+ * @returns {Object} Element-like object
+ */
+function createProductImage(url, { alt = '' } = {}) {
+  return {
+    tagName: 'IMG',
+    src: url,
+    currentSrc: url,
+    alt,
+    width: 400,
+    height: 600,
+    naturalWidth: 400,
+    naturalHeight: 600,
+    dataset: { aiStyleSrc: url },
+    parentElement: null,
+    getAttribute(name) {
+      return name === 'alt' ? alt : name === 'src' ? url : null;
+    },
+    closest: () => null
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.fixtures=[]] - Fixtures for every fake model
+ * @param {Object} [options.languageModel] - ScriptedModel options for the Prompt API, plus
+ *   availability and createLatencyMs
+ * @param {Object} [options.gemini] - ScriptedModel options for the Gemini API
+ * @param {Object} [options.openaiCompatible] - ScriptedModel options for OpenAI-compatible servers
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {number} [options.backgroundTimeScale=0.01] - Multiplier for the background's timers,
+ *   so retry delays do not slow the tests down
+ * @param {string} [options.pageUrl='https://shop.example/women/jackets'] - Page the content modules run on
+ * @param {string} [options.extensionDir] - Extension to load, when not this checkout's extension/
+ *   (the prompt evaluation loads older revisions)
+ * @param {Function} [options.fetch] - fetch for the background and content modules instead of
+ *   the fake, e.g. to reach a real model endpoint
+ * @param {number} [options.responseTimeoutMs] - How long a message handler may take to respond
+ * @returns {Object} Test extension
+ */
+function createTestExtension(options = {}) {
+  const fixtures = options.fixtures || [];
+  const { availability, createLatencyMs, ...languageModelOptions } = options.languageModel || {};
+
+  const models = {
+    chrome: new ScriptedModel({ name: 'LanguageModel', ...languageModelOptions, fixtures: [...fixtures, ...(languageModelOptions.fixtures || [])] }),
+    gemini: new ScriptedModel({ name: 'Gemini API', ...options.gemini, fixtures: [...fixtures, ...(options.gemini?.fixtures || [])] }),
+    openaiCompatible: new ScriptedModel({ name: 'OpenAI-compatible endpoint', ...options.openaiCompatible, fixtures: [...fixtures, ...(options.openaiCompatible?.fixtures || [])] })
+  };
+
+  const extensionDir = options.extensionDir || EXTENSION_DIR;
+  const chrome = createChromeMock({ storage: options.storage, responseTimeoutMs: options.responseTimeoutMs, extensionDir });
+  const languageModel = new FakeLanguageModel(models.chrome, { availability, createLatencyMs });
+  const fakeFetch = new FakeFetch({ gemini: models.gemini, openaiCompatible: models.openaiCompatible });
+  const fetchImpl = options.fetch || fakeFetch.fetch;
+  const backgroundTimeScale = options.backgroundTimeScale ?? 0.01;
+  const pageUrl = new URL(options.pageUrl || 'https://shop.example/women/jackets');
+
+  const extension = {
+    chrome,
+    models,
+    languageModel,
+    fetch: fakeFetch,
+    background: null,
+    backgroundConsole: createQuietConsole(),
+    contentConsole: null,
+
+    /**
+     * Load background/background.js (once)
+     * @returns {{context: Object, evaluate: Function}} evaluate(code) runs code in the worker's scope
+     */
+    loadBackground() {
+      if (extension.background) return extension.background;
+
+      const context = vm.createContext({
+        console: extension.backgroundConsole,
+        chrome,
+        LanguageModel: languageModel,
+        fetch: fetchImpl,
+        FileReader: FakeFileReader,
+        navigator: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36' },
+        setTimeout: (callback, ms = 0, ...args) => setTimeout(callback, ms * backgroundTimeScale, ...args),
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        queueMicrotask,
+        structuredClone,
+        Blob,
+        Response,
+        Request,
+        Headers,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        AbortController,
+        AbortSignal,
+        DOMException,
+        atob,
+        btoa,
+        crypto: globalThis.crypto,
+        performance
+      });
+      context.self = context;
+
+      const runFile = (file) => {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+      };
+      context.importScripts = (...scripts) => {
+        scripts.forEach(script => runFile(path.join(extensionDir, script)));
+      };
+
+      runFile(path.join(extensionDir, 'background/background.js'));
+
+      extension.background = {
+        context,
+        evaluate: (code) => vm.runInContext(code, context)
+      };
+      return extension.background;
+    },
+
+    /**
+     * Make this process look like a content script on pageUrl: window, document, chrome,
+     * LanguageModel, fetch, Image and FileReader globals
+     */
+    installContentGlobals() {
+      if (extension.contentConsole) return;
+      extension.contentConsole = createQuietConsole();
+
+      Object.assign(globalThis, {
+        window: globalThis,
+        console: extension.contentConsole,
+        chrome,
+        LanguageModel: languageModel,
+        fetch: fetchImpl,
+        FileReader: FakeFileReader,
+        Image: FakeImage,
+        location: { href: pageUrl.href, origin: pageUrl.origin, hostname: pageUrl.hostname, pathname: pageUrl.pathname },
+        document: {
+          baseURI: pageUrl.href,
+          createElement: (tag) => {
+            throw new Error(`document.createElement('${tag}') is not available in the test harness`);
+          }
+        }
+      });
+    },
+
+    /**
+     * Import a content ES module after installing the content globals
+     * @param {string} modulePath - Path below extension/, e.g. 'content/ai/PersonalStyleMatcher.js'
+     * @returns {Promise<Object>} Module namespace
+     */
+    async importContent(modulePath) {
+      extension.installContentGlobals();
+      return import(pathToFileURL(path.join(extensionDir, modulePath)).href);
+    },
+
+    /**
+     * Require a services/ script (CommonJS export) after installing the content globals
+     * @param {string} modulePath - Path below extension/, e.g. 'services/AttributeFilter.js'
+     * @returns {*} module.exports
+     */
+    requireService(modulePath) {
+      extension.installContentGlobals();
+      return require(path.join(extensionDir, modulePath));
+    }
+  };
+
+  return extension;
+}
+
+/**
+ * Read a JSON fixture from test/fixtures
+ * @param {string} name - File name, e.g. 'style-profile.json'
+ * @returns {*}
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures', name), 'utf8'));
+}
+
+module.exports = {
+  createTestExtension,
+  createProductImage,
+  createQuietConsole,
+  loadFixture,
+  FakeFileReader,
+  FakeImage
+};
@@ -0,0 +1,200 @@
+// FakeFetch.js
+// fetch() for the extension under test. Nothing leaves the machine:
+//   - Gemini generateContent (any model) is answered by the `gemini` ScriptedModel
+//   - OpenAI-compatible /chat/completions and /models by the `openaiCompatible` one
+//   - data: URLs are decoded as usual
+//   - any other URL is an image: a 1x1 PNG, or the bytes registered for it with addImage()
+// Every request is logged in `requests`.
+
+const { ScriptedModel } = require('./ScriptedModel');
+
+// Node's own fetch, kept for data: URLs even after the fake is installed as the global
+const nativeFetch = globalThis.fetch;
+
+// 1x1 transparent PNG
+const TINY_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const GEMINI_URL_PATTERN = /^https:\/\/generativelanguage\.googleapis\.com\/v1beta\/models\/([^:/]+):generateContent$/;
+
+class FakeFetch {
+  /**
+   * @param {Object} [options]
+   * @param {ScriptedModel|Object} [options.gemini] - Model behind the Gemini API (or its options)
+   * @param {ScriptedModel|Object} [options.openaiCompatible] - Model behind OpenAI-compatible servers
+   * @param {string[]} [options.openaiModels=['llava']] - Listed by GET /models
+   */
+  constructor(options = {}) {
+    this.gemini = FakeFetch.toModel(options.gemini, 'Gemini API');
+    this.openaiCompatible = FakeFetch.toModel(options.openaiCompatible, 'OpenAI-compatible endpoint');
+    this.openaiModels = options.openaiModels || ['llava'];
+    this.images = new Map();
+    this.unreachable = new Set();
+    this.requests = [];
+
+    // Installed as a plain function (fetch(url, init))
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Serve specific bytes (or a status) for an image URL
+   * @param {string} url
+   * @param {Object} image - { base64, mimeType } or { status }
+   */
+  addImage(url, image) {
+    this.images.set(url, image);
+  }
+
+  /**
+   * Make requests to an origin fail like an unreachable server
+   * @param {string} origin - e.g. 'http://localhost:11434'
+   */
+  setUnreachable(origin) {
+    this.unreachable.add(origin);
+  }
+
+  async fetch(input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+    const method = (init.method || 'GET').toUpperCase();
+
+    if (url.startsWith('data:')) {
+      return nativeFetch(url);
+    }
+
+    const entry = { url, method, headers: { ...init.headers }, body: null };
+    if (typeof init.body === 'string') {
+      try {
+        entry.body = JSON.parse(init.body);
+      } catch (_) {
+        entry.body = init.body;
+      }
+    }
+    this.requests.push(entry);
+
+    if (this.unreachable.has(new URL(url).origin)) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    const gemini = url.match(GEMINI_URL_PATTERN);
+    if (gemini) {
+      return this.handleGemini(gemini[1], entry, init.signal);
+    }
+    if (url.endsWith('/chat/completions')) {
+      return this.handleChatCompletions(entry, init.signal);
+    }
+    if (url.endsWith('/models')) {
+      return FakeFetch.json(200, { object: 'list', data: this.openaiModels.map(id => ({ id, object: 'model' })) });
+    }
+    return this.handleImage(url);
+  }
+
+  /**
+   * Requests sent to one kind of endpoint
+   * @param {'gemini'|'openaiCompatible'|'image'} kind
+   * @returns {Array<Object>}
+   */
+  getRequests(kind) {
+    return this.requests.filter(request => FakeFetch.kindOf(request.url) === kind);
+  }
+
+  /**
+   * @private
+   */
+  async handleGemini(model, entry, signal) {
+    if (!entry.headers['x-goog-api-key']) {
+      return FakeFetch.json(400, { error: { code: 400, message: 'API key not valid. Please pass a valid API key.' } });
+    }
+
+    const parts = entry.body?.contents?.flatMap(content => content.parts || []) || [];
+    const request = {
+      text: parts.filter(part => part.text).map(part => part.text).join('\n'),
+      images: parts.filter(part => part.inline_data || part.inlineData).length,
+      responseConstraint: entry.body?.generationConfig?.responseJsonSchema || null,
+      model,
+      source: 'gemini',
+      signal
+    };
+
+    try {
+      const { text, parts: rawParts } = await this.gemini.respond(request);
+      return FakeFetch.json(200, {
+        candidates: [{
+          content: { role: 'model', parts: rawParts || [{ text }] },
+          finishReason: 'STOP'
+        }]
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return FakeFetch.json(error.status || 500, { error: { code: error.status || 500, message: error.message } });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async handleChatCompletions(entry, signal) {
+    const content = entry.body?.messages?.flatMap(message => [].concat(message.content || [])) || [];
+    const request = {
+      text: content.map(part => typeof part === 'string' ? part : part.text || '').filter(Boolean).join('\n'),
+      images: content.filter(part => part.type === 'image_url').length,
+      responseConstraint: entry.body?.response_format?.json_schema?.schema || null,
+      model: entry.body?.model || null,
+      source: 'openaiCompatible',
+      signal
+    };
+
+    try {
+      const { text } = await this.openaiCompatible.respond(request);
+      return FakeFetch.json(200, {
+        object: 'chat.completion',
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return FakeFetch.json(error.status || 500, { error: { message: error.message } });
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleImage(url) {
+    const image = this.images.get(url) || { base64: TINY_PNG_BASE64, mimeType: 'image/png' };
+    if (image.status) {
+      return new Response('Not found', { status: image.status, statusText: 'Not Found' });
+    }
+
+    return new Response(Buffer.from(image.base64, 'base64'), {
+      status: 200,
+      headers: { 'Content-Type': image.mimeType || 'image/png' }
+    });
+  }
+
+  /**
+   * @private
+   */
+  static json(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * @private
+   */
+  static kindOf(url) {
+    if (GEMINI_URL_PATTERN.test(url)) return 'gemini';
+    if (url.endsWith('/chat/completions') || url.endsWith('/models')) return 'openaiCompatible';
+    return 'image';
+  }
+
+  /**
+   * @private
+   */
+  static toModel(model, name) {
+    return model instanceof ScriptedModel ? model : new ScriptedModel({ name, ...model });
+  }
+}
+
+module.exports = { FakeFetch, TINY_PNG_BASE64 };
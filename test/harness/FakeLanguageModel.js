@@ -0,0 +1,149 @@
+// FakeLanguageModel.js
+// Chrome's Prompt API (the LanguageModel global) backed by a ScriptedModel.
+// Implements what the extension uses: availability(), create(), and sessions with
+// append(), prompt(), clone() and destroy(). A prompt is answered from everything the
+// session has been given since it was created (its initialPrompts first), so the
+// append-then-prompt('') pattern and plain prompt(text) calls are matched the same way.
+
+const { ScriptedModel } = require('./ScriptedModel');
+
+class FakeLanguageModelSession {
+  /**
+   * @param {FakeLanguageModel} owner
+   * @param {Object} options - Options passed to create()
+   * @param {Array<{text: string, images: number}>} [history=[]] - Context inherited from clone()
+   */
+  constructor(owner, options, history = []) {
+    this.owner = owner;
+    this.options = options;
+    this.history = history.map(entry => ({ ...entry }));
+    this.destroyed = false;
+  }
+
+  async append(messages) {
+    this.assertUsable();
+    this.history.push(FakeLanguageModelSession.readInput(messages));
+  }
+
+  async prompt(input, options = {}) {
+    this.assertUsable();
+    const current = FakeLanguageModelSession.readInput(input);
+    const entries = [...this.history, current];
+
+    const { text } = await this.owner.model.respond({
+      text: entries.map(entry => entry.text).filter(Boolean).join('\n'),
+      images: entries.reduce((sum, entry) => sum + entry.images, 0),
+      responseConstraint: options.responseConstraint || null,
+      source: 'chrome',
+      signal: options.signal
+    });
+
+    // Like a real session, the prompt becomes part of the context
+    this.history.push(current);
+    return text;
+  }
+
+  async clone() {
+    this.assertUsable();
+    this.owner.counters.clones++;
+    return this.owner.trackSession(new FakeLanguageModelSession(this.owner, this.options, this.history));
+  }
+
+  destroy() {
+    if (!this.destroyed) {
+      this.destroyed = true;
+      this.owner.counters.destroyed++;
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertUsable() {
+    if (this.destroyed) {
+      throw new DOMException('The session has been destroyed.', 'InvalidStateError');
+    }
+  }
+
+  /**
+   * Text and image count of a prompt or append() input
+   * @private
+   */
+  static readInput(input) {
+    if (typeof input === 'string') {
+      return { text: input, images: 0 };
+    }
+
+    let text = '';
+    let images = 0;
+    [].concat(input || []).forEach(message => {
+      const content = typeof message === 'string' ? message : message.content;
+      [].concat(content || []).forEach(part => {
+        if (typeof part === 'string') {
+          text += (text ? '\n' : '') + part;
+        } else if (part.type === 'image') {
+          images++;
+        } else if (part.type === 'text') {
+          text += (text ? '\n' : '') + part.value;
+        }
+      });
+    });
+    return { text, images };
+  }
+}
+
+class FakeLanguageModel {
+  /**
+   * @param {ScriptedModel|Object} [model] - ScriptedModel, or options for a new one
+   * @param {Object} [options]
+   * @param {string} [options.availability='available'] - 'available', 'downloadable', 'downloading', 'unavailable'
+   * @param {number} [options.createLatencyMs=0] - Delay of create()
+   */
+  constructor(model = {}, options = {}) {
+    this.model = model instanceof ScriptedModel ? model : new ScriptedModel({ name: 'LanguageModel', ...model });
+    this.availabilityState = options.availability || 'available';
+    this.createLatencyMs = options.createLatencyMs || 0;
+    this.sessions = [];
+    this.availabilityRequests = []; // Options passed to availability()
+    this.counters = { created: 0, clones: 0, destroyed: 0 };
+
+    // Called unbound by the extension (LanguageModel.create(...))
+    this.availability = this.availability.bind(this);
+    this.create = this.create.bind(this);
+  }
+
+  async availability(options = {}) {
+    this.availabilityRequests.push(options);
+    return this.availabilityState;
+  }
+
+  async create(options = {}) {
+    if (this.availabilityState !== 'available') {
+      throw new DOMException(`The model is ${this.availabilityState}.`, 'NotAllowedError');
+    }
+
+    await ScriptedModel.wait(this.createLatencyMs, options.signal);
+    this.counters.created++;
+    // initialPrompts (system prompt, examples) are the start of the session's context
+    const history = (options.initialPrompts || []).map(message => FakeLanguageModelSession.readInput(message));
+    return this.trackSession(new FakeLanguageModelSession(this, options, history));
+  }
+
+  /**
+   * Sessions not destroyed yet; a test can assert nothing leaks
+   * @returns {FakeLanguageModelSession[]}
+   */
+  getOpenSessions() {
+    return this.sessions.filter(session => !session.destroyed);
+  }
+
+  /**
+   * @private
+   */
+  trackSession(session) {
+    this.sessions.push(session);
+    return session;
+  }
+}
+
+module.exports = { FakeLanguageModel, FakeLanguageModelSession };
@@ -0,0 +1,220 @@
+// ScriptedModel.js
+// Deterministic stand-in for a language model, shared by the fake Prompt API
+// (FakeLanguageModel.js) and the fake Gemini / OpenAI-compatible endpoints (FakeFetch.js).
+//
+// Responses come from fixtures, checked in order; the first one whose `match` accepts the
+// request answers it:
+//
+//   {
+//     "name": "navy blazer",                   shown in the call log and in errors
+//     "match": "navy blazer",                  substring of the prompt (case-insensitive),
+//                                              { "pattern": "regex", "images": 1, "model": "..." },
+//                                              a RegExp or (request) => boolean
+//     "response": { ... } | "text",            objects are sent as JSON text;
+//                                              (request) => value computes the response
+//     "parts": [ ... ],                        Gemini only: raw response parts (generated images)
+//     "error": "message",                      fail instead of answering
+//     "status": 429,                           HTTP status for remote endpoints (default 500)
+//     "latencyMs": 20,                         overrides the model's latency
+//     "times": 1                               answer at most this many requests
+//   }
+//
+// A request no fixture matches fails with the start of the prompt, so a missing fixture
+// shows up as a readable test failure rather than as a made-up answer.
+
+class ScriptedModelError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=500] - HTTP status when the error is served by a fake endpoint
+   */
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ScriptedModelError';
+    this.status = status;
+  }
+}
+
+class ScriptedModel {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fixtures=[]] - Response fixtures, checked in order
+   * @param {number} [options.latencyMs=0] - Delay before every response
+   * @param {number} [options.failureRate=0] - Share of requests (0-1) that fail at random
+   * @param {number} [options.seed=1] - Seed of the failure-rate generator, so runs repeat exactly
+   * @param {string} [options.name='model'] - Used in error messages
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'model';
+    this.fixtures = [];
+    this.latencyMs = options.latencyMs || 0;
+    this.failureRate = options.failureRate || 0;
+    this.random = ScriptedModel.createRandom(options.seed ?? 1);
+    this.pendingFailures = [];
+    this.calls = [];
+    this.active = 0;
+    this.maxActive = 0;
+
+    this.addFixtures(options.fixtures || []);
+  }
+
+  /**
+   * Add fixtures after the existing ones
+   * @param {Array<Object>|Object} fixtures
+   */
+  addFixtures(fixtures) {
+    [].concat(fixtures).forEach(fixture => {
+      this.fixtures.push({ ...fixture, used: 0 });
+    });
+  }
+
+  /**
+   * Fail the next requests, whatever their fixture
+   * @param {number} [count=1]
+   * @param {string} [message='Injected failure']
+   * @param {number} [status=500]
+   */
+  failNext(count = 1, message = 'Injected failure', status = 500) {
+    for (let i = 0; i < count; i++) {
+      this.pendingFailures.push({ message, status });
+    }
+  }
+
+  /**
+   * Answer one request
+   * @param {Object} request - { text, images, responseConstraint, model, source, signal }
+   *   images is the number of images sent with the prompt
+   * @returns {Promise<{text: string, parts: Array|null, fixture: string|null}>}
+   * @throws {ScriptedModelError} Injected failures, error fixtures and unmatched prompts
+   */
+  async respond(request) {
+    const call = {
+      text: request.text || '',
+      images: request.images || 0,
+      responseConstraint: request.responseConstraint || null,
+      model: request.model || null,
+      source: request.source || null,
+      fixture: null,
+      error: null
+    };
+    this.calls.push(call);
+    this.active++;
+    this.maxActive = Math.max(this.maxActive, this.active);
+
+    try {
+      const injected = this.pendingFailures.shift()
+        || (this.failureRate > 0 && this.random() < this.failureRate
+          ? { message: 'Injected random failure', status: 503 }
+          : null);
+      const fixture = injected ? null : this.findFixture(call);
+
+      await ScriptedModel.wait(fixture?.latencyMs ?? this.latencyMs, request.signal);
+
+      if (injected) {
+        throw new ScriptedModelError(injected.message, injected.status);
+      }
+      if (!fixture) {
+        throw new ScriptedModelError(`${this.name}: no fixture matches prompt "${call.text.replace(/\s+/g, ' ').trim().substring(0, 120)}"`);
+      }
+
+      fixture.used++;
+      call.fixture = fixture.name || null;
+
+      if (fixture.error) {
+        throw new ScriptedModelError(fixture.error, fixture.status || 500);
+      }
+
+      const response = typeof fixture.response === 'function'
+        ? await fixture.response(call)
+        : fixture.response;
+
+      return {
+        text: typeof response === 'string' ? response : JSON.stringify(response ?? null),
+        parts: fixture.parts || null,
+        fixture: call.fixture
+      };
+    } catch (error) {
+      call.error = error.message;
+      throw error;
+    } finally {
+      this.active--;
+    }
+  }
+
+  /**
+   * @private
+   */
+  findFixture(call) {
+    return this.fixtures.find(fixture =>
+      (fixture.times === undefined || fixture.used < fixture.times) &&
+      ScriptedModel.matches(fixture.match, call)
+    ) || null;
+  }
+
+  /**
+   * Forget calls and fixture usage (fixtures stay)
+   */
+  reset() {
+    this.calls = [];
+    this.pendingFailures = [];
+    this.maxActive = 0;
+    this.fixtures.forEach(fixture => { fixture.used = 0; });
+  }
+
+  /**
+   * @private
+   */
+  static matches(match, call) {
+    if (match === undefined || match === null) return true;
+    if (typeof match === 'function') return !!match(call);
+    if (match instanceof RegExp) return match.test(call.text);
+    if (typeof match === 'string') return call.text.toLowerCase().includes(match.toLowerCase());
+
+    if (match.text !== undefined && !call.text.toLowerCase().includes(match.text.toLowerCase())) return false;
+    if (match.pattern !== undefined && !new RegExp(match.pattern, match.flags || '').test(call.text)) return false;
+    if (match.images !== undefined && call.images !== match.images) return false;
+    if (match.model !== undefined && call.model !== match.model) return false;
+    if (match.source !== undefined && call.source !== match.source) return false;
+    return true;
+  }
+
+  /**
+   * Resolve after ms, or reject with an AbortError when the signal aborts first
+   * @private
+   */
+  static wait(ms, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+    }
+    if (!ms) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Seeded generator (mulberry32)
+   * @param {number} seed
+   * @returns {Function} () => number in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = { ScriptedModel, ScriptedModelError };
@@ -0,0 +1,44 @@
+// run-tests.js
+// Runs the offline test suite (test/**/*.test.js) with Node's built-in test runner.
+//
+//   npm test                      all tests
+//   npm test -- wardrobe          only files whose path contains "wardrobe" (case-insensitive)
+//   TEST_VERBOSE=1 npm test       also print what the extension logs
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TEST_DIR = __dirname;
+
+function findTestFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'harness' || entry.name === 'fixtures' ? [] : findTestFiles(fullPath);
+    }
+    return entry.name.endsWith('.test.js') ? [fullPath] : [];
+  });
+}
+
+const filters = process.argv.slice(2).map(filter => filter.toLowerCase());
+const files = findTestFiles(TEST_DIR)
+  .filter(file => filters.length === 0 || filters.some(filter => path.relative(TEST_DIR, file).toLowerCase().includes(filter)))
+  .sort();
+
+if (files.length === 0) {
+  console.error(`❌ No test files match: ${filters.join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`🧪 Running ${files.length} test file(s)...`);
+
+// Content modules are ES modules in a package without "type": "module"; Node detects
+// that on its own, the warning about it is noise here
+const result = spawnSync(process.execPath, [
+  '--disable-warning=MODULE_TYPELESS_PACKAGE_JSON',
+  '--test',
+  ...files
+], { stdio: 'inherit' });
+
+process.exit(result.status ?? 1);